@@ -17,17 +17,25 @@ const crypto = require("crypto");
 const cors = require("cors");
 
 // Import new modules
-const { initDatabase, runMigrations } = require('./db');
+const { initDatabase, runMigrations, seedDatabase } = require('./db');
 const authRoutes = require('./routes/auth');
 const usersRoutes = require('./routes/users');
 const friendsRoutes = require('./routes/friends');
 const gamesRoutes = require('./routes/games');
 const notificationsRoutes = require('./routes/notifications');
+const promptsRoutes = require('./routes/prompts');
+const rulesetsRoutes = require('./routes/rulesets');
+const matchmakingRoutes = require('./routes/matchmaking');
+const lobbyRoutes = require('./routes/lobby');
+const tournamentsRoutes = require('./routes/tournaments');
+const roomsRoutes = require('./routes/rooms');
 const { heartbeatOnlineUsers } = require('./utils/onlineStatus');
+const { rolloverSeasons } = require('./utils/seasons');
 // DISABLED: Duplicate socket system (conflicts with main game socket handlers)
 // const { authenticateSocket, setupSocketHandlers } = require('./socket');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const { securityHeaders, sanitizeQueryParams } = require('./middleware/validation');
+const { optionalAuth } = require('./middleware/auth');
 
 const port = process.env.PORT || 3000;
 
@@ -97,7 +105,18 @@ function requireAdminAuth(req, res, next) {
 
 // Serve static files
 app.use(express.static(path.join(__dirname, "public")));
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Uploads are players' files: they open sandboxed, and anything but a photo, video or
+// voice note is downloaded rather than shown, so an uploaded page or SVG can't run script as us
+const INLINE_UPLOAD_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.webm', '.mov', '.mp3', '.m4a', '.ogg', '.wav'];
+app.use("/uploads", express.static(path.join(__dirname, "uploads"), {
+  setHeaders: (res, filePath) => {
+    res.setHeader("Content-Security-Policy", "sandbox");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    if (!INLINE_UPLOAD_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      res.setHeader("Content-Disposition", "attachment");
+    }
+  },
+}));
 
 // Mount API routes
 app.use('/api/auth', authRoutes);
@@ -105,6 +124,12 @@ app.use('/api/users', usersRoutes);
 app.use('/api/friends', friendsRoutes);
 app.use('/api/games', gamesRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/prompts', promptsRoutes);
+app.use('/api/rulesets', rulesetsRoutes);
+app.use('/api/matchmaking', matchmakingRoutes);
+app.use('/api/lobby', lobbyRoutes);
+app.use('/api/tournaments', tournamentsRoutes);
+app.use('/api/rooms', roomsRoutes);
 
 app.get("/ping", (req, res) => {
   res.json({ message: "Server is alive" });
@@ -208,34 +233,53 @@ const storage = multer.diskStorage({
     cb(null, uploadPath);
   },
   filename: (req, file, cb) => {
+    // Only a plain extension survives from the uploader's file name
     const ext = path.extname(file.originalname);
-    cb(null, `${uuidv4()}${ext}`);
+    cb(null, `${uuidv4()}${/^\.[a-z0-9]{1,10}$/i.test(ext) ? ext.toLowerCase() : ''}`);
   }
 });
 const upload = multer({ storage });
 
 // File upload endpoint
-app.post("/upload/:room/:username", upload.single("file"), async (req, res) => {
-  const { room, username } = req.params;
+// The sender (who can delete it later) is the signed-in player, or the player seated
+// on the socket named by the X-Socket-Id header
+app.post("/upload/:room", optionalAuth, upload.single("file"), async (req, res) => {
+  const { room } = req.params;
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
+
   const fileUrl = `/uploads/${req.file.filename}`;
-  const id = uuidv4();
   const type = req.file.mimetype.startsWith("audio/") ? "audio" : "file";
 
-  try {
-    const { getDatabase } = require('./db');
-    const { messages } = require('./db/schema');
-    const drizzleDb = getDatabase();
+  // Only players seated in a live room can post to its chat
+  let senderId = null;
+  if (games[room]) {
+    senderId = req.user && games[room].users[req.user.id]
+      ? req.user.id
+      : getUserIdBySocketId(room, req.get("X-Socket-Id"));
+  }
+  if (!senderId) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(403).json({ error: "Only players in this room can upload" });
+  }
 
-    await drizzleDb.insert(messages).values({
-      id,
-      room,
-      username,
-      content: fileUrl,
-      type,
-      timestamp: new Date()
-    });
+  // The file's name is the only text in an upload; the room's chat filter gets a say on it too
+  const moderated = moderateText(req.file.originalname, games[room].chatFilter);
+  if (moderated.error) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ error: moderated.error });
+  }
 
-    io.to(room).emit("newMessage", { id, room, username, content: fileUrl, type });
+  try {
+    const username = getUsernameByUserId(room, senderId);
+    const result = await postMessage({ room, senderId, username, content: fileUrl, type });
+    if (result.error) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: result.error });
+    }
+
+    io.to(room).emit("newMessage", result.message);
     res.json({ success: true, fileUrl });
   } catch (err) {
     console.error("Database error:", err);
@@ -249,8 +293,76 @@ const {
   saveGameState,
   debouncedSaveGameState,
   createOrUpdateGame,
+  finalizeGame,
+  loadGamesWithDeadlines,
+  persistGameEvents,
 } = require('./utils/gameStateSync');
 
+// Import prompt library utilities
+const { getPromptSuggestions, getPromptById, recordPromptUsage } = require('./utils/promptLibrary');
+const {
+  DEFAULT_PROMPT_SETTINGS,
+  MIN_ROOM_CAPACITY,
+  DEFAULT_LOSER_RULE,
+  DEFAULT_TIMEOUT_ACTION,
+  DEFAULT_ROOM_VISIBILITY,
+  DEFAULT_ROOM_LANGUAGE,
+  PROMPT_TYPES,
+  isValidCapacity,
+  isValidLoserRule,
+  isValidTimeoutAction,
+  isValidRoomVisibility,
+  isValidRoomPassword,
+  isValidRoomLanguage,
+  isValidReaction,
+  pickRandom,
+  getPointsToWin,
+} = require('./utils/gameLogic');
+const {
+  getThrowingPlayers,
+  submitChoice,
+  commitChoice,
+  revealChoice,
+  selectTruthDare,
+  submitProof,
+  reviewProof,
+  completeRound,
+  resetRound: resetGameRound,
+  forfeitGame,
+} = require('./utils/gameStateMachine');
+const { startTurnTimer, clearTurnTimer } = require('./utils/turnTimers');
+const { recordFairPlayMove } = require('./utils/commitReveal');
+const { recordForfeit, getUserStats } = require('./utils/stats');
+const { joinQueue, leaveQueueBySocket, getQueueStatus, runMatchmaking } = require('./utils/matchmaking');
+const { verifyAccessToken } = require('./utils/jwt');
+const { requestRematch, acceptRematch } = require('./utils/rematch');
+const { hashRoomPassword, checkRoomAccess } = require('./utils/roomAccess');
+const { applyHostAction, pickNextHost } = require('./utils/hostControls');
+const { DEFAULT_CHAT_FILTER, isValidChatFilter, moderateText } = require('./utils/chatFilter');
+const {
+  getMessagePage,
+  postMessage,
+  toggleReaction,
+  editMessage,
+  deleteMessage,
+  getMessageEdits,
+  markMessages,
+} = require('./utils/chatMessages');
+const { getParticipants, addParticipant, removeParticipant } = require('./utils/participants');
+const { DEFAULT_RULESET_ID, isValidRulesetId, getRuleset, loadCustomRulesets, formatRulesetForClient } = require('./utils/rulesets');
+const { isValidPromptCategory, isValidPromptIntensity } = require('./middleware/validation');
+const {
+  BOT_DELAY_MS,
+  DEFAULT_BOT_DIFFICULTY,
+  isBotId,
+  isValidBotDifficulty,
+  createBot,
+  chooseBotMove,
+  chooseBotSelection,
+  getBotProof,
+  loadThrowHistory,
+} = require('./utils/bots');
+
 // Create debounced save function
 const scheduleSaveGameState = debouncedSaveGameState(500);
 
@@ -258,6 +370,9 @@ const scheduleSaveGameState = debouncedSaveGameState(500);
 // Structure: { [roomCode]: { users: { [userId]: {socketId, username} }, choices: { [userId]: choice }, winner: userId, loser: userId, ... } }
 const games = {};
 
+// How long a typing indicator lasts without another keystroke
+const TYPING_TIMEOUT_MS = 6000;
+
 // Helper functions for userId ↔ socket mapping
 function getSocketIdByUserId(room, userId) {
   if (!games[room] || !games[room].users) {
@@ -265,6 +380,9 @@ function getSocketIdByUserId(room, userId) {
     return null;
   }
 
+  // Bots play server-side and have no socket
+  if (isBotId(userId)) return null;
+
   const userInfo = games[room].users[userId];
   if (!userInfo || !userInfo.socketId) {
     console.warn(`⚠️  getSocketIdByUserId: User ID "${userId}" not found in room ${room}`);
@@ -327,6 +445,8 @@ async function saveSystemMessage(room, content) {
       username: "System",
       content,
       type: "system",
+      edited_at: null,
+      deleted_at: null,
       timestamp: new Date()
     });
   } catch (err) {
@@ -336,55 +456,1202 @@ async function saveSystemMessage(room, content) {
   return { id, room, username: "System", content, type: "system" };
 }
 
+// Helper function to build the series score payload sent to clients
+function buildScorePayload(room) {
+  const game = games[room];
+  if (!game || !game.match) return null;
+
+  return {
+    match: game.match,
+    pointsToWin: getPointsToWin(game.match),
+    score: Object.keys(game.users).map(uid => ({
+      userId: uid,
+      username: game.users[uid].username,
+      points: (game.score && game.score[uid]) || 0,
+    })),
+    matchWinner: game.matchWinner || null,
+    matchWinnerUsername: game.matchWinner ? getUsernameByUserId(room, game.matchWinner) : null,
+  };
+}
+
+// Helper function to build the player list sent with playerUpdate
+function buildPlayersPayload(room) {
+  const game = games[room];
+
+  return {
+    players: Object.entries(game.users).map(([uid, user]) => ({
+      userId: uid,
+      username: user.username,
+      connected: user.socketId !== null || isBotId(uid),
+      bot: isBotId(uid),
+    })),
+    capacity: game.capacity,
+    spectatorCount: Object.keys(game.spectators || {}).length,
+    hostId: game.hostId,
+    locked: game.locked,
+    banned: game.banned,
+    chatFilter: game.chatFilter,
+  };
+}
+
+// Helper function to build the typingUpdate payload: players typing right now
+function buildTypingPayload(room) {
+  const game = games[room];
+  const now = Date.now();
+
+  return Object.entries(game.typing)
+    .filter(([uid, expiresAt]) => expiresAt > now && game.users[uid])
+    .map(([uid]) => ({ userId: uid, username: game.users[uid].username }));
+}
+
+// Helper function to start or stop a player's typing indicator
+// Indicators lapse on their own once the player stops sending keystrokes
+function setTyping(room, userId, isTyping) {
+  const game = games[room];
+  if (!game) return;
+
+  const wasTyping = !!game.typing[userId];
+  if (isTyping) {
+    const expiresAt = Date.now() + TYPING_TIMEOUT_MS;
+    game.typing[userId] = expiresAt;
+    setTimeout(() => {
+      if (games[room] && games[room].typing[userId] === expiresAt) setTyping(room, userId, false);
+    }, TYPING_TIMEOUT_MS);
+  } else {
+    delete game.typing[userId];
+  }
+
+  if (wasTyping !== isTyping) {
+    io.to(room).emit("typingUpdate", buildTypingPayload(room));
+  }
+}
+
+// Helper function to send the latest page of a room's chat to one socket
+// Older pages are fetched with loadOlderMessages (or GET /api/rooms/:room/messages)
+async function sendPreviousMessages(socket, room) {
+  try {
+    const page = await getMessagePage(room);
+    socket.emit("previousMessages", page.messages);
+    socket.emit("messagePage", { hasMore: page.hasMore, nextCursor: page.nextCursor });
+  } catch (err) {
+    console.error("Error fetching previous messages:", err);
+  }
+}
+
+// Helper function to answer a socket's request for an older page of chat
+async function sendOlderMessages(socket, room, params) {
+  const { before, limit } = params || {};
+  try {
+    const page = await getMessagePage(room, { before, limit });
+    if (page.error) {
+      socket.emit("error", { message: page.error });
+      return;
+    }
+
+    socket.emit("olderMessages", page);
+  } catch (err) {
+    console.error("❌ Error fetching older messages:", err);
+  }
+}
+
+// Helper function to build the fullStateRestoration payload (userId is null for spectators)
+function buildRoomState(room, userId) {
+  const game = games[room];
+
+  return {
+    gamePhase: game.gamePhase,
+    gameState: game.gameState,
+    chatVisible: game.chatVisible,
+    awaitingTruthDare: game.awaitingTruthDare,
+    winner: game.winner,
+    loser: game.loser,
+    truthDareSelection: game.truthDareSelection,
+    currentPrompt: game.currentPrompt,
+    userChoice: (userId && game.choices[userId]) || null,
+    isWinner: !!userId && game.winner === userId,
+    isLoser: !!userId && game.loser === userId,
+    isSpectator: !userId,
+    series: buildScorePayload(room),
+    ruleset: formatRulesetForClient(getRuleset(game.rulesetId)),
+    ...buildPlayersPayload(room),
+    loserRule: game.loserRule,
+    activePlayers: game.activePlayers,
+    safePlayers: game.safePlayers,
+    timeoutAction: game.timeoutAction,
+    deadline: buildDeadlinePayload(room),
+    fairPlay: game.fairPlay,
+    visibility: game.visibility,
+    language: game.language,
+    maxIntensity: game.promptSettings.maxIntensity,
+    committed: !!userId && !!game.commitments[userId],
+    awaitingReveal: !!userId && game.gamePhase === 'revealing' && !!game.commitments[userId] && !game.choices[userId],
+    proof: buildProofPayload(room),
+    typing: buildTypingPayload(room),
+  };
+}
+
+// Helper function to build the proofUpdate payload (null until the loser has picked truth or dare)
+function buildProofPayload(room) {
+  const game = games[room];
+  if (!game || !game.proof) return null;
+
+  return {
+    ...game.proof,
+    selection: game.truthDareSelection,
+    winnerId: game.winner,
+    winnerUsername: getUsernameByUserId(room, game.winner),
+    loserId: game.loser,
+    loserUsername: getUsernameByUserId(room, game.loser),
+  };
+}
+
+// Helper function to build the turnTimer payload (serverTime lets clients correct for clock skew)
+function buildDeadlinePayload(room) {
+  const deadline = games[room] && games[room].deadline;
+  if (!deadline) return null;
+
+  return {
+    phase: deadline.phase,
+    expiresAt: deadline.expiresAt,
+    serverTime: Date.now(),
+    timeoutAction: games[room].timeoutAction,
+  };
+}
+
+// Start the countdown for a phase (pass expiresAt to resume a persisted deadline)
+function armDeadline(room, phase, expiresAt = null) {
+  const game = games[room];
+  if (!game) return;
+
+  game.deadline = startTurnTimer(room, phase, () => handleDeadlineExpired(room, phase), expiresAt);
+  io.to(room).emit("turnTimer", buildDeadlinePayload(room));
+  scheduleSaveGameState(room, game);
+}
+
+// Stop the room's countdown, if one is running
+function disarmDeadline(room) {
+  clearTurnTimer(room);
+
+  if (games[room] && games[room].deadline) {
+    games[room].deadline = null;
+    io.to(room).emit("turnTimer", null);
+  }
+}
+
+// Socket.IO channel that only spectators of a room join
+function spectatorChannel(room) {
+  return `${room}:spectators`;
+}
+
+// Helper function to tell spectators what just happened (players get personalised results)
+function notifySpectators(room, message) {
+  const game = games[room];
+  if (!game) return;
+
+  if (message) {
+    io.to(spectatorChannel(room)).emit("result", { message, outcome: 'spectator' });
+  }
+  io.to(spectatorChannel(room)).emit("phaseUpdate", { gamePhase: game.gamePhase });
+}
+
+// Helper function to broadcast a live emoji reaction from a player or spectator
+function broadcastReaction(room, socket, emoji) {
+  const game = games[room];
+  if (!game || !isValidReaction(emoji)) return;
+
+  // Light throttle: one reaction per second per socket
+  const now = Date.now();
+  if (socket.data.lastReactionAt && now - socket.data.lastReactionAt < 1000) return;
+  socket.data.lastReactionAt = now;
+
+  const player = Object.values(game.users).find(u => u.socketId === socket.id);
+  const spectator = Object.values(game.spectators).find(u => u.socketId === socket.id);
+  const sender = player || spectator;
+  if (!sender) return;
+
+  io.to(room).emit("reaction", {
+    username: sender.username,
+    emoji,
+    spectator: !player,
+  });
+}
+
+// Seat a socket as a spectator: it can watch and react, but never play
+function joinAsSpectator(socket, room, userId, username) {
+  games[room].spectators[userId] = { socketId: socket.id, username };
+  socket.join(room);
+  socket.join(spectatorChannel(room));
+  console.log(`👀 [JOIN ROOM] "${username}" (${userId}) is spectating room ${room}`);
+
+  socket.emit("joinedRoom", { spectator: true });
+  io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+  sendPreviousMessages(socket, room);
+  socket.emit("fullStateRestoration", buildRoomState(room, null));
+
+  socket.on("sendReaction", (emoji) => broadcastReaction(room, socket, emoji));
+  socket.on("loadOlderMessages", (params) => sendOlderMessages(socket, room, params));
+
+  const removeSpectator = () => {
+    if (!games[room] || !games[room].spectators[userId]) return;
+    if (games[room].spectators[userId].socketId !== socket.id) return;
+
+    delete games[room].spectators[userId];
+    socket.leave(spectatorChannel(room));
+    io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+    console.log(`👀 "${username}" (${userId}) stopped spectating room ${room}`);
+  };
+
+  socket.on("leaveRoom", () => {
+    removeSpectator();
+    socket.leave(room);
+  });
+  socket.on("disconnect", removeSpectator);
+}
+
+// Helper function to send server-drawn truth/dare suggestions to the round winner
+async function sendPromptSuggestions(room, overrides = {}) {
+  const game = games[room];
+  if (!game || !game.winner || !game.truthDareSelection) return;
+
+  const winnerSocketId = getSocketIdByUserId(room, game.winner);
+  if (!winnerSocketId) return;
+
+  const type = game.truthDareSelection.toLowerCase();
+  const settings = { ...DEFAULT_PROMPT_SETTINGS, ...game.promptSettings, ...overrides };
+
+  const suggestions = await getPromptSuggestions({
+    type,
+    categories: settings.categories,
+    maxIntensity: settings.maxIntensity,
+    userIds: [game.winner, game.loser],
+  });
+
+  io.to(winnerSocketId).emit("promptSuggestions", { type, prompts: suggestions });
+}
+
+// Create a room's in-memory state, restoring it from its database record when there is one
+// (settings are only honoured when this call creates a brand new room; participants seats REST players)
+function initRoom(room, dbGame, { rulesetId, maxPlayers, loserRule, timeoutAction, fairPlay, visibility, passwordHash, hostId, language, maxIntensity, chatFilter } = {}, participants = []) {
+  games[room] = {
+    users: {},           // { [userId]: {socketId, username} }
+    spectators: {},      // { [userId]: {socketId, username} } - watch only, never persisted
+    rulesetId: isValidRulesetId(rulesetId) ? rulesetId : DEFAULT_RULESET_ID,
+    capacity: isValidCapacity(maxPlayers) ? Number(maxPlayers) : MIN_ROOM_CAPACITY,
+    loserRule: isValidLoserRule(loserRule) ? loserRule : DEFAULT_LOSER_RULE,
+    timeoutAction: isValidTimeoutAction(timeoutAction) ? timeoutAction : DEFAULT_TIMEOUT_ACTION,
+    deadline: null,      // { phase, expiresAt } while a turn timer is running
+    fairPlay: fairPlay === true, // commit-reveal moves
+    visibility: isValidRoomVisibility(visibility) ? visibility : DEFAULT_ROOM_VISIBILITY,
+    passwordHash: passwordHash || null, // bcrypt hash for 'password' rooms
+    hostId: hostId || null, // userId of the room's host (friends-only rooms admit their friends)
+    banned: [],          // [{ userId, username }] the host has banned from the room
+    locked: false,       // true while the host has locked out newcomers
+    typing: {},          // { [userId]: expiresAt } while a player is typing - never persisted
+    commitments: {},     // { [userId]: sha256(`${move}:${nonce}`) } for the current throw
+    roundThrows: [],     // [{ moves, outcome }] resolved so far this round (round history)
+    activePlayers: null, // userIds still throwing this round (null = everyone)
+    safePlayers: [],     // userIds who escaped earlier throws this round
+    choices: {},         // { [userId]: choice }
+    chatVisible: false,
+    gameState: 'waiting',
+    gamePhase: 'lobby',  // see utils/gameStateMachine.js
+    roundNumber: 1,
+    winner: null,        // userId, not socketId
+    loser: null,         // userId, not socketId
+    truthDareSelection: null,
+    awaitingTruthDare: false,
+    proof: null,         // { status, type, content, attempts, penalty } for the loser's truth/dare
+    promptSettings: {
+      ...DEFAULT_PROMPT_SETTINGS,
+      ...(isValidPromptIntensity(maxIntensity) ? { maxIntensity: Number(maxIntensity) } : {}),
+    },
+    language: isValidRoomLanguage(language) ? language : DEFAULT_ROOM_LANGUAGE,
+    chatFilter: isValidChatFilter(chatFilter) ? chatFilter : DEFAULT_CHAT_FILTER, // see utils/chatFilter.js
+    currentPrompt: null,
+    match: null,         // { type: 'best_of' | 'first_to', target } or null for open-ended
+    score: {},           // { [userId]: roundsWon }
+    matchWinner: null,   // userId once the series is clinched
+    bot: null            // { userId, difficulty } while a bot holds a seat
+  };
+
+  if (!dbGame) {
+    console.log(`🆕 [JOIN ROOM] No database record found, creating fresh game state`);
+    return;
+  }
+
+  const dbState = dbGame.gameState || {};
+  games[room].gameId = dbGame.id;
+  // Seated players come back disconnected until they rejoin
+  Object.entries(dbState.users || {}).forEach(([uid, user]) => {
+    games[room].users[uid] = { socketId: null, username: user.username };
+  });
+  participants
+    .filter(p => !games[room].users[p.user_id])
+    .forEach(p => { games[room].users[p.user_id] = { socketId: null, username: p.username }; });
+  games[room].rulesetId = dbState.rulesetId || DEFAULT_RULESET_ID;
+  games[room].capacity = dbState.capacity || MIN_ROOM_CAPACITY;
+  games[room].loserRule = dbState.loserRule || DEFAULT_LOSER_RULE;
+  games[room].timeoutAction = dbState.timeoutAction || DEFAULT_TIMEOUT_ACTION;
+  games[room].fairPlay = dbState.fairPlay || false;
+  games[room].visibility = dbGame.visibility || DEFAULT_ROOM_VISIBILITY;
+  games[room].passwordHash = dbGame.passwordHash || null;
+  games[room].hostId = dbState.hostId || dbGame.creatorId || Object.keys(games[room].users)[0] || null;
+  games[room].banned = dbState.banned || [];
+  games[room].locked = dbState.locked || false;
+  games[room].commitments = dbState.commitments || {};
+  games[room].roundThrows = dbState.roundThrows || [];
+  games[room].activePlayers = dbState.activePlayers || null;
+  games[room].safePlayers = dbState.safePlayers || [];
+  games[room].chatVisible = dbState.chatVisible || false;
+  games[room].gameState = ['waiting', 'completed', 'forfeit'].includes(dbGame.status) ? dbGame.status : 'in_progress';
+  games[room].gamePhase = dbState.gamePhase || dbGame.gamePhase || 'lobby';
+  games[room].roundNumber = dbState.roundNumber || 1;
+  games[room].winner = dbState.winner || null;
+  games[room].loser = dbState.loser || null;
+  games[room].truthDareSelection = dbState.truthDareSelection || null;
+  games[room].awaitingTruthDare = dbState.awaitingTruthDare || false;
+  games[room].proof = dbState.proof || null;
+  games[room].choices = dbState.choices || {};
+  games[room].promptSettings = dbState.promptSettings || { ...DEFAULT_PROMPT_SETTINGS };
+  games[room].language = dbState.language || DEFAULT_ROOM_LANGUAGE;
+  games[room].chatFilter = dbState.chatFilter || DEFAULT_CHAT_FILTER;
+  games[room].currentPrompt = dbState.currentPrompt || null;
+  games[room].match = dbState.match || null;
+  games[room].score = dbState.score || {};
+  games[room].matchWinner = dbState.matchWinner || null;
+  games[room].bot = dbState.bot || null;
+  if (dbGame.status === 'completed' || dbGame.status === 'forfeit') {
+    games[room].gameState = dbGame.status;
+  }
+
+  // Pick the countdown up where it left off (fires straight away if it expired while we were down)
+  if (dbState.deadline && games[room].gameState === 'in_progress') {
+    armDeadline(room, dbState.deadline.phase, dbState.deadline.expiresAt);
+  }
+
+  console.log(`✅ [JOIN ROOM] Restored game state for room ${room} from database (phase: ${dbGame.gamePhase}, creator: ${dbGame.creatorId}, opponent: ${dbGame.opponentId})`);
+}
+
+// Run a state machine action against a live room: apply it, tell everyone, persist
+// Resolves to the machine's result ({ state, events } or { error, status, code })
+async function applyRoomAction(room, action, params = {}) {
+  const game = games[room];
+  if (!game) return { error: "Room not found", status: 404, code: 'NOT_FOUND' };
+
+  const playerIds = Object.keys(game.users);
+  const result = action(game, { ...params, playerIds });
+  if (result.error) return result;
+
+  // Applied synchronously so concurrent socket events always see the latest state
+  Object.assign(game, result.state);
+  if (result.events.some(e => e.type === 'matchWon' || e.type === 'gameCompleted')) {
+    game.gameState = 'completed';
+  } else if (result.events.some(e => e.type === 'roundStarted' || e.type === 'roundReset')) {
+    game.gameState = 'waiting';
+  }
+
+  // Each proof submission or review hands the turn to the other player with a fresh clock
+  if (result.events.some(e => e.type === 'proofSubmitted' || e.type === 'proofReviewed')) {
+    disarmDeadline(room);
+  }
+  syncDeadline(room);
+
+  await broadcastGameEvents(room, result.events);
+  await persistGameEvents({ roomCode: room, gameId: game.gameId }, result.events, playerIds);
+  scheduleSaveGameState(room, game);
+  scheduleBotTurn(room);
+
+  return result;
+}
+
+// Tell a socket why the machine refused its action
+function rejectAction(socket, room, result) {
+  if (result.code === 'MATCH_OVER' || (result.code === 'GAME_OVER' && games[room].matchWinner)) {
+    socket.emit("matchComplete", buildScorePayload(room));
+  } else if (result.code === 'SAFE') {
+    socket.emit("result", { message: "You're safe! Waiting for the others...", outcome: 'safe' });
+  } else {
+    socket.emit("error", { message: result.error });
+  }
+}
+
+// Keep the turn timer in step with the room's phase (the first throw starts the choosing clock)
+function syncDeadline(room) {
+  const game = games[room];
+  const phase = game.gamePhase;
+  const finished = game.gameState === 'completed' || game.gameState === 'forfeit' || game.matchWinner;
+
+  let timedPhase = null;
+  if (!finished && phase === 'choosing') {
+    const thrown = Object.keys(game.choices).length + Object.keys(game.commitments).length;
+    timedPhase = thrown > 0 ? 'choosing' : null;
+  } else if (!finished && ['revealing', 'truth_dare_selection', 'chat'].includes(phase)) {
+    timedPhase = phase;
+  }
+
+  if (!timedPhase) {
+    disarmDeadline(room);
+  } else if (!game.deadline || game.deadline.phase !== timedPhase) {
+    armDeadline(room, timedPhase);
+  }
+}
+
+// Send the socket side of each machine event to the room
+async function broadcastGameEvents(room, events) {
+  for (const event of events) {
+    if (!games[room]) return;
+
+    switch (event.type) {
+      case 'choiceMade': {
+        // The move itself stays hidden until everyone has thrown
+        const username = getUsernameByUserId(room, event.userId);
+        const choiceMsg = await saveSystemMessage(room, event.auto
+          ? `⏰ ${username} ran out of time - a random move was played`
+          : `${username} has chosen`);
+        io.to(room).emit("newMessage", choiceMsg);
+        notifySpectators(room);
+        break;
+      }
+      case 'choiceCommitted': {
+        const commitMsg = await saveSystemMessage(room, `🔒 ${getUsernameByUserId(room, event.userId)} locked in a move`);
+        io.to(room).emit("newMessage", commitMsg);
+        notifySpectators(room);
+        break;
+      }
+      case 'revealRequested':
+        event.userIds.forEach(uid => {
+          const sid = getSocketIdByUserId(room, uid);
+          if (sid) io.to(sid).emit("requestReveal");
+        });
+        notifySpectators(room);
+        break;
+      case 'throwResolved':
+        await announceThrow(room, event);
+        break;
+      case 'matchWon': {
+        const matchMsg = await saveSystemMessage(room, `🏆 ${getUsernameByUserId(room, event.winner)} wins the match!`);
+        io.to(room).emit("newMessage", matchMsg);
+        io.to(room).emit("matchComplete", buildScorePayload(room));
+        break;
+      }
+      case 'truthDareSelected':
+        await announceTruthDareSelection(room, event);
+        break;
+      case 'proofSubmitted':
+      case 'proofReviewed':
+        await announceProof(room, event);
+        break;
+      case 'roundStarted':
+      case 'roundReset':
+        io.to(room).emit("chatVisible", false);
+        io.to(room).emit("hideTruthDareModal");
+        io.to(room).emit("clearResultMessage");
+        io.to(room).emit("gameStateUpdate", { state: "waiting" });
+        notifySpectators(room);
+        break;
+      case 'gameCompleted': {
+        // A clinched series was announced with matchWon
+        if (games[room].match) {
+          io.to(room).emit("matchComplete", buildScorePayload(room));
+        } else {
+          const endMsg = await saveSystemMessage(room, `🏁 Game over`);
+          io.to(room).emit("newMessage", endMsg);
+        }
+        io.to(room).emit("chatVisible", false);
+        io.to(room).emit("hideTruthDareModal");
+        notifySpectators(room);
+        scheduleLobbyUpdate();
+        break;
+      }
+    }
+  }
+}
+
+// Show a resolved throw: the moves, then elimination, tie or the round's winner and loser
+async function announceThrow(room, { outcome, moves, ...event }) {
+  const game = games[room];
+
+  const ruleset = getRuleset(game.rulesetId);
+  const thrown = Object.entries(moves).map(([uid, choice]) => {
+    const move = ruleset.moves.find(m => m.id === choice);
+    return `${getUsernameByUserId(room, uid)}: ${move ? `${move.emoji} ${move.label}`.trim() : choice}`;
+  });
+  const movesMsg = await saveSystemMessage(room, thrown.join(' · '));
+  io.to(room).emit("newMessage", movesMsg);
+
+  const emitResult = (uid, message, outcome) => {
+    const sid = getSocketIdByUserId(room, uid);
+    if (sid) io.to(sid).emit("result", { message, outcome });
+  };
+  const listNames = (userIds) => userIds.map(uid => getUsernameByUserId(room, uid)).join(', ');
+
+  if (outcome === 'elimination') {
+    // This throw's winners are safe, the losers throw again
+    const eliminationMsg = await saveSystemMessage(room, `${listNames(event.safe)} safe! ${listNames(event.stillIn)} throw again.`);
+    io.to(room).emit("newMessage", eliminationMsg);
+
+    event.safe.forEach(uid => emitResult(uid, "You're safe! Waiting for the others...", 'safe'));
+    event.stillIn.forEach(uid => emitResult(uid, "Still in! Throw again.", 'throw_again'));
+    notifySpectators(room, eliminationMsg.content);
+    return;
+  }
+
+  if (outcome === 'tie') {
+    const tieMsg = await saveSystemMessage(room, `${listNames(event.players)}: It's a tie`);
+    io.to(room).emit("newMessage", tieMsg);
+
+    event.players.forEach(uid => emitResult(uid, "It's a tie", 'tie'));
+    notifySpectators(room, "It's a tie");
+    return;
+  }
+
+  const winnerSocketId = getSocketIdByUserId(room, event.winner);
+  const loserSocketId = getSocketIdByUserId(room, event.loser);
+
+  const winMsg = await saveSystemMessage(room, `${getUsernameByUserId(room, event.winner)} won! ${getUsernameByUserId(room, event.loser)} must choose truth or dare.`);
+  io.to(room).emit("newMessage", winMsg);
+
+  // Send results (everyone else in a group room sits this one out)
+  emitResult(event.winner, "You win! You may ask a truth or give a dare.", 'win');
+  emitResult(event.loser, "You lose! Choose Truth or Dare.", 'lose');
+  Object.keys(game.users)
+    .filter(uid => uid !== event.winner && uid !== event.loser)
+    .forEach(uid => emitResult(uid, "You're safe this round!", 'safe'));
+
+  // Show modals
+  if (loserSocketId) io.to(loserSocketId).emit("showTruthDareModal", { type: "choose" });
+  if (winnerSocketId) io.to(winnerSocketId).emit("showTruthDareModal", { type: "waiting" });
+
+  io.to(room).emit("chatVisible", true);
+  notifySpectators(room, winMsg.content);
+
+  if (game.match) {
+    io.to(room).emit("scoreUpdate", buildScorePayload(room));
+  }
+}
+
+// Show the loser's truth/dare pick and offer the winner prompts
+async function announceTruthDareSelection(room, { userId, selection, auto }) {
+  const loserUsername = getUsernameByUserId(room, userId);
+
+  if (auto) {
+    const autoMsg = await saveSystemMessage(room, `⏰ ${loserUsername} ran out of time - picking at random`);
+    io.to(room).emit("newMessage", autoMsg);
+  }
+
+  const winnerSocketId = getSocketIdByUserId(room, games[room].winner);
+  const loserSocketId = getSocketIdByUserId(room, userId);
+
+  // Send ONLY personalized messages to each player (no broadcast to room)
+  // Loser sees: "You chose truth"
+  if (loserSocketId) {
+    const loserMsg = {
+      id: uuidv4(),
+      room,
+      username: "System",
+      content: `You chose ${selection.toUpperCase()}`,
+      type: "system"
+    };
+    io.to(loserSocketId).emit("newMessage", loserMsg);
+  }
+
+  // Winner sees: "LoserName selected truth" (NOT winnerName!)
+  if (winnerSocketId) {
+    const winnerMsg = {
+      id: uuidv4(),
+      room,
+      username: "System",
+      content: `${loserUsername} selected ${selection.toUpperCase()}`,
+      type: "system"
+    };
+    io.to(winnerSocketId).emit("newMessage", winnerMsg);
+  }
+
+  // Save neutral message to database for chat history
+  await saveSystemMessage(room, `${loserUsername} chose ${selection.toUpperCase()}`);
+
+  // Hide modal for both players
+  io.to(room).emit("hideTruthDareModal");
+
+  // Notify both players (and spectators) of the selection
+  io.to(room).emit("truthOrDareResponse", {
+    username: loserUsername,
+    selection,
+  });
+  notifySpectators(room, `${loserUsername} chose ${selection}`);
+  io.to(room).emit("proofUpdate", buildProofPayload(room));
+
+  // Offer the winner prompts from the library
+  await sendPromptSuggestions(room);
+}
+
+// Show a proof submission or review to the room
+async function announceProof(room, event) {
+  const game = games[room];
+  const loserUsername = getUsernameByUserId(room, game.loser);
+  const winnerUsername = getUsernameByUserId(room, game.winner);
+
+  let content;
+  if (event.type === 'proofSubmitted') {
+    content = event.proof.type === 'text'
+      ? `📝 ${loserUsername} answered: ${event.proof.content}`
+      : `📎 ${loserUsername} sent proof - waiting for ${winnerUsername} to approve`;
+  } else if (event.approved) {
+    content = event.auto
+      ? `⏰ ${winnerUsername} ran out of time - ${loserUsername}'s proof was approved`
+      : `✅ ${winnerUsername} approved ${loserUsername}'s ${game.truthDareSelection}`;
+  } else if (event.onReject === 'penalty') {
+    content = `❌ ${winnerUsername} rejected the proof - ${loserUsername} gets a penalty dare!`;
+  } else {
+    content = `❌ ${winnerUsername} rejected the proof - ${loserUsername}, try again`;
+  }
+
+  const proofMsg = await saveSystemMessage(room, content);
+  io.to(room).emit("newMessage", proofMsg);
+  io.to(room).emit("proofUpdate", buildProofPayload(room));
+  notifySpectators(room, content);
+
+  // Penalty dare: offer the winner dares from the library
+  if (event.type === 'proofReviewed' && event.onReject === 'penalty') {
+    await sendPromptSuggestions(room);
+  }
+}
+
+// How each forfeit reason is told to the forfeiter and to the room
+const FORFEIT_MESSAGES = {
+  timeout: { player: "You ran out of time and forfeited the game.", room: (name) => `⏰ ${name} ran out of time and forfeited` },
+  left: { player: "You left and forfeited the game.", room: (name) => `🚪 ${name} left and forfeited` },
+};
+
+// Remove players who ran out of time (or walked out of a rated game); ends the game as a forfeit if fewer than two remain
+async function forfeitPlayers(room, userIds, reason = 'timeout') {
+  const game = games[room];
+  const messages = FORFEIT_MESSAGES[reason];
+
+  for (const uid of userIds) {
+    const username = getUsernameByUserId(room, uid);
+    const sid = getSocketIdByUserId(room, uid);
+    if (sid) {
+      io.to(sid).emit("forfeited", { message: messages.player });
+      io.in(sid).socketsLeave(room);
+    }
+
+    delete game.users[uid];
+    removeParticipant(game.gameId, uid);
+    if (game.bot && game.bot.userId === uid) game.bot = null;
+
+    // Only registered users have stats rows
+    if (!uid.startsWith('anon_')) {
+      await recordForfeit(uid);
+    }
+
+    const forfeitMsg = await saveSystemMessage(room, messages.room(username));
+    io.to(room).emit("newMessage", forfeitMsg);
+    console.log(`⏰ "${username}" (${uid}) forfeited in room ${room} (${reason})`);
+  }
+  await handOverHost(room);
+
+  // Round state can't survive a player leaving mid-round
+  const remaining = Object.keys(game.users);
+  if (remaining.length < 2) {
+    const winnerId = remaining[0] || null;
+    game.gameState = 'forfeit';
+    await applyRoomAction(room, forfeitGame, { winnerId });
+
+    // Forfeiters were already counted above; only the winner is left to record
+    await finalizeGame(room, { winnerId, loserIds: [], forfeiterIds: userIds, status: 'forfeit' });
+
+    const winnerUsername = winnerId ? getUsernameByUserId(room, winnerId) : null;
+    const endMsg = await saveSystemMessage(room, winnerUsername ? `🏳️ ${winnerUsername} wins by forfeit` : '🏳️ Game ended by forfeit');
+    io.to(room).emit("newMessage", endMsg);
+    io.to(room).emit("gameForfeited", { winnerId, winnerUsername });
+    scheduleLobbyUpdate();
+  } else {
+    await applyRoomAction(room, resetGameRound);
+    io.to(room).emit("gameReset");
+  }
+
+  io.to(room).emit("chatVisible", false);
+  io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+}
+
+// Whether a player leaving now walks out of a rated game under way: a registered player
+// with another registered player still seated (every such game moves their ratings)
+function isRatedLeave(room, userId) {
+  const game = games[room];
+  if (userId.startsWith('anon_') || game.gameState === 'completed' || game.gameState === 'forfeit') return false;
+
+  const started = game.gamePhase !== 'lobby' || game.roundNumber > 1 || Object.keys(game.choices).length > 0;
+  const ratedOpponents = Object.keys(game.users).filter(uid => uid !== userId && !uid.startsWith('anon_'));
+  return started && ratedOpponents.length > 0;
+}
+
+// Turn timer ran out: auto-pick for the stalled players or record their forfeit
+async function handleDeadlineExpired(room, phase) {
+  const game = games[room];
+  if (!game || !game.deadline || game.deadline.phase !== phase) return;
+
+  game.deadline = null;
+  io.to(room).emit("turnTimer", null);
+  const forfeit = game.timeoutAction === 'forfeit';
+  console.log(`⏰ Turn timer expired in room ${room} (phase: ${phase}, action: ${game.timeoutAction})`);
+
+  if (phase === 'choosing') {
+    const throwingPlayers = getThrowingPlayers(game, Object.keys(game.users));
+    const stalled = throwingPlayers.filter(uid => !game.choices[uid] && !game.commitments[uid]);
+    if (stalled.length === 0) return;
+
+    if (forfeit) {
+      await forfeitPlayers(room, stalled);
+      return;
+    }
+
+    // Fair play: players who did commit still have to reveal once the last pick is in
+    const moves = getRuleset(game.rulesetId).moves.map(move => move.id);
+    for (const uid of stalled) {
+      await applyRoomAction(room, submitChoice, { userId: uid, choice: pickRandom(moves), auto: true });
+    }
+  } else if (phase === 'revealing') {
+    // A committed move can't be recovered, so a missing reveal is always a forfeit
+    const throwingPlayers = getThrowingPlayers(game, Object.keys(game.users));
+    const unrevealed = throwingPlayers.filter(uid => !game.choices[uid]);
+    if (unrevealed.length > 0) {
+      await forfeitPlayers(room, unrevealed);
+    }
+  } else if (phase === 'truth_dare_selection') {
+    if (!game.awaitingTruthDare || !game.loser) return;
+
+    if (forfeit) {
+      await forfeitPlayers(room, [game.loser]);
+      return;
+    }
+
+    await applyRoomAction(room, selectTruthDare, { userId: game.loser, selection: pickRandom(PROMPT_TYPES), auto: true });
+  } else if (phase === 'chat') {
+    if (!game.loser) return;
+
+    // Proof waiting for review means the winner is the one holding things up
+    const reviewing = game.proof && game.proof.status === 'submitted';
+    const stalledId = reviewing ? game.winner : game.loser;
+
+    if (forfeit && !(game.proof && game.proof.status === 'approved')) {
+      await forfeitPlayers(room, [stalledId]);
+      return;
+    }
+
+    if (reviewing) {
+      await applyRoomAction(room, reviewProof, { userId: game.winner, approved: true, auto: true });
+    } else {
+      const closedMsg = await saveSystemMessage(room, `⏰ Time's up! Moving on to the next round.`);
+      io.to(room).emit("newMessage", closedMsg);
+    }
+    await applyRoomAction(room, completeRound, { system: true });
+  }
+}
+
+// The winner asks a library prompt: record it for the pair and show it to the room
+async function askPrompt(room, prompt) {
+  const game = games[room];
+  const type = game.truthDareSelection.toLowerCase();
+
+  await recordPromptUsage({ promptId: prompt.id, userIds: [game.winner, game.loser], room });
+
+  game.currentPrompt = { id: prompt.id, type: prompt.type, content: prompt.content };
+
+  const winnerUsername = getUsernameByUserId(room, game.winner);
+  const loserUsername = getUsernameByUserId(room, game.loser);
+  const promptMsg = await saveSystemMessage(
+    room,
+    type === 'truth'
+      ? `${winnerUsername} asks ${loserUsername}: ${prompt.content}`
+      : `${winnerUsername} dares ${loserUsername}: ${prompt.content}`
+  );
+  io.to(room).emit("newMessage", promptMsg);
+  io.to(room).emit("promptSelected", game.currentPrompt);
+
+  scheduleSaveGameState(room, game);
+}
+
+// Let a room's bot take its turn once it has had a moment to "think"
+function scheduleBotTurn(room) {
+  const game = games[room];
+  if (!game || !game.bot || game.botTurnPending) return;
+
+  game.botTurnPending = true;
+  setTimeout(async () => {
+    if (!games[room]) return;
+    games[room].botTurnPending = false;
+
+    try {
+      await playBotTurn(room);
+    } catch (err) {
+      console.error(`❌ Bot turn failed in room ${room}:`, err);
+    }
+  }, BOT_DELAY_MS);
+}
+
+// Do whatever the bot owes the room right now: throw, pick truth/dare, ask a prompt, prove or approve
+async function playBotTurn(room) {
+  const game = games[room];
+  if (!game || !game.bot || !game.users[game.bot.userId]) return;
+  if (game.gameState === 'completed' || game.gameState === 'forfeit' || game.matchWinner) return;
+
+  const botId = game.bot.userId;
+  const phase = game.gamePhase;
+
+  if (phase === 'lobby' || phase === 'choosing') {
+    // The bot throws after the human, without looking at their move
+    const throwing = getThrowingPlayers(game, Object.keys(game.users));
+    const opponentId = throwing.find(uid => uid !== botId);
+    if (!throwing.includes(botId) || game.choices[botId] || !opponentId || !game.choices[opponentId]) return;
+
+    // The human's pending throw is already in game_moves; leave it out
+    const history = (await loadThrowHistory(opponentId, game.gameId)).slice(0, -1);
+    const choice = chooseBotMove({ difficulty: game.bot.difficulty, history, rulesetId: game.rulesetId });
+    await applyRoomAction(room, submitChoice, { userId: botId, choice });
+  } else if (phase === 'truth_dare_selection' && game.loser === botId && game.awaitingTruthDare) {
+    await applyRoomAction(room, selectTruthDare, { userId: botId, selection: chooseBotSelection() });
+  } else if (phase === 'chat' && game.winner === botId) {
+    if (!game.currentPrompt && game.truthDareSelection) {
+      const settings = { ...DEFAULT_PROMPT_SETTINGS, ...game.promptSettings };
+      const [prompt] = await getPromptSuggestions({
+        type: game.truthDareSelection.toLowerCase(),
+        categories: settings.categories,
+        maxIntensity: settings.maxIntensity,
+        userIds: [game.winner, game.loser],
+        count: 1,
+      });
+      if (prompt) await askPrompt(room, prompt);
+    }
+
+    // Bots take the human's word for it
+    if (game.proof && game.proof.status === 'submitted') {
+      await applyRoomAction(room, reviewProof, { userId: botId, approved: true });
+    }
+  } else if (phase === 'chat' && game.loser === botId && game.proof && game.proof.status === 'pending') {
+    await applyRoomAction(room, submitProof, { userId: botId, ...getBotProof(game.truthDareSelection) });
+  }
+}
+
+// Bring rooms that were waiting on a turn timer back into memory so their deadlines still fire
+async function resumeTurnTimers() {
+  const timedGames = await loadGamesWithDeadlines();
+  for (const dbGame of timedGames) {
+    if (!games[dbGame.roomCode]) {
+      initRoom(dbGame.roomCode, dbGame, {}, await getParticipants(dbGame.id));
+    }
+  }
+  return timedGames.length;
+}
+
+// Seat a REST player in a live room (no socket; they play through /api/games)
+function seatRestPlayer(room, userId, username) {
+  const game = games[room];
+  if (!game || game.users[userId]) return;
+
+  game.users[userId] = { socketId: null, username };
+  io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+  scheduleSaveGameState(room, game);
+}
+
+// Tell a finished game's room about a rematch request, or where the accepted rematch is
+async function announceRematch(room, { request, game }) {
+  if (!games[room]) return;
+
+  if (game) {
+    const msg = await saveSystemMessage(room, `🔁 Rematch accepted! Head to room ${game.roomCode}`);
+    io.to(room).emit("newMessage", msg);
+    io.to(room).emit("rematchAccepted", game);
+    scheduleLobbyUpdate();
+  } else {
+    const msg = await saveSystemMessage(room, `🔁 ${request.requesterName} wants a rematch`);
+    io.to(room).emit("newMessage", msg);
+    io.to(room).emit("rematchRequested", request);
+  }
+}
+
+// Pass hosting to the next human still seated once the host has gone
+// (an emptied room keeps its last host, who gets it back on rejoining)
+async function handOverHost(room) {
+  const game = games[room];
+  if (!game || game.users[game.hostId]) return;
+
+  const nextHostId = pickNextHost(Object.keys(game.users));
+  if (!nextHostId) return;
+
+  // Set before the message is saved, so the playerUpdate that follows a leave already has it
+  game.hostId = nextHostId;
+  const hostMsg = await saveSystemMessage(room, `👑 ${getUsernameByUserId(room, nextHostId)} is now the host`);
+  io.to(room).emit("newMessage", hostMsg);
+}
+
+// Take someone the host kicked or banned out of the room, whether they were playing or watching
+async function ejectFromRoom(room, userId, { banned }) {
+  const game = games[room];
+  const target = game.users[userId] || game.spectators[userId];
+
+  if (target.socketId) {
+    io.to(target.socketId).emit("kicked", {
+      message: banned ? "The host banned you from this room." : "The host removed you from this room.",
+      banned,
+    });
+    io.in(target.socketId).socketsLeave([room, spectatorChannel(room)]);
+  }
+
+  if (game.spectators[userId]) {
+    delete game.spectators[userId];
+    return;
+  }
+
+  setTyping(room, userId, false);
+  delete game.users[userId];
+  delete game.choices[userId];
+  removeParticipant(game.gameId, userId);
+  if (game.bot && game.bot.userId === userId) game.bot = null;
+
+  // The round can't carry on without them
+  if (game.gamePhase !== 'lobby' && game.gameState !== 'completed' && game.gameState !== 'forfeit') {
+    await applyRoomAction(room, resetGameRound);
+    io.to(room).emit("gameReset");
+  }
+}
+
+// Run a host action (utils/hostControls.js) against a room and log it in the chat
+// Rooms nobody is connected to are restored from the database for the action and dropped again
+// Resolves to { state, removedId } or { error, status, code }
+async function moderateRoom(room, { action, userId, targetId, level }) {
+  const wasLive = !!games[room];
+  if (!wasLive) {
+    const dbGame = await loadGameState(room);
+    if (!dbGame) return { error: "Room not found", status: 404, code: 'NOT_FOUND' };
+    initRoom(room, dbGame, {}, await getParticipants(dbGame.id));
+  }
+
+  const game = games[room];
+  const bannedEntry = (game.banned || []).find(b => b.userId === targetId);
+  const targetName = getUsernameByUserId(room, targetId)
+    || (game.spectators[targetId] && game.spectators[targetId].username)
+    || (bannedEntry && bannedEntry.username)
+    || 'A player';
+  const hostName = getUsernameByUserId(room, userId);
+
+  const result = applyHostAction(game, {
+    action,
+    userId,
+    targetId,
+    targetName,
+    level,
+    playerIds: Object.keys(game.users),
+    spectatorIds: Object.keys(game.spectators),
+  });
+
+  if (!result.error) {
+    Object.assign(game, result.state);
+    if (result.removedId) {
+      await ejectFromRoom(room, result.removedId, { banned: action === 'ban' });
+    }
+
+    const messages = {
+      kick: `👢 ${hostName} removed ${targetName} from the room`,
+      ban: `🚫 ${hostName} banned ${targetName} from the room`,
+      unban: `✅ ${hostName} lifted ${targetName}'s ban`,
+      lock: `🔒 ${hostName} locked the room`,
+      unlock: `🔓 ${hostName} unlocked the room`,
+      filter: `🧼 ${hostName} set the chat filter to ${level}`,
+      transfer: `👑 ${hostName} made ${targetName} the host`,
+    };
+    const hostMsg = await saveSystemMessage(room, messages[action]);
+    io.to(room).emit("newMessage", hostMsg);
+    io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+    notifySpectators(room, messages[action]);
+
+    // Saved straight away: REST joins check bans and the lock against the stored state
+    await saveGameState(room, game);
+    scheduleLobbyUpdate();
+    console.log(`👑 [HOST] ${hostName} (${userId}) ${action} ${targetId || ''} in room ${room}`);
+  }
+
+  if (!wasLive) {
+    clearTurnTimer(room);
+    delete games[room];
+  }
+  return result;
+}
+
+// End a live room's game from outside it (a tournament walkover); the result was already
+// recorded where it was decided, so nothing is finalised here
+async function endRoomGame(room, { winnerId, message }) {
+  const game = games[room];
+  if (!game || game.gameState === 'completed' || game.gameState === 'forfeit') return;
+
+  game.gameState = 'forfeit';
+  await applyRoomAction(room, forfeitGame, { winnerId });
+
+  const endMsg = await saveSystemMessage(room, message);
+  io.to(room).emit("newMessage", endMsg);
+  io.to(room).emit("gameForfeited", { winnerId, winnerUsername: getUsernameByUserId(room, winnerId) });
+  io.to(room).emit("chatVisible", false);
+  io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+  scheduleLobbyUpdate();
+}
+
+// Let the REST routes drive rooms that are live in memory, so socket and REST players share one game
+app.set('liveGames', {
+  has: (room) => !!games[room],
+  apply: applyRoomAction,
+  seat: seatRestPlayer,
+  announceRematch,
+  moderate: moderateRoom,
+  end: endRoomGame,
+});
+
+// Tell a socket player about their ranked pairing (REST players poll GET /api/matchmaking/status)
+function notifyMatchFound(player, match) {
+  if (player.socketId) {
+    io.to(player.socketId).emit("matchFound", match);
+  }
+}
+
+// Pair whoever in the matchmaking queue can be paired
+function matchPlayers() {
+  return runMatchmaking(notifyMatchFound);
+}
+
+app.set('matchmaking', { run: matchPlayers });
+
+// Socket.IO channel for players browsing the lobby
+const LOBBY_CHANNEL = 'lobby:watchers';
+const LOBBY_UPDATE_DELAY_MS = 1000;
+let lobbyUpdateTimer = null;
+
+// Tell lobby watchers to refetch GET /api/lobby (batched, so a burst of joins sends one update)
+function scheduleLobbyUpdate() {
+  if (lobbyUpdateTimer) return;
+
+  lobbyUpdateTimer = setTimeout(() => {
+    lobbyUpdateTimer = null;
+    io.to(LOBBY_CHANNEL).emit("lobbyUpdated", { updatedAt: new Date() });
+  }, LOBBY_UPDATE_DELAY_MS);
+}
+
+app.set('lobby', { notify: scheduleLobbyUpdate });
+
+// Whether a socket's claimed userId is its own: anon_ IDs stand for themselves,
+// registered IDs need that user's access token
+function isOwnUserId(userId, token) {
+  if (userId.startsWith('anon_')) return true;
+
+  try {
+    return verifyAccessToken(token).userId === userId;
+  } catch (error) {
+    return false;
+  }
+}
+
 io.on("connection", (socket) => {
-  socket.on("joinRoom", async ({ room, username, userId }) => {
+  // Ranked matchmaking needs a registered player, so the socket proves it with the access token
+  socket.on("joinMatchmaking", async (params) => {
+    const { token } = params || {};
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      socket.emit("error", { message: "Log in to play ranked games" });
+      return;
+    }
+
+    const stats = await getUserStats(decoded.userId);
+    if (!stats) {
+      socket.emit("error", { message: "Log in to play ranked games" });
+      return;
+    }
+
+    joinQueue({ userId: decoded.userId, username: decoded.username, rating: stats.rating, socketId: socket.id });
+    socket.emit("matchmakingStatus", getQueueStatus(decoded.userId));
+    await matchPlayers();
+  });
+
+  socket.on("leaveMatchmaking", () => {
+    leaveQueueBySocket(socket.id);
+    socket.emit("matchmakingStatus", { status: 'idle' });
+  });
+
+  socket.on("disconnect", () => leaveQueueBySocket(socket.id));
+
+  socket.on("joinRoom", async (params) => {
+    const { room, username, userId, token, rulesetId, maxPlayers, loserRule, timeoutAction, fairPlay, visibility, password, language, maxIntensity, chatFilter, spectate = false } = params || {};
     const userType = userId?.startsWith('anon_') ? 'anonymous' : 'authenticated';
     console.log(`🚪 [JOIN ROOM] ${userType} user "${username}" (${userId}) attempting to join room ${room}`);
 
-    // Validate inputs
-    if (!room || !username || !userId) {
+    // Validate inputs (bot IDs are reserved for the server)
+    if (!room || !username || !userId || isBotId(userId)) {
       console.log(`❌ [JOIN ROOM] Invalid join attempt - missing room, username, or userId`);
       socket.emit("error", { message: "Invalid request" });
       return;
     }
 
+    // Registered players prove who they are with their access token, so nobody can
+    // take their seat, their host rights or their friendships by sending their ID
+    if (!isOwnUserId(userId, token)) {
+      console.log(`🔒 [JOIN ROOM] ${username} (${userId}) refused from room ${room}: AUTH_REQUIRED`);
+      socket.emit("roomAccessDenied", { message: "Log in to join as this player", code: 'AUTH_REQUIRED' });
+      return;
+    }
+
     // Step 1: Try to load existing game from database
     console.log(`🔍 [JOIN ROOM] Checking database for existing game in room ${room}...`);
     const dbGame = await loadGameState(room);
+    const participants = dbGame && !games[room] ? await getParticipants(dbGame.id) : [];
+
+    // Spectators can only watch rooms that already exist
+    if (spectate && !games[room] && !dbGame) {
+      socket.emit("error", { message: "Room not found" });
+      return;
+    }
 
     if (!games[room]) {
+      // A brand new room takes its visibility from the player creating it
+      let passwordHash = null;
+      if (!dbGame && visibility) {
+        let error = null;
+        if (!isValidRoomVisibility(visibility)) {
+          error = "Unknown room visibility";
+        } else if (visibility === 'password' && !isValidRoomPassword(password)) {
+          error = "Room password must be 4-64 characters";
+        } else if (visibility === 'friends' && userId.startsWith('anon_')) {
+          error = "Sign in to create a friends-only room";
+        }
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
+        if (visibility === 'password') {
+          passwordHash = await hashRoomPassword(password);
+        }
+      }
+
       console.log(`🆕 [JOIN ROOM] Room ${room} does not exist in memory, initializing...`);
-      // Initialize in-memory state
-      games[room] = {
-        users: {},           // { [userId]: {socketId, username} }
-        choices: {},         // { [userId]: choice }
-        chatVisible: false,
-        gameState: 'waiting',
-        gamePhase: 'lobby',
-        winner: null,        // userId, not socketId
-        loser: null,         // userId, not socketId
-        truthDareSelection: null,
-        awaitingTruthDare: false
-      };
-
-      // If game exists in database, restore state
-      if (dbGame) {
-        const dbState = dbGame.gameState || {};
-        games[room].chatVisible = dbState.chatVisible || false;
-        games[room].gameState = dbGame.status === 'waiting' ? 'waiting' : 'in_progress';
-        games[room].gamePhase = dbGame.gamePhase || 'lobby';
-        games[room].winner = dbState.winner || null;
-        games[room].loser = dbState.loser || null;
-        games[room].truthDareSelection = dbState.truthDareSelection || null;
-        games[room].awaitingTruthDare = dbState.awaitingTruthDare || false;
-        games[room].choices = dbState.choices || {};
-
-        console.log(`✅ [JOIN ROOM] Restored game state for room ${room} from database (phase: ${dbGame.gamePhase}, creator: ${dbGame.creatorId}, opponent: ${dbGame.opponentId})`);
-      } else {
-        console.log(`🆕 [JOIN ROOM] No database record found, creating fresh game state`);
+      initRoom(room, dbGame, {
+        rulesetId, maxPlayers, loserRule, timeoutAction, fairPlay, visibility, passwordHash, hostId: userId, language, maxIntensity, chatFilter,
+      }, participants);
+    }
+
+    // Newcomers (players and spectators) have to pass the host's bans and lock and the room's visibility
+    if (!games[room].users[userId]) {
+      const denied = await checkRoomAccess(games[room], { userId, password });
+      if (denied) {
+        console.log(`🔒 [JOIN ROOM] ${username} (${userId}) refused from room ${room}: ${denied.code}`);
+        socket.emit("roomAccessDenied", { message: denied.error, code: denied.code });
+        return;
       }
     }
 
+    // Watching: seated players rejoining with the flag still get their seat back
+    if (spectate && !games[room].users[userId]) {
+      joinAsSpectator(socket, room, userId, username);
+      return;
+    }
+
     // Check if userId already exists in this room
     const existingUserInfo = games[room].users[userId];
     const userExists = existingUserInfo !== undefined;
@@ -393,10 +1660,11 @@ io.on("connection", (socket) => {
     if (!isRejoining) {
       // New user joining - check room capacity
       const userCount = Object.keys(games[room].users).length;
-      console.log(`👥 [JOIN ROOM] Current players in room: ${userCount}/2`);
+      const capacity = games[room].capacity;
+      console.log(`👥 [JOIN ROOM] Current players in room: ${userCount}/${capacity}`);
 
-      if (userCount >= 2) {
-        console.log(`❌ [JOIN ROOM] Room ${room} is full (${userCount}/2 players)`);
+      if (userCount >= capacity) {
+        console.log(`❌ [JOIN ROOM] Room ${room} is full (${userCount}/${capacity} players)`);
         socket.emit("roomFull");
         return;
       }
@@ -404,6 +1672,11 @@ io.on("connection", (socket) => {
 
     // Update socket mapping (works for both new users and rejoining)
     games[room].users[userId] = { socketId: socket.id, username };
+    if (games[room].spectators[userId]) {
+      // Spectator taking a free seat
+      delete games[room].spectators[userId];
+      socket.leave(spectatorChannel(room));
+    }
     const action = isRejoining ? 'rejoined' : 'joined';
     console.log(`✅ [JOIN ROOM] User "${username}" (${userId}) ${action} room ${room}`);
     console.log(`👥 [JOIN ROOM] Current users in room ${room}:`, Object.keys(games[room].users).map(id => `${games[room].users[id].username} (${id})`));
@@ -411,53 +1684,24 @@ io.on("connection", (socket) => {
 
     // Sync with database: create or update game record
     console.log(`💾 [JOIN ROOM] Syncing game state to database...`);
-    await createOrUpdateGame(room, games[room], userId, username);
+    const gameId = await createOrUpdateGame(room, games[room], userId, username);
+    if (gameId) {
+      games[room].gameId = gameId;
+      await addParticipant(gameId, userId, username);
+    }
+    scheduleLobbyUpdate();
 
     // Confirm successful join to the client
     socket.emit("joinedRoom");
 
-    // Notify all players of updated user list (send usernames for display)
-    const userList = Object.values(games[room].users).map(u => u.username);
-    io.to(room).emit("playerUpdate", userList);
+    // Notify all players of updated player list
+    io.to(room).emit("playerUpdate", buildPlayersPayload(room));
 
     // Send previous messages
-    (async () => {
-      try {
-        const { getDatabase } = require('./db');
-        const { messages } = require('./db/schema');
-        const { eq, asc } = require('drizzle-orm');
-        const drizzleDb = getDatabase();
-
-        const rows = await drizzleDb.select()
-          .from(messages)
-          .where(eq(messages.room, room))
-          .orderBy(asc(messages.timestamp));
-
-        // Serialize timestamps for client
-        const serializedRows = rows.map(row => ({
-          ...row,
-          timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp
-        }));
-
-        socket.emit("previousMessages", serializedRows);
-      } catch (err) {
-        console.error("Error fetching previous messages:", err);
-      }
-    })();
+    sendPreviousMessages(socket, room);
 
     // Send full state restoration to rejoining/new user
-    const currentState = {
-      gamePhase: games[room].gamePhase,
-      gameState: games[room].gameState,
-      chatVisible: games[room].chatVisible,
-      awaitingTruthDare: games[room].awaitingTruthDare,
-      winner: games[room].winner,
-      loser: games[room].loser,
-      truthDareSelection: games[room].truthDareSelection,
-      userChoice: games[room].choices[userId] || null,
-      isWinner: games[room].winner === userId,
-      isLoser: games[room].loser === userId,
-    };
+    const currentState = buildRoomState(room, userId);
 
     // Emit full state restoration
     socket.emit("fullStateRestoration", currentState);
@@ -472,106 +1716,192 @@ io.on("connection", (socket) => {
       } else if (isWinner && !games[room].truthDareSelection) {
         socket.emit("showTruthDareModal", { type: "waiting" });
       }
+    } else if (games[room].winner === userId && games[room].truthDareSelection && !games[room].currentPrompt) {
+      // Winner rejoined before picking a prompt - offer suggestions again
+      sendPromptSuggestions(room);
     }
 
     // Save current state to database (debounced)
     scheduleSaveGameState(room, games[room]);
 
-    socket.on("makeChoice", async (choice) => {
-      // Get userId from socket ID
+    // A bot may still owe the room a move from before a restart
+    scheduleBotTurn(room);
+
+    socket.on("sendReaction", (emoji) => broadcastReaction(room, socket, emoji));
+    socket.on("loadOlderMessages", (params) => sendOlderMessages(socket, room, params));
+
+    // Solo play: a bot takes the empty seat
+    socket.on("addBot", async (params) => {
+      const { difficulty = DEFAULT_BOT_DIFFICULTY } = params || {};
       const currentUserId = getUserIdBySocketId(room, socket.id);
-      if (!currentUserId) {
-        console.error('❌ makeChoice: Could not find userId for socket', socket.id);
+      if (!currentUserId) return;
+
+      const game = games[room];
+      let error = null;
+      if (!isValidBotDifficulty(difficulty)) {
+        error = "Unknown bot difficulty";
+      } else if (game.bot) {
+        error = "This room already has a bot";
+      } else if (Object.keys(game.users).length !== 1) {
+        error = "Bots can only join a room with one player";
+      } else if (game.gamePhase !== 'lobby') {
+        error = "Bots can only join between games";
+      } else if (game.fairPlay) {
+        // A server-side player's commitment proves nothing
+        error = "Bots can't play fair play rooms";
+      }
+      if (error) {
+        socket.emit("error", { message: error });
         return;
       }
 
-      const currentUsername = getUsernameByUserId(room, currentUserId);
+      const bot = createBot(difficulty);
+      game.users[bot.userId] = { socketId: null, username: bot.username };
+      game.bot = { userId: bot.userId, difficulty: bot.difficulty };
 
-      // Store choice using userId as key
-      games[room].choices[currentUserId] = choice;
-      games[room].gamePhase = 'choosing';
+      const gameId = await createOrUpdateGame(room, game, bot.userId, bot.username);
+      if (gameId) {
+        game.gameId = gameId;
+        await addParticipant(gameId, bot.userId, bot.username);
+      }
+
+      const botMsg = await saveSystemMessage(room, `${bot.username} joined the game`);
+      io.to(room).emit("newMessage", botMsg);
+      io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+      scheduleSaveGameState(room, game);
+      scheduleLobbyUpdate();
+      console.log(`🤖 ${bot.username} (${bot.userId}) joined room ${room}`);
+    });
+
+    socket.on("removeBot", async () => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      const game = games[room];
+      if (!currentUserId || !game.bot) return;
+
+      const botId = game.bot.userId;
+      const botMsg = await saveSystemMessage(room, `${getUsernameByUserId(room, botId)} left the game`);
+      delete game.users[botId];
+      delete game.choices[botId];
+      removeParticipant(game.gameId, botId);
+      game.bot = null;
+
+      io.to(room).emit("newMessage", botMsg);
+      io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+
+      // The round can't carry on without them
+      if (game.gamePhase !== 'lobby' && game.gameState !== 'completed' && game.gameState !== 'forfeit') {
+        await applyRoomAction(room, resetGameRound);
+        io.to(room).emit("gameReset");
+      }
+      scheduleSaveGameState(room, game);
+      scheduleLobbyUpdate();
+    });
 
-      // Save system message for choice
-      const choiceMsg = await saveSystemMessage(room, `${currentUsername} chose ${choice}`);
-      io.to(room).emit("newMessage", choiceMsg);
+    // Host controls: kick, ban and unban players, lock the room, set the chat filter and hand hosting over
+    const hostAction = (action) => async (params) => {
+      const { userId: targetId, level } = params || {};
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
+
+      const result = await moderateRoom(room, { action, userId: currentUserId, targetId, level });
+      if (result.error) {
+        socket.emit("error", { message: result.error });
+      }
+    };
+    socket.on("kickPlayer", hostAction('kick'));
+    socket.on("banPlayer", hostAction('ban'));
+    socket.on("unbanPlayer", hostAction('unban'));
+    socket.on("lockRoom", hostAction('lock'));
+    socket.on("unlockRoom", hostAction('unlock'));
+    socket.on("setChatFilter", hostAction('filter'));
+    socket.on("transferHost", hostAction('transfer'));
+
+    // Either player of a finished game can propose a rematch; asking back accepts it
+    socket.on("requestRematch", async () => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      const game = games[room];
+      if (!currentUserId || !game.gameId) return;
+
+      const result = await requestRematch({
+        gameId: game.gameId,
+        userId: currentUserId,
+        username: getUsernameByUserId(room, currentUserId),
+      });
+      if (result.error) {
+        socket.emit("error", { message: result.error });
+        return;
+      }
+      await announceRematch(room, result);
+    });
+
+    socket.on("acceptRematch", async () => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      const game = games[room];
+      if (!currentUserId || !game.gameId) return;
+
+      const result = await acceptRematch({
+        gameId: game.gameId,
+        userId: currentUserId,
+        username: getUsernameByUserId(room, currentUserId),
+      });
+      if (result.error) {
+        socket.emit("error", { message: result.error });
+        return;
+      }
+      await announceRematch(room, result);
+    });
 
-      // Check if both players have made their choices
-      if (Object.keys(games[room].choices).length === 2) {
-        const [userId1, userId2] = Object.keys(games[room].choices);
-        const c1 = games[room].choices[userId1];
-        const c2 = games[room].choices[userId2];
+    socket.on("makeChoice", async (choice) => {
+      // Get userId from socket ID
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) {
+        console.error('❌ makeChoice: Could not find userId for socket', socket.id);
+        return;
+      }
 
-        const username1 = getUsernameByUserId(room, userId1);
-        const username2 = getUsernameByUserId(room, userId2);
+      const result = await applyRoomAction(room, submitChoice, { userId: currentUserId, choice });
+      if (result.error) rejectAction(socket, room, result);
+    });
 
-        const rules = { rock: "scissors", scissors: "paper", paper: "rock" };
-        let result;
+    // Fair play, step 1: lock in sha256(`${move}:${nonce}`) without revealing the move
+    socket.on("commitChoice", async (commitment) => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) {
+        console.error('❌ commitChoice: Could not find userId for socket', socket.id);
+        return;
+      }
 
-        if (c1 === c2) {
-          // Tie - reset choices and stay in choosing phase
-          result = { [userId1]: "It's a tie", [userId2]: "It's a tie" };
-          games[room].choices = {};
-          games[room].gamePhase = 'lobby';
+      const result = await applyRoomAction(room, commitChoice, { userId: currentUserId, commitment });
+      if (result.error) {
+        rejectAction(socket, room, result);
+        return;
+      }
 
-          // Get socket IDs for sending results
-          const socketId1 = getSocketIdByUserId(room, userId1);
-          const socketId2 = getSocketIdByUserId(room, userId2);
+      await recordFairPlayMove(games[room].gameId, currentUserId, 'commit', { commitment });
+    });
 
-          // Save system message for tie
-          const tieMsg = await saveSystemMessage(room, `${username1}: It's a tie`);
-          io.to(room).emit("newMessage", tieMsg);
+    // Fair play, step 2: reveal the move and nonce; rejected unless they hash to the commitment
+    socket.on("revealChoice", async (params) => {
+      const { choice, nonce } = params || {};
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) {
+        console.error('❌ revealChoice: Could not find userId for socket', socket.id);
+        return;
+      }
 
-          if (socketId1) io.to(socketId1).emit("result", { message: result[userId1] });
-          if (socketId2) io.to(socketId2).emit("result", { message: result[userId2] });
-        } else {
-          // Determine winner and loser (store userIds, not socket IDs)
-          const winnerUserId = rules[c1] === c2 ? userId1 : userId2;
-          const loserUserId = winnerUserId === userId1 ? userId2 : userId1;
-
-          const winnerUsername = getUsernameByUserId(room, winnerUserId);
-          const loserUsername = getUsernameByUserId(room, loserUserId);
-
-          result = {
-            [winnerUserId]: "You win! You may ask a truth or give a dare.",
-            [loserUserId]: "You lose! Choose Truth or Dare.",
-          };
-
-          // Update game state with winner/loser (userIds)
-          games[room].winner = winnerUserId;
-          games[room].loser = loserUserId;
-          games[room].awaitingTruthDare = true;
-          games[room].truthDareSelection = null;
-          games[room].gamePhase = 'result';
-
-          // Get socket IDs for emitting events
-          const winnerSocketId = getSocketIdByUserId(room, winnerUserId);
-          const loserSocketId = getSocketIdByUserId(room, loserUserId);
-
-          // Save system messages for win/lose (customized for each player)
-          const winMsg = await saveSystemMessage(room, `${winnerUsername} won! ${loserUsername} must choose truth or dare.`);
-          io.to(room).emit("newMessage", winMsg);
-
-          // Send results
-          if (winnerSocketId) io.to(winnerSocketId).emit("result", { message: result[winnerUserId] });
-          if (loserSocketId) io.to(loserSocketId).emit("result", { message: result[loserUserId] });
-
-          // Show modals
-          if (loserSocketId) io.to(loserSocketId).emit("showTruthDareModal", { type: "choose" });
-          if (winnerSocketId) io.to(winnerSocketId).emit("showTruthDareModal", { type: "waiting" });
-
-          // Enable chat
-          games[room].chatVisible = true;
-          io.to(room).emit("chatVisible", true);
-
-          // Update phase to truth/dare selection
-          games[room].gamePhase = 'truth_dare_selection';
-        }
+      const commitment = games[room].commitments[currentUserId];
+      const result = await applyRoomAction(room, revealChoice, { userId: currentUserId, choice, nonce });
+      if (result.error && result.code !== 'REVEAL_MISMATCH') {
+        rejectAction(socket, room, result);
+        return;
+      }
 
-        // Clear choices after round
-        games[room].choices = {};
+      const valid = !result.error;
+      await recordFairPlayMove(games[room].gameId, currentUserId, 'reveal', { commitment, choice, nonce, valid });
 
-        // Persist state to database
-        scheduleSaveGameState(room, games[room]);
+      if (!valid) {
+        console.warn(`⚠️  Reveal mismatch from ${currentUserId} in room ${room}`);
+        rejectAction(socket, room, result);
       }
     });
 
@@ -583,64 +1913,67 @@ io.on("connection", (socket) => {
         return;
       }
 
-      const currentUsername = getUsernameByUserId(room, currentUserId);
+      const result = await applyRoomAction(room, selectTruthDare, { userId: currentUserId, selection });
+      if (result.error) rejectAction(socket, room, result);
+    });
 
-      // Check if this user is the loser and truth/dare is awaited
-      if (games[room].awaitingTruthDare && games[room].loser === currentUserId) {
-        games[room].truthDareSelection = selection;
-        games[room].awaitingTruthDare = false;
-        games[room].gamePhase = 'chat';
-
-        const winnerId = games[room].winner;
-        const winnerUsername = getUsernameByUserId(room, winnerId);
-        const winnerSocketId = getSocketIdByUserId(room, winnerId);
-        const loserSocketId = getSocketIdByUserId(room, currentUserId);
-
-        // currentUsername is the LOSER (the one making the selection)
-        const loserUsername = currentUsername;
-
-        // Send ONLY personalized messages to each player (no broadcast to room)
-        // Loser sees: "You chose truth"
-        if (loserSocketId) {
-          const loserMsg = {
-            id: uuidv4(),
-            room,
-            username: "System",
-            content: `You chose <strong>${selection}</strong>`,
-            type: "system"
-          };
-          io.to(loserSocketId).emit("newMessage", loserMsg);
-        }
+    // The loser proves their truth/dare: { type: 'text', content } or { type: 'photo'|'video'|'audio', content: fileUrl from /upload }
+    socket.on("submitProof", async (params) => {
+      const { type, content } = params || {};
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
 
-        // Winner sees: "LoserName selected truth" (NOT winnerName!)
-        if (winnerSocketId) {
-          const winnerMsg = {
-            id: uuidv4(),
-            room,
-            username: "System",
-            content: `${loserUsername} selected <strong>${selection}</strong>`,
-            type: "system"
-          };
-          io.to(winnerSocketId).emit("newMessage", winnerMsg);
-        }
+      const result = await applyRoomAction(room, submitProof, { userId: currentUserId, type, content });
+      if (result.error) rejectAction(socket, room, result);
+    });
 
-        // Save neutral message to database for chat history
-        await saveSystemMessage(room, `${currentUsername} chose <strong>${selection}</strong>`);
+    // The winner approves or rejects it; a rejection sends the loser back ('retry') or to a 'penalty' dare
+    socket.on("reviewProof", async (params) => {
+      const { approved, onReject } = params || {};
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
 
-        // Hide modal for both players
-        io.to(room).emit("hideTruthDareModal");
+      const result = await applyRoomAction(room, reviewProof, { userId: currentUserId, approved, onReject });
+      if (result.error) rejectAction(socket, room, result);
+    });
 
-        // Notify both players of the selection
-        io.to(room).emit("truthOrDareResponse", {
-          username: currentUsername,
-          selection,
-        });
+    socket.on("requestPrompts", async (params) => {
+      const { category, intensity } = params || {};
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId || games[room].winner !== currentUserId) return;
 
-        // Persist state to database
-        scheduleSaveGameState(room, games[room]);
+      const overrides = {};
+      if (category && isValidPromptCategory(category)) {
+        overrides.categories = [category];
+      }
+      if (intensity && isValidPromptIntensity(intensity)) {
+        overrides.maxIntensity = Number(intensity);
       }
+
+      await sendPromptSuggestions(room, overrides);
     });
 
+    socket.on("usePrompt", async (promptId) => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) {
+        console.error('❌ usePrompt: Could not find userId for socket', socket.id);
+        return;
+      }
+
+      // Only the winner may ask, and only after the loser has picked truth or dare
+      if (games[room].winner !== currentUserId || !games[room].truthDareSelection) return;
+
+      const prompt = await getPromptById(promptId);
+      const type = games[room].truthDareSelection.toLowerCase();
+      if (!prompt || prompt.type !== type) {
+        socket.emit("error", { message: "Prompt not available" });
+        return;
+      }
+
+      await askPrompt(room, prompt);
+    });
+
+    // A message is plain text, or { content, replyTo } to quote an earlier one
     socket.on("sendMessage", async (msg) => {
       // Get userId from socket ID
       const currentUserId = getUserIdBySocketId(room, socket.id);
@@ -649,48 +1982,112 @@ io.on("connection", (socket) => {
         return;
       }
 
-      const currentUsername = getUsernameByUserId(room, currentUserId);
-      const id = uuidv4();
+      const { content, replyTo = null } = typeof msg === 'string' ? { content: msg } : (msg || {});
+      setTyping(room, currentUserId, false);
 
       try {
-        const { getDatabase } = require('./db');
-        const { messages } = require('./db/schema');
-        const drizzleDb = getDatabase();
-
-        await drizzleDb.insert(messages).values({
-          id,
+        const result = await postMessage({
           room,
-          username: currentUsername,
-          content: msg,
-          type: "text",
-          timestamp: new Date()
+          senderId: currentUserId,
+          username: getUsernameByUserId(room, currentUserId),
+          content,
+          replyTo,
+          chatFilter: games[room].chatFilter,
         });
+        if (result.error) {
+          socket.emit("error", { message: result.error });
+          return;
+        }
 
-        io.to(room).emit("newMessage", { id, room, username: currentUsername, content: msg, type: "text" });
+        io.to(room).emit("newMessage", result.message);
       } catch (err) {
         console.error("Database error:", err);
       }
     });
 
+    // Reactions, edits and deletes all answer with the message as it now stands
+    const messageAction = (action) => async (params = {}) => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
+
+      try {
+        const result = await action(params, currentUserId);
+        if (result.error) {
+          socket.emit("error", { message: result.error });
+          return;
+        }
+
+        io.to(room).emit("messageUpdated", result.message);
+      } catch (err) {
+        console.error("❌ Error updating message:", err);
+      }
+    };
+    socket.on("reactToMessage", messageAction(({ messageId, emoji }, userId) =>
+      toggleReaction({ room, messageId, userId, emoji })));
+    socket.on("editMessage", messageAction(({ messageId, content }, userId) =>
+      editMessage({ room, messageId, userId, content, chatFilter: games[room].chatFilter })));
+    socket.on("deleteMessage", messageAction(({ messageId }, userId) =>
+      deleteMessage({ room, messageId, userId })));
+
+    socket.on("typing", (isTyping) => {
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
+
+      setTyping(room, currentUserId, isTyping === true);
+    });
+
+    // The client reports messages it has received or shown; senders see ✓ / ✓✓
+    socket.on("markMessages", async (params) => {
+      const { messageIds, status } = params || {};
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
+
+      try {
+        const result = await markMessages({
+          room,
+          userId: currentUserId,
+          username: getUsernameByUserId(room, currentUserId),
+          messageIds,
+          status,
+        });
+        if (result.error) {
+          socket.emit("error", { message: result.error });
+          return;
+        }
+
+        if (result.updates.length > 0) {
+          io.to(room).emit("messageReceipts", result.updates);
+        }
+      } catch (err) {
+        console.error("❌ Error saving message receipts:", err);
+      }
+    });
+
+    socket.on("getMessageHistory", async (params) => {
+      const { messageId } = params || {};
+      try {
+        const result = await getMessageEdits(room, messageId);
+        if (result.error) {
+          socket.emit("error", { message: result.error });
+          return;
+        }
+
+        socket.emit("messageHistory", result);
+      } catch (err) {
+        console.error("❌ Error fetching message history:", err);
+      }
+    });
+
     socket.on("startNewRound", async () => {
-      // Reset game state for new round
-      games[room].chatVisible = false;
-      games[room].awaitingTruthDare = false;
-      games[room].winner = null;
-      games[room].loser = null;
-      games[room].truthDareSelection = null;
-      games[room].gameState = 'waiting';
-      games[room].gamePhase = 'lobby';
-      games[room].choices = {}; // Clear any pending choices
-
-      // Notify all players
-      io.to(room).emit("chatVisible", false);
-      io.to(room).emit("hideTruthDareModal");
-      io.to(room).emit("clearResultMessage");
-      io.to(room).emit("gameStateUpdate", { state: "waiting" });
-
-      // Persist clean state to database
-      scheduleSaveGameState(room, games[room]);
+      const currentUserId = getUserIdBySocketId(room, socket.id);
+      if (!currentUserId) return;
+
+      // Nothing to close while the room is still in the lobby
+      if (games[room].gamePhase === 'lobby') return;
+
+      // A decided series ends here instead of starting another round
+      const result = await applyRoomAction(room, completeRound, { userId: currentUserId });
+      if (result.error) rejectAction(socket, room, result);
     });
 
     socket.on("disconnect", () => {
@@ -705,6 +2102,7 @@ io.on("connection", (socket) => {
 
       // Mark user as disconnected (set socket to null, keep game state)
       // This allows the user to reconnect and restore their state
+      setTyping(room, currentUserId, false);
       games[room].users[currentUserId] = { socketId: null, username: currentUsername };
 
       // Get list of CONNECTED users (exclude those with null socket IDs)
@@ -713,7 +2111,7 @@ io.on("connection", (socket) => {
         .map(u => u.username);
 
       // Notify remaining connected players
-      io.to(room).emit("playerUpdate", connectedUsernames);
+      io.to(room).emit("playerUpdate", buildPlayersPayload(room));
 
       // If no connected users, schedule cleanup after timeout
       if (connectedUsernames.length === 0) {
@@ -726,6 +2124,7 @@ io.on("connection", (socket) => {
             );
             if (stillConnected.length === 0) {
               console.log(`🧹 Cleaning up empty room: ${room}`);
+              clearTurnTimer(room);
               delete games[room];
             }
           }
@@ -737,7 +2136,7 @@ io.on("connection", (socket) => {
     });
 
     // Handle user intentionally leaving room (not just disconnecting)
-    socket.on("leaveRoom", () => {
+    socket.on("leaveRoom", async () => {
       if (!games[room]) return;
 
       const currentUserId = getUserIdBySocketId(room, socket.id);
@@ -745,50 +2144,58 @@ io.on("connection", (socket) => {
 
       const currentUsername = getUsernameByUserId(room, currentUserId);
       console.log(`🚪 User "${currentUsername}" (${currentUserId}) left room ${room}`);
+      setTyping(room, currentUserId, false);
+
+      // Leaving can't dodge a rating loss: walking out of a rated game forfeits it
+      if (isRatedLeave(room, currentUserId)) {
+        try {
+          await forfeitPlayers(room, [currentUserId], 'left');
+          scheduleSaveGameState(room, games[room]);
+          scheduleLobbyUpdate();
+        } catch (err) {
+          console.error("❌ Error handling leaveRoom:", err);
+        }
+        return;
+      }
 
       // Remove user completely (intentional leave, not temporary disconnect)
       delete games[room].users[currentUserId];
+      removeParticipant(games[room].gameId, currentUserId);
+      scheduleLobbyUpdate();
 
       // Also clear their choices and other state
       if (games[room].choices) {
         delete games[room].choices[currentUserId];
       }
 
-      // Reset winner/loser if they were this user
-      if (games[room].winner === currentUserId) {
-        games[room].winner = null;
-      }
-      if (games[room].loser === currentUserId) {
-        games[room].loser = null;
-      }
-
       socket.leave(room);
 
-      // Get remaining usernames for display
-      const remainingUsernames = Object.values(games[room].users).map(u => u.username);
-
-      // Notify remaining players
-      io.to(room).emit("playerUpdate", remainingUsernames);
-
-      // If room empty, clean up immediately (no timeout)
-      if (remainingUsernames.length === 0) {
-        console.log(`🧹 Cleaning up empty room: ${room}`);
-        delete games[room];
-      } else {
-        // Reset game state if only one player remains
-        games[room].gamePhase = "lobby";
-        games[room].choices = {};
-        games[room].winner = null;
-        games[room].loser = null;
-        games[room].chatVisible = false;
-        games[room].awaitingTruthDare = false;
-        games[room].truthDareSelection = null;
-
-        // Persist updated state
-        scheduleSaveGameState(room, games[room]);
-
-        // Notify remaining player to reset their UI
-        io.to(room).emit("gameReset");
+      try {
+        await handOverHost(room);
+        if (!games[room]) return;
+
+        // Get remaining usernames for display (a bot can't keep a room open on its own)
+        const remainingUsernames = Object.entries(games[room].users)
+          .filter(([uid]) => !isBotId(uid))
+          .map(([, u]) => u.username);
+
+        // Notify remaining players
+        io.to(room).emit("playerUpdate", buildPlayersPayload(room));
+
+        // If room empty, clean up immediately (no timeout)
+        if (remainingUsernames.length === 0) {
+          console.log(`🧹 Cleaning up empty room: ${room}`);
+          clearTurnTimer(room);
+          delete games[room];
+        } else if (games[room].gameState !== 'completed' && games[room].gameState !== 'forfeit') {
+          // The round can't carry on without them
+          await applyRoomAction(room, resetGameRound);
+
+          // Notify remaining player to reset their UI
+          io.to(room).emit("gameReset");
+        }
+      } catch (err) {
+        console.error("❌ Error handling leaveRoom:", err);
       }
     });
   });
@@ -801,12 +2208,17 @@ io.on("connection", (socket) => {
       if (isUserRoom) continue;
 
       const game = games[roomId];
-      if (game && Object.keys(game.users).length < 2) {
+      // Only public rooms are listed; the rest are joined by code
+      if (game && game.visibility === 'public' && !game.locked && Object.keys(game.users).length < game.capacity) {
         availableRooms.push(roomId);
       }
     }
     socket.emit("roomsList", availableRooms);
   });
+
+  // Lobby browsers get `lobbyUpdated` whenever the public room list may have changed
+  socket.on("watchLobby", () => socket.join(LOBBY_CHANNEL));
+  socket.on("unwatchLobby", () => socket.leave(LOBBY_CHANNEL));
 });
 
 // Initialize database and start server
@@ -820,6 +2232,21 @@ async function startServer() {
     // Run migrations
     await runMigrations();
 
+    // Seed reference data (prompt library)
+    await seedDatabase();
+
+    // Load user-defined rulesets into the registry
+    const customRulesetCount = await loadCustomRulesets();
+    console.log(`✋ Loaded ${customRulesetCount} custom rulesets`);
+
+    // Restart turn timers for games that were mid-countdown
+    const timedGameCount = await resumeTurnTimers();
+    console.log(`⏰ Resumed ${timedGameCount} turn timers`);
+
+    // Close a season that ended while the server was down and make sure one is running
+    const season = await rolloverSeasons();
+    console.log(`🏆 Active season: ${season.name}`);
+
     // Start server
     server.listen(port, () => {
       console.log(`✅ Server running at http://localhost:${port}`);
@@ -829,12 +2256,25 @@ async function startServer() {
       console.log(`👥 Friends endpoints: /api/friends`);
       console.log(`🎮 Games endpoints: /api/games`);
       console.log(`🔔 Notifications endpoints: /api/notifications`);
+      console.log(`💬 Prompt endpoints: /api/prompts`);
+      console.log(`✋ Ruleset endpoints: /api/rulesets`);
+      console.log(`🎯 Matchmaking endpoints: /api/matchmaking`);
       console.log(`📱 CORS enabled for: ${corsOrigins.join(', ')}`);
 
       // Start heartbeat for online status (every 2 minutes)
       setInterval(() => {
         heartbeatOnlineUsers();
       }, 2 * 60 * 1000);
+
+      // Roll seasons over once they end (every hour)
+      setInterval(() => {
+        rolloverSeasons().catch((error) => console.error('❌ Season rollover failed:', error));
+      }, 60 * 60 * 1000);
+
+      // Retry matchmaking as queued players' rating windows widen (every 5 seconds)
+      setInterval(() => {
+        matchPlayers();
+      }, 5 * 1000);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
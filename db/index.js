@@ -141,8 +141,11 @@ async function runMigrations() {
           games_played INTEGER DEFAULT 0 NOT NULL,
           games_won INTEGER DEFAULT 0 NOT NULL,
           games_lost INTEGER DEFAULT 0 NOT NULL,
+          games_forfeited INTEGER DEFAULT 0 NOT NULL,
           truths_completed INTEGER DEFAULT 0 NOT NULL,
           dares_completed INTEGER DEFAULT 0 NOT NULL,
+          rating INTEGER DEFAULT 1200 NOT NULL,
+          win_streak INTEGER DEFAULT 0 NOT NULL,
           created_at TIMESTAMP DEFAULT NOW() NOT NULL
         )
       `);
@@ -174,6 +177,9 @@ async function runMigrations() {
           game_state JSONB,
           game_phase VARCHAR(30),
           winner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          previous_game_id UUID REFERENCES games(id) ON DELETE SET NULL,
+          visibility VARCHAR(20) DEFAULT 'public' NOT NULL,
+          password_hash VARCHAR(255),
           created_at TIMESTAMP DEFAULT NOW() NOT NULL,
           updated_at TIMESTAMP DEFAULT NOW() NOT NULL
         )
@@ -274,6 +280,11 @@ async function runMigrations() {
           type VARCHAR(50) NOT NULL,
           user_id UUID REFERENCES users(id) ON DELETE SET NULL,
           game_id UUID REFERENCES games(id) ON DELETE CASCADE,
+          sender_id VARCHAR(100),
+          reply_to UUID REFERENCES messages(id) ON DELETE SET NULL,
+          reactions JSONB,
+          edited_at TIMESTAMP,
+          deleted_at TIMESTAMP,
           timestamp TIMESTAMP DEFAULT NOW() NOT NULL
         )
       `);
@@ -281,6 +292,274 @@ async function runMigrations() {
       await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS messages_room_idx ON messages(room)`);
       await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS messages_game_id_idx ON messages(game_id)`);
 
+      // Message edits table (earlier versions of edited messages)
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS message_edits (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+          content VARCHAR(5000) NOT NULL,
+          edited_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS message_edits_message_id_idx ON message_edits(message_id)`);
+
+      // Message receipts table (delivered/read per player)
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS message_receipts (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+          user_id VARCHAR(100) NOT NULL,
+          username VARCHAR(100) NOT NULL,
+          delivered_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          read_at TIMESTAMP
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS message_receipts_message_id_idx ON message_receipts(message_id)`);
+      // One receipt per message and player, however many server processes record them
+      await db.execute(sqlTag`CREATE UNIQUE INDEX IF NOT EXISTS message_receipts_message_user_idx ON message_receipts(message_id, user_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS prompts (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          type VARCHAR(10) NOT NULL,
+          category VARCHAR(30) NOT NULL,
+          intensity INTEGER DEFAULT 1 NOT NULL,
+          content VARCHAR(500) NOT NULL,
+          created_by VARCHAR(100),
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS prompts_type_idx ON prompts(type)`);
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS prompts_category_idx ON prompts(category)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS prompt_history (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          prompt_id UUID NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+          pair_key VARCHAR(210) NOT NULL,
+          room VARCHAR(100),
+          used_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS prompt_history_pair_key_idx ON prompt_history(pair_key)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS rulesets (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          name VARCHAR(50) NOT NULL,
+          moves JSONB NOT NULL,
+          beats JSONB NOT NULL,
+          created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS rulesets_created_by_idx ON rulesets(created_by)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS game_participants (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+          user_id VARCHAR(100) NOT NULL,
+          username VARCHAR(100) NOT NULL,
+          seat INTEGER NOT NULL,
+          joined_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          left_at TIMESTAMP
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS game_participants_game_id_idx ON game_participants(game_id)`);
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS game_participants_user_id_idx ON game_participants(user_id)`);
+      // One seat per player per game; doubled seats from before the index keep the first
+      await db.execute(sqlTag`
+        DELETE FROM game_participants a USING game_participants b
+        WHERE a.game_id = b.game_id AND a.user_id = b.user_id
+          AND (a.seat > b.seat OR (a.seat = b.seat AND a.id > b.id))
+      `);
+      await db.execute(sqlTag`CREATE UNIQUE INDEX IF NOT EXISTS game_participants_game_user_idx ON game_participants(game_id, user_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS game_rounds (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+          round_number INTEGER NOT NULL,
+          throws JSONB NOT NULL,
+          winner_id VARCHAR(100),
+          loser_id VARCHAR(100),
+          selection VARCHAR(10),
+          prompt JSONB,
+          status VARCHAR(20) NOT NULL,
+          started_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS game_rounds_game_id_idx ON game_rounds(game_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS seasons (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          name VARCHAR(50) NOT NULL,
+          starts_at TIMESTAMP NOT NULL,
+          ends_at TIMESTAMP NOT NULL,
+          status VARCHAR(10) NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS seasons_status_idx ON seasons(status)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS season_stats (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          season_id UUID NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          games_played INTEGER DEFAULT 0 NOT NULL,
+          games_won INTEGER DEFAULT 0 NOT NULL,
+          games_lost INTEGER DEFAULT 0 NOT NULL,
+          games_forfeited INTEGER DEFAULT 0 NOT NULL,
+          truths_completed INTEGER DEFAULT 0 NOT NULL,
+          dares_completed INTEGER DEFAULT 0 NOT NULL,
+          rating INTEGER DEFAULT 1200 NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      // One row per player per season. Rows doubled before the unique index are merged into the
+      // first: the counts add up and the rating keeps every change made from the 1200 start
+      await db.execute(sqlTag`
+        UPDATE season_stats SET games_played = t.games_played, games_won = t.games_won, games_lost = t.games_lost, games_forfeited = t.games_forfeited, truths_completed = t.truths_completed, dares_completed = t.dares_completed, rating = t.rating
+        FROM (
+          SELECT season_id, user_id, SUM(games_played) AS games_played, SUM(games_won) AS games_won, SUM(games_lost) AS games_lost, SUM(games_forfeited) AS games_forfeited, SUM(truths_completed) AS truths_completed, SUM(dares_completed) AS dares_completed, SUM(rating) - (COUNT(*) - 1) * 1200 AS rating
+          FROM season_stats GROUP BY season_id, user_id HAVING COUNT(*) > 1
+        ) t
+        WHERE season_stats.season_id = t.season_id AND season_stats.user_id = t.user_id
+      `);
+      await db.execute(sqlTag`
+        DELETE FROM season_stats a USING season_stats b
+        WHERE a.season_id = b.season_id AND a.user_id = b.user_id AND a.id > b.id
+      `);
+      await db.execute(sqlTag`DROP INDEX IF EXISTS season_stats_season_user_idx`);
+      await db.execute(sqlTag`CREATE UNIQUE INDEX IF NOT EXISTS season_stats_season_user_unique_idx ON season_stats(season_id, user_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS season_standings (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          season_id UUID NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+          rank INTEGER NOT NULL,
+          user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          username VARCHAR(100) NOT NULL,
+          stats JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS season_standings_season_id_idx ON season_standings(season_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS user_achievements (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          achievement_id VARCHAR(50) NOT NULL,
+          unlocked_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS user_achievements_user_id_idx ON user_achievements(user_id)`);
+      // One unlock per player per achievement; doubled unlocks from before the index keep the first
+      await db.execute(sqlTag`
+        DELETE FROM user_achievements a USING user_achievements b
+        WHERE a.user_id = b.user_id AND a.achievement_id = b.achievement_id
+          AND (a.unlocked_at > b.unlocked_at OR (a.unlocked_at = b.unlocked_at AND a.id > b.id))
+      `);
+      await db.execute(sqlTag`CREATE UNIQUE INDEX IF NOT EXISTS user_achievements_user_achievement_idx ON user_achievements(user_id, achievement_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS tournaments (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          name VARCHAR(100) NOT NULL,
+          format VARCHAR(20) NOT NULL,
+          seeding VARCHAR(10) NOT NULL,
+          max_players INTEGER NOT NULL,
+          settings JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          creator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          winner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          started_at TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS tournaments_status_idx ON tournaments(status)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS tournament_players (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          tournament_id UUID NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          username VARCHAR(100) NOT NULL,
+          seed INTEGER,
+          registered_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          UNIQUE (tournament_id, user_id)
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS tournament_players_tournament_id_idx ON tournament_players(tournament_id)`);
+
+      await db.execute(sqlTag`
+        CREATE TABLE IF NOT EXISTS tournament_matches (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          tournament_id UUID NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          round INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          player1_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          player2_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          game_id UUID REFERENCES games(id) ON DELETE SET NULL,
+          winner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          status VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+          updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+        )
+      `);
+
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS tournament_matches_tournament_id_idx ON tournament_matches(tournament_id)`);
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS tournament_matches_game_id_idx ON tournament_matches(game_id)`);
+
+      // Truth/dare proof (added after game_rounds shipped)
+      await db.execute(sqlTag`ALTER TABLE game_rounds ADD COLUMN IF NOT EXISTS proof JSONB`);
+
+      // Forfeits from turn timers (added after user_stats shipped)
+      await db.execute(sqlTag`ALTER TABLE user_stats ADD COLUMN IF NOT EXISTS games_forfeited INTEGER DEFAULT 0 NOT NULL`);
+
+      // Skill rating (added after user_stats shipped)
+      await db.execute(sqlTag`ALTER TABLE user_stats ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1200 NOT NULL`);
+
+      // Win streaks for achievements (added after user_stats shipped)
+      await db.execute(sqlTag`ALTER TABLE user_stats ADD COLUMN IF NOT EXISTS win_streak INTEGER DEFAULT 0 NOT NULL`);
+
+      // Rematch links (added after games shipped)
+      await db.execute(sqlTag`ALTER TABLE games ADD COLUMN IF NOT EXISTS previous_game_id UUID REFERENCES games(id) ON DELETE SET NULL`);
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS games_previous_game_idx ON games(previous_game_id)`);
+
+      // Room visibility and passwords (added after games shipped)
+      await db.execute(sqlTag`ALTER TABLE games ADD COLUMN IF NOT EXISTS visibility VARCHAR(20) DEFAULT 'public' NOT NULL`);
+      await db.execute(sqlTag`ALTER TABLE games ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255)`);
+      await db.execute(sqlTag`CREATE INDEX IF NOT EXISTS games_visibility_idx ON games(visibility)`);
+
+      // Chat replies, reactions, edits and deletes (added after messages shipped)
+      await db.execute(sqlTag`ALTER TABLE messages ADD COLUMN IF NOT EXISTS sender_id VARCHAR(100)`);
+      await db.execute(sqlTag`ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to UUID REFERENCES messages(id) ON DELETE SET NULL`);
+      await db.execute(sqlTag`ALTER TABLE messages ADD COLUMN IF NOT EXISTS reactions JSONB`);
+      await db.execute(sqlTag`ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP`);
+      await db.execute(sqlTag`ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+
       console.log(`✅ ${dbType} migrations completed successfully`);
     } catch (error) {
       // Check if error is about tables already existing
@@ -327,8 +606,11 @@ async function runMigrations() {
             games_played INTEGER DEFAULT 0,
             games_won INTEGER DEFAULT 0,
             games_lost INTEGER DEFAULT 0,
+            games_forfeited INTEGER DEFAULT 0,
             truths_completed INTEGER DEFAULT 0,
             dares_completed INTEGER DEFAULT 0,
+            rating INTEGER DEFAULT 1200,
+            win_streak INTEGER DEFAULT 0,
             created_at INTEGER NOT NULL
           )
         `);
@@ -356,6 +638,9 @@ async function runMigrations() {
             game_state TEXT,
             game_phase TEXT,
             winner_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            previous_game_id TEXT REFERENCES games(id) ON DELETE SET NULL,
+            visibility TEXT DEFAULT 'public' NOT NULL,
+            password_hash TEXT,
             created_at INTEGER NOT NULL,
             updated_at INTEGER NOT NULL
           )
@@ -442,10 +727,206 @@ async function runMigrations() {
             type TEXT NOT NULL,
             user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
             game_id TEXT REFERENCES games(id) ON DELETE CASCADE,
+            sender_id TEXT,
+            reply_to TEXT,
+            reactions TEXT,
+            edited_at INTEGER,
+            deleted_at INTEGER,
             timestamp INTEGER NOT NULL
           )
         `);
 
+        // Message edits table (earlier versions of edited messages)
+        // No foreign keys to messages here or in message_receipts: older messages tables have no primary key to reference
+        db.run(`
+          CREATE TABLE IF NOT EXISTS message_edits (
+            id TEXT PRIMARY KEY,
+            message_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            edited_at INTEGER NOT NULL
+          )
+        `);
+
+        // Message receipts table (delivered/read per player)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS message_receipts (
+            id TEXT PRIMARY KEY,
+            message_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            delivered_at INTEGER NOT NULL,
+            read_at INTEGER
+          )
+        `);
+
+        // Prompts table (truth/dare library)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS prompts (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            category TEXT NOT NULL,
+            intensity INTEGER NOT NULL DEFAULT 1,
+            content TEXT NOT NULL,
+            created_by TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+          )
+        `);
+
+        // Prompt history table (prompts already seen by a pair of players)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS prompt_history (
+            id TEXT PRIMARY KEY,
+            prompt_id TEXT NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+            pair_key TEXT NOT NULL,
+            room TEXT,
+            used_at INTEGER NOT NULL
+          )
+        `);
+
+        // Rulesets table (user-defined hand-game move sets)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS rulesets (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            moves TEXT NOT NULL,
+            beats TEXT NOT NULL,
+            created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+          )
+        `);
+
+        // Game participants table (players seated in a room)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS game_participants (
+            id TEXT PRIMARY KEY,
+            game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            seat INTEGER NOT NULL,
+            joined_at INTEGER NOT NULL,
+            left_at INTEGER
+          )
+        `);
+
+        // Game rounds table (round history and replays)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS game_rounds (
+            id TEXT PRIMARY KEY,
+            game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            round_number INTEGER NOT NULL,
+            throws TEXT NOT NULL,
+            winner_id TEXT,
+            loser_id TEXT,
+            selection TEXT,
+            prompt TEXT,
+            status TEXT NOT NULL,
+            started_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+          )
+        `);
+
+        // Seasons table (seasonal leaderboards)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS seasons (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            starts_at INTEGER NOT NULL,
+            ends_at INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+          )
+        `);
+
+        // Season stats table
+        db.run(`
+          CREATE TABLE IF NOT EXISTS season_stats (
+            id TEXT PRIMARY KEY,
+            season_id TEXT NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            games_played INTEGER DEFAULT 0,
+            games_won INTEGER DEFAULT 0,
+            games_lost INTEGER DEFAULT 0,
+            games_forfeited INTEGER DEFAULT 0,
+            truths_completed INTEGER DEFAULT 0,
+            dares_completed INTEGER DEFAULT 0,
+            rating INTEGER DEFAULT 1200,
+            created_at INTEGER NOT NULL
+          )
+        `);
+
+        // User achievements table (unlocked achievements)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS user_achievements (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            achievement_id TEXT NOT NULL,
+            unlocked_at INTEGER NOT NULL
+          )
+        `);
+
+        // Season standings table (archived final leaderboards)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS season_standings (
+            id TEXT PRIMARY KEY,
+            season_id TEXT NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+            rank INTEGER NOT NULL,
+            user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            username TEXT NOT NULL,
+            stats TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+          )
+        `);
+
+        // Tournaments table (brackets across many rooms)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS tournaments (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            format TEXT NOT NULL,
+            seeding TEXT NOT NULL,
+            max_players INTEGER NOT NULL,
+            settings TEXT NOT NULL,
+            status TEXT NOT NULL,
+            creator_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            winner_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            created_at INTEGER NOT NULL,
+            started_at INTEGER,
+            completed_at INTEGER
+          )
+        `);
+
+        // Tournament players table (registrations and seeds)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS tournament_players (
+            id TEXT PRIMARY KEY,
+            tournament_id TEXT NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            username TEXT NOT NULL,
+            seed INTEGER,
+            registered_at INTEGER NOT NULL,
+            UNIQUE (tournament_id, user_id)
+          )
+        `);
+
+        // Tournament matches table (pairings and the games they are played in)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS tournament_matches (
+            id TEXT PRIMARY KEY,
+            tournament_id TEXT NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+            round INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            player1_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            player2_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            game_id TEXT REFERENCES games(id) ON DELETE SET NULL,
+            winner_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+            status TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+          )
+        `);
+
         // Add new columns to existing messages table if they don't exist
         db.run(`
           ALTER TABLE messages ADD COLUMN user_id TEXT REFERENCES users(id) ON DELETE SET NULL
@@ -465,6 +946,121 @@ async function runMigrations() {
           }
         });
 
+        // Add reply, reaction, edit and delete columns to messages for chat threading
+        db.run(`
+          ALTER TABLE messages ADD COLUMN sender_id TEXT
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  sender_id column may already exist or error:', err.message);
+          }
+        });
+
+        db.run(`
+          ALTER TABLE messages ADD COLUMN reply_to TEXT
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  reply_to column may already exist or error:', err.message);
+          }
+        });
+
+        db.run(`
+          ALTER TABLE messages ADD COLUMN reactions TEXT
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  reactions column may already exist or error:', err.message);
+          }
+        });
+
+        db.run(`
+          ALTER TABLE messages ADD COLUMN edited_at INTEGER
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  edited_at column may already exist or error:', err.message);
+          }
+        });
+
+        db.run(`
+          ALTER TABLE messages ADD COLUMN deleted_at INTEGER
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  deleted_at column may already exist or error:', err.message);
+          }
+        });
+
+        // Add proof column to game_rounds for truth/dare verification
+        db.run(`
+          ALTER TABLE game_rounds ADD COLUMN proof TEXT
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  proof column may already exist or error:', err.message);
+          }
+        });
+
+        // Add games_forfeited column to user_stats for turn-timer forfeits
+        db.run(`
+          ALTER TABLE user_stats ADD COLUMN games_forfeited INTEGER DEFAULT 0
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  games_forfeited column may already exist or error:', err.message);
+          }
+        });
+
+        // Add rating column to user_stats for ranked matchmaking
+        db.run(`
+          ALTER TABLE user_stats ADD COLUMN rating INTEGER DEFAULT 1200
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  rating column may already exist or error:', err.message);
+          }
+        });
+
+        // Add win_streak column to user_stats for achievements
+        db.run(`
+          ALTER TABLE user_stats ADD COLUMN win_streak INTEGER DEFAULT 0
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  win_streak column may already exist or error:', err.message);
+          }
+        });
+
+        // Add previous_game_id column to games for rematch links
+        db.run(`
+          ALTER TABLE games ADD COLUMN previous_game_id TEXT REFERENCES games(id) ON DELETE SET NULL
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  previous_game_id column may already exist or error:', err.message);
+          }
+        });
+
+        // Add visibility and password_hash columns to games for private rooms
+        db.run(`
+          ALTER TABLE games ADD COLUMN visibility TEXT DEFAULT 'public' NOT NULL
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  visibility column may already exist or error:', err.message);
+          }
+        });
+
+        db.run(`
+          ALTER TABLE games ADD COLUMN password_hash TEXT
+        `, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column')) {
+            console.log('⚠️  password_hash column may already exist or error:', err.message);
+          }
+        });
+
         // Add game_phase column to games table for state restoration
         db.run(`
           ALTER TABLE games ADD COLUMN game_phase TEXT
@@ -490,6 +1086,8 @@ async function runMigrations() {
         db.run(`CREATE INDEX IF NOT EXISTS games_creator_idx ON games(creator_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS games_opponent_idx ON games(opponent_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS games_status_idx ON games(status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS games_previous_game_idx ON games(previous_game_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS games_visibility_idx ON games(visibility)`);
         db.run(`CREATE INDEX IF NOT EXISTS game_moves_game_id_idx ON game_moves(game_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS game_moves_user_id_idx ON game_moves(user_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS notifications_user_id_idx ON notifications(user_id)`);
@@ -502,15 +1100,87 @@ async function runMigrations() {
         db.run(`CREATE INDEX IF NOT EXISTS fcm_tokens_token_idx ON fcm_tokens(token)`);
         db.run(`CREATE INDEX IF NOT EXISTS messages_room_idx ON messages(room)`);
         db.run(`CREATE INDEX IF NOT EXISTS messages_game_id_idx ON messages(game_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS message_edits_message_id_idx ON message_edits(message_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS message_receipts_message_id_idx ON message_receipts(message_id)`);
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS message_receipts_message_user_idx ON message_receipts(message_id, user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS prompts_type_idx ON prompts(type)`);
+        db.run(`CREATE INDEX IF NOT EXISTS prompts_category_idx ON prompts(category)`);
+        db.run(`CREATE INDEX IF NOT EXISTS prompt_history_pair_key_idx ON prompt_history(pair_key)`);
+        db.run(`CREATE INDEX IF NOT EXISTS rulesets_created_by_idx ON rulesets(created_by)`);
+        db.run(`CREATE INDEX IF NOT EXISTS game_participants_game_id_idx ON game_participants(game_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS game_participants_user_id_idx ON game_participants(user_id)`);
+        // One seat per player per game; doubled seats from before the index keep the first
+        db.run(`DELETE FROM game_participants WHERE rowid NOT IN (SELECT MIN(rowid) FROM game_participants GROUP BY game_id, user_id)`);
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS game_participants_game_user_idx ON game_participants(game_id, user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS game_rounds_game_id_idx ON game_rounds(game_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS seasons_status_idx ON seasons(status)`);
+        // One row per player per season. Rows doubled before the unique index are merged into the
+        // first: the counts add up and the rating keeps every change made from the 1200 start
+        db.run(`
+          UPDATE season_stats SET games_played = t.games_played, games_won = t.games_won, games_lost = t.games_lost, games_forfeited = t.games_forfeited, truths_completed = t.truths_completed, dares_completed = t.dares_completed, rating = t.rating
+          FROM (
+            SELECT season_id, user_id, SUM(games_played) AS games_played, SUM(games_won) AS games_won, SUM(games_lost) AS games_lost, SUM(games_forfeited) AS games_forfeited, SUM(truths_completed) AS truths_completed, SUM(dares_completed) AS dares_completed, SUM(rating) - (COUNT(*) - 1) * 1200 AS rating
+            FROM season_stats GROUP BY season_id, user_id HAVING COUNT(*) > 1
+          ) t
+          WHERE season_stats.season_id = t.season_id AND season_stats.user_id = t.user_id
+        `);
+        db.run(`DELETE FROM season_stats WHERE rowid NOT IN (SELECT MIN(rowid) FROM season_stats GROUP BY season_id, user_id)`);
+        db.run(`DROP INDEX IF EXISTS season_stats_season_user_idx`);
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS season_stats_season_user_unique_idx ON season_stats(season_id, user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS season_standings_season_id_idx ON season_standings(season_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS user_achievements_user_id_idx ON user_achievements(user_id)`);
+        // One unlock per player per achievement; doubled unlocks from before the index keep the first
+        db.run(`DELETE FROM user_achievements WHERE rowid NOT IN (SELECT MIN(rowid) FROM user_achievements GROUP BY user_id, achievement_id)`);
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS user_achievements_user_achievement_idx ON user_achievements(user_id, achievement_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS tournaments_status_idx ON tournaments(status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS tournament_players_tournament_id_idx ON tournament_players(tournament_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS tournament_matches_tournament_id_idx ON tournament_matches(tournament_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS tournament_matches_game_id_idx ON tournament_matches(game_id)`);
       });
     });
   }
 }
 
+/**
+ * Seed reference data (prompt library)
+ * Only inserts rows when the target table is empty, so it is safe to run on every start
+ */
+async function seedDatabase() {
+  const { v4: uuidv4 } = require('uuid');
+  const { sql: sqlTag } = require('drizzle-orm');
+  const promptSeeds = require('./seeds/prompts');
+
+  try {
+    const database = getDatabase();
+
+    const existing = await database
+      .select({ count: sqlTag`count(*)` })
+      .from(schema.prompts);
+
+    if (Number(existing[0].count) > 0) {
+      return;
+    }
+
+    const now = new Date();
+    await database.insert(schema.prompts).values(promptSeeds.map(prompt => ({
+      id: uuidv4(),
+      ...prompt,
+      created_by: null,
+      created_at: now,
+      updated_at: now,
+    })));
+
+    console.log(`🌱 Seeded ${promptSeeds.length} truth/dare prompts`);
+  } catch (error) {
+    console.error('❌ Error seeding database:', error);
+  }
+}
+
 module.exports = {
   initDatabase,
   getDatabase,
   closeDatabase,
   runMigrations,
+  seedDatabase,
   schema,
 };
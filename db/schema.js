@@ -1,8 +1,8 @@
 // Load environment variables first
 require('dotenv').config();
 
-const { sqliteTable, text, integer: sqliteInteger, index } = require('drizzle-orm/sqlite-core');
-const { pgTable, uuid, varchar, timestamp, boolean, json, integer: pgInteger, uniqueIndex } = require('drizzle-orm/pg-core');
+const { sqliteTable, text, integer: sqliteInteger, index, uniqueIndex } = require('drizzle-orm/sqlite-core');
+const { pgTable, uuid, varchar, timestamp, boolean, json, integer: pgInteger } = require('drizzle-orm/pg-core');
 const { sql } = require('drizzle-orm');
 
 // Determine which table creator to use based on DATABASE_TYPE env var
@@ -60,8 +60,11 @@ const user_stats = createTable('user_stats', {
   games_played: integer_field('games_played').default(0).notNull(),
   games_won: integer_field('games_won').default(0).notNull(),
   games_lost: integer_field('games_lost').default(0).notNull(),
+  games_forfeited: integer_field('games_forfeited').default(0).notNull(),
   truths_completed: integer_field('truths_completed').default(0).notNull(),
   dares_completed: integer_field('dares_completed').default(0).notNull(),
+  rating: integer_field('rating').default(1200).notNull(), // Elo skill rating
+  win_streak: integer_field('win_streak').default(0).notNull(), // Consecutive games won
   created_at: timestamp_field('created_at').notNull(),
 }, (table) => ({
   userIdIdx: index('user_stats_user_id_idx').on(table.user_id),
@@ -99,6 +102,11 @@ const games = createTable('games', {
   game_state: json_field('game_state'), // Stores full game state (choices, winner, loser, etc.)
   game_phase: varchar_field('game_phase', 30), // 'lobby', 'choosing', 'result', 'truth_dare_selection', 'chat', 'completed'
   winner_id: varchar_field('winner_id', 100), // Can be UUID or anon_xxxx
+  previous_game_id: isPostgres
+    ? uuid('previous_game_id').references(() => games.id, { onDelete: 'set null' })
+    : text('previous_game_id').references(() => games.id, { onDelete: 'set null' }), // Game this is a rematch of
+  visibility: varchar_field('visibility', 20).default('public').notNull(), // 'public', 'unlisted', 'password', 'friends'
+  password_hash: varchar_field('password_hash', 255), // Room password (bcrypt) for 'password' rooms
   created_at: timestamp_field('created_at').notNull(),
   updated_at: timestamp_field('updated_at').notNull(),
 }, (table) => ({
@@ -106,6 +114,8 @@ const games = createTable('games', {
   creatorIdx: index('games_creator_idx').on(table.creator_id),
   opponentIdx: index('games_opponent_idx').on(table.opponent_id),
   statusIdx: index('games_status_idx').on(table.status),
+  previousGameIdx: index('games_previous_game_idx').on(table.previous_game_id),
+  visibilityIdx: index('games_visibility_idx').on(table.visibility),
 }));
 
 // Game Moves table
@@ -210,12 +220,255 @@ const messages = createTable('messages', {
   game_id: isPostgres
     ? uuid('game_id').references(() => games.id, { onDelete: 'cascade' })
     : text('game_id').references(() => games.id, { onDelete: 'cascade' }),
+  sender_id: varchar_field('sender_id', 100), // Can be UUID or anon_xxxx; null for system messages
+  reply_to: isPostgres
+    ? uuid('reply_to').references(() => messages.id, { onDelete: 'set null' })
+    : text('reply_to'), // No SQLite foreign key: older messages tables have no primary key
+  reactions: json_field('reactions'), // { [emoji]: [userId] }
+  edited_at: timestamp_field('edited_at'), // Last edit, null if never edited
+  deleted_at: timestamp_field('deleted_at'), // Deleted for everyone
   timestamp: timestamp_field('timestamp').notNull(),
 }, (table) => ({
   roomIdx: index('messages_room_idx').on(table.room),
   gameIdIdx: index('messages_game_id_idx').on(table.game_id),
 }));
 
+// Message edits table (a message's earlier versions, one row per edit)
+const message_edits = createTable('message_edits', {
+  id: id(),
+  message_id: isPostgres
+    ? uuid('message_id').references(() => messages.id, { onDelete: 'cascade' }).notNull()
+    : text('message_id').notNull(), // Same as messages.reply_to
+  content: varchar_field('content', 5000).notNull(), // Content before the edit
+  edited_at: timestamp_field('edited_at').notNull(),
+}, (table) => ({
+  messageIdIdx: index('message_edits_message_id_idx').on(table.message_id),
+}));
+
+// Message receipts table (when each player's client received and read a message)
+const message_receipts = createTable('message_receipts', {
+  id: id(),
+  message_id: isPostgres
+    ? uuid('message_id').references(() => messages.id, { onDelete: 'cascade' }).notNull()
+    : text('message_id').notNull(), // Same as messages.reply_to
+  user_id: varchar_field('user_id', 100).notNull(), // Can be UUID or anon_xxxx
+  username: varchar_field('username', 100).notNull(),
+  delivered_at: timestamp_field('delivered_at').notNull(),
+  read_at: timestamp_field('read_at'), // Null until read
+}, (table) => ({
+  messageIdIdx: index('message_receipts_message_id_idx').on(table.message_id),
+  messageUserIdx: uniqueIndex('message_receipts_message_user_idx').on(table.message_id, table.user_id),
+}));
+
+// Prompts table (curated truth/dare library)
+const prompts = createTable('prompts', {
+  id: id(),
+  type: varchar_field('type', 10).notNull(), // 'truth', 'dare'
+  category: varchar_field('category', 30).notNull(), // 'icebreaker', 'funny', 'spicy', 'party'
+  intensity: integer_field('intensity').default(1).notNull(), // 1 (mild) - 3 (extreme)
+  content: varchar_field('content', 500).notNull(),
+  created_by: varchar_field('created_by', 100), // Null for seeded prompts, UUID for user-submitted
+  created_at: timestamp_field('created_at').notNull(),
+  updated_at: timestamp_field('updated_at').notNull(),
+}, (table) => ({
+  typeIdx: index('prompts_type_idx').on(table.type),
+  categoryIdx: index('prompts_category_idx').on(table.category),
+}));
+
+// Prompt History table (which prompts a pair of players has already seen)
+const prompt_history = createTable('prompt_history', {
+  id: id(),
+  prompt_id: isPostgres
+    ? uuid('prompt_id').references(() => prompts.id, { onDelete: 'cascade' }).notNull()
+    : text('prompt_id').references(() => prompts.id, { onDelete: 'cascade' }).notNull(),
+  pair_key: varchar_field('pair_key', 210).notNull(), // Sorted user IDs joined with ':'
+  room: varchar_field('room', 100),
+  used_at: timestamp_field('used_at').notNull(),
+}, (table) => ({
+  pairKeyIdx: index('prompt_history_pair_key_idx').on(table.pair_key),
+}));
+
+// Game Participants table (everyone seated in a room, 2-8 players)
+const game_participants = createTable('game_participants', {
+  id: id(),
+  game_id: isPostgres
+    ? uuid('game_id').references(() => games.id, { onDelete: 'cascade' }).notNull()
+    : text('game_id').references(() => games.id, { onDelete: 'cascade' }).notNull(),
+  user_id: varchar_field('user_id', 100).notNull(), // Can be UUID or anon_xxxx
+  username: varchar_field('username', 100).notNull(),
+  seat: integer_field('seat').notNull(), // Join order, 0-based
+  joined_at: timestamp_field('joined_at').notNull(),
+  left_at: timestamp_field('left_at'), // Null while still seated
+}, (table) => ({
+  gameIdIdx: index('game_participants_game_id_idx').on(table.game_id),
+  userIdIdx: index('game_participants_user_id_idx').on(table.user_id),
+  gameUserIdx: uniqueIndex('game_participants_game_user_idx').on(table.game_id, table.user_id),
+}));
+
+// Game rounds table (one record per round: throws, outcome, truth/dare and how it ended)
+const game_rounds = createTable('game_rounds', {
+  id: id(),
+  game_id: isPostgres
+    ? uuid('game_id').references(() => games.id, { onDelete: 'cascade' }).notNull()
+    : text('game_id').references(() => games.id, { onDelete: 'cascade' }).notNull(),
+  round_number: integer_field('round_number').notNull(),
+  throws: json_field('throws').notNull(), // [{ moves: { [userId]: moveId }, outcome }] in throw order
+  winner_id: varchar_field('winner_id', 100), // Can be UUID or anon_xxxx
+  loser_id: varchar_field('loser_id', 100),
+  selection: varchar_field('selection', 10), // 'truth' | 'dare'
+  prompt: json_field('prompt'), // { id, type, content } if a library prompt was used
+  proof: json_field('proof'), // { status, type, content, attempts, penalty } from the loser
+  status: varchar_field('status', 20).notNull(), // 'in_progress', 'completed', 'unverified', 'timed_out', 'skipped', 'abandoned', 'forfeit'
+  started_at: timestamp_field('started_at').notNull(),
+  updated_at: timestamp_field('updated_at').notNull(),
+}, (table) => ({
+  gameIdIdx: index('game_rounds_game_id_idx').on(table.game_id),
+}));
+
+// Rulesets table (user-defined hand-game move sets and beats-graphs)
+const rulesets = createTable('rulesets', {
+  id: id(),
+  name: varchar_field('name', 50).notNull(),
+  moves: json_field('moves').notNull(), // [{ id, label, emoji }]
+  beats: json_field('beats').notNull(), // { [moveId]: [moveIds it beats] }
+  created_by: isPostgres
+    ? uuid('created_by').references(() => users.id, { onDelete: 'set null' })
+    : text('created_by').references(() => users.id, { onDelete: 'set null' }),
+  created_at: timestamp_field('created_at').notNull(),
+  updated_at: timestamp_field('updated_at').notNull(),
+}, (table) => ({
+  createdByIdx: index('rulesets_created_by_idx').on(table.created_by),
+}));
+
+// Seasons table (named date ranges for seasonal leaderboards)
+const seasons = createTable('seasons', {
+  id: id(),
+  name: varchar_field('name', 50).notNull(),
+  starts_at: timestamp_field('starts_at').notNull(),
+  ends_at: timestamp_field('ends_at').notNull(),
+  status: varchar_field('status', 10).notNull(), // 'active' | 'closed'
+  created_at: timestamp_field('created_at').notNull(),
+}, (table) => ({
+  statusIdx: index('seasons_status_idx').on(table.status),
+}));
+
+// Season stats table (each user's stats for one season)
+const season_stats = createTable('season_stats', {
+  id: id(),
+  season_id: isPostgres
+    ? uuid('season_id').references(() => seasons.id, { onDelete: 'cascade' }).notNull()
+    : text('season_id').references(() => seasons.id, { onDelete: 'cascade' }).notNull(),
+  user_id: isPostgres
+    ? uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull()
+    : text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  games_played: integer_field('games_played').default(0).notNull(),
+  games_won: integer_field('games_won').default(0).notNull(),
+  games_lost: integer_field('games_lost').default(0).notNull(),
+  games_forfeited: integer_field('games_forfeited').default(0).notNull(),
+  truths_completed: integer_field('truths_completed').default(0).notNull(),
+  dares_completed: integer_field('dares_completed').default(0).notNull(),
+  rating: integer_field('rating').default(1200).notNull(), // Starts fresh each season
+  created_at: timestamp_field('created_at').notNull(),
+}, (table) => ({
+  seasonUserIdx: uniqueIndex('season_stats_season_user_unique_idx').on(table.season_id, table.user_id),
+}));
+
+// Season standings table (final top-N leaderboard archived when a season closes)
+const season_standings = createTable('season_standings', {
+  id: id(),
+  season_id: isPostgres
+    ? uuid('season_id').references(() => seasons.id, { onDelete: 'cascade' }).notNull()
+    : text('season_id').references(() => seasons.id, { onDelete: 'cascade' }).notNull(),
+  rank: integer_field('rank').notNull(),
+  user_id: isPostgres
+    ? uuid('user_id').references(() => users.id, { onDelete: 'set null' })
+    : text('user_id').references(() => users.id, { onDelete: 'set null' }),
+  username: varchar_field('username', 100).notNull(), // As it was when the season closed
+  stats: json_field('stats').notNull(), // { gamesPlayed, gamesWon, ..., rating, winRate }
+  created_at: timestamp_field('created_at').notNull(),
+}, (table) => ({
+  seasonIdx: index('season_standings_season_id_idx').on(table.season_id),
+}));
+
+// User achievements table (one row per unlocked achievement, see utils/achievements.js)
+const user_achievements = createTable('user_achievements', {
+  id: id(),
+  user_id: isPostgres
+    ? uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull()
+    : text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  achievement_id: varchar_field('achievement_id', 50).notNull(),
+  unlocked_at: timestamp_field('unlocked_at').notNull(),
+}, (table) => ({
+  userIdIdx: index('user_achievements_user_id_idx').on(table.user_id),
+  userAchievementIdx: uniqueIndex('user_achievements_user_achievement_idx').on(table.user_id, table.achievement_id),
+}));
+
+// Tournaments table (brackets played across many rooms, see utils/tournaments.js)
+const tournaments = createTable('tournaments', {
+  id: id(),
+  name: varchar_field('name', 100).notNull(),
+  format: varchar_field('format', 20).notNull(), // 'single_elimination' | 'round_robin'
+  seeding: varchar_field('seeding', 10).notNull(), // 'rating' | 'stats'
+  max_players: integer_field('max_players').notNull(),
+  settings: json_field('settings').notNull(), // { match, rulesetId } for every game
+  status: varchar_field('status', 20).notNull(), // 'registration', 'in_progress', 'completed'
+  creator_id: isPostgres
+    ? uuid('creator_id').references(() => users.id, { onDelete: 'set null' })
+    : text('creator_id').references(() => users.id, { onDelete: 'set null' }),
+  winner_id: isPostgres
+    ? uuid('winner_id').references(() => users.id, { onDelete: 'set null' })
+    : text('winner_id').references(() => users.id, { onDelete: 'set null' }),
+  created_at: timestamp_field('created_at').notNull(),
+  started_at: timestamp_field('started_at'),
+  completed_at: timestamp_field('completed_at'),
+}, (table) => ({
+  statusIdx: index('tournaments_status_idx').on(table.status),
+}));
+
+// Tournament players table (registrations; seed is set when the tournament starts)
+const tournament_players = createTable('tournament_players', {
+  id: id(),
+  tournament_id: isPostgres
+    ? uuid('tournament_id').references(() => tournaments.id, { onDelete: 'cascade' }).notNull()
+    : text('tournament_id').references(() => tournaments.id, { onDelete: 'cascade' }).notNull(),
+  user_id: isPostgres
+    ? uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull()
+    : text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  username: varchar_field('username', 100).notNull(),
+  seed: integer_field('seed'), // 1 = top seed
+  registered_at: timestamp_field('registered_at').notNull(),
+}, (table) => ({
+  tournamentIdIdx: index('tournament_players_tournament_id_idx').on(table.tournament_id),
+}));
+
+// Tournament matches table (one per pairing; game_id is the room it is played in)
+const tournament_matches = createTable('tournament_matches', {
+  id: id(),
+  tournament_id: isPostgres
+    ? uuid('tournament_id').references(() => tournaments.id, { onDelete: 'cascade' }).notNull()
+    : text('tournament_id').references(() => tournaments.id, { onDelete: 'cascade' }).notNull(),
+  round: integer_field('round').notNull(), // 1-based
+  position: integer_field('position').notNull(), // Order within the round, 0-based
+  player1_id: isPostgres
+    ? uuid('player1_id').references(() => users.id, { onDelete: 'set null' })
+    : text('player1_id').references(() => users.id, { onDelete: 'set null' }),
+  player2_id: isPostgres
+    ? uuid('player2_id').references(() => users.id, { onDelete: 'set null' })
+    : text('player2_id').references(() => users.id, { onDelete: 'set null' }),
+  game_id: isPostgres
+    ? uuid('game_id').references(() => games.id, { onDelete: 'set null' })
+    : text('game_id').references(() => games.id, { onDelete: 'set null' }),
+  winner_id: isPostgres
+    ? uuid('winner_id').references(() => users.id, { onDelete: 'set null' })
+    : text('winner_id').references(() => users.id, { onDelete: 'set null' }),
+  status: varchar_field('status', 20).notNull(), // 'pending', 'ready', 'completed', 'bye'
+  created_at: timestamp_field('created_at').notNull(),
+  updated_at: timestamp_field('updated_at').notNull(),
+}, (table) => ({
+  tournamentIdIdx: index('tournament_matches_tournament_id_idx').on(table.tournament_id),
+  gameIdIdx: index('tournament_matches_game_id_idx').on(table.game_id),
+}));
+
 module.exports = {
   users,
   user_stats,
@@ -228,4 +481,18 @@ module.exports = {
   password_reset_tokens,
   fcm_tokens,
   messages,
+  message_edits,
+  message_receipts,
+  prompts,
+  prompt_history,
+  rulesets,
+  game_participants,
+  game_rounds,
+  seasons,
+  season_stats,
+  season_standings,
+  user_achievements,
+  tournaments,
+  tournament_players,
+  tournament_matches,
 };
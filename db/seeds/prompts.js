@@ -0,0 +1,62 @@
+/**
+ * Seed data for the truth/dare prompt library
+ * Inserted by seedDatabase() when the prompts table is empty
+ *
+ * intensity: 1 = mild, 2 = bold, 3 = extreme
+ */
+module.exports = [
+  // Icebreaker - truths
+  { type: 'truth', category: 'icebreaker', intensity: 1, content: 'What was your first job, and what did you learn from it?' },
+  { type: 'truth', category: 'icebreaker', intensity: 1, content: 'If you could live in any city for a year, which one would it be?' },
+  { type: 'truth', category: 'icebreaker', intensity: 1, content: 'What is a hobby you have always wanted to pick up but never have?' },
+  { type: 'truth', category: 'icebreaker', intensity: 2, content: 'What is the best piece of advice you have ever ignored?' },
+  { type: 'truth', category: 'icebreaker', intensity: 2, content: 'Which song would you pick as the soundtrack of your life right now?' },
+  { type: 'truth', category: 'icebreaker', intensity: 3, content: 'What is something you have never told anyone in this room?' },
+
+  // Icebreaker - dares
+  { type: 'dare', category: 'icebreaker', intensity: 1, content: 'Describe yourself using only three emojis.' },
+  { type: 'dare', category: 'icebreaker', intensity: 1, content: 'Share the last photo you took (keep it safe for work!).' },
+  { type: 'dare', category: 'icebreaker', intensity: 2, content: 'Record a 10-second voice note introducing yourself like a game show host.' },
+  { type: 'dare', category: 'icebreaker', intensity: 2, content: 'Tell your opponent one genuine compliment and one playful roast.' },
+  { type: 'dare', category: 'icebreaker', intensity: 3, content: 'Let your opponent pick your profile bio for the next 24 hours.' },
+
+  // Funny - truths
+  { type: 'truth', category: 'funny', intensity: 1, content: 'What is the silliest thing you have ever cried at?' },
+  { type: 'truth', category: 'funny', intensity: 1, content: 'What is the weirdest food combination you secretly enjoy?' },
+  { type: 'truth', category: 'funny', intensity: 2, content: 'What is the most embarrassing thing you have done in front of a crush?' },
+  { type: 'truth', category: 'funny', intensity: 2, content: 'Have you ever waved back at someone who was waving at someone else?' },
+  { type: 'truth', category: 'funny', intensity: 3, content: 'What is the most embarrassing search in your browser history?' },
+
+  // Funny - dares
+  { type: 'dare', category: 'funny', intensity: 1, content: 'Send a voice note of your best animal impression.' },
+  { type: 'dare', category: 'funny', intensity: 1, content: 'Type your next three messages using only your nose.' },
+  { type: 'dare', category: 'funny', intensity: 2, content: 'Sing the chorus of the last song you listened to and send it as a voice note.' },
+  { type: 'dare', category: 'funny', intensity: 2, content: 'Take a selfie with the funniest face you can make.' },
+  { type: 'dare', category: 'funny', intensity: 3, content: 'Send a dramatic poem about your opponent\'s last throw.' },
+
+  // Spicy - truths
+  { type: 'truth', category: 'spicy', intensity: 1, content: 'What is your idea of a perfect first date?' },
+  { type: 'truth', category: 'spicy', intensity: 2, content: 'What is the boldest thing you have done to get someone\'s attention?' },
+  { type: 'truth', category: 'spicy', intensity: 2, content: 'Who was your most unexpected crush?' },
+  { type: 'truth', category: 'spicy', intensity: 3, content: 'What is the most daring message you have ever sent?' },
+  { type: 'truth', category: 'spicy', intensity: 3, content: 'What is a secret you would only tell after midnight?' },
+
+  // Spicy - dares
+  { type: 'dare', category: 'spicy', intensity: 1, content: 'Send your opponent your most charming pickup line.' },
+  { type: 'dare', category: 'spicy', intensity: 2, content: 'Record a voice note reading a line from a romance novel in your most dramatic voice.' },
+  { type: 'dare', category: 'spicy', intensity: 2, content: 'Describe your opponent in three flattering words.' },
+  { type: 'dare', category: 'spicy', intensity: 3, content: 'Let your opponent choose a contact for you to send a heart emoji to.' },
+
+  // Party - truths
+  { type: 'truth', category: 'party', intensity: 1, content: 'What is the best party you have ever been to?' },
+  { type: 'truth', category: 'party', intensity: 1, content: 'What is your go-to dance move?' },
+  { type: 'truth', category: 'party', intensity: 2, content: 'What is the latest you have ever stayed out, and why?' },
+  { type: 'truth', category: 'party', intensity: 3, content: 'What is the wildest thing you have done at a party?' },
+
+  // Party - dares
+  { type: 'dare', category: 'party', intensity: 1, content: 'Send a 5-second video of your best dance move.' },
+  { type: 'dare', category: 'party', intensity: 1, content: 'Invent a toast for the next round and post it in the chat.' },
+  { type: 'dare', category: 'party', intensity: 2, content: 'Talk in an accent of your opponent\'s choice for the next three rounds.' },
+  { type: 'dare', category: 'party', intensity: 2, content: 'Send a voice note of you beatboxing for 10 seconds.' },
+  { type: 'dare', category: 'party', intensity: 3, content: 'Post your most questionable party photo in the chat.' },
+];
@@ -3,6 +3,9 @@
  * Protects against XSS, SQL injection, and invalid input
  */
 
+const { PROMPT_TYPES, PROMPT_CATEGORIES, PROMPT_INTENSITIES } = require('../utils/gameLogic');
+const { DEFAULT_RULESET_ID, isValidMove, getRulesetDefinitionError } = require('../utils/rulesets');
+
 /**
  * Sanitize string input
  * Removes potentially dangerous characters
@@ -66,10 +69,10 @@ function isValidRoomCode(roomCode) {
 }
 
 /**
- * Validate game move (rock, paper, scissors)
+ * Validate game move against a ruleset (classic rock, paper, scissors by default)
  */
-function isValidGameMove(move) {
-  return ['rock', 'paper', 'scissors'].includes(move);
+function isValidGameMove(move, rulesetId = DEFAULT_RULESET_ID) {
+  return isValidMove(move, rulesetId);
 }
 
 /**
@@ -79,6 +82,27 @@ function isValidTruthDare(selection) {
   return ['Truth', 'Dare', 'truth', 'dare'].includes(selection);
 }
 
+/**
+ * Validate prompt type (truth or dare)
+ */
+function isValidPromptType(type) {
+  return PROMPT_TYPES.includes(type);
+}
+
+/**
+ * Validate prompt category
+ */
+function isValidPromptCategory(category) {
+  return PROMPT_CATEGORIES.includes(category);
+}
+
+/**
+ * Validate prompt intensity (1-3)
+ */
+function isValidPromptIntensity(intensity) {
+  return PROMPT_INTENSITIES.includes(Number(intensity));
+}
+
 /**
  * Sanitize request body recursively
  */
@@ -188,12 +212,12 @@ function validateEmail(req, res, next) {
  * Middleware: Validate game move
  */
 function validateGameMove(req, res, next) {
-  const { move } = req.body;
+  const { move, rulesetId } = req.body;
 
-  if (!move || !isValidGameMove(move)) {
+  if (!move || !isValidGameMove(move, rulesetId)) {
     return res.status(400).json({
       error: 'Validation error',
-      message: 'Move must be rock, paper, or scissors',
+      message: 'Move is not valid for this ruleset',
     });
   }
 
@@ -216,6 +240,90 @@ function validateTruthDare(req, res, next) {
   next();
 }
 
+/**
+ * Check prompt fields that are present in the body
+ * @returns {string|null} Error message or null if valid
+ */
+function getPromptFieldError({ type, category, intensity, content }) {
+  if (type !== undefined && !isValidPromptType(type)) {
+    return 'Type must be truth or dare';
+  }
+
+  if (category !== undefined && !isValidPromptCategory(category)) {
+    return `Category must be one of: ${PROMPT_CATEGORIES.join(', ')}`;
+  }
+
+  if (intensity !== undefined && !isValidPromptIntensity(intensity)) {
+    return 'Intensity must be 1, 2, or 3';
+  }
+
+  if (content !== undefined) {
+    if (typeof content !== 'string' || content.trim().length < 5) {
+      return 'Prompt content must be at least 5 characters';
+    }
+
+    if (content.length > 500) {
+      return 'Prompt content must be less than 500 characters';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Middleware: Validate new custom ruleset
+ */
+function validateRulesetCreate(req, res, next) {
+  const definitionError = getRulesetDefinitionError(req.body);
+  if (definitionError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: definitionError,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Validate new prompt
+ */
+function validatePromptCreate(req, res, next) {
+  const { type, category, content } = req.body;
+
+  if (!type || !category || !content) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'Type, category, and content are required',
+    });
+  }
+
+  const fieldError = getPromptFieldError(req.body);
+  if (fieldError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: fieldError,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Validate prompt update
+ */
+function validatePromptUpdate(req, res, next) {
+  const fieldError = getPromptFieldError(req.body);
+  if (fieldError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: fieldError,
+    });
+  }
+
+  next();
+}
+
 /**
  * Middleware: Validate UUID parameter
  */
@@ -425,6 +533,9 @@ module.exports = {
   isValidRoomCode,
   isValidGameMove,
   isValidTruthDare,
+  isValidPromptType,
+  isValidPromptCategory,
+  isValidPromptIntensity,
 
   // Validation middleware
   validateRegistration,
@@ -432,6 +543,9 @@ module.exports = {
   validateEmail,
   validateGameMove,
   validateTruthDare,
+  validatePromptCreate,
+  validatePromptUpdate,
+  validateRulesetCreate,
   validateUUIDParam,
   validateRoomCodeParam,
   validatePagination,
@@ -555,9 +555,14 @@ async function loadFriendsList() {
               <small class="text-muted">${friend.isOnline ? '🟢 Online' : '⚫ Offline'}</small>
             </div>
           </div>
-          <button class="btn btn-sm btn-outline-danger" onclick="removeFriend('${friend.friendshipId}')">
-            Remove
-          </button>
+          <div class="btn-group">
+            <button class="btn btn-sm btn-outline-primary" onclick="showVersusModal('${friend.id}')">
+              ⚔️ Rivalry
+            </button>
+            <button class="btn btn-sm btn-outline-danger" onclick="removeFriend('${friend.friendshipId}')">
+              Remove
+            </button>
+          </div>
         </div>
       `).join('');
     }
@@ -840,6 +845,115 @@ function closeGameHistoryModal() {
   document.getElementById('gameHistoryModal').style.display = 'none';
 }
 
+// ========== VERSUS ==========
+
+let versusOpponentId = null;
+
+/**
+ * Show the rivalry between the current user and another player
+ */
+async function showVersusModal(otherUserId) {
+  versusOpponentId = otherUserId;
+  document.getElementById('versusModal').style.display = 'flex';
+  document.getElementById('versusError').style.display = 'none';
+
+  const container = document.getElementById('versusContent');
+  container.innerHTML = '<div class="text-center text-muted py-4">Loading rivalry...</div>';
+
+  try {
+    const response = await apiRequest(`/api/users/${currentUser.id}/versus/${otherUserId}`);
+
+    if (!response.ok) {
+      container.innerHTML = '<div class="text-center text-danger py-4">Failed to load rivalry</div>';
+      return;
+    }
+
+    const { versus } = await response.json();
+    const [me, them] = versus.players;
+
+    const matches = versus.recentMatches.map(match => {
+      const won = match.winnerId === me.userId;
+      const label = match.winnerId ? (won ? 'Won' : 'Lost') : 'Draw';
+      const badge = match.winnerId ? (won ? 'success' : 'danger') : 'secondary';
+      return `
+        <div class="d-flex justify-content-between align-items-center border-bottom py-1">
+          <small>Game ${match.roomCode} · ${new Date(match.playedAt).toLocaleDateString()}</small>
+          <span class="badge bg-${badge}">${label}</span>
+        </div>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="text-center mb-3">
+        <h5>${me.username} vs ${them.username}</h5>
+        <div class="fs-3 fw-bold">${me.wins} - ${them.wins}</div>
+        <small class="text-muted">${versus.played} games · ${versus.draws} draws</small>
+      </div>
+      <div class="d-flex justify-content-around mb-3">
+        <div class="text-center">
+          <div class="fw-bold">${me.username}</div>
+          <small>imposed ${me.truthsImposed} truths, ${me.daresImposed} dares</small>
+        </div>
+        <div class="text-center">
+          <div class="fw-bold">${them.username}</div>
+          <small>imposed ${them.truthsImposed} truths, ${them.daresImposed} dares</small>
+        </div>
+      </div>
+      ${versus.lastSharedRoom ? `<div class="mb-2"><small>Last room together: <strong>${versus.lastSharedRoom.roomCode}</strong></small></div>` : ''}
+      <div>${matches || '<div class="text-center text-muted py-2">No finished games yet</div>'}</div>
+    `;
+  } catch (error) {
+    console.error('Error loading rivalry:', error);
+    container.innerHTML = '<div class="text-center text-danger py-4">Failed to load rivalry</div>';
+  }
+}
+
+/**
+ * Create a new game and invite the rival to it
+ */
+async function startRematch() {
+  const errorDiv = document.getElementById('versusError');
+  errorDiv.style.display = 'none';
+
+  try {
+    const createResponse = await apiRequest('/api/games/create', {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+    const createData = await createResponse.json();
+
+    if (!createResponse.ok) {
+      throw new Error(createData.message || 'Failed to create game');
+    }
+
+    const { game } = createData;
+    const inviteResponse = await apiRequest(`/api/games/${game.id}/invite`, {
+      method: 'POST',
+      body: JSON.stringify({ userId: versusOpponentId }),
+    });
+
+    if (!inviteResponse.ok) {
+      const inviteData = await inviteResponse.json();
+      throw new Error(inviteData.message || 'Failed to send invitation');
+    }
+
+    closeVersusModal();
+    closeFriendsModal();
+    joinRoom(game.roomCode);
+  } catch (error) {
+    console.error('Rematch error:', error);
+    errorDiv.textContent = error.message;
+    errorDiv.style.display = 'block';
+  }
+}
+
+/**
+ * Close rivalry modal
+ */
+function closeVersusModal() {
+  document.getElementById('versusModal').style.display = 'none';
+}
+
 // ========== EMAIL INVITATION ==========
 
 /**
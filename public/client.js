@@ -12,6 +12,7 @@
 const socket = io();
 
 let room = new URLSearchParams(window.location.search).get("group") || "";
+let spectating = new URLSearchParams(window.location.search).get("spectate") === "1";
 let username = localStorage.getItem("td_username") || "";
 
 // Anonymous user ID management
@@ -202,8 +203,22 @@ let audioChunks = [];
 let recordingTimer;
 let recordingStartTime = 0;
 let gameState = "waiting"; // waiting, playing, finished
+let newRoomSettings = {}; // Ruleset, capacity, loser rule and timeout action for a room we are creating
+let turnTimerInterval = null;
+let fairPlay = false; // Room uses commit-reveal moves
+let pendingBotDifficulty = null; // Bot to add once the solo room we are creating is joined
+let roomPassword = null; // Password for the password-protected room we are joining
 
 function updateUIVisibility() {
+  // Spectators only ever see the chat log (no throws, no typing)
+  if (spectating) {
+    rpsSection.style.display = "none";
+    chatSection.style.display = "block";
+    chatInputContainer.style.display = "none";
+    newRoundContainer.style.display = "none";
+    return;
+  }
+
   switch (gameState) {
     case "waiting":
       // Show RPS buttons, hide chat and new round button
@@ -227,12 +242,17 @@ function updateUIVisibility() {
       newRoundContainer.style.display = "block";
       break;
   }
+
+  // Messages that arrived while the chat was hidden are read once it shows
+  flushReceipts();
 }
 
 function appendSystemMessage(content) {
   const div = document.createElement("div");
   div.className = "message from-them";
-  div.innerHTML = `<em>${content}</em>`;
+  const em = document.createElement("em");
+  em.textContent = content;
+  div.appendChild(em);
   chatLog.appendChild(div);
   chatLog.scrollTop = chatLog.scrollHeight;
 }
@@ -241,14 +261,18 @@ function joinGame() {
   if (!room || !username) return;
 
   // Update URL without changing UI (wait for server confirmation)
-  const url = `?group=${room}&user=${username}`;
+  const url = `?group=${room}&user=${username}${spectating ? "&spectate=1" : ""}`;
   window.history.replaceState({}, "", url);
 
   // Get user identifier (user ID or anonymous ID)
   const userId = getUserIdentifier();
 
   // Emit join request to server with both username and userId
-  socket.emit("joinRoom", { room, username, userId });
+  // (a logged-in userId is backed by the access token; rulesetId only applies when this join creates the room)
+  const token = localStorage.getItem('td_accessToken');
+  socket.emit("joinRoom", { room, username, userId, token, spectate: spectating, password: roomPassword, ...newRoomSettings });
+  newRoomSettings = {};
+  roomPassword = null;
 }
 
 function leaveRoom() {
@@ -259,10 +283,12 @@ function leaveRoom() {
 
   // Emit leave room event to server
   socket.emit("leaveRoom");
+  renderTurnTimer(null);
 
   // Reset client state
   gameState = "waiting";
   room = null;
+  spectating = false;
 
   // Reset URL
   window.history.replaceState({}, "", "/");
@@ -289,8 +315,32 @@ function leaveRoom() {
   });
 }
 
+// Fair play: send sha256("move:nonce") now, keep the move and nonce until the server asks for them
+async function commitChoice(choice) {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  const nonce = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${choice}:${nonce}`));
+  const commitment = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+
+  // Survives a reload so the move can still be revealed after reconnecting
+  sessionStorage.setItem(`pendingReveal:${room}`, JSON.stringify({ choice, nonce }));
+  socket.emit("commitChoice", commitment);
+}
+
+function revealPendingChoice() {
+  const pending = JSON.parse(sessionStorage.getItem(`pendingReveal:${room}`) || "null");
+  if (!pending) return;
+
+  socket.emit("revealChoice", pending);
+  sessionStorage.removeItem(`pendingReveal:${room}`);
+}
+
 function makeChoice(choice) {
-  socket.emit("makeChoice", choice);
+  if (fairPlay) {
+    commitChoice(choice);
+  } else {
+    socket.emit("makeChoice", choice);
+  }
   resultMessage.innerText = "Waiting for other player...";
   resultMessage.className = "mt-4";
   
@@ -347,14 +397,345 @@ function hideTruthDareModal() {
   modalWaiting.style.display = "none";
 }
 
+// Render the series scoreboard (best-of-N / first-to-N matches)
+function renderSeriesScore(series) {
+  let scoreDiv = document.getElementById("matchScore");
+  if (!series) {
+    if (scoreDiv) scoreDiv.style.display = "none";
+    return;
+  }
+
+  if (!scoreDiv) {
+    scoreDiv = document.createElement("div");
+    scoreDiv.id = "matchScore";
+    scoreDiv.className = "text-center text-muted mb-2";
+    receiverName.parentNode.insertBefore(scoreDiv, receiverName.nextSibling);
+  }
+
+  const label = series.match.type === "best_of"
+    ? `Best of ${series.match.target}`
+    : `First to ${series.match.target}`;
+  const scoreLine = series.score.map((entry) => `${entry.username} ${entry.points}`).join(" – ");
+
+  scoreDiv.innerText = `${label} · ${scoreLine}`;
+  scoreDiv.style.display = "block";
+}
+
+// Build the move buttons for the room's ruleset (classic RPS, RPSLS, custom...)
+function renderMoveButtons(ruleset) {
+  if (!ruleset || !ruleset.moves) return;
+
+  const container = document.querySelector(".rps-buttons");
+  if (!container) return;
+
+  container.innerHTML = "";
+  ruleset.moves.forEach((move) => {
+    const btn = document.createElement("button");
+    btn.className = "rps-button";
+    btn.innerText = `${move.emoji ? move.emoji + " " : ""}${move.label}`;
+    btn.addEventListener("click", () => makeChoice(move.id));
+    container.appendChild(btn);
+  });
+}
+
+// Load the ruleset picker shown when creating a room
+async function loadRulesetOptions() {
+  const select = document.getElementById("rulesetSelect");
+  if (!select) return;
+
+  try {
+    const response = await fetch("/api/rulesets");
+    const data = await response.json();
+
+    select.innerHTML = "";
+    const lobbyFilter = document.getElementById("lobbyRulesetFilter");
+    (data.rulesets || []).forEach((ruleset) => {
+      const option = document.createElement("option");
+      option.value = ruleset.id;
+      option.innerText = `${ruleset.name} (${ruleset.moves.length} moves)`;
+      select.appendChild(option);
+      lobbyFilter?.appendChild(option.cloneNode(true));
+    });
+  } catch (error) {
+    console.error("Failed to load rulesets:", error);
+  }
+}
+
+// Quick emoji reactions (players and spectators)
+const REACTION_EMOJIS = ["👏", "😂", "😱", "🔥", "❤️", "👀"];
+
+function renderReactionBar() {
+  if (document.getElementById("reactionBar")) return;
+
+  const bar = document.createElement("div");
+  bar.id = "reactionBar";
+  bar.className = "d-flex justify-content-center gap-2 my-2";
+  REACTION_EMOJIS.forEach((emoji) => {
+    const btn = document.createElement("button");
+    btn.className = "btn btn-sm btn-light";
+    btn.innerText = emoji;
+    btn.addEventListener("click", () => socket.emit("sendReaction", emoji));
+    bar.appendChild(btn);
+  });
+  chatSection.parentNode.insertBefore(bar, chatSection);
+}
+
+function showReaction({ username: from, emoji, spectator }) {
+  const div = document.createElement("div");
+  div.className = "message from-them";
+  const em = document.createElement("em");
+  em.textContent = `${from}${spectator ? " (watching)" : ""} reacted ${emoji}`;
+  div.appendChild(em);
+  chatLog.appendChild(div);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+// Countdown for the current phase (deadline is null when no clock is running)
+function renderTurnTimer(deadline) {
+  const timerEl = document.getElementById("turnTimer");
+  clearInterval(turnTimerInterval);
+  turnTimerInterval = null;
+
+  if (!deadline) {
+    timerEl.style.display = "none";
+    return;
+  }
+
+  const labels = {
+    choosing: "to throw",
+    revealing: "to reveal your move",
+    truth_dare_selection: "to pick truth or dare",
+    chat: "to complete the truth or dare",
+  };
+  const outcome = deadline.timeoutAction === "forfeit" || deadline.phase === "revealing" ? "or forfeit" : "before a random pick";
+  // Count down against the server clock
+  const offset = deadline.serverTime - Date.now();
+
+  const tick = () => {
+    const seconds = Math.max(0, Math.ceil((deadline.expiresAt - (Date.now() + offset)) / 1000));
+    timerEl.innerText = `⏰ ${seconds}s ${labels[deadline.phase] || ""}`;
+    if (deadline.phase !== "chat") timerEl.innerText += ` ${outcome}`;
+    if (seconds === 0) clearInterval(turnTimerInterval);
+  };
+
+  timerEl.style.display = "block";
+  tick();
+  turnTimerInterval = setInterval(tick, 1000);
+}
+
+// Series decided: no more rounds in this room
+function showMatchComplete(series) {
+  renderSeriesScore(series);
+  if (!series || !series.matchWinner) return;
+
+  const youWon = series.matchWinnerUsername === username;
+  resultMessage.innerText = youWon
+    ? "🏆 You won the match!"
+    : `🏆 ${series.matchWinnerUsername} won the match.`;
+  resultMessage.className = youWon ? "mt-4 result-win" : "mt-4 result-lose";
+  newRoundContainer.style.display = "none";
+  showRematchOffer(null);
+}
+
+// Offer a rematch once the game is over; `request` is an open request from another player
+function showRematchOffer(request) {
+  const container = document.getElementById("rematchContainer");
+  const status = document.getElementById("rematchStatus");
+  const btn = document.getElementById("rematchBtn");
+  if (!container || spectating) return;
+
+  container.style.display = "block";
+  btn.disabled = false;
+
+  if (!request) {
+    status.innerText = "";
+    btn.innerText = "🔁 Rematch";
+    btn.onclick = () => socket.emit("requestRematch");
+  } else if (request.requesterId === getUserIdentifier()) {
+    status.innerText = "⏳ Waiting for your opponent to accept...";
+    btn.disabled = true;
+  } else {
+    status.innerText = `${request.requesterName} wants a rematch!`;
+    btn.innerText = "✅ Accept Rematch";
+    btn.onclick = () => socket.emit("acceptRematch");
+  }
+}
+
+// Follow an accepted rematch into its new room
+function followRematch({ roomCode, playerIds }) {
+  document.getElementById("rematchContainer").style.display = "none";
+  if (playerIds.includes(getUserIdentifier())) {
+    joinRoom(roomCode);
+  }
+}
+
+// Show server-drawn prompt suggestions to the round winner
+function showPromptSuggestions({ type, prompts }) {
+  let panel = document.getElementById("promptSuggestions");
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.id = "promptSuggestions";
+    panel.className = "mb-3";
+    chatSection.insertBefore(panel, chatLog);
+  }
+
+  panel.innerHTML = "";
+
+  const heading = document.createElement("div");
+  heading.className = "text-muted small mb-2";
+  heading.innerText = prompts.length > 0
+    ? `Pick a ${type} to send, or type your own:`
+    : `No ${type} suggestions left - type your own!`;
+  panel.appendChild(heading);
+
+  prompts.forEach((prompt) => {
+    const btn = document.createElement("button");
+    btn.className = "btn btn-outline-primary btn-sm w-100 mb-2 text-start";
+    btn.innerText = prompt.content;
+    btn.onclick = () => socket.emit("usePrompt", prompt.id);
+    panel.appendChild(btn);
+  });
+
+  const shuffleBtn = document.createElement("button");
+  shuffleBtn.className = "btn btn-link btn-sm";
+  shuffleBtn.innerText = "🔀 Show different suggestions";
+  shuffleBtn.onclick = () => socket.emit("requestPrompts");
+  panel.appendChild(shuffleBtn);
+
+  panel.style.display = "block";
+}
+
+function hidePromptSuggestions() {
+  const panel = document.getElementById("promptSuggestions");
+  if (panel) panel.style.display = "none";
+}
+
+// Proof panel: the loser sends proof of their truth/dare, the winner approves or rejects it
+function renderProofPanel(proof) {
+  let panel = document.getElementById("proofPanel");
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.id = "proofPanel";
+    panel.className = "mb-3";
+    chatSection.insertBefore(panel, chatLog);
+  }
+
+  panel.innerHTML = "";
+  if (!proof || spectating) {
+    panel.style.display = "none";
+    return;
+  }
+
+  const me = getUserIdentifier();
+  const heading = document.createElement("div");
+  heading.className = "text-muted small mb-2";
+  panel.appendChild(heading);
+
+  if (proof.status === "approved") {
+    heading.innerText = `✅ ${proof.loserUsername}'s ${proof.selection} was approved`;
+  } else if (proof.loserId === me && proof.status === "pending") {
+    heading.innerText = proof.penalty
+      ? "❌ Penalty dare! Send proof once you've done it:"
+      : `Send proof of your ${proof.selection} - type your answer or attach a photo, video or voice note:`;
+
+    const textInput = document.createElement("input");
+    textInput.type = "text";
+    textInput.className = "form-control form-control-sm mb-2";
+    textInput.placeholder = "Your answer...";
+    panel.appendChild(textInput);
+
+    const proofFile = document.createElement("input");
+    proofFile.type = "file";
+    proofFile.accept = "image/*,video/*,audio/*";
+    proofFile.className = "form-control form-control-sm mb-2";
+    panel.appendChild(proofFile);
+
+    const sendBtn = document.createElement("button");
+    sendBtn.className = "btn btn-primary btn-sm";
+    sendBtn.innerText = "📤 Send proof";
+    sendBtn.onclick = () => {
+      const file = proofFile.files[0];
+      if (!file) {
+        if (textInput.value.trim()) {
+          socket.emit("submitProof", { type: "text", content: textInput.value.trim() });
+        }
+        return;
+      }
+
+      const type = file.type.startsWith("image/") ? "photo"
+        : file.type.startsWith("video/") ? "video"
+        : file.type.startsWith("audio/") ? "audio"
+        : null;
+      if (!type) {
+        alert("Proof must be a photo, video or voice note.");
+        return;
+      }
+
+      const formData = new FormData();
+      formData.append("file", file);
+      sendBtn.disabled = true;
+
+      fetch(`/upload/${room}`, {
+        method: "POST",
+        headers: { "X-Socket-Id": socket.id },
+        body: formData,
+      }).then((res) => res.json()).then(({ fileUrl, error }) => {
+        if (error) throw new Error(error);
+        socket.emit("submitProof", { type, content: fileUrl });
+      }).catch((error) => {
+        console.error("Error uploading proof:", error);
+        alert("Failed to upload proof. Please try again.");
+        sendBtn.disabled = false;
+      });
+    };
+    panel.appendChild(sendBtn);
+  } else if (proof.winnerId === me && proof.status === "submitted") {
+    heading.innerText = `${proof.loserUsername} sent proof of their ${proof.selection}. Do you accept it?`;
+
+    const actions = [
+      { label: "✅ Approve", className: "btn-success", review: { approved: true } },
+      { label: "🔁 Reject - try again", className: "btn-outline-danger", review: { approved: false, onReject: "retry" } },
+      { label: "🔥 Reject - penalty dare", className: "btn-danger", review: { approved: false, onReject: "penalty" } },
+    ];
+    actions.forEach(({ label, className, review }) => {
+      const btn = document.createElement("button");
+      btn.className = `btn ${className} btn-sm me-2 mb-2`;
+      btn.innerText = label;
+      btn.onclick = () => socket.emit("reviewProof", review);
+      panel.appendChild(btn);
+    });
+  } else {
+    heading.innerText = proof.status === "submitted"
+      ? `Waiting for ${proof.winnerUsername} to review the proof...`
+      : `Waiting for ${proof.loserUsername} to send proof...`;
+  }
+
+  panel.style.display = "block";
+}
+
+// Message being replied to, quoted above the chat input until sent or cancelled
+let replyingTo = null;
+let lastTypingAt = 0; // When we last told the room we're typing
+
+// Paging back through chat history (the latest page arrives on join)
+let hasOlderMessages = false;
+let olderMessagesCursor = null;
+let loadingOlderMessages = false;
+
+// Other players' messages this client still has to report as delivered or read
+const undeliveredMessageIds = new Set();
+const unreadMessageIds = new Set();
+
 function sendMessage() {
   const msg = chatInput.value.trim();
   const file = fileInput.files[0];
   
   // Send text message if there's text
   if (msg) {
-    socket.emit("sendMessage", msg);
+    socket.emit("sendMessage", replyingTo ? { content: msg, replyTo: replyingTo.id } : msg);
     chatInput.value = "";
+    lastTypingAt = 0;
+    setReplyTarget(null);
   }
 
   // Send file if one is selected
@@ -362,10 +743,12 @@ function sendMessage() {
     const formData = new FormData();
     formData.append("file", file);
 
-    fetch(`/upload/${room}/${username}`, {
+    fetch(`/upload/${room}`, {
       method: "POST",
+      headers: { "X-Socket-Id": socket.id },
       body: formData,
-    }).then((res) => res.json()).then(() => {
+    }).then((res) => res.json()).then(({ error }) => {
+      if (error) throw new Error(error);
       fileInput.value = "";
     }).catch((error) => {
       console.error("Error uploading file:", error);
@@ -387,6 +770,18 @@ function setupChatInput() {
       sendMessage();
     }
   });
+
+  // Tell the room we're typing, at most every few seconds; an emptied input stops it
+  chatInput.addEventListener('input', () => {
+    const now = Date.now();
+    if (!chatInput.value.trim()) {
+      lastTypingAt = 0;
+      socket.emit("typing", false);
+    } else if (now - lastTypingAt > 3000) {
+      lastTypingAt = now;
+      socket.emit("typing", true);
+    }
+  });
 }
 
 function startNewRound() {
@@ -413,42 +808,368 @@ function startNewRound() {
   
   truthDarePrompt.style.display = "none";
   hideTruthDareModal();
+  hidePromptSuggestions();
 }
 
-function appendMessage(msg) {
-  const div = document.createElement("div");
-  div.classList.add("message");
+// Short preview of a message, for reply quotes
+function messageExcerpt(msg) {
+  if (msg.deleted || msg.deletedAt) return "🗑️ Message deleted";
+  if (msg.type === "audio") return "🎤 Voice note";
+  if (msg.type !== "text") return "📎 Attachment";
+  return msg.content.length > 80 ? `${msg.content.slice(0, 80)}…` : msg.content;
+}
+
+// Quote the message being replied to above the chat input (null clears it)
+function setReplyTarget(msg) {
+  replyingTo = msg;
+  const preview = document.getElementById("replyPreview");
+  if (!preview) return;
+
+  preview.innerHTML = "";
+  if (!msg) {
+    preview.style.display = "none";
+    return;
+  }
+
+  const text = document.createElement("span");
+  text.textContent = `↩️ Replying to ${msg.username}: ${messageExcerpt(msg)}`;
+  const cancel = document.createElement("button");
+  cancel.className = "btn btn-sm btn-link ms-auto";
+  cancel.innerText = "✖";
+  cancel.onclick = () => setReplyTarget(null);
+  preview.append(text, cancel);
+  preview.style.display = "flex";
+  chatInput.focus();
+}
+
+// Fill a message bubble's body. Everything players send is set as text, never
+// parsed as HTML, and media only ever points at our own uploads
+function renderMessageBody(body, msg) {
+  const name = document.createElement("strong");
+  name.textContent = `${msg.username}:`;
+  body.appendChild(name);
+
+  if (msg.deletedAt) {
+    const deleted = document.createElement("em");
+    deleted.textContent = "🗑️ This message was deleted";
+    body.append(" ", deleted);
+    return;
+  }
+
+  if (msg.type === "text") {
+    body.append(" ", msg.content);
+    return;
+  }
+
+  const src = typeof msg.content === "string" && msg.content.startsWith("/uploads/") ? msg.content : null;
+  if (!src) {
+    const missing = document.createElement("em");
+    missing.textContent = "📎 Attachment unavailable";
+    body.append(" ", missing);
+    return;
+  }
+
+  const fileType = src.split('.').pop().toLowerCase();
+  const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(fileType);
+  const isVideo = ['mp4', 'webm', 'ogg', 'mov'].includes(fileType);
+
+  let media;
+  if (msg.type === "audio") {
+    media = document.createElement("audio");
+    media.controls = true;
+    media.src = src;
+  } else if (isImage) {
+    media = document.createElement("img");
+    media.src = src;
+    media.style.cssText = "max-width: 200px; max-height: 200px; border-radius: 10px;";
+  } else if (isVideo) {
+    media = document.createElement("video");
+    media.controls = true;
+    media.src = src;
+    media.style.cssText = "max-width: 200px; max-height: 200px; border-radius: 10px;";
+  } else {
+    media = document.createElement("a");
+    media.href = src;
+    media.target = "_blank";
+    media.rel = "noopener";
+    media.className = "file-message";
+    media.textContent = "📎 Download File";
+  }
+  body.append(document.createElement("br"), media);
+}
+
+// Reply, react, edit and delete buttons under a player's message
+function renderMessageActions(div, msg) {
+  const actions = document.createElement("div");
+  actions.className = "message-actions";
+
+  const addAction = (label, title, onClick) => {
+    const btn = document.createElement("button");
+    btn.className = "message-action-btn";
+    btn.innerText = label;
+    btn.title = title;
+    btn.onclick = onClick;
+    actions.appendChild(btn);
+  };
+
+  addAction("↩️", "Reply", () => setReplyTarget(msg));
+  addAction("😊", "React", () => {
+    const picker = div.querySelector(".message-reaction-picker");
+    if (picker) {
+      picker.remove();
+      return;
+    }
+
+    const bar = document.createElement("div");
+    bar.className = "message-reaction-picker";
+    REACTION_EMOJIS.forEach((emoji) => {
+      const btn = document.createElement("button");
+      btn.className = "message-action-btn";
+      btn.innerText = emoji;
+      btn.onclick = () => {
+        socket.emit("reactToMessage", { messageId: msg.id, emoji });
+        bar.remove();
+      };
+      bar.appendChild(btn);
+    });
+    div.appendChild(bar);
+  });
+
+  if (msg.senderId && msg.senderId === getUserIdentifier()) {
+    if (msg.type === "text") {
+      addAction("✏️", "Edit", () => {
+        const content = prompt("Edit your message", msg.content);
+        if (content && content.trim() && content !== msg.content) {
+          socket.emit("editMessage", { messageId: msg.id, content: content.trim() });
+        }
+      });
+    }
+    addAction("🗑️", "Delete for everyone", () => {
+      if (confirm("Delete this message for everyone?")) {
+        socket.emit("deleteMessage", { messageId: msg.id });
+      }
+    });
+  }
+
+  div.appendChild(actions);
+}
+
+// Draw a message into its bubble; messageUpdated redraws it in place
+function renderMessage(div, msg) {
+  div.className = "message";
+  div.innerHTML = "";
+  if (msg.id) div.dataset.messageId = msg.id;
 
   // Handle system messages differently
   if (msg.type === "system") {
     div.classList.add("system-message");
-    div.innerHTML = `${msg.content}`;
+    div.textContent = msg.content;
+    return;
+  }
+
+  div.classList.add(msg.username === username ? "from-me" : "from-them");
+
+  if (msg.replyTo) {
+    const quote = document.createElement("div");
+    quote.className = "message-quote";
+    quote.dataset.replyId = msg.replyTo.id;
+    quote.textContent = `${msg.replyTo.username}: ${messageExcerpt(msg.replyTo)}`;
+    quote.onclick = () => {
+      const original = chatLog.querySelector(`[data-message-id="${msg.replyTo.id}"]`);
+      if (original) original.scrollIntoView({ behavior: "smooth", block: "center" });
+    };
+    div.appendChild(quote);
+  }
+
+  const body = document.createElement("div");
+  renderMessageBody(body, msg);
+  div.appendChild(body);
+
+  if (msg.editedAt && !msg.deletedAt) {
+    const edited = document.createElement("button");
+    edited.className = "message-edited";
+    edited.innerText = "(edited)";
+    edited.title = "Show earlier versions";
+    edited.onclick = () => socket.emit("getMessageHistory", { messageId: msg.id });
+    div.appendChild(edited);
+  }
+
+  const reactions = Object.entries(msg.reactions || {});
+  if (reactions.length > 0) {
+    const row = document.createElement("div");
+    row.className = "message-reactions";
+    reactions.forEach(([emoji, userIds]) => {
+      const btn = document.createElement("button");
+      btn.className = "message-reaction";
+      if (userIds.includes(getUserIdentifier())) btn.classList.add("mine");
+      btn.innerText = `${emoji} ${userIds.length}`;
+      btn.disabled = spectating;
+      btn.onclick = () => socket.emit("reactToMessage", { messageId: msg.id, emoji });
+      row.appendChild(btn);
+    });
+    div.appendChild(row);
+  }
+
+  if (msg.id && !msg.deletedAt && !spectating) {
+    renderMessageActions(div, msg);
+  }
+
+  if (msg.senderId && msg.senderId === getUserIdentifier() && !msg.deletedAt) {
+    renderReceipts(div, msg.receipts);
+  }
+}
+
+// ✓ sent, ✓✓ delivered, ✓✓ read (with who has read it) under our own messages
+function renderReceipts(div, receipts = []) {
+  let span = div.querySelector(".message-receipts");
+  if (!span) {
+    span = document.createElement("span");
+    span.className = "message-receipts";
+    div.appendChild(span);
+  }
+
+  const readBy = receipts.filter((r) => r.readAt).map((r) => r.username);
+  if (readBy.length > 0) {
+    span.innerText = "✓✓ Read";
+    span.title = `Read by ${readBy.join(", ")}`;
+    span.classList.add("read");
   } else {
-    div.classList.add(msg.username === username ? "from-me" : "from-them");
+    span.innerText = receipts.length > 0 ? "✓✓ Delivered" : "✓ Sent";
+    span.title = receipts.length > 0 ? `Delivered to ${receipts.map((r) => r.username).join(", ")}` : "";
+    span.classList.remove("read");
+  }
+}
 
-    if (msg.type === "text") {
-      div.innerHTML = `<strong>${msg.username}:</strong> ${msg.content}`;
-    } else if (msg.type === "audio") {
-      div.innerHTML = `<strong>${msg.username}:</strong><br><audio controls src="${msg.content}"></audio>`;
-    } else {
-      const fileType = msg.content.split('.').pop().toLowerCase();
-      const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(fileType);
-      const isVideo = ['mp4', 'webm', 'ogg', 'mov'].includes(fileType);
-
-      if (isImage) {
-        div.innerHTML = `<strong>${msg.username}:</strong><br><img src="${msg.content}" style="max-width: 200px; max-height: 200px; border-radius: 10px;" />`;
-      } else if (isVideo) {
-        div.innerHTML = `<strong>${msg.username}:</strong><br><video controls style="max-width: 200px; max-height: 200px; border-radius: 10px;" src="${msg.content}"></video>`;
-      } else {
-        div.innerHTML = `<strong>${msg.username}:</strong><br><a href="${msg.content}" target="_blank" class="file-message">📎 Download File</a>`;
-      }
+function chatIsReadable() {
+  return document.visibilityState === "visible" && chatSection.style.display !== "none";
+}
+
+// Queue another player's message for a receipt, unless ours already covers it
+function trackReceipt(msg) {
+  if (spectating || !msg.id || !msg.senderId || msg.senderId === getUserIdentifier() || msg.deletedAt) return;
+
+  const mine = (msg.receipts || []).find((r) => r.userId === getUserIdentifier());
+  if (!mine) undeliveredMessageIds.add(msg.id);
+  if (!mine || !mine.readAt) unreadMessageIds.add(msg.id);
+}
+
+// Report queued messages: read if the chat is on screen, otherwise just delivered
+function flushReceipts() {
+  const send = (status, ids) => {
+    for (let i = 0; i < ids.length; i += 100) {
+      socket.emit("markMessages", { messageIds: ids.slice(i, i + 100), status });
     }
+  };
+
+  if (unreadMessageIds.size > 0 && chatIsReadable()) {
+    send("read", [...unreadMessageIds]);
+    unreadMessageIds.clear();
+    undeliveredMessageIds.clear();
+  } else if (undeliveredMessageIds.size > 0) {
+    send("delivered", [...undeliveredMessageIds]);
+    undeliveredMessageIds.clear();
   }
+}
+
+function receiveMessages(msgs) {
+  msgs.forEach(appendMessage);
+  msgs.forEach(trackReceipt);
+  flushReceipts();
+}
+
+function updateReceipts(updates) {
+  updates.forEach(({ messageId, senderId, receipts }) => {
+    if (senderId !== getUserIdentifier()) return;
+
+    const div = chatLog.querySelector(`[data-message-id="${messageId}"]`);
+    if (div) renderReceipts(div, receipts);
+  });
+}
+
+// "Ana is typing..." under the chat log (we never list ourselves)
+function renderTyping(typing = []) {
+  const indicator = document.getElementById("typingIndicator");
+  if (!indicator) return;
+
+  const names = typing.filter((t) => t.userId !== getUserIdentifier()).map((t) => t.username);
+  if (names.length === 0) {
+    indicator.innerText = "";
+    indicator.style.display = "none";
+    return;
+  }
+
+  indicator.innerText = names.length === 1
+    ? `${names[0]} is typing...`
+    : `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]} are typing...`;
+  indicator.style.display = "block";
+}
+
+function appendMessage(msg) {
+  const div = document.createElement("div");
+  renderMessage(div, msg);
 
   chatLog.appendChild(div);
   chatLog.scrollTop = chatLog.scrollHeight;
 }
 
+// Older history goes above what's there, keeping the messages on screen where they were
+function prependMessages(msgs) {
+  const fragment = document.createDocumentFragment();
+  msgs.forEach((msg) => {
+    const div = document.createElement("div");
+    renderMessage(div, msg);
+    fragment.appendChild(div);
+  });
+
+  const previousHeight = chatLog.scrollHeight;
+  chatLog.insertBefore(fragment, chatLog.firstChild);
+  chatLog.scrollTop += chatLog.scrollHeight - previousHeight;
+}
+
+// Where the next page back starts; the server sends it after the latest page
+function setMessagePage({ hasMore, nextCursor }) {
+  hasOlderMessages = hasMore;
+  olderMessagesCursor = nextCursor;
+  loadingOlderMessages = false;
+}
+
+function receiveOlderMessages(page) {
+  prependMessages(page.messages);
+  page.messages.forEach(trackReceipt);
+  flushReceipts();
+  setMessagePage(page);
+}
+
+// Scrolling to the top of the chat log asks for the page before it
+function loadOlderMessages() {
+  if (chatLog.scrollTop > 40 || !hasOlderMessages || loadingOlderMessages) return;
+
+  loadingOlderMessages = true;
+  socket.emit("loadOlderMessages", { before: olderMessagesCursor });
+}
+
+// A message was reacted to, edited or deleted: redraw it and any replies quoting it
+function updateMessage(msg) {
+  const div = chatLog.querySelector(`[data-message-id="${msg.id}"]`);
+  if (div) renderMessage(div, msg);
+
+  chatLog.querySelectorAll(`[data-reply-id="${msg.id}"]`).forEach((quote) => {
+    quote.textContent = `${msg.username}: ${messageExcerpt(msg)}`;
+  });
+
+  if (replyingTo && replyingTo.id === msg.id) {
+    setReplyTarget(msg.deletedAt ? null : msg);
+  }
+}
+
+function showMessageHistory({ edits }) {
+  if (edits.length === 0) return;
+
+  const versions = edits.map(({ content, editedAt }) =>
+    `${new Date(editedAt).toLocaleTimeString()}: ${content}`);
+  alert(`Earlier versions:\n\n${versions.join("\n")}`);
+}
+
 let isRecording = false;
 
 function updateRecordingTimer() {
@@ -524,8 +1245,9 @@ function startRecording() {
         const fileName = `recording.${mimeType.split('/')[1] || 'webm'}`;
         formData.append("file", audioBlob, fileName);
 
-        fetch(`/upload/${room}/${username}`, {
+        fetch(`/upload/${room}`, {
           method: "POST",
+          headers: { "X-Socket-Id": socket.id },
           body: formData,
         }).catch((error) => {
           console.error("Error uploading audio:", error);
@@ -585,15 +1307,23 @@ if (room && username) {
 }
 
 // Handle successful room join
-socket.on("joinedRoom", () => {
+socket.on("joinedRoom", ({ spectator = false } = {}) => {
   // Now we can show the game UI
   setupDiv.style.display = "none";
   gameUI.style.display = "block";
-  roomLabel.innerText = `Room: ${room}`;
+  spectating = spectator;
+  roomLabel.innerText = spectating ? `👀 Watching room: ${room}` : `Room: ${room}`;
+  renderReactionBar();
 
   // Initialize game state
   gameState = "waiting";
   updateUIVisibility();
+
+  // Solo play: seat the bot now that we are in the room
+  if (pendingBotDifficulty) {
+    socket.emit("addBot", { difficulty: pendingBotDifficulty });
+    pendingBotDifficulty = null;
+  }
 });
 
 // Handle username already taken
@@ -609,9 +1339,33 @@ socket.on("nameExists", () => {
   document.getElementById("usernameInput").focus();
 });
 
+// Password rooms ask for the password and try again; other refusals go back to the lobby
+socket.on("roomAccessDenied", ({ message, code }) => {
+  if (code === "PASSWORD_REQUIRED" || code === "WRONG_PASSWORD") {
+    const password = prompt(code === "WRONG_PASSWORD" ? "Wrong password. Try again:" : "This room needs a password:");
+    if (password) {
+      roomPassword = password;
+      joinGame();
+      return;
+    }
+  } else {
+    alert(message);
+  }
+
+  room = null;
+  window.history.replaceState({}, "", "/");
+  setupDiv.style.display = "block";
+  gameUI.style.display = "none";
+});
+
 // Handle room full
 socket.on("roomFull", () => {
-  alert("Room is full. Max 2 players.");
+  // Offer to watch instead of playing
+  if (confirm("Room is full. Watch as a spectator instead?")) {
+    spectating = true;
+    joinGame();
+    return;
+  }
 
   // Reset UI back to setup screen
   setupDiv.style.display = "block";
@@ -647,11 +1401,97 @@ socket.on("gameReset", () => {
   addSystemMessage("Your opponent left the room. Waiting for new opponent...");
 });
 
-socket.on("playerUpdate", (players) => {
-  const other = players.find((p) => p !== username);
-  receiverName.innerText = other ? `Talking to: ${other}` : "Waiting for opponent...";
-});
-socket.on("result", ({ message }) => {
+// Host controls: kick, ban or promote each other player, lock the room, set the chat filter and lift bans
+function renderHostControls({ players = [], hostId = null, locked = false, banned = [], chatFilter = "casual" } = {}) {
+  const panel = document.getElementById("hostControls");
+  if (!panel) return;
+
+  panel.innerHTML = "";
+  if (spectating || hostId !== getUserIdentifier()) {
+    panel.style.display = "none";
+    return;
+  }
+
+  const addButton = (parent, label, className, onClick) => {
+    const btn = document.createElement("button");
+    btn.className = `btn btn-sm ${className} me-1 mb-1`;
+    btn.innerText = label;
+    btn.onclick = onClick;
+    parent.appendChild(btn);
+  };
+
+  const heading = document.createElement("div");
+  heading.className = "text-muted small mb-2";
+  heading.innerText = "👑 You're the host";
+  panel.appendChild(heading);
+
+  addButton(panel, locked ? "🔓 Unlock room" : "🔒 Lock room", "btn-outline-secondary",
+    () => socket.emit(locked ? "unlockRoom" : "lockRoom"));
+
+  const filterSelect = document.createElement("select");
+  filterSelect.className = "form-select form-select-sm d-inline-block w-auto mb-1";
+  [["family", "🧼 Family chat"], ["casual", "💬 Casual chat"], ["adult", "🔞 Adult chat"]].forEach(([level, label]) => {
+    const option = document.createElement("option");
+    option.value = level;
+    option.innerText = label;
+    filterSelect.appendChild(option);
+  });
+  filterSelect.value = chatFilter;
+  filterSelect.onchange = () => socket.emit("setChatFilter", { level: filterSelect.value });
+  panel.appendChild(filterSelect);
+
+  players.filter((p) => p.userId !== hostId).forEach((p) => {
+    const row = document.createElement("div");
+    const name = document.createElement("span");
+    name.className = "me-2";
+    name.innerText = p.username;
+    row.appendChild(name);
+
+    if (!p.bot) {
+      addButton(row, "👑 Make host", "btn-outline-primary", () => socket.emit("transferHost", { userId: p.userId }));
+    }
+    addButton(row, "👢 Kick", "btn-outline-warning", () => socket.emit("kickPlayer", { userId: p.userId }));
+    if (!p.bot) {
+      addButton(row, "🚫 Ban", "btn-outline-danger", () => {
+        if (confirm(`Ban ${p.username} from this room?`)) socket.emit("banPlayer", { userId: p.userId });
+      });
+    }
+    panel.appendChild(row);
+  });
+
+  banned.forEach((b) => {
+    const row = document.createElement("div");
+    const name = document.createElement("span");
+    name.className = "me-2 text-muted";
+    name.innerText = `🚫 ${b.username || b.userId}`;
+    row.appendChild(name);
+    addButton(row, "Unban", "btn-outline-secondary", () => socket.emit("unbanPlayer", { userId: b.userId }));
+    panel.appendChild(row);
+  });
+
+  panel.style.display = "block";
+}
+
+// Show who else is in the room (one opponent, or the whole group)
+function renderPlayers({ players = [], capacity = 2, spectatorCount = 0, hostId = null, locked = false, banned = [], chatFilter } = {}) {
+  const others = players.filter((p) => p.userId !== getUserIdentifier());
+  const watching = `${spectatorCount > 0 ? ` · 👀 ${spectatorCount} watching` : ""}${locked ? " · 🔒" : ""}`;
+  renderHostControls({ players, hostId, locked, banned, chatFilter });
+
+  if (spectating) {
+    receiverName.innerText = `${players.map((p) => p.username).join(" vs ")}${watching}`;
+  } else if (others.length === 0) {
+    receiverName.innerText = "Waiting for opponent...";
+  } else if (capacity <= 2) {
+    receiverName.innerText = `Talking to: ${others[0].username}${watching}`;
+  } else {
+    const names = players.map((p) => `${p.userId === hostId ? "👑 " : ""}${p.connected ? p.username : `${p.username} (away)`}`);
+    receiverName.innerText = `Players (${players.length}/${capacity}): ${names.join(", ")}${watching}`;
+  }
+}
+
+socket.on("playerUpdate", renderPlayers);
+socket.on("result", ({ message, outcome }) => {
   // Remove loading spinner
   const loadingSpinner = document.getElementById('loadingSpinner');
   if (loadingSpinner) {
@@ -661,7 +1501,21 @@ socket.on("result", ({ message }) => {
   resultMessage.innerText = message;
   
   // Add appropriate styling based on result
-  if (message.includes("You win")) {
+  if (outcome === "spectator") {
+    resultMessage.className = "mt-4";
+  } else if (outcome === "safe") {
+    // Sitting out the rest of this round (group rooms)
+    resultMessage.className = "mt-4 result-tie";
+  } else if (outcome === "throw_again") {
+    resultMessage.className = "mt-4 result-lose";
+    gameState = "waiting";
+    updateUIVisibility();
+    const rpsButtons = document.querySelectorAll('.rps-button');
+    rpsButtons.forEach(btn => {
+      btn.disabled = false;
+      btn.style.opacity = '1';
+    });
+  } else if (message.includes("You win")) {
     resultMessage.className = "mt-4 result-win";
     gameState = "finished";
     updateUIVisibility();
@@ -703,8 +1557,72 @@ socket.on("showTruthDareModal", ({ type }) => {
 socket.on("hideTruthDareModal", () => {
   hideTruthDareModal();
 });
-socket.on("newMessage", appendMessage);
-socket.on("previousMessages", (msgs) => msgs.forEach(appendMessage));
+socket.on("scoreUpdate", renderSeriesScore);
+socket.on("turnTimer", renderTurnTimer);
+socket.on("requestReveal", revealPendingChoice);
+socket.on("forfeited", ({ message }) => {
+  // Removed from the room server-side; head back to the lobby
+  renderTurnTimer(null);
+  alert(message);
+  room = null;
+  gameState = "waiting";
+  window.history.replaceState({}, "", "/");
+  gameUI.style.display = "none";
+  setupDiv.style.display = "block";
+  chatLog.innerHTML = "";
+  resultMessage.innerText = "";
+});
+socket.on("kicked", ({ message }) => {
+  // The host removed us; head back to the lobby
+  renderTurnTimer(null);
+  alert(message);
+  room = null;
+  gameState = "waiting";
+  window.history.replaceState({}, "", "/");
+  gameUI.style.display = "none";
+  setupDiv.style.display = "block";
+  chatLog.innerHTML = "";
+  resultMessage.innerText = "";
+});
+socket.on("gameForfeited", ({ winnerUsername }) => {
+  renderTurnTimer(null);
+  resultMessage.innerText = winnerUsername === username
+    ? "🏳️ Your opponent ran out of time - you win by forfeit!"
+    : "🏳️ The game ended by forfeit.";
+  resultMessage.className = winnerUsername === username ? "mt-4 result-win" : "mt-4";
+  document.querySelectorAll('.rps-button').forEach(btn => {
+    btn.disabled = true;
+    btn.style.opacity = '0.5';
+  });
+  newRoundContainer.style.display = "none";
+  showRematchOffer(null);
+});
+socket.on("reaction", showReaction);
+socket.on("phaseUpdate", ({ gamePhase }) => {
+  if (spectating) {
+    roomLabel.innerText = `👀 Watching room: ${room} · ${gamePhase.replace(/_/g, " ")}`;
+  }
+});
+socket.on("matchComplete", showMatchComplete);
+socket.on("rematchRequested", showRematchOffer);
+socket.on("rematchAccepted", followRematch);
+socket.on("promptSuggestions", showPromptSuggestions);
+socket.on("promptSelected", hidePromptSuggestions);
+socket.on("proofUpdate", renderProofPanel);
+socket.on("newMessage", (msg) => receiveMessages([msg]));
+socket.on("previousMessages", receiveMessages);
+socket.on("messagePage", setMessagePage);
+socket.on("olderMessages", receiveOlderMessages);
+chatLog.addEventListener("scroll", loadOlderMessages);
+socket.on("messageUpdated", updateMessage);
+socket.on("messageReceipts", updateReceipts);
+socket.on("typingUpdate", renderTyping);
+document.addEventListener("visibilitychange", flushReceipts);
+socket.on("messageHistory", showMessageHistory);
+// Refused actions (a message the chat filter blocked, a host-only control...) show in the chat
+socket.on("error", ({ message } = {}) => {
+  if (message) appendSystemMessage(`⚠️ ${message}`);
+});
 
 // NEW: Full state restoration after reconnection
 socket.on("fullStateRestoration", (state) => {
@@ -730,6 +1648,11 @@ socket.on("fullStateRestoration", (state) => {
   // Update UI based on current game state
   updateUIVisibility();
 
+  // Rebuild move buttons for this room's ruleset
+  renderMoveButtons(state.ruleset);
+  fairPlay = !!state.fairPlay;
+  renderPlayers(state);
+
   // Restore result message if there's a winner/loser
   if (state.isWinner) {
     resultMessage.innerText = "You win! You may ask a truth or give a dare.";
@@ -752,13 +1675,20 @@ socket.on("fullStateRestoration", (state) => {
 
   // Restore button states
   const rpsButtons = document.querySelectorAll('.rps-button');
-  if (state.gamePhase === 'choosing' && state.userChoice) {
+  if ((state.gamePhase === 'choosing' || state.gamePhase === 'revealing') && (state.userChoice || state.committed)) {
     // User already made a choice - show waiting state
     rpsButtons.forEach(btn => {
       btn.disabled = true;
       btn.style.opacity = '0.5';
     });
     resultMessage.innerText = "Waiting for other player...";
+  } else if (state.activePlayers && !state.activePlayers.includes(getUserIdentifier())) {
+    // Already safe this round - the rest of the group is still throwing
+    rpsButtons.forEach(btn => {
+      btn.disabled = true;
+      btn.style.opacity = '0.5';
+    });
+    resultMessage.innerText = "You're safe! Waiting for the others...";
   } else if (state.gamePhase === 'lobby' || state.gamePhase === 'waiting') {
     // Enable buttons for new choice
     rpsButtons.forEach(btn => {
@@ -767,12 +1697,26 @@ socket.on("fullStateRestoration", (state) => {
     });
   }
 
+  renderTurnTimer(state.deadline);
+  renderTyping(state.typing);
+  if (state.awaitingReveal) revealPendingChoice();
+  renderProofPanel(state.proof);
+
+  // Restore series scoreboard
+  if (state.series && state.series.matchWinner) {
+    showMatchComplete(state.series);
+  } else {
+    renderSeriesScore(state.series);
+  }
+
   console.log(`✅ State restored: phase=${state.gamePhase}, chatVisible=${state.chatVisible}`);
 });
 
 socket.on("clearResultMessage", () => {
   resultMessage.innerText = "";
   resultMessage.className = "mt-4";
+  hidePromptSuggestions();
+  renderProofPanel(null);
 });
 socket.on("gameStateUpdate", ({ state }) => {
   gameState = state;
@@ -839,9 +1783,9 @@ async function loadUserActiveGames() {
   }
 }
 
-// Display active games in the room list
+// Display the player's unfinished games so they can rejoin
 function displayActiveGames(games) {
-  const roomsList = document.getElementById('roomsList');
+  const roomsList = document.getElementById('activeGamesList');
 
   if (!roomsList) return;
 
@@ -849,49 +1793,200 @@ function displayActiveGames(games) {
   roomsList.innerHTML = '';
 
   if (games.length === 0) {
-    roomsList.innerHTML = '<li class="list-group-item text-center text-muted">No active games. Create one!</li>';
+    roomsList.innerHTML = '<li class="list-group-item text-center text-muted">No unfinished games.</li>';
     return;
   }
 
   games.forEach(game => {
     const roomItem = document.createElement('li');
-    roomItem.className = 'list-group-item room-item';
-
-    const statusBadge = game.status === 'waiting'
-      ? '<span class="badge bg-warning">Waiting for opponent</span>'
-      : '<span class="badge bg-success">In Progress</span>';
+    roomItem.className = 'list-group-item room-item d-flex justify-content-between align-items-center';
+
+    const details = document.createElement('div');
+    const title = document.createElement('div');
+    const roomLabel = document.createElement('span');
+    roomLabel.innerText = `🏠 Room: ${game.roomCode}`;
+    const statusBadge = document.createElement('span');
+    statusBadge.className = game.status === 'waiting' ? 'badge bg-warning' : 'badge bg-success';
+    statusBadge.innerText = game.status === 'waiting' ? 'Waiting for opponent' : 'In Progress';
+    title.appendChild(roomLabel);
+    title.appendChild(document.createTextNode(' '));
+    title.appendChild(statusBadge);
+    details.appendChild(title);
 
     // Display opponent name if available
-    const opponentDisplay = game.opponentName
-      ? `<div class="text-muted small">vs ${game.opponentName}</div>`
-      : '';
-
-    roomItem.innerHTML = `
-      <div class="d-flex justify-content-between align-items-center">
-        <div>
-          <div>
-            <span>🏠 Room: ${game.roomCode}</span>
-            ${statusBadge}
-          </div>
-          ${opponentDisplay}
-        </div>
-        <button class="btn btn-sm btn-primary" onclick="joinRoom('${game.roomCode}')">Rejoin</button>
-      </div>
-    `;
+    if (game.opponentName) {
+      const opponent = document.createElement('div');
+      opponent.className = 'text-muted small';
+      opponent.innerText = `vs ${game.opponentName}`;
+      details.appendChild(opponent);
+    }
+
+    const rejoinBtn = document.createElement('button');
+    rejoinBtn.className = 'btn btn-sm btn-primary';
+    rejoinBtn.innerText = 'Rejoin';
+    rejoinBtn.onclick = () => joinRoom(game.roomCode);
+
+    roomItem.appendChild(details);
+    roomItem.appendChild(rejoinBtn);
     roomsList.appendChild(roomItem);
   });
 }
 
-function setupRoomList() {
+// Public lobby: paged, filtered rooms from GET /api/lobby, refreshed when the server says it changed
+const LOBBY_PAGE_SIZE = 10;
+let lobbyOffset = 0;
+
+function getLobbyQuery() {
+  const params = new URLSearchParams({ limit: LOBBY_PAGE_SIZE, offset: lobbyOffset });
+  const filters = {
+    rulesetId: document.getElementById('lobbyRulesetFilter')?.value,
+    matchType: document.getElementById('lobbyMatchFilter')?.value,
+    maxIntensity: document.getElementById('lobbyIntensityFilter')?.value,
+    language: document.getElementById('lobbyLanguageFilter')?.value.trim().toLowerCase(),
+  };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+}
+
+async function loadLobby() {
+  const language = document.getElementById('lobbyLanguageFilter')?.value.trim();
+  if (language && language.length !== 2) return;
+
+  try {
+    const response = await fetch(`/api/lobby?${getLobbyQuery()}`);
+    if (!response.ok) {
+      console.log('⚠️ Failed to load lobby:', response.status);
+      return;
+    }
+    displayLobbyRooms(await response.json());
+  } catch (error) {
+    console.error('❌ Error loading lobby:', error);
+  }
+}
+
+function describeLobbyMatch(match) {
+  if (!match) return 'Open-ended';
+  return match.type === 'best_of' ? `Best of ${match.target}` : `First to ${match.target}`;
+}
+
+const INTENSITY_LABELS = { 1: '😇 Mild', 2: '😏 Bold', 3: '🔥 Extreme' };
+
+function displayLobbyRooms({ rooms, total, offset }) {
   const roomsList = document.getElementById('roomsList');
+  if (!roomsList) return;
+
+  roomsList.innerHTML = '';
+  if (rooms.length === 0) {
+    roomsList.innerHTML = '<li class="list-group-item text-center text-muted">No open rooms. Create one!</li>';
+  }
+
+  rooms.forEach((lobbyRoom) => {
+    const roomItem = document.createElement('li');
+    roomItem.className = 'list-group-item room-item d-flex justify-content-between align-items-center';
+
+    const details = document.createElement('div');
+    const title = document.createElement('div');
+    if (lobbyRoom.host.avatarUrl) {
+      const avatar = document.createElement('img');
+      avatar.src = lobbyRoom.host.avatarUrl;
+      avatar.alt = '';
+      avatar.className = 'rounded-circle me-2';
+      avatar.width = 24;
+      avatar.height = 24;
+      title.appendChild(avatar);
+    }
+    title.appendChild(document.createTextNode(`${lobbyRoom.host.username || 'Someone'}'s room · ${lobbyRoom.playerCount}/${lobbyRoom.capacity} players`));
+
+    const meta = document.createElement('div');
+    meta.className = 'text-muted small';
+    meta.innerText = [
+      lobbyRoom.ruleset.name,
+      describeLobbyMatch(lobbyRoom.match),
+      INTENSITY_LABELS[lobbyRoom.maxIntensity] || '',
+      lobbyRoom.language.toUpperCase(),
+      new Date(lobbyRoom.createdAt).toLocaleTimeString(),
+    ].filter(Boolean).join(' · ');
+
+    details.appendChild(title);
+    details.appendChild(meta);
+
+    const joinBtn = document.createElement('button');
+    joinBtn.className = 'btn btn-sm btn-primary';
+    joinBtn.innerText = 'Join';
+    joinBtn.onclick = () => joinRoom(lobbyRoom.roomCode);
+
+    roomItem.appendChild(details);
+    roomItem.appendChild(joinBtn);
+    roomsList.appendChild(roomItem);
+  });
+
+  const pages = Math.max(1, Math.ceil(total / LOBBY_PAGE_SIZE));
+  document.getElementById('lobbyPageLabel').innerText = `Page ${Math.floor(offset / LOBBY_PAGE_SIZE) + 1} of ${pages}`;
+  document.getElementById('lobbyPrevBtn').disabled = offset === 0;
+  document.getElementById('lobbyNextBtn').disabled = offset + LOBBY_PAGE_SIZE >= total;
+}
+
+function setupLobby() {
+  ['lobbyRulesetFilter', 'lobbyMatchFilter', 'lobbyIntensityFilter', 'lobbyLanguageFilter'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      lobbyOffset = 0;
+      loadLobby();
+    });
+  });
+
+  document.getElementById('lobbyPrevBtn')?.addEventListener('click', () => {
+    lobbyOffset = Math.max(0, lobbyOffset - LOBBY_PAGE_SIZE);
+    loadLobby();
+  });
+  document.getElementById('lobbyNextBtn')?.addEventListener('click', () => {
+    lobbyOffset += LOBBY_PAGE_SIZE;
+    loadLobby();
+  });
+
+  // Channel membership doesn't survive a reconnect, so ask again each time
+  socket.on('connect', () => socket.emit('watchLobby'));
+  if (socket.connected) socket.emit('watchLobby');
+
+  socket.on('lobbyUpdated', () => {
+    // Only worth refetching while the lobby is on screen
+    if (setupDiv.style.display !== 'none') loadLobby();
+  });
+
+  loadLobby();
+}
+
+function setupRoomList() {
   const createRoomBtn = document.getElementById('createRoomBtn');
 
-  // Request available rooms
-  socket.emit('getRooms');
+  loadRulesetOptions();
+  setupLobby();
+
+  // Password rooms need the password box
+  const visibilitySelect = document.getElementById('visibilitySelect');
+  visibilitySelect?.addEventListener('change', () => {
+    document.getElementById('roomPasswordInput').style.display =
+      visibilitySelect.value === 'password' ? 'block' : 'none';
+  });
 
   createRoomBtn.addEventListener('click', () => {
     const roomId = generateRoomId();
     room = roomId;
+    newRoomSettings = {
+      rulesetId: document.getElementById('rulesetSelect')?.value,
+      maxPlayers: Number(document.getElementById('maxPlayersSelect')?.value || 2),
+      loserRule: document.getElementById('loserRuleSelect')?.value,
+      timeoutAction: document.getElementById('timeoutActionSelect')?.value,
+      fairPlay: !!document.getElementById('fairPlayToggle')?.checked,
+      visibility: document.getElementById('visibilitySelect')?.value,
+      language: document.getElementById('roomLanguageInput')?.value.trim().toLowerCase() || undefined,
+      maxIntensity: Number(document.getElementById('roomIntensitySelect')?.value || 2),
+      chatFilter: document.getElementById('chatFilterSelect')?.value,
+    };
+    if (newRoomSettings.visibility === 'password') {
+      roomPassword = document.getElementById('roomPasswordInput')?.value || null;
+    }
     if (username) {
       joinGame();
     } else {
@@ -899,10 +1994,69 @@ function setupRoomList() {
     }
   });
 
-  // Handle room list updates (from socket - live rooms)
-  socket.on('roomsList', (rooms) => {
-    console.log(`🔴 Live rooms from socket: ${rooms.length}`);
-    // We're now using database queries instead for persistent games
+  setupRankedMatchmaking();
+  setupBotPlay();
+}
+
+// Ranked queue: the server pairs us with a player of similar rating and sends the room
+function setupRankedMatchmaking() {
+  const rankedMatchBtn = document.getElementById('rankedMatchBtn');
+  if (!rankedMatchBtn) return;
+
+  let queued = false;
+
+  rankedMatchBtn.addEventListener('click', () => {
+    if (queued) {
+      socket.emit('leaveMatchmaking');
+      return;
+    }
+
+    const accessToken = localStorage.getItem('td_accessToken');
+    if (!accessToken) {
+      alert('Log in to play ranked games!');
+      return;
+    }
+    if (!username) {
+      alert('Please enter a username first!');
+      return;
+    }
+    socket.emit('joinMatchmaking', { token: accessToken });
+  });
+
+  socket.on('matchmakingStatus', (status) => {
+    queued = status.status === 'queued';
+    rankedMatchBtn.innerText = queued
+      ? `⏳ Searching (rating ${status.rating})... click to cancel`
+      : '🏆 Find Ranked Match';
+  });
+
+  socket.on('matchFound', ({ roomCode, opponent }) => {
+    queued = false;
+    rankedMatchBtn.innerText = '🏆 Find Ranked Match';
+    console.log(`🎯 Matched with ${opponent.username} (${opponent.rating}) in room ${roomCode}`);
+    joinRoom(roomCode);
+  });
+}
+
+// Solo play: create a room and have the server seat a bot in it
+function setupBotPlay() {
+  const playBotBtn = document.getElementById('playBotBtn');
+  if (!playBotBtn) return;
+
+  playBotBtn.addEventListener('click', () => {
+    if (!username) {
+      alert('Please enter a username first!');
+      return;
+    }
+
+    room = generateRoomId();
+    newRoomSettings = {
+      rulesetId: document.getElementById('rulesetSelect')?.value,
+      maxPlayers: 2,
+      timeoutAction: document.getElementById('timeoutActionSelect')?.value,
+    };
+    pendingBotDifficulty = document.getElementById('botDifficultySelect').value;
+    joinGame();
   });
 }
 
@@ -5,6 +5,7 @@ const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('../db');
 const { users, user_stats, refresh_tokens, email_verification_tokens, password_reset_tokens } = require('../db/schema');
 const { generateTokenPair, verifyRefreshToken, hashToken } = require('../utils/jwt');
+const { DEFAULT_RATING } = require('../utils/rating');
 const { requireAuth } = require('../middleware/auth');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email');
 const { eq, and, lt } = require('drizzle-orm');
@@ -77,8 +78,11 @@ router.post('/register', authLimiter, validateRegistration, async (req, res) =>
       games_played: 0,
       games_won: 0,
       games_lost: 0,
+      games_forfeited: 0,
       truths_completed: 0,
       dares_completed: 0,
+      rating: DEFAULT_RATING,
+      win_streak: 0,
       created_at: now,
     });
 
@@ -408,6 +412,7 @@ router.get('/me', requireAuth, async (req, res) => {
             gamesPlayed: stats.games_played,
             gamesWon: stats.games_won,
             gamesLost: stats.games_lost,
+            gamesForfeited: stats.games_forfeited || 0,
             truthsCompleted: stats.truths_completed,
             daresCompleted: stats.dares_completed,
           }
@@ -1,23 +1,54 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('../db');
-const { games, game_moves, users, notifications } = require('../db/schema');
+const { games, users, notifications } = require('../db/schema');
 const { requireAuth, optionalAuth } = require('../middleware/auth');
-const { eq, and, or, desc, sql } = require('drizzle-orm');
+const { eq, and, or, desc, sql, inArray } = require('drizzle-orm');
 const {
   generateRoomCode,
   isValidChoice,
   isValidTruthDare,
   formatGameForClient,
+  formatSpectatorSnapshot,
   createInitialGameState,
-  updateGameStateWithChoice,
-  processRoundResult,
+  isValidMatchConfig,
+  getPointsToWin,
+  isValidCapacity,
+  isValidLoserRule,
+  isValidTimeoutAction,
+  MIN_ROOM_CAPACITY,
+  MAX_ROOM_CAPACITY,
+  DEFAULT_LOSER_RULE,
+  LOSER_RULES,
+  DEFAULT_TIMEOUT_ACTION,
+  TIMEOUT_ACTIONS,
+  ROOM_VISIBILITIES,
+  DEFAULT_ROOM_VISIBILITY,
+  MIN_ROOM_PASSWORD_LENGTH,
+  MAX_ROOM_PASSWORD_LENGTH,
+  isValidRoomVisibility,
+  isValidRoomPassword,
+  isValidRoomLanguage,
+  DEFAULT_ROOM_LANGUAGE,
+  DEFAULT_PROMPT_SETTINGS,
 } = require('../utils/gameLogic');
-const { recordGameResult, incrementTruthCompleted, incrementDareCompleted } = require('../utils/stats');
+const { isValidPromptIntensity } = require('../middleware/validation');
+const { CHAT_FILTER_LEVELS, DEFAULT_CHAT_FILTER, isValidChatFilter } = require('../utils/chatFilter');
+const { persistGameEvents } = require('../utils/gameStateSync');
+const { submitChoice, selectTruthDare, submitProof, reviewProof, completeRound } = require('../utils/gameStateMachine');
 const { sendGameInvitationEmail } = require('../utils/email');
+const { DEFAULT_RULESET_ID, isValidRulesetId, getRuleset, formatRulesetForClient } = require('../utils/rulesets');
+const { getParticipants, addParticipant, formatParticipantForClient, playedByUser } = require('../utils/participants');
+const { getRounds, formatRoundForClient, buildReplaySteps } = require('../utils/rounds');
+const { requestRematch, acceptRematch } = require('../utils/rematch');
+const { hashRoomPassword, checkRoomAccess } = require('../utils/roomAccess');
+const { isBotId } = require('../utils/bots');
 
 const router = express.Router();
 
+// REST moves queued per stored game, so two landing at once can't both build on the same state
+const gameLocks = new Map();
+
 /**
  * Helper function to create notification
  */
@@ -40,17 +71,322 @@ async function createNotification(db, userId, type, title, body, data = {}) {
   }
 }
 
+/**
+ * Helper function to parse a games row's game_state for the state machine
+ * Rows saved before the phase lived in game_state fall back to the game_phase column
+ */
+function loadMachineState(game) {
+  const gameState = typeof game.game_state === 'string'
+    ? JSON.parse(game.game_state)
+    : (game.game_state || {});
+
+  return { ...gameState, gamePhase: gameState.gamePhase || game.game_phase || 'lobby' };
+}
+
+/**
+ * Helper function to list everyone playing (creator/opponent for games without participant rows)
+ */
+async function getPlayerIds(game) {
+  const participants = await getParticipants(game.id);
+  return participants.length > 0
+    ? participants.map(p => p.user_id)
+    : [game.creator_id, game.opponent_id].filter(Boolean);
+}
+
+/**
+ * Helper function to run a game's stored-state work after any still in flight for it
+ */
+function withGameLock(gameId, fn) {
+  const run = (gameLocks.get(gameId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  gameLocks.set(gameId, tail);
+  tail.then(() => {
+    if (gameLocks.get(gameId) === tail) gameLocks.delete(gameId);
+  });
+  return run;
+}
+
+/**
+ * Helper function to run a state machine action for a REST player
+ * Rooms live on the socket server go through it so socket players see the move;
+ * otherwise the action runs against the stored state, re-read under the game's lock, and is saved back
+ * Resolves to { state, events } or { error, status, code }
+ */
+async function runGameAction(req, game, action, params) {
+  const liveGames = req.app.get('liveGames');
+
+  if (liveGames && liveGames.has(game.room_code)) {
+    const participants = await getParticipants(game.id);
+    const seat = participants.find(p => p.user_id === params.userId);
+    if (seat) {
+      liveGames.seat(game.room_code, seat.user_id, seat.username);
+    }
+    return liveGames.apply(game.room_code, action, params);
+  }
+
+  return withGameLock(game.id, async () => {
+    const db = getDatabase();
+    const current = await db
+      .select()
+      .from(games)
+      .where(eq(games.id, game.id))
+      .limit(1);
+
+    if (current.length === 0) {
+      return { error: 'Game not found', status: 404 };
+    }
+
+    const playerIds = await getPlayerIds(current[0]);
+    const result = action(loadMachineState(current[0]), { ...params, playerIds });
+    if (result.error) return result;
+
+    await db
+      .update(games)
+      .set({
+        game_state: JSON.stringify(result.state),
+        game_phase: result.state.gamePhase,
+        updated_at: new Date(),
+      })
+      .where(eq(games.id, game.id));
+
+    await persistGameEvents({ roomCode: game.room_code, gameId: game.id }, result.events, playerIds);
+    return result;
+  });
+}
+
+/**
+ * Helper function to work out which player a request is for
+ * Signed-in users are their token's user. Anonymous players send body.anonymousId,
+ * which only counts as an anon_ ID: acting as a registered user takes their token.
+ * Bot IDs are refused too, since bots are only ever seated by the server
+ * @returns {string|null} Player's user ID
+ */
+function getRequestPlayerId(req) {
+  if (req.user) return req.user.id;
+
+  const anonymousId = req.body?.anonymousId;
+  return typeof anonymousId === 'string' && anonymousId.startsWith('anon_') && !isBotId(anonymousId) ? anonymousId : null;
+}
+
+/**
+ * Helper function to refuse a request that doesn't say which player it is for
+ */
+function sendPlayerRequired(res) {
+  res.status(401).json({
+    error: 'Authentication required',
+    message: 'Log in, or send anonymousId (anon_...) when playing without an account',
+  });
+}
+
+/**
+ * Helper function to send a state machine refusal
+ */
+function sendActionError(res, result) {
+  const errorNames = { 403: 'Forbidden', 404: 'Not found', 500: 'Internal server error' };
+
+  res.status(result.status).json({
+    error: errorNames[result.status] || 'Validation error',
+    message: result.error,
+    code: result.code,
+  });
+}
+
+/**
+ * Helper function to tell lobby watchers the public room list may have changed
+ */
+function notifyLobby(req) {
+  const lobby = req.app.get('lobby');
+  if (lobby) lobby.notify();
+}
+
+/**
+ * Helper function to tell a finished game's room about a rematch while it is live on the socket server
+ * (an accepted rematch is a new room, so the lobby hears about it too)
+ * @param {Object} req - Express request
+ * @param {Object} result - requestRematch/acceptRematch result
+ */
+async function announceInRoom(req, result) {
+  if (result.game) notifyLobby(req);
+
+  const liveGames = req.app.get('liveGames');
+  const room = result.game ? result.game.previousRoomCode : result.request.roomCode;
+
+  if (liveGames && liveGames.has(room)) {
+    await liveGames.announceRematch(room, result);
+  }
+}
+
+/**
+ * Helper function to build a host control route (utils/hostControls.js)
+ * The host is the signed-in user, or an anonymous host's body.anonymousId; the
+ * player acted on comes from the URL or body.userId, a new chat filter from
+ * body.level. Replies with the room's host settings
+ * @param {string} action - Host action
+ * @param {string} successMessage - Reply message
+ * @param {string} failureMessage - Message for unexpected failures
+ */
+function hostActionRoute(action, successMessage, failureMessage) {
+  return async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const userId = getRequestPlayerId(req);
+      const targetId = req.params.userId || req.body?.userId || null;
+      const level = req.body?.level;
+      const db = getDatabase();
+
+      if (!userId) {
+        return sendPlayerRequired(res);
+      }
+
+      const gameResult = await db
+        .select()
+        .from(games)
+        .where(eq(games.id, gameId))
+        .limit(1);
+
+      if (gameResult.length === 0) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Game not found',
+        });
+      }
+
+      const result = await req.app.get('liveGames').moderate(gameResult[0].room_code, { action, userId, targetId, level });
+      if (result.error) {
+        return sendActionError(res, result);
+      }
+
+      res.status(200).json({
+        message: successMessage,
+        host: {
+          hostId: result.state.hostId,
+          locked: result.state.locked,
+          banned: result.state.banned,
+          chatFilter: result.state.chatFilter,
+        },
+      });
+    } catch (error) {
+      console.error(`Host ${action} error:`, error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: failureMessage,
+      });
+    }
+  };
+}
+
 /**
  * POST /api/games/create
  * Create a new game
+ * Body (optional): match - { type: 'best_of' | 'first_to', target: number }
+ *                  rulesetId - Hand-game ruleset (defaults to classic RPS)
+ *                  maxPlayers - Room capacity, 2-8 (defaults to 2)
+ *                  loserRule - 'elimination' or 'random' (group rooms)
+ *                  timeoutAction - 'auto_pick' or 'forfeit' when a turn timer runs out
+ *                  fairPlay - true for commit-reveal moves (played over the socket)
+ *                  visibility - 'public', 'unlisted', 'password' or 'friends' (defaults to public)
+ *                  password - Room password, required for 'password' rooms
+ *                  language - Two-letter language code shown in the lobby (defaults to en)
+ *                  maxIntensity - Strongest prompts offered, 1-3 (defaults to 2)
+ *                  chatFilter - Chat strictness: 'family', 'casual' or 'adult' (defaults to casual)
  */
 router.post('/create', optionalAuth, async (req, res) => {
   try {
     const creatorId = req.user?.id || null;
     const userType = req.user ? 'authenticated' : 'anonymous';
+    const {
+      match = null,
+      rulesetId = DEFAULT_RULESET_ID,
+      maxPlayers = MIN_ROOM_CAPACITY,
+      loserRule = DEFAULT_LOSER_RULE,
+      timeoutAction = DEFAULT_TIMEOUT_ACTION,
+      fairPlay = false,
+      visibility = DEFAULT_ROOM_VISIBILITY,
+      password,
+      language = DEFAULT_ROOM_LANGUAGE,
+      maxIntensity = DEFAULT_PROMPT_SETTINGS.maxIntensity,
+      chatFilter = DEFAULT_CHAT_FILTER,
+    } = req.body || {};
 
     console.log(`🎮 [CREATE GAME] Request from ${userType} user: ${creatorId || 'NULL'}`);
 
+    if (match && !isValidMatchConfig(match)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Match must be best_of 3, 5 or 7, or first_to 1-21 points',
+      });
+    }
+
+    if (!isValidRulesetId(rulesetId)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Unknown ruleset',
+      });
+    }
+
+    if (!isValidCapacity(maxPlayers)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Max players must be between ${MIN_ROOM_CAPACITY} and ${MAX_ROOM_CAPACITY}`,
+      });
+    }
+
+    if (!isValidLoserRule(loserRule)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Loser rule must be one of: ${LOSER_RULES.join(', ')}`,
+      });
+    }
+
+    if (!isValidTimeoutAction(timeoutAction)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Timeout action must be one of: ${TIMEOUT_ACTIONS.join(', ')}`,
+      });
+    }
+
+    if (!isValidRoomVisibility(visibility)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}`,
+      });
+    }
+
+    if (visibility === 'password' && !isValidRoomPassword(password)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Room password must be ${MIN_ROOM_PASSWORD_LENGTH}-${MAX_ROOM_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    if (visibility === 'friends' && !creatorId) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Sign in to create a friends-only room',
+      });
+    }
+
+    if (!isValidRoomLanguage(language)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Language must be a two-letter code such as en',
+      });
+    }
+
+    if (!isValidPromptIntensity(maxIntensity)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Max intensity must be 1, 2, or 3',
+      });
+    }
+
+    if (!isValidChatFilter(chatFilter)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Chat filter must be one of: ${CHAT_FILTER_LEVELS.join(', ')}`,
+      });
+    }
+
     const db = getDatabase();
 
     // Generate unique room code
@@ -82,7 +418,17 @@ router.post('/create', optionalAuth, async (req, res) => {
     // Create game
     const gameId = uuidv4();
     const now = new Date();
-    const initialState = createInitialGameState(creatorId);
+    const initialState = createInitialGameState(creatorId, {
+      match,
+      rulesetId,
+      capacity: maxPlayers,
+      loserRule,
+      timeoutAction,
+      fairPlay: fairPlay === true,
+      language,
+      maxIntensity,
+      chatFilter,
+    });
 
     console.log(`✅ [CREATE GAME] Generated room code: ${roomCode}`);
 
@@ -94,11 +440,20 @@ router.post('/create', optionalAuth, async (req, res) => {
       status: 'waiting',
       current_turn: null,
       game_state: JSON.stringify(initialState),
+      game_phase: initialState.gamePhase,
       winner_id: null,
+      visibility,
+      password_hash: visibility === 'password' ? await hashRoomPassword(password) : null,
       created_at: now,
       updated_at: now,
     });
 
+    if (creatorId) {
+      await addParticipant(gameId, creatorId, req.user.username);
+    }
+
+    notifyLobby(req);
+
     console.log(`✅ [CREATE GAME] Game created successfully - ID: ${gameId}, Room: ${roomCode}, Creator: ${creatorId || 'NULL'}`);
 
     res.status(201).json({
@@ -107,6 +462,20 @@ router.post('/create', optionalAuth, async (req, res) => {
         id: gameId,
         roomCode,
         status: 'waiting',
+        match: initialState.match,
+        pointsToWin: getPointsToWin(initialState.match),
+        ruleset: formatRulesetForClient(getRuleset(rulesetId)),
+        capacity: initialState.capacity,
+        loserRule: initialState.loserRule,
+        timeoutAction: initialState.timeoutAction,
+        fairPlay: initialState.fairPlay,
+        visibility,
+        language: initialState.language,
+        maxIntensity: initialState.promptSettings.maxIntensity,
+        chatFilter: initialState.chatFilter,
+        participants: creatorId
+          ? [{ userId: creatorId, username: req.user.username, seat: 0 }]
+          : [],
         gameState: initialState,
       },
     });
@@ -122,13 +491,19 @@ router.post('/create', optionalAuth, async (req, res) => {
 /**
  * POST /api/games/join/:roomCode
  * Join an existing game
+ * Body (optional): password - Room password for 'password' rooms
  */
 router.post('/join/:roomCode', optionalAuth, async (req, res) => {
   try {
     const { roomCode } = req.params;
-    const opponentId = req.user?.id || null;
+    const playerId = getRequestPlayerId(req);
+    const playerName = req.user?.username || req.body?.username || 'Player';
     const db = getDatabase();
 
+    if (!playerId) {
+      return sendPlayerRequired(res);
+    }
+
     // Find game
     const gameResult = await db
       .select()
@@ -145,33 +520,69 @@ router.post('/join/:roomCode', optionalAuth, async (req, res) => {
 
     const game = gameResult[0];
 
-    // Check if game is joinable
-    if (game.status !== 'waiting') {
+    const gameState = typeof game.game_state === 'string'
+      ? JSON.parse(game.game_state)
+      : (game.game_state || {});
+    const capacity = gameState.capacity || MIN_ROOM_CAPACITY;
+
+    // Check if game is joinable (group rooms keep accepting players while seats remain)
+    if (game.status !== 'waiting' && !(game.status === 'in_progress' && capacity > MIN_ROOM_CAPACITY)) {
       return res.status(400).json({
         error: 'Validation error',
         message: 'Game is not accepting players',
       });
     }
 
-    if (game.opponent_id) {
+    const participants = await getParticipants(game.id);
+    const alreadySeated = participants.some(p => p.user_id === playerId);
+    const seatCount = Math.max(participants.length, [game.creator_id, game.opponent_id].filter(Boolean).length);
+
+    if (!alreadySeated && (seatCount >= capacity || (capacity === MIN_ROOM_CAPACITY && game.opponent_id))) {
       return res.status(400).json({
         error: 'Validation error',
         message: 'Game is full',
       });
     }
 
-    // Update game with opponent
+    if (!alreadySeated) {
+      const denied = await checkRoomAccess(
+        {
+          visibility: game.visibility,
+          passwordHash: game.password_hash,
+          hostId: gameState.hostId || game.creator_id,
+          banned: gameState.banned,
+          locked: gameState.locked,
+        },
+        { userId: playerId, password: req.body?.password }
+      );
+      if (denied) {
+        return sendActionError(res, denied);
+      }
+    }
+
+    // First registered joiner becomes the opponent; everyone gets a participant seat
+    // (opponent_id and current_turn reference users, so anonymous players only have the seat)
     const now = new Date();
+    const updates = { status: 'in_progress', updated_at: now };
+    if (!game.opponent_id && playerId !== game.creator_id && !playerId.startsWith('anon_')) {
+      updates.opponent_id = playerId;
+      updates.current_turn = game.creator_id || playerId;
+    }
+
     await db
       .update(games)
-      .set({
-        opponent_id: opponentId,
-        status: 'in_progress',
-        current_turn: game.creator_id || opponentId,
-        updated_at: now,
-      })
+      .set(updates)
       .where(eq(games.id, game.id));
 
+    await addParticipant(game.id, playerId, playerName);
+    notifyLobby(req);
+
+    // Players already on the socket see the new seat straight away
+    const liveGames = req.app.get('liveGames');
+    if (liveGames && liveGames.has(game.room_code)) {
+      liveGames.seat(game.room_code, playerId, playerName);
+    }
+
     // Create notification for creator if they're authenticated
     if (game.creator_id) {
       await createNotification(
@@ -184,12 +595,16 @@ router.post('/join/:roomCode', optionalAuth, async (req, res) => {
       );
     }
 
+    const seated = await getParticipants(game.id);
+
     res.status(200).json({
       message: 'Joined game successfully',
       game: {
         id: game.id,
         roomCode: game.room_code,
         status: 'in_progress',
+        capacity,
+        participants: seated.map(formatParticipantForClient),
       },
     });
   } catch (error) {
@@ -237,18 +652,15 @@ router.get('/history/me', optionalAuth, async (req, res) => {
       .from(games)
       .where(
         and(
-          or(
-            eq(games.creator_id, userId),
-            eq(games.opponent_id, userId)
-          ),
-          eq(games.status, 'completed')
+          playedByUser(db, userId),
+          inArray(games.status, ['completed', 'forfeit'])
         )
       )
       .orderBy(desc(games.updated_at))
       .limit(parseInt(limit))
       .offset(parseInt(offset));
 
-    console.log(`✅ [GAME HISTORY] Found ${gamesResult.length} completed games for user ${userId}`);
+    console.log(`✅ [GAME HISTORY] Found ${gamesResult.length} finished games for user ${userId}`);
 
     if (gamesResult.length > 0) {
       console.log(`📋 [GAME HISTORY] Game IDs: ${gamesResult.map(g => g.room_code).join(', ')}`);
@@ -295,12 +707,7 @@ router.get('/my-games', optionalAuth, async (req, res) => {
     const db = getDatabase();
 
     // Build query conditions
-    const conditions = [
-      or(
-        eq(games.creator_id, userId),
-        eq(games.opponent_id, userId)
-      )
-    ];
+    const conditions = [playedByUser(db, userId)];
 
     // Add status filter if provided
     if (status) {
@@ -365,10 +772,7 @@ router.get('/active', optionalAuth, async (req, res) => {
       .from(games)
       .where(
         and(
-          or(
-            eq(games.creator_id, userId),
-            eq(games.opponent_id, userId)
-          ),
+          playedByUser(db, userId),
           or(
             eq(games.status, 'waiting'),
             eq(games.status, 'in_progress')
@@ -381,7 +785,9 @@ router.get('/active', optionalAuth, async (req, res) => {
 
     // Log each active game details and get opponent info
     const formattedGames = await Promise.all(gamesResult.map(async game => {
-      const role = game.creator_id === userId ? 'creator' : 'opponent';
+      const role = game.creator_id === userId
+        ? 'creator'
+        : game.opponent_id === userId ? 'opponent' : 'player';
       const opponentUserId = game.creator_id === userId ? game.opponent_id : game.creator_id;
 
       console.log(`   🎯 Room ${game.room_code}: ${game.status} (user is ${role})`);
@@ -421,10 +827,13 @@ router.get('/active', optionalAuth, async (req, res) => {
         }
       }
 
+      const participants = await getParticipants(game.id);
+
       return {
         ...formatGameForClient(game),
         opponentName,
         userRole: role,
+        participants: participants.map(formatParticipantForClient),
       };
     }));
 
@@ -464,8 +873,19 @@ router.get('/:gameId', optionalAuth, async (req, res) => {
     }
 
     const game = formatGameForClient(gameResult[0]);
+    const participants = await getParticipants(gameId);
 
-    res.status(200).json({ game });
+    res.status(200).json({
+      game: {
+        ...game,
+        capacity: game.gameState?.capacity || MIN_ROOM_CAPACITY,
+        loserRule: game.gameState?.loserRule || DEFAULT_LOSER_RULE,
+        timeoutAction: game.gameState?.timeoutAction || DEFAULT_TIMEOUT_ACTION,
+        fairPlay: game.gameState?.fairPlay || false,
+        deadline: game.gameState?.deadline || null,
+        participants: participants.map(formatParticipantForClient),
+      },
+    });
   } catch (error) {
     console.error('Get game error:', error);
     res.status(500).json({
@@ -476,24 +896,166 @@ router.get('/:gameId', optionalAuth, async (req, res) => {
 });
 
 /**
- * POST /api/games/:gameId/move
- * Make a move (RPS choice)
+ * GET /api/games/:gameId/spectate
+ * Read-only snapshot for spectators (moves of the current throw stay hidden)
  */
-router.post('/:gameId/move', optionalAuth, async (req, res) => {
+router.get('/:gameId/spectate', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const db = getDatabase();
+
+    const gameResult = await db
+      .select()
+      .from(games)
+      .where(eq(games.id, gameId))
+      .limit(1);
+
+    if (gameResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Game not found',
+      });
+    }
+
+    const participants = await getParticipants(gameId);
+    const snapshot = formatSpectatorSnapshot(
+      gameResult[0],
+      participants.map(formatParticipantForClient)
+    );
+
+    res.status(200).json({ game: snapshot });
+  } catch (error) {
+    console.error('Spectate game error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch game',
+    });
+  }
+});
+
+/**
+ * GET /api/games/:gameId/rounds
+ * Round history: throws, outcome, truth/dare pick, prompt and how each round ended
+ */
+router.get('/:gameId/rounds', optionalAuth, async (req, res) => {
   try {
     const { gameId } = req.params;
-    const { choice } = req.body;
-    const userId = req.user?.id || req.body.anonymousId; // Support anonymous users
     const db = getDatabase();
 
-    // Validate choice
-    if (!isValidChoice(choice)) {
+    const gameResult = await db
+      .select({ id: games.id })
+      .from(games)
+      .where(eq(games.id, gameId))
+      .limit(1);
+
+    if (gameResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Game not found',
+      });
+    }
+
+    const rounds = await getRounds(gameId);
+
+    res.status(200).json({
+      rounds: rounds.map(formatRoundForClient),
+      total: rounds.length,
+    });
+  } catch (error) {
+    console.error('Get rounds error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch rounds',
+    });
+  }
+});
+
+/**
+ * GET /api/games/:gameId/replay
+ * Step-by-step replay of a finished game (one step per round, with the running score)
+ */
+router.get('/:gameId/replay', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const db = getDatabase();
+
+    const gameResult = await db
+      .select()
+      .from(games)
+      .where(eq(games.id, gameId))
+      .limit(1);
+
+    if (gameResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Game not found',
+      });
+    }
+
+    const game = gameResult[0];
+    if (game.status !== 'completed' && game.status !== 'forfeit') {
       return res.status(400).json({
         error: 'Validation error',
-        message: 'Invalid choice. Must be rock, paper, or scissors',
+        message: 'Replays are available once the game has finished',
       });
     }
 
+    const gameState = loadMachineState(game);
+    const rounds = (await getRounds(gameId)).map(formatRoundForClient);
+
+    // Names of everyone who played, including players who have since left
+    const usernames = {};
+    Object.entries(gameState.users || {}).forEach(([userId, user]) => { usernames[userId] = user.username; });
+    (await getParticipants(gameId)).forEach(p => { usernames[p.user_id] = p.username; });
+
+    const unknownIds = [...new Set(rounds.flatMap(round => round.throws.flatMap(t => Object.keys(t.moves))))]
+      .filter(userId => !usernames[userId] && !userId.startsWith('anon_'));
+    if (unknownIds.length > 0) {
+      const rows = await db
+        .select({ id: users.id, username: users.username })
+        .from(users)
+        .where(inArray(users.id, unknownIds));
+      rows.forEach(row => { usernames[row.id] = row.username; });
+    }
+
+    const ruleset = getRuleset(gameState.rulesetId);
+
+    res.status(200).json({
+      replay: {
+        gameId: game.id,
+        roomCode: game.room_code,
+        status: game.status,
+        winnerId: game.winner_id,
+        match: gameState.match || null,
+        ruleset: formatRulesetForClient(ruleset),
+        players: Object.entries(usernames).map(([userId, username]) => ({ userId, username })),
+        steps: buildReplaySteps(rounds, { usernames, ruleset }),
+      },
+    });
+  } catch (error) {
+    console.error('Get replay error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build replay',
+    });
+  }
+});
+
+/**
+ * POST /api/games/:gameId/move
+ * Make a move (RPS choice)
+ * Goes through the same state machine as socket players, so REST and socket players can share a game
+ */
+router.post('/:gameId/move', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { choice } = req.body;
+    const userId = getRequestPlayerId(req); // Support anonymous users
+    if (!userId) {
+      return sendPlayerRequired(res);
+    }
+    const db = getDatabase();
+
     // Get game
     const gameResult = await db
       .select()
@@ -518,78 +1080,76 @@ router.post('/:gameId/move', optionalAuth, async (req, res) => {
       });
     }
 
-    // Parse game state
-    const gameState = typeof game.game_state === 'string'
-      ? JSON.parse(game.game_state)
-      : game.game_state;
+    const gameState = loadMachineState(game);
 
-    // Update game state with choice
-    const updatedState = updateGameStateWithChoice(gameState, userId, choice);
+    // Fair-play games only accept committed moves over the socket
+    if (gameState.fairPlay) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'This game uses fair play; moves must be committed and revealed over the socket',
+      });
+    }
 
-    // Record move
-    await db.insert(game_moves).values({
-      id: uuidv4(),
-      game_id: gameId,
-      user_id: req.user?.id || null,
-      move_type: 'rps',
-      move_data: JSON.stringify({ choice }),
-      timestamp: new Date(),
-    });
-
-    // Check if both players have made their choice
-    const creatorId = game.creator_id;
-    const opponentId = game.opponent_id;
-
-    if (updatedState.choices[creatorId] && updatedState.choices[opponentId]) {
-      // Process round result
-      const finalState = processRoundResult(updatedState, creatorId, opponentId);
-
-      // Update game
-      await db
-        .update(games)
-        .set({
-          game_state: JSON.stringify(finalState),
-          updated_at: new Date(),
-        })
-        .where(eq(games.id, gameId));
-
-      // Notify opponent if they're authenticated
-      const opponentUserId = userId === creatorId ? opponentId : creatorId;
-      if (opponentUserId) {
+    // Validate choice against the game's ruleset
+    const ruleset = getRuleset(gameState.rulesetId);
+    if (!isValidChoice(choice, gameState.rulesetId)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: ruleset
+          ? `Invalid choice. Must be one of: ${ruleset.moves.map(m => m.id).join(', ')}`
+          : 'Invalid choice for this game',
+      });
+    }
+
+    const result = await runGameAction(req, game, submitChoice, { userId, choice });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    const resolved = result.events.find(e => e.type === 'throwResolved');
+    if (!resolved) {
+      return res.status(200).json({
+        message: 'Move recorded. Waiting for opponent.',
+        gamePhase: result.state.gamePhase,
+      });
+    }
+
+    const finalState = result.state;
+
+    // Notify the other players once the round is decided
+    if (resolved.outcome === 'round') {
+      const playerIds = await getPlayerIds(game);
+      for (const playerId of playerIds.filter(id => id !== userId)) {
         await createNotification(
           db,
-          opponentUserId,
+          playerId,
           'game_round_result',
           'Round Complete!',
-          finalState.winner === opponentUserId
-            ? 'You won the round! Choose truth or dare.'
-            : 'Your opponent won the round.',
+          finalState.winner === playerId
+            ? 'You won the round! Your opponent picks truth or dare.'
+            : finalState.loser === playerId
+              ? 'You lost the round. Choose truth or dare.'
+              : 'You were safe this round.',
           { gameId, roomCode: game.room_code }
         );
       }
-
-      res.status(200).json({
-        message: 'Move recorded and round processed',
-        roundResult: {
-          winner: finalState.winner,
-          loser: finalState.loser,
-          awaitingTruthDare: finalState.awaitingTruthDare,
-        },
-      });
-    } else {
-      // Update game state only
-      await db
-        .update(games)
-        .set({
-          game_state: JSON.stringify(updatedState),
-          updated_at: new Date(),
-        })
-        .where(eq(games.id, gameId));
-
-      res.status(200).json({
-        message: 'Move recorded. Waiting for opponent.',
-      });
     }
+
+    res.status(200).json({
+      message: finalState.activePlayers
+        ? 'Move recorded. Remaining players throw again.'
+        : 'Move recorded and round processed',
+      gamePhase: finalState.gamePhase,
+      roundResult: {
+        winner: finalState.winner,
+        loser: finalState.loser,
+        activePlayers: finalState.activePlayers || null,
+        safePlayers: finalState.safePlayers || [],
+        awaitingTruthDare: finalState.awaitingTruthDare,
+        score: finalState.score,
+        matchWinner: finalState.matchWinner || null,
+      },
+    });
   } catch (error) {
     console.error('Make move error:', error);
     res.status(500).json({
@@ -601,13 +1161,16 @@ router.post('/:gameId/move', optionalAuth, async (req, res) => {
 
 /**
  * POST /api/games/:gameId/truth-dare
- * Select truth or dare
+ * Select truth or dare (the round's loser picks, as on the socket)
  */
 router.post('/:gameId/truth-dare', optionalAuth, async (req, res) => {
   try {
     const { gameId } = req.params;
     const { selection } = req.body;
-    const userId = req.user?.id || req.body.anonymousId;
+    const userId = getRequestPlayerId(req);
+    if (!userId) {
+      return sendPlayerRequired(res);
+    }
     const db = getDatabase();
 
     // Validate selection
@@ -632,49 +1195,145 @@ router.post('/:gameId/truth-dare', optionalAuth, async (req, res) => {
       });
     }
 
-    const game = gameResult[0];
-    const gameState = typeof game.game_state === 'string'
-      ? JSON.parse(game.game_state)
-      : game.game_state;
+    const result = await runGameAction(req, gameResult[0], selectTruthDare, { userId, selection });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    res.status(200).json({
+      message: `${selection} selected`,
+      selection,
+      gamePhase: result.state.gamePhase,
+    });
+  } catch (error) {
+    console.error('Truth/dare selection error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to record selection',
+    });
+  }
+});
+
+/**
+ * POST /api/games/:gameId/proof
+ * The round's loser proves their truth/dare
+ * Body: type - 'text', 'photo', 'video' or 'audio'
+ *       content - Text answer, or the file URL returned by POST /upload/:room/:username
+ */
+router.post('/:gameId/proof', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { type, content } = req.body;
+    const userId = getRequestPlayerId(req);
+    const db = getDatabase();
 
-    // Verify user is the winner
-    if (gameState.winner !== userId) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Only the winner can select truth or dare',
+    if (!userId) {
+      return sendPlayerRequired(res);
+    }
+
+    // Get game
+    const gameResult = await db
+      .select()
+      .from(games)
+      .where(eq(games.id, gameId))
+      .limit(1);
+
+    if (gameResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Game not found',
       });
     }
 
-    // Update game state
-    gameState.truthDareSelection = selection;
+    const result = await runGameAction(req, gameResult[0], submitProof, { userId, type, content });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
 
-    await db
-      .update(games)
-      .set({
-        game_state: JSON.stringify(gameState),
-        updated_at: new Date(),
-      })
-      .where(eq(games.id, gameId));
+    // Let the winner know there is something to review
+    await createNotification(
+      db,
+      result.state.winner,
+      'game_proof_submitted',
+      'Proof Submitted',
+      `Your opponent sent proof of their ${result.state.truthDareSelection}. Approve or reject it.`,
+      { gameId, roomCode: gameResult[0].room_code }
+    );
 
-    // Record move
-    await db.insert(game_moves).values({
-      id: uuidv4(),
-      game_id: gameId,
-      user_id: req.user?.id || null,
-      move_type: selection,
-      move_data: JSON.stringify({ selection }),
-      timestamp: new Date(),
+    res.status(200).json({
+      message: 'Proof submitted. Waiting for approval.',
+      proof: result.state.proof,
+      gamePhase: result.state.gamePhase,
     });
+  } catch (error) {
+    console.error('Proof submission error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to submit proof',
+    });
+  }
+});
+
+/**
+ * POST /api/games/:gameId/proof/review
+ * The round's winner approves or rejects the loser's proof
+ * Only approved truths/dares count towards user stats
+ * Body: approved - true or false
+ *       onReject - 'retry' (default) or 'penalty' (the loser must do a dare instead)
+ */
+router.post('/:gameId/proof/review', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { approved, onReject } = req.body;
+    const userId = getRequestPlayerId(req);
+    const db = getDatabase();
+
+    if (!userId) {
+      return sendPlayerRequired(res);
+    }
+
+    // Get game
+    const gameResult = await db
+      .select()
+      .from(games)
+      .where(eq(games.id, gameId))
+      .limit(1);
+
+    if (gameResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Game not found',
+      });
+    }
+
+    const result = await runGameAction(req, gameResult[0], reviewProof, { userId, approved, onReject });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    const { proof, loser } = result.state;
+    await createNotification(
+      db,
+      loser,
+      'game_proof_reviewed',
+      approved === true ? 'Proof Approved' : 'Proof Rejected',
+      approved === true
+        ? 'Your proof was approved!'
+        : proof.penalty ? 'Your proof was rejected. Complete a penalty dare.' : 'Your proof was rejected. Try again.',
+      { gameId, roomCode: gameResult[0].room_code }
+    );
 
     res.status(200).json({
-      message: `${selection} selected`,
-      selection,
+      message: approved === true ? 'Proof approved' : 'Proof rejected',
+      proof,
+      selection: result.state.truthDareSelection,
+      gamePhase: result.state.gamePhase,
     });
   } catch (error) {
-    console.error('Truth/dare selection error:', error);
+    console.error('Proof review error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to record selection',
+      message: 'Failed to review proof',
     });
   }
 });
@@ -682,11 +1341,16 @@ router.post('/:gameId/truth-dare', optionalAuth, async (req, res) => {
 /**
  * POST /api/games/:gameId/complete
  * Complete truth/dare and end round
+ * Series carry on until clinched; open-ended games end here unless nextRound is true
  */
 router.post('/:gameId/complete', optionalAuth, async (req, res) => {
   try {
     const { gameId } = req.params;
-    const userId = req.user?.id || req.body.anonymousId;
+    const userId = getRequestPlayerId(req);
+    if (!userId) {
+      return sendPlayerRequired(res);
+    }
+    const nextRound = req.body?.nextRound === true;
     const db = getDatabase();
 
     // Get game
@@ -703,75 +1367,161 @@ router.post('/:gameId/complete', optionalAuth, async (req, res) => {
       });
     }
 
-    const game = gameResult[0];
-    const gameState = typeof game.game_state === 'string'
-      ? JSON.parse(game.game_state)
-      : game.game_state;
+    const gameState = loadMachineState(gameResult[0]);
+    const result = await runGameAction(req, gameResult[0], completeRound, {
+      userId,
+      endGame: !gameState.match && !nextRound,
+    });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
 
-    // Mark truth/dare as completed
-    gameState.truthDareCompleted = true;
+    const gameOver = result.state.gamePhase === 'completed';
 
-    // Update game
-    await db
-      .update(games)
-      .set({
-        game_state: JSON.stringify(gameState),
-        winner_id: gameState.winner,
-        status: 'completed',
-        updated_at: new Date(),
-      })
-      .where(eq(games.id, gameId));
+    res.status(200).json({
+      message: gameOver ? 'Game completed' : 'Round completed',
+      gamePhase: result.state.gamePhase,
+      roundNumber: result.state.roundNumber || 1,
+      score: result.state.score || null,
+      matchWinner: result.state.matchWinner || null,
+    });
+  } catch (error) {
+    console.error('Complete game error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to complete game',
+    });
+  }
+});
 
-    // Update stats if users are authenticated
-    if (game.creator_id && game.opponent_id) {
-      await recordGameResult({
-        winnerId: gameState.winner === game.creator_id ? game.creator_id : game.opponent_id,
-        loserId: gameState.loser === game.creator_id ? game.creator_id : game.opponent_id,
-      });
 
-      // Update truth/dare stats
-      if (gameState.truthDareSelection === 'truth' && gameState.loser) {
-        if (gameState.loser === game.creator_id) {
-          await incrementTruthCompleted(game.creator_id);
-        } else {
-          await incrementTruthCompleted(game.opponent_id);
-        }
-      } else if (gameState.truthDareSelection === 'dare' && gameState.loser) {
-        if (gameState.loser === game.creator_id) {
-          await incrementDareCompleted(game.creator_id);
-        } else {
-          await incrementDareCompleted(game.opponent_id);
-        }
-      }
+/**
+ * POST /api/games/:gameId/rematch
+ * Ask the other players of a finished game for a rematch
+ * If one of them already asked, this accepts their request instead
+ */
+router.post('/:gameId/rematch', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const userId = getRequestPlayerId(req);
+    const username = req.user?.username || req.body?.username || 'Player';
+
+    if (!userId) {
+      return sendPlayerRequired(res);
     }
 
-    res.status(200).json({
-      message: 'Game completed',
+    const result = await requestRematch({ gameId, userId, username });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    await announceInRoom(req, result);
+
+    if (result.game) {
+      return res.status(201).json({ message: 'Rematch accepted', game: result.game });
+    }
+    res.status(200).json({ message: 'Rematch requested', request: result.request });
+  } catch (error) {
+    console.error('Request rematch error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to request rematch',
     });
+  }
+});
+
+/**
+ * POST /api/games/:gameId/rematch/accept
+ * Accept a rematch request; the new game links back with previousGameId
+ */
+router.post('/:gameId/rematch/accept', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const userId = getRequestPlayerId(req);
+    const username = req.user?.username || req.body?.username || 'Player';
+
+    if (!userId) {
+      return sendPlayerRequired(res);
+    }
+
+    const result = await acceptRematch({ gameId, userId, username });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    await announceInRoom(req, result);
+
+    res.status(201).json({ message: 'Rematch accepted', game: result.game });
   } catch (error) {
-    console.error('Complete game error:', error);
+    console.error('Accept rematch error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to complete game',
+      message: 'Failed to accept rematch',
     });
   }
 });
 
+/**
+ * POST /api/games/:gameId/kick
+ * Host only: remove a player or spectator from the room (they may join again)
+ * Body: userId - Player to remove
+ */
+router.post('/:gameId/kick', optionalAuth, hostActionRoute('kick', 'Player removed', 'Failed to remove player'));
+
+/**
+ * POST /api/games/:gameId/ban
+ * Host only: remove a user from the room and stop them rejoining it
+ * Body: userId - User to ban
+ */
+router.post('/:gameId/ban', optionalAuth, hostActionRoute('ban', 'User banned', 'Failed to ban user'));
+
+/**
+ * DELETE /api/games/:gameId/ban/:userId
+ * Host only: lift a ban
+ */
+router.delete('/:gameId/ban/:userId', optionalAuth, hostActionRoute('unban', 'Ban lifted', 'Failed to lift ban'));
+
+/**
+ * POST /api/games/:gameId/lock
+ * Host only: lock the room so nobody new can join or watch
+ */
+router.post('/:gameId/lock', optionalAuth, hostActionRoute('lock', 'Room locked', 'Failed to lock room'));
+
+/**
+ * DELETE /api/games/:gameId/lock
+ * Host only: unlock the room
+ */
+router.delete('/:gameId/lock', optionalAuth, hostActionRoute('unlock', 'Room unlocked', 'Failed to unlock room'));
+
+/**
+ * PATCH /api/games/:gameId/chat-filter
+ * Host only: set how strictly the room's chat is filtered
+ * Body: level - 'family', 'casual' or 'adult'
+ */
+router.patch('/:gameId/chat-filter', optionalAuth, hostActionRoute('filter', 'Chat filter updated', 'Failed to update chat filter'));
+
+/**
+ * POST /api/games/:gameId/host
+ * Host only: hand hosting to another seated player
+ * Body: userId - New host
+ */
+router.post('/:gameId/host', optionalAuth, hostActionRoute('transfer', 'Host transferred', 'Failed to transfer host'));
 
 /**
  * POST /api/games/:gameId/invite
- * Send email invitation to play game
+ * Send email invitation to play game (by email, or to a registered player by userId)
  */
 router.post('/:gameId/invite', requireAuth, async (req, res) => {
   try {
     const { gameId } = req.params;
-    const { email } = req.body;
+    const { userId } = req.body;
+    let { email } = req.body;
     const db = getDatabase();
 
-    if (!email) {
+    if (!email && !userId) {
       return res.status(400).json({
         error: 'Validation error',
-        message: 'Email is required',
+        message: 'Email or userId is required',
       });
     }
 
@@ -791,6 +1541,33 @@ router.post('/:gameId/invite', requireAuth, async (req, res) => {
 
     const game = gameResult[0];
 
+    // Inviting a registered player: email them and leave an in-app notification
+    if (userId) {
+      const inviteeResult = await db
+        .select({ id: users.id, email: users.email })
+        .from(users)
+        .where(eq(users.id, userId))
+        .limit(1);
+
+      if (inviteeResult.length === 0) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'User not found',
+        });
+      }
+
+      email = inviteeResult[0].email;
+
+      await createNotification(
+        db,
+        userId,
+        'game_invite',
+        'Game Invitation',
+        `${req.user.username} invited you to play!`,
+        { gameId: game.id, roomCode: game.room_code, inviterId: req.user.id }
+      );
+    }
+
     // Send invitation email
     await sendGameInvitationEmail({
       to: email,
@@ -844,6 +1621,7 @@ router.delete('/:gameId', optionalAuth, async (req, res) => {
         updated_at: new Date(),
       })
       .where(eq(games.id, gameId));
+    notifyLobby(req);
 
     res.status(200).json({
       message: 'Game forfeited',
@@ -0,0 +1,71 @@
+const express = require('express');
+const { validatePagination, isValidPromptIntensity } = require('../middleware/validation');
+const { isValidRulesetId } = require('../utils/rulesets');
+const { isValidRoomLanguage } = require('../utils/gameLogic');
+const { LOBBY_MATCH_FILTERS, isValidLobbyMatchFilter, listLobbyRooms } = require('../utils/lobby');
+
+const router = express.Router();
+
+/**
+ * GET /api/lobby
+ * List public rooms with a free seat, newest first
+ * Query (optional): rulesetId - Only rooms playing this ruleset
+ *                   matchType - 'best_of', 'first_to' or 'open'
+ *                   maxIntensity - Only rooms whose prompts go no higher (1-3)
+ *                   language - Two-letter language code
+ *                   limit, offset - Paging (defaults to 20, 0)
+ * Sockets that send `watchLobby` get `lobbyUpdated` whenever the list may have changed
+ */
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { rulesetId, matchType, maxIntensity, language, limit = 20, offset = 0 } = req.query;
+
+    if (rulesetId && !isValidRulesetId(rulesetId)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Unknown ruleset',
+      });
+    }
+
+    if (matchType && !isValidLobbyMatchFilter(matchType)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Match type must be one of: ${LOBBY_MATCH_FILTERS.join(', ')}`,
+      });
+    }
+
+    if (maxIntensity && !isValidPromptIntensity(maxIntensity)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Max intensity must be 1, 2, or 3',
+      });
+    }
+
+    if (language && !isValidRoomLanguage(language)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Language must be a two-letter code such as en',
+      });
+    }
+
+    const { rooms, total } = await listLobbyRooms(
+      { rulesetId, matchType, maxIntensity, language },
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.status(200).json({
+      rooms,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (error) {
+    console.error('Get lobby error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch lobby',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { getUserStats } = require('../utils/stats');
+const { joinQueue, leaveQueue, getQueueStatus } = require('../utils/matchmaking');
+
+const router = express.Router();
+
+/**
+ * POST /api/matchmaking/join
+ * Queue for a ranked game against a player of similar rating
+ * Poll GET /api/matchmaking/status until it reports the matched room
+ */
+router.post('/join', requireAuth, async (req, res) => {
+  try {
+    const stats = await getUserStats(req.user.id);
+
+    if (!stats) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User stats not found',
+      });
+    }
+
+    joinQueue({ userId: req.user.id, username: req.user.username, rating: stats.rating });
+
+    const matchmaking = req.app.get('matchmaking');
+    if (matchmaking) {
+      await matchmaking.run();
+    }
+
+    res.status(200).json({
+      message: 'Joined matchmaking',
+      matchmaking: getQueueStatus(req.user.id),
+    });
+  } catch (error) {
+    console.error('Join matchmaking error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to join matchmaking',
+    });
+  }
+});
+
+/**
+ * DELETE /api/matchmaking/leave
+ * Leave the matchmaking queue
+ */
+router.delete('/leave', requireAuth, async (req, res) => {
+  try {
+    if (!leaveQueue(req.user.id)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'You are not in the matchmaking queue',
+      });
+    }
+
+    res.status(200).json({ message: 'Left matchmaking' });
+  } catch (error) {
+    console.error('Leave matchmaking error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to leave matchmaking',
+    });
+  }
+});
+
+/**
+ * GET /api/matchmaking/status
+ * Queue position, or the room once matched
+ */
+router.get('/status', requireAuth, async (req, res) => {
+  try {
+    res.status(200).json({ matchmaking: getQueueStatus(req.user.id) });
+  } catch (error) {
+    console.error('Get matchmaking status error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch matchmaking status',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { prompts } = require('../db/schema');
+const { requireAuth } = require('../middleware/auth');
+const {
+  sanitizeBody,
+  validatePromptCreate,
+  validatePromptUpdate,
+  validatePagination,
+  isValidPromptType,
+  isValidPromptCategory,
+  isValidPromptIntensity,
+} = require('../middleware/validation');
+const { eq, and, lte, desc } = require('drizzle-orm');
+const { formatPromptForClient, getPromptSuggestions } = require('../utils/promptLibrary');
+
+const router = express.Router();
+
+/**
+ * GET /api/prompts
+ * List prompts, optionally filtered by type, category and max intensity
+ */
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { type, category, intensity, limit = 50, offset = 0 } = req.query;
+    const db = getDatabase();
+
+    const conditions = [];
+
+    if (type) {
+      if (!isValidPromptType(type)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Type must be truth or dare',
+        });
+      }
+      conditions.push(eq(prompts.type, type));
+    }
+
+    if (category) {
+      if (!isValidPromptCategory(category)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Invalid category',
+        });
+      }
+      conditions.push(eq(prompts.category, category));
+    }
+
+    if (intensity) {
+      if (!isValidPromptIntensity(intensity)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Intensity must be 1, 2, or 3',
+        });
+      }
+      conditions.push(lte(prompts.intensity, Number(intensity)));
+    }
+
+    const results = await db
+      .select()
+      .from(prompts)
+      .where(conditions.length > 0 ? and(...conditions) : undefined)
+      .orderBy(desc(prompts.created_at))
+      .limit(parseInt(limit))
+      .offset(parseInt(offset));
+
+    res.status(200).json({
+      prompts: results.map(formatPromptForClient),
+    });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch prompts',
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/random
+ * Draw random prompts, avoiding ones a pair of players has already seen
+ * Query: type (required), category, intensity, count, userIds (comma-separated)
+ */
+router.get('/random', async (req, res) => {
+  try {
+    const { type, category, intensity = 3, count = 3, userIds } = req.query;
+
+    if (!type || !isValidPromptType(type)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Type must be truth or dare',
+      });
+    }
+
+    if (category && !isValidPromptCategory(category)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Invalid category',
+      });
+    }
+
+    if (!isValidPromptIntensity(intensity)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Intensity must be 1, 2, or 3',
+      });
+    }
+
+    const suggestions = await getPromptSuggestions({
+      type,
+      categories: category ? [category] : [],
+      maxIntensity: Number(intensity),
+      userIds: userIds ? userIds.split(',') : [],
+      count: Math.min(Math.max(parseInt(count) || 3, 1), 10),
+    });
+
+    res.status(200).json({
+      prompts: suggestions,
+    });
+  } catch (error) {
+    console.error('Draw prompts error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to draw prompts',
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/:promptId
+ * Get a single prompt
+ */
+router.get('/:promptId', async (req, res) => {
+  try {
+    const { promptId } = req.params;
+    const db = getDatabase();
+
+    const result = await db
+      .select()
+      .from(prompts)
+      .where(eq(prompts.id, promptId))
+      .limit(1);
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Prompt not found',
+      });
+    }
+
+    res.status(200).json({ prompt: formatPromptForClient(result[0]) });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch prompt',
+    });
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Submit a new prompt
+ */
+router.post('/', requireAuth, sanitizeBody, validatePromptCreate, async (req, res) => {
+  try {
+    const { type, category, intensity = 1, content } = req.body;
+    const db = getDatabase();
+
+    const now = new Date();
+    const prompt = {
+      id: uuidv4(),
+      type,
+      category,
+      intensity: Number(intensity),
+      content: content.trim(),
+      created_by: req.user.id,
+      created_at: now,
+      updated_at: now,
+    };
+
+    await db.insert(prompts).values(prompt);
+
+    res.status(201).json({
+      message: 'Prompt created',
+      prompt: formatPromptForClient(prompt),
+    });
+  } catch (error) {
+    console.error('Create prompt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create prompt',
+    });
+  }
+});
+
+/**
+ * PATCH /api/prompts/:promptId
+ * Update a prompt (creator only)
+ */
+router.patch('/:promptId', requireAuth, sanitizeBody, validatePromptUpdate, async (req, res) => {
+  try {
+    const { promptId } = req.params;
+    const { type, category, intensity, content } = req.body;
+    const db = getDatabase();
+
+    const result = await db
+      .select()
+      .from(prompts)
+      .where(eq(prompts.id, promptId))
+      .limit(1);
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Prompt not found',
+      });
+    }
+
+    if (result[0].created_by !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only edit prompts you created',
+      });
+    }
+
+    const updates = { updated_at: new Date() };
+    if (type !== undefined) updates.type = type;
+    if (category !== undefined) updates.category = category;
+    if (intensity !== undefined) updates.intensity = Number(intensity);
+    if (content !== undefined) updates.content = content.trim();
+
+    await db
+      .update(prompts)
+      .set(updates)
+      .where(eq(prompts.id, promptId));
+
+    res.status(200).json({
+      message: 'Prompt updated',
+      prompt: formatPromptForClient({ ...result[0], ...updates }),
+    });
+  } catch (error) {
+    console.error('Update prompt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update prompt',
+    });
+  }
+});
+
+/**
+ * DELETE /api/prompts/:promptId
+ * Delete a prompt (creator only)
+ */
+router.delete('/:promptId', requireAuth, async (req, res) => {
+  try {
+    const { promptId } = req.params;
+    const db = getDatabase();
+
+    const result = await db
+      .select()
+      .from(prompts)
+      .where(eq(prompts.id, promptId))
+      .limit(1);
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Prompt not found',
+      });
+    }
+
+    if (result[0].created_by !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only delete prompts you created',
+      });
+    }
+
+    await db
+      .delete(prompts)
+      .where(eq(prompts.id, promptId));
+
+    res.status(200).json({
+      message: 'Prompt deleted',
+    });
+  } catch (error) {
+    console.error('Delete prompt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete prompt',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { getDatabase } = require('../db');
+const { games } = require('../db/schema');
+const { eq, and } = require('drizzle-orm');
+const { optionalAuth } = require('../middleware/auth');
+const { playedByUser } = require('../utils/participants');
+const {
+  MESSAGE_PAGE_SIZE,
+  MAX_MESSAGE_PAGE_SIZE,
+  isValidPageSize,
+  getMessagePage,
+} = require('../utils/chatMessages');
+
+const router = express.Router();
+
+/**
+ * GET /api/rooms/:room/messages
+ * Page back through a room's chat, newest page first; messages in a page are oldest first
+ * Players who have sat in the room can always read it. Anyone else may read public
+ * rooms they aren't banned from
+ * Query (optional): before - Message ID to page back from (the previous page's nextCursor)
+ *                   limit - Messages per page (1-100, defaults to 50)
+ *                   anonymousId - Anonymous player's anon_ ID when not logged in
+ */
+router.get('/:room/messages', optionalAuth, async (req, res) => {
+  try {
+    const { room } = req.params;
+    const { before, limit = MESSAGE_PAGE_SIZE, anonymousId } = req.query;
+
+    if (!isValidPageSize(limit)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Limit must be between 1 and ${MAX_MESSAGE_PAGE_SIZE}`,
+      });
+    }
+
+    const db = getDatabase();
+    const gameResult = await db
+      .select()
+      .from(games)
+      .where(eq(games.room_code, room))
+      .limit(1);
+
+    if (gameResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Room not found',
+      });
+    }
+
+    const game = gameResult[0];
+    const gameState = typeof game.game_state === 'string' ? JSON.parse(game.game_state) : (game.game_state || {});
+    // Without a token only an anon_ ID counts: reading as a registered player takes their token
+    const anonymousViewerId = typeof anonymousId === 'string' && anonymousId.startsWith('anon_') ? anonymousId : null;
+    const viewerId = req.user ? req.user.id : anonymousViewerId;
+
+    const played = viewerId
+      ? await db
+        .select({ id: games.id })
+        .from(games)
+        .where(and(eq(games.id, game.id), playedByUser(db, viewerId)))
+        .limit(1)
+      : [];
+    const banned = (gameState.banned || []).some(b => b.userId === viewerId);
+
+    if (played.length === 0 && (game.visibility !== 'public' || banned)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only players in this room can read its chat',
+        code: 'NOT_A_PLAYER',
+      });
+    }
+
+    const page = await getMessagePage(room, { before, limit: parseInt(limit) });
+    if (page.error) {
+      return res.status(page.status).json({
+        error: page.status === 404 ? 'Not found' : 'Validation error',
+        message: page.error,
+        code: page.code,
+      });
+    }
+
+    res.status(200).json({
+      messages: page.messages,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      limit: parseInt(limit),
+    });
+  } catch (error) {
+    console.error('Get room messages error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch messages',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { sanitizeBody, validateRulesetCreate } = require('../middleware/validation');
+const {
+  getRuleset,
+  listRulesets,
+  createCustomRuleset,
+  formatRulesetForClient,
+} = require('../utils/rulesets');
+
+const router = express.Router();
+
+/**
+ * GET /api/rulesets
+ * List built-in and custom rulesets
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.status(200).json({
+      rulesets: listRulesets().map(formatRulesetForClient),
+    });
+  } catch (error) {
+    console.error('Get rulesets error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch rulesets',
+    });
+  }
+});
+
+/**
+ * GET /api/rulesets/:rulesetId
+ * Get a single ruleset
+ */
+router.get('/:rulesetId', async (req, res) => {
+  try {
+    const ruleset = getRuleset(req.params.rulesetId);
+
+    if (!ruleset) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Ruleset not found',
+      });
+    }
+
+    res.status(200).json({ ruleset: formatRulesetForClient(ruleset) });
+  } catch (error) {
+    console.error('Get ruleset error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch ruleset',
+    });
+  }
+});
+
+/**
+ * POST /api/rulesets
+ * Create a custom ruleset
+ * Body: name, moves [{ id, label, emoji }], beats { [moveId]: [moveIds it beats] }
+ */
+router.post('/', requireAuth, sanitizeBody, validateRulesetCreate, async (req, res) => {
+  try {
+    const ruleset = await createCustomRuleset(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Ruleset created',
+      ruleset: formatRulesetForClient(ruleset),
+    });
+  } catch (error) {
+    console.error('Create ruleset error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create ruleset',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+const { isValidMatchConfig } = require('../utils/gameLogic');
+const { DEFAULT_RULESET_ID, isValidRulesetId } = require('../utils/rulesets');
+const {
+  TOURNAMENT_FORMATS,
+  TOURNAMENT_SEEDINGS,
+  TOURNAMENT_STATUSES,
+  MIN_TOURNAMENT_PLAYERS,
+  MAX_TOURNAMENT_PLAYERS,
+  DEFAULT_TOURNAMENT_MATCH,
+  isValidTournamentFormat,
+  isValidTournamentSeeding,
+  isValidTournamentSize,
+  getTournament,
+  listTournaments,
+  createTournament,
+  registerPlayer,
+  withdrawPlayer,
+  startTournament,
+  awardWalkover,
+} = require('../utils/tournaments');
+
+const router = express.Router();
+
+/**
+ * Helper function to send a tournament refusal
+ */
+function sendActionError(res, result) {
+  const errorNames = { 403: 'Forbidden', 404: 'Not found', 500: 'Internal server error' };
+
+  res.status(result.status).json({
+    error: errorNames[result.status] || 'Validation error',
+    message: result.error,
+    code: result.code,
+  });
+}
+
+/**
+ * GET /api/tournaments
+ * List tournaments, newest first
+ * Query (optional): status - 'registration', 'in_progress' or 'completed'
+ *                   limit, offset - Paging (defaults to 20, 0)
+ */
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { status, limit = 20, offset = 0 } = req.query;
+
+    if (status && !TOURNAMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Status must be one of: ${TOURNAMENT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const { tournaments, total } = await listTournaments(
+      { status },
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.status(200).json({
+      tournaments,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (error) {
+    console.error('Get tournaments error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch tournaments',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments
+ * Create a tournament open for registration
+ * Body: name - 3-100 characters
+ *       format - 'single_elimination' or 'round_robin'
+ *       seeding (optional) - 'rating' (default) or 'stats' (win rate from user_stats)
+ *       maxPlayers (optional) - 2-32 (defaults to 8)
+ *       match (optional) - Series every game is played as (defaults to best_of 3)
+ *       rulesetId (optional) - Hand-game ruleset (defaults to classic RPS)
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const {
+      name,
+      format,
+      seeding = 'rating',
+      maxPlayers = 8,
+      match = DEFAULT_TOURNAMENT_MATCH,
+      rulesetId = DEFAULT_RULESET_ID,
+    } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim().length < 3 || name.trim().length > 100) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Name must be 3-100 characters',
+      });
+    }
+
+    if (!isValidTournamentFormat(format)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Format must be one of: ${TOURNAMENT_FORMATS.join(', ')}`,
+      });
+    }
+
+    if (!isValidTournamentSeeding(seeding)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Seeding must be one of: ${TOURNAMENT_SEEDINGS.join(', ')}`,
+      });
+    }
+
+    if (!isValidTournamentSize(maxPlayers)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Max players must be between ${MIN_TOURNAMENT_PLAYERS} and ${MAX_TOURNAMENT_PLAYERS}`,
+      });
+    }
+
+    // Games have to produce a winner, so they are always played as a series
+    if (!isValidMatchConfig(match)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Match must be best_of 3, 5 or 7, or first_to 1-21 points',
+      });
+    }
+
+    if (!isValidRulesetId(rulesetId)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Unknown ruleset',
+      });
+    }
+
+    const tournament = await createTournament({
+      name: name.trim(),
+      format,
+      seeding,
+      maxPlayers,
+      match,
+      rulesetId,
+      creatorId: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'Tournament created',
+      tournament,
+    });
+  } catch (error) {
+    console.error('Create tournament error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create tournament',
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:tournamentId
+ * Get a tournament with its players, matches (bracket or schedule) and, for round robin, standings
+ * A match's room code is only shown to its own players
+ */
+router.get('/:tournamentId', optionalAuth, async (req, res) => {
+  try {
+    const tournament = await getTournament(req.params.tournamentId, req.user?.id || null);
+
+    if (!tournament) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Tournament not found',
+      });
+    }
+
+    res.status(200).json({ tournament });
+  } catch (error) {
+    console.error('Get tournament error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch tournament',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:tournamentId/register
+ * Register for a tournament that hasn't started
+ */
+router.post('/:tournamentId/register', requireAuth, async (req, res) => {
+  try {
+    const result = await registerPlayer(req.params.tournamentId, {
+      userId: req.user.id,
+      username: req.user.username,
+    });
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    res.status(201).json({
+      message: 'Registered for tournament',
+      tournament: result.tournament,
+    });
+  } catch (error) {
+    console.error('Register for tournament error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to register for tournament',
+    });
+  }
+});
+
+/**
+ * DELETE /api/tournaments/:tournamentId/register
+ * Withdraw before the tournament starts
+ */
+router.delete('/:tournamentId/register', requireAuth, async (req, res) => {
+  try {
+    const result = await withdrawPlayer(req.params.tournamentId, req.user.id);
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    res.status(200).json({
+      message: 'Withdrawn from tournament',
+      tournament: result.tournament,
+    });
+  } catch (error) {
+    console.error('Withdraw from tournament error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to withdraw from tournament',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:tournamentId/start
+ * Creator only: close registration, seed the players and open the first matches
+ * Each player gets a tournament_match_ready notification with their room code
+ */
+router.post('/:tournamentId/start', requireAuth, async (req, res) => {
+  try {
+    const result = await startTournament(req.params.tournamentId, req.user.id);
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    res.status(200).json({
+      message: 'Tournament started',
+      tournament: result.tournament,
+    });
+  } catch (error) {
+    console.error('Start tournament error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start tournament',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:tournamentId/matches/:matchId/walkover
+ * Creator only: send a player through a ready match their opponent never showed up for
+ * Body: winnerId - The player who goes through
+ */
+router.post('/:tournamentId/matches/:matchId/walkover', requireAuth, async (req, res) => {
+  try {
+    const { tournamentId, matchId } = req.params;
+    const winnerId = req.body?.winnerId;
+    const result = await awardWalkover(tournamentId, matchId, req.user.id, winnerId);
+    if (result.error) {
+      return sendActionError(res, result);
+    }
+
+    // A room already open for the match is ended too, so it can't be played on
+    const liveGames = req.app.get('liveGames');
+    if (liveGames && result.roomCode && liveGames.has(result.roomCode)) {
+      await liveGames.end(result.roomCode, { winnerId, message: '🏳️ The match was awarded as a walkover' });
+    }
+
+    res.status(200).json({
+      message: 'Walkover awarded',
+      tournament: result.tournament,
+    });
+  } catch (error) {
+    console.error('Award walkover error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to award walkover',
+    });
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,13 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('../db');
-const { users, user_stats } = require('../db/schema');
+const { users, user_stats, season_stats } = require('../db/schema');
 const { requireAuth, optionalAuth } = require('../middleware/auth');
 const { eq, like, or, and, ne, sql } = require('drizzle-orm');
+const { DEFAULT_RATING } = require('../utils/rating');
+const { formatSeasonForClient, getSeason, listSeasons, getSeasonStandings } = require('../utils/seasons');
+const { getUserAchievements } = require('../utils/achievements');
+const { buildUserAnalytics, toPublicAnalytics, buildVersus } = require('../utils/analytics');
 
 const router = express.Router();
 
@@ -67,6 +71,7 @@ router.get('/profile/:userId', optionalAuth, async (req, res) => {
       .limit(1);
 
     const stats = statsResult.length > 0 ? statsResult[0] : null;
+    const achievements = await getUserAchievements(userId);
 
     // Hide email unless it's the user's own profile
     const isOwnProfile = req.user && req.user.id === userId;
@@ -85,13 +90,17 @@ router.get('/profile/:userId', optionalAuth, async (req, res) => {
             gamesPlayed: stats.games_played,
             gamesWon: stats.games_won,
             gamesLost: stats.games_lost,
+            gamesForfeited: stats.games_forfeited || 0,
             truthsCompleted: stats.truths_completed,
             daresCompleted: stats.dares_completed,
+            rating: stats.rating ?? DEFAULT_RATING,
+            winStreak: stats.win_streak || 0,
             winRate: stats.games_played > 0
               ? Math.round((stats.games_won / stats.games_played) * 100)
               : 0,
           }
         : null,
+      achievements,
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -102,6 +111,99 @@ router.get('/profile/:userId', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/:userId/analytics
+ * Play analytics: throw tendencies, streaks, truth/dare preference and head-to-head records
+ * Throw tendencies are only shown to the player themselves, and other viewers
+ * only see their own head-to-head record with the player
+ */
+router.get('/:userId/analytics', optionalAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const db = getDatabase();
+
+    const userResult = await db
+      .select({ id: users.id, username: users.username })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (userResult.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User not found',
+      });
+    }
+
+    const analytics = await buildUserAnalytics(userId);
+    const isOwnProfile = req.user && req.user.id === userId;
+
+    res.status(200).json({
+      user: { id: userResult[0].id, username: userResult[0].username },
+      visibility: isOwnProfile ? 'full' : 'public',
+      analytics: isOwnProfile ? analytics : toPublicAnalytics(analytics, req.user ? req.user.id : null),
+    });
+  } catch (error) {
+    console.error('Get user analytics error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch user analytics',
+    });
+  }
+});
+
+/**
+ * GET /api/users/:userId/versus/:otherUserId
+ * Rivalry between two players: record against each other, recent matches,
+ * truths/dares each has imposed and the last room they shared
+ * Only visible to the two players involved
+ */
+router.get('/:userId/versus/:otherUserId', requireAuth, async (req, res) => {
+  try {
+    const { userId, otherUserId } = req.params;
+    const db = getDatabase();
+
+    if (userId === otherUserId) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Pick two different players',
+      });
+    }
+
+    if (req.user.id !== userId && req.user.id !== otherUserId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view rivalries you are part of',
+      });
+    }
+
+    const players = await db
+      .select({ id: users.id, username: users.username })
+      .from(users)
+      .where(or(eq(users.id, userId), eq(users.id, otherUserId)));
+
+    const player = players.find(p => p.id === userId);
+    const otherPlayer = players.find(p => p.id === otherUserId);
+
+    if (!player || !otherPlayer) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User not found',
+      });
+    }
+
+    const versus = await buildVersus(player, otherPlayer);
+
+    res.status(200).json({ versus });
+  } catch (error) {
+    console.error('Get versus error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch rivalry',
+    });
+  }
+});
+
 /**
  * PATCH /api/users/profile
  * Update own user profile
@@ -366,32 +468,50 @@ router.get('/search', optionalAuth, async (req, res) => {
 /**
  * GET /api/users/stats/leaderboard
  * Get top players leaderboard
+ * Query: sortBy - 'wins' (default), 'rating', 'winRate', 'gamesPlayed', 'truths' or 'dares'
+ *        season - Season ID, or 'current'; all-time stats if omitted
  */
 router.get('/stats/leaderboard', async (req, res) => {
   try {
-    const { limit = 10, sortBy = 'wins' } = req.query;
+    const { limit = 10, sortBy = 'wins', season: seasonId } = req.query;
     const leaderboardLimit = Math.min(parseInt(limit), 100);
     const db = getDatabase();
 
+    // Seasonal leaderboards read the same columns from season_stats
+    let season = null;
+    if (seasonId) {
+      season = await getSeason(seasonId);
+      if (!season) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Season not found',
+        });
+      }
+    }
+    const stats = season ? season_stats : user_stats;
+
     let orderByField;
     switch (sortBy) {
       case 'wins':
-        orderByField = sql`${user_stats.games_won}`;
+        orderByField = sql`${stats.games_won}`;
+        break;
+      case 'rating':
+        orderByField = sql`${stats.rating}`;
         break;
       case 'winRate':
-        orderByField = sql`CAST(${user_stats.games_won} AS REAL) / NULLIF(${user_stats.games_played}, 0)`;
+        orderByField = sql`CAST(${stats.games_won} AS REAL) / NULLIF(${stats.games_played}, 0)`;
         break;
       case 'gamesPlayed':
-        orderByField = sql`${user_stats.games_played}`;
+        orderByField = sql`${stats.games_played}`;
         break;
       case 'truths':
-        orderByField = sql`${user_stats.truths_completed}`;
+        orderByField = sql`${stats.truths_completed}`;
         break;
       case 'dares':
-        orderByField = sql`${user_stats.dares_completed}`;
+        orderByField = sql`${stats.dares_completed}`;
         break;
       default:
-        orderByField = sql`${user_stats.games_won}`;
+        orderByField = sql`${stats.games_won}`;
     }
 
     // Get leaderboard
@@ -400,19 +520,23 @@ router.get('/stats/leaderboard', async (req, res) => {
         userId: users.id,
         username: users.username,
         avatarUrl: users.avatar_url,
-        gamesPlayed: user_stats.games_played,
-        gamesWon: user_stats.games_won,
-        gamesLost: user_stats.games_lost,
-        truthsCompleted: user_stats.truths_completed,
-        daresCompleted: user_stats.dares_completed,
+        gamesPlayed: stats.games_played,
+        gamesWon: stats.games_won,
+        gamesLost: stats.games_lost,
+        truthsCompleted: stats.truths_completed,
+        daresCompleted: stats.dares_completed,
+        rating: stats.rating,
       })
-      .from(user_stats)
-      .innerJoin(users, eq(users.id, user_stats.user_id))
-      .where(sql`${user_stats.games_played} > 0`)
+      .from(stats)
+      .innerJoin(users, eq(users.id, stats.user_id))
+      .where(season
+        ? and(eq(season_stats.season_id, season.id), sql`${season_stats.games_played} > 0`)
+        : sql`${user_stats.games_played} > 0`)
       .orderBy(sql`${orderByField} DESC`)
       .limit(leaderboardLimit);
 
     res.status(200).json({
+      season: season ? formatSeasonForClient(season) : null,
       leaderboard: results.map((player, index) => ({
         rank: index + 1,
         userId: player.userId,
@@ -424,6 +548,7 @@ router.get('/stats/leaderboard', async (req, res) => {
           gamesLost: player.gamesLost,
           truthsCompleted: player.truthsCompleted,
           daresCompleted: player.daresCompleted,
+          rating: player.rating ?? DEFAULT_RATING,
           winRate: player.gamesPlayed > 0
             ? Math.round((player.gamesWon / player.gamesPlayed) * 100)
             : 0,
@@ -439,4 +564,66 @@ router.get('/stats/leaderboard', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/stats/seasons
+ * List seasons, newest first
+ */
+router.get('/stats/seasons', async (req, res) => {
+  try {
+    const allSeasons = await listSeasons();
+
+    res.status(200).json({
+      seasons: allSeasons.map(formatSeasonForClient),
+    });
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch seasons',
+    });
+  }
+});
+
+/**
+ * GET /api/users/stats/seasons/:seasonId/standings
+ * Final standings archived when a season closed
+ */
+router.get('/stats/seasons/:seasonId/standings', async (req, res) => {
+  try {
+    const season = await getSeason(req.params.seasonId);
+
+    if (!season) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Season not found',
+      });
+    }
+
+    if (season.status !== 'closed') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Season is still running - use the leaderboard with ?season= instead',
+      });
+    }
+
+    const standings = await getSeasonStandings(season.id);
+
+    res.status(200).json({
+      season: formatSeasonForClient(season),
+      standings: standings.map(standing => ({
+        rank: standing.rank,
+        userId: standing.user_id,
+        username: standing.username,
+        stats: typeof standing.stats === 'string' ? JSON.parse(standing.stats) : standing.stats,
+      })),
+    });
+  } catch (error) {
+    console.error('Get season standings error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch season standings',
+    });
+  }
+});
+
 module.exports = router;
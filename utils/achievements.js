@@ -0,0 +1,289 @@
+/**
+ * Achievements
+ * Rules checked whenever a player's stats change; unlocks are stored in
+ * user_achievements and announced with a notification and a push
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const {
+  user_stats,
+  user_achievements,
+  friendships,
+  game_participants,
+  game_rounds,
+  notifications,
+  fcm_tokens,
+} = require('../db/schema');
+const { eq, ne, and, or, desc, inArray } = require('drizzle-orm');
+const { sendNotificationByType } = require('./pushNotifications');
+
+/**
+ * Count the accepted friends a user has shared a game with
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countFriendsPlayedWith(userId) {
+  const db = getDatabase();
+
+  const friendRows = await db
+    .select()
+    .from(friendships)
+    .where(and(
+      eq(friendships.status, 'accepted'),
+      or(eq(friendships.user_id_1, userId), eq(friendships.user_id_2, userId))
+    ));
+  const friendIds = friendRows.map(f => (f.user_id_1 === userId ? f.user_id_2 : f.user_id_1));
+  if (friendIds.length === 0) return 0;
+
+  const played = await db
+    .selectDistinct({ userId: game_participants.user_id })
+    .from(game_participants)
+    .where(and(
+      inArray(game_participants.user_id, friendIds),
+      inArray(
+        game_participants.game_id,
+        db.select({ gameId: game_participants.game_id })
+          .from(game_participants)
+          .where(eq(game_participants.user_id, userId))
+      )
+    ));
+
+  return played.length;
+}
+
+/**
+ * Check whether a user won each of their last few rounds, all with the same throw
+ * Any round of theirs that someone else won (or nobody did) breaks the run
+ * @param {string} userId - User ID
+ * @param {number} count - Round wins in a row
+ * @returns {Promise<boolean>}
+ */
+async function hasSameThrowWins(userId, count) {
+  const db = getDatabase();
+
+  const rounds = await db
+    .select({ throws: game_rounds.throws, winnerId: game_rounds.winner_id })
+    .from(game_rounds)
+    .where(and(
+      ne(game_rounds.status, 'in_progress'),
+      inArray(
+        game_rounds.game_id,
+        db.select({ gameId: game_participants.game_id })
+          .from(game_participants)
+          .where(eq(game_participants.user_id, userId))
+      )
+    ))
+    .orderBy(desc(game_rounds.updated_at))
+    .limit(count);
+  if (rounds.length < count || rounds.some(round => round.winnerId !== userId)) return false;
+
+  // The winning move is the user's move in the last throw they took part in
+  const winningMoves = rounds.map(({ throws }) => {
+    const list = typeof throws === 'string' ? JSON.parse(throws) : throws;
+    const last = [...(list || [])].reverse().find(t => t.moves && t.moves[userId]);
+    return last ? last.moves[userId] : null;
+  });
+
+  return !!winningMoves[0] && winningMoves.every(move => move === winningMoves[0]);
+}
+
+// Achievement rules: `on` lists the stats changes that can unlock it ('game', 'truth', 'dare')
+const ACHIEVEMENTS = [
+  {
+    id: 'first_win',
+    name: 'First Victory',
+    description: 'Win your first game',
+    icon: '🏆',
+    on: ['game'],
+    check: ({ stats }) => stats.games_won >= 1,
+  },
+  {
+    id: 'win_streak_10',
+    name: 'Unstoppable',
+    description: 'Win 10 games in a row',
+    icon: '🔥',
+    on: ['game'],
+    check: ({ stats }) => (stats.win_streak || 0) >= 10,
+  },
+  {
+    id: 'truths_50',
+    name: 'Open Book',
+    description: 'Complete 50 truths',
+    icon: '📖',
+    on: ['truth'],
+    check: ({ stats }) => stats.truths_completed >= 50,
+  },
+  {
+    id: 'dares_50',
+    name: 'Daredevil',
+    description: 'Complete 50 dares',
+    icon: '😈',
+    on: ['dare'],
+    check: ({ stats }) => stats.dares_completed >= 50,
+  },
+  {
+    id: 'friends_10',
+    name: 'Social Butterfly',
+    description: 'Play with 10 different friends',
+    icon: '🦋',
+    on: ['game'],
+    check: async ({ userId }) => (await countFriendsPlayedWith(userId)) >= 10,
+  },
+  {
+    id: 'same_throw_3',
+    name: 'Creature of Habit',
+    description: 'Win three rounds in a row with the same throw',
+    icon: '🔁',
+    on: ['game'],
+    check: ({ userId }) => hasSameThrowWins(userId, 3),
+  },
+];
+
+/**
+ * Look up an achievement definition
+ * @param {string} achievementId - Achievement ID
+ * @returns {Object|null}
+ */
+function getAchievement(achievementId) {
+  return ACHIEVEMENTS.find(a => a.id === achievementId) || null;
+}
+
+/**
+ * Format achievement for client
+ * @param {Object} achievement - Achievement definition
+ * @param {Date} unlockedAt - When the user unlocked it
+ * @returns {Object} Formatted achievement
+ */
+function formatAchievementForClient(achievement, unlockedAt) {
+  return {
+    id: achievement.id,
+    name: achievement.name,
+    description: achievement.description,
+    icon: achievement.icon,
+    unlockedAt,
+  };
+}
+
+/**
+ * Get a user's unlocked achievements, most recent first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Formatted achievements
+ */
+async function getUserAchievements(userId) {
+  try {
+    const db = getDatabase();
+    const rows = await db
+      .select()
+      .from(user_achievements)
+      .where(eq(user_achievements.user_id, userId))
+      .orderBy(desc(user_achievements.unlocked_at));
+
+    return rows
+      .filter(row => getAchievement(row.achievement_id))
+      .map(row => formatAchievementForClient(getAchievement(row.achievement_id), row.unlocked_at));
+  } catch (error) {
+    console.error('❌ Error loading achievements:', error);
+    return [];
+  }
+}
+
+/**
+ * Tell a user about an unlock: notification row plus a push to each of their devices
+ * @param {string} userId - User ID
+ * @param {Object} achievement - Achievement definition
+ */
+async function announceUnlock(userId, achievement) {
+  const db = getDatabase();
+
+  await db.insert(notifications).values({
+    id: uuidv4(),
+    user_id: userId,
+    type: 'achievement_unlocked',
+    title: 'Achievement Unlocked!',
+    body: `${achievement.icon} ${achievement.name} - ${achievement.description}`,
+    data: JSON.stringify({ achievementId: achievement.id }),
+    read: false,
+    created_at: new Date(),
+  });
+
+  const tokens = await db
+    .select()
+    .from(fcm_tokens)
+    .where(eq(fcm_tokens.user_id, userId));
+
+  for (const { token } of tokens) {
+    await sendNotificationByType(token, 'achievement_unlocked', {
+      achievementId: achievement.id,
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+    });
+  }
+}
+
+/**
+ * Check a user's locked achievements after their stats changed and unlock any that are now met
+ * @param {string} userId - User ID
+ * @param {string} trigger - What changed: 'game', 'truth' or 'dare'
+ * @returns {Promise<Array>} Newly unlocked achievements (formatted)
+ */
+async function evaluateAchievements(userId, trigger) {
+  if (!userId) return [];
+
+  try {
+    const db = getDatabase();
+
+    const statsResult = await db
+      .select()
+      .from(user_stats)
+      .where(eq(user_stats.user_id, userId))
+      .limit(1);
+    if (statsResult.length === 0) return [];
+
+    const unlocked = await db
+      .select({ achievementId: user_achievements.achievement_id })
+      .from(user_achievements)
+      .where(eq(user_achievements.user_id, userId));
+    const unlockedIds = new Set(unlocked.map(row => row.achievementId));
+
+    const context = { userId, stats: statsResult[0] };
+    const newlyUnlocked = [];
+
+    for (const achievement of ACHIEVEMENTS) {
+      if (unlockedIds.has(achievement.id) || !achievement.on.includes(trigger)) continue;
+      if (!(await achievement.check(context))) continue;
+
+      // Two stats changes evaluated at once can both get here; only the one that stores the unlock announces it
+      const unlockedAt = new Date();
+      const inserted = await db
+        .insert(user_achievements)
+        .values({
+          id: uuidv4(),
+          user_id: userId,
+          achievement_id: achievement.id,
+          unlocked_at: unlockedAt,
+        })
+        .onConflictDoNothing({ target: [user_achievements.user_id, user_achievements.achievement_id] })
+        .returning({ id: user_achievements.id });
+      if (inserted.length === 0) continue;
+
+      await announceUnlock(userId, achievement);
+
+      console.log(`🏅 ${userId} unlocked "${achievement.name}"`);
+      newlyUnlocked.push(formatAchievementForClient(achievement, unlockedAt));
+    }
+
+    return newlyUnlocked;
+  } catch (error) {
+    console.error('❌ Error evaluating achievements:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  getAchievement,
+  getUserAchievements,
+  evaluateAchievements,
+};
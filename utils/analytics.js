@@ -0,0 +1,344 @@
+/**
+ * Player Analytics
+ * A player's habits worked out from game_moves and the games table:
+ * throw tendencies, streaks, truth/dare preference, head-to-head records
+ * and the rivalry between two players
+ */
+
+const { getDatabase } = require('../db');
+const { games, game_moves, game_participants, game_rounds, messages, users } = require('../db/schema');
+const { eq, and, asc, desc, inArray } = require('drizzle-orm');
+const { playedByUser } = require('./participants');
+const { moveBeats, DEFAULT_RULESET_ID } = require('./rulesets');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Shared games listed on a rivalry page
+const VERSUS_RECENT_MATCHES = 10;
+
+/**
+ * Count moves and turn the counts into percentages
+ * @param {string[]} moves - Move IDs
+ * @returns {Object} { total, moves: { [moveId]: { count, percent } } }
+ */
+function toDistribution(moves) {
+  const counts = {};
+  moves.forEach(move => { counts[move] = (counts[move] || 0) + 1; });
+
+  const distribution = {};
+  for (const [move, count] of Object.entries(counts)) {
+    distribution[move] = { count, percent: Math.round((count / moves.length) * 100) };
+  }
+  return { total: moves.length, moves: distribution };
+}
+
+/**
+ * Result of one throw for the player
+ * @param {string} move - Player's move
+ * @param {string} otherMove - Opponent's move
+ * @param {string} rulesetId - Ruleset the game used
+ * @returns {string} 'win', 'loss' or 'draw'
+ */
+function getThrowResult(move, otherMove, rulesetId) {
+  if (moveBeats(move, otherMove, rulesetId)) return 'win';
+  if (moveBeats(otherMove, move, rulesetId)) return 'loss';
+  return 'draw';
+}
+
+/**
+ * Throw tendencies: overall distribution, and the next throw after a won or lost throw
+ * Follow-ups come from one-on-one games, where throws pair up in order
+ * @param {string} userId - User ID
+ * @param {Array} gameRows - Games the user played
+ * @param {Array} rpsMoves - 'rps' game_moves rows for those games, oldest first
+ * @returns {Object} { distribution, afterWin, afterLoss }
+ */
+function analyseThrows(userId, gameRows, rpsMoves) {
+  const movesByGame = {};
+  for (const row of rpsMoves) {
+    const data = parseJson(row.move_data) || {};
+    const playerId = row.user_id || data.userId;
+    if (!playerId || !data.choice) continue;
+
+    movesByGame[row.game_id] = movesByGame[row.game_id] || {};
+    movesByGame[row.game_id][playerId] = movesByGame[row.game_id][playerId] || [];
+    movesByGame[row.game_id][playerId].push(data.choice);
+  }
+
+  const allThrows = [];
+  const afterWin = [];
+  const afterLoss = [];
+  const repeats = { win: 0, loss: 0 };
+
+  for (const game of gameRows) {
+    const players = movesByGame[game.id] || {};
+    const mine = players[userId] || [];
+    allThrows.push(...mine);
+
+    const opponents = Object.keys(players).filter(id => id !== userId);
+    if (opponents.length !== 1) continue;
+
+    const rulesetId = (parseJson(game.game_state) || {}).rulesetId || DEFAULT_RULESET_ID;
+    const theirs = players[opponents[0]];
+    const throwCount = Math.min(mine.length, theirs.length);
+
+    for (let i = 0; i + 1 < throwCount; i++) {
+      const result = getThrowResult(mine[i], theirs[i], rulesetId);
+      if (result === 'draw') continue;
+
+      (result === 'win' ? afterWin : afterLoss).push(mine[i + 1]);
+      if (mine[i + 1] === mine[i]) repeats[result]++;
+    }
+  }
+
+  const followUp = (nextThrows, repeated) => ({
+    ...toDistribution(nextThrows),
+    repeatPercent: nextThrows.length > 0 ? Math.round((repeated / nextThrows.length) * 100) : 0,
+  });
+
+  return {
+    distribution: toDistribution(allThrows),
+    afterWin: followUp(afterWin, repeats.win),
+    afterLoss: followUp(afterLoss, repeats.loss),
+  };
+}
+
+/**
+ * Win/loss streaks over finished games (games without a winner don't break a streak)
+ * @param {string} userId - User ID
+ * @param {Array} finishedGames - Completed or forfeited games, oldest first
+ * @returns {Object} { current: { type, length }, longestWin, longestLoss }
+ */
+function analyseStreaks(userId, finishedGames) {
+  let current = { type: null, length: 0 };
+  let longestWin = 0;
+  let longestLoss = 0;
+
+  for (const game of finishedGames) {
+    if (!game.winner_id) continue;
+
+    const type = game.winner_id === userId ? 'win' : 'loss';
+    current = current.type === type
+      ? { type, length: current.length + 1 }
+      : { type, length: 1 };
+
+    if (type === 'win') longestWin = Math.max(longestWin, current.length);
+    else longestLoss = Math.max(longestLoss, current.length);
+  }
+
+  return { current, longestWin, longestLoss };
+}
+
+/**
+ * Truth versus dare picks
+ * @param {Array} picks - 'truth'/'dare' game_moves rows
+ * @returns {Object} { truths, dares, truthPercent, preference }
+ */
+function analyseTruthDare(picks) {
+  const truths = picks.filter(row => row.move_type === 'truth').length;
+  const dares = picks.length - truths;
+
+  let preference = 'none';
+  if (truths > dares) preference = 'truth';
+  else if (dares > truths) preference = 'dare';
+
+  return {
+    truths,
+    dares,
+    truthPercent: picks.length > 0 ? Math.round((truths / picks.length) * 100) : 0,
+    preference,
+  };
+}
+
+/**
+ * Record against each opponent over finished games
+ * Beating a room counts as a win against everyone in it; a loss counts against the winner only
+ * @param {string} userId - User ID
+ * @param {Array} finishedGames - Completed or forfeited games
+ * @param {Object} playersByGame - { [gameId]: { [userId]: username } }
+ * @returns {Array} [{ userId, username, played, wins, losses, draws }], most played first
+ */
+function analyseHeadToHead(userId, finishedGames, playersByGame) {
+  const records = {};
+
+  for (const game of finishedGames) {
+    const players = playersByGame[game.id] || {};
+
+    for (const [opponentId, username] of Object.entries(players)) {
+      if (opponentId === userId) continue;
+
+      const record = records[opponentId] || { userId: opponentId, username, played: 0, wins: 0, losses: 0, draws: 0 };
+      record.played++;
+      if (!game.winner_id) record.draws++;
+      else if (game.winner_id === userId) record.wins++;
+      else if (game.winner_id === opponentId) record.losses++;
+      records[opponentId] = record;
+    }
+  }
+
+  return Object.values(records).sort((a, b) => b.played - a.played);
+}
+
+/**
+ * Build a player's full analytics
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { throws, streaks, truthDare, headToHead, gamesAnalysed }
+ */
+async function buildUserAnalytics(userId) {
+  const db = getDatabase();
+
+  const gameRows = await db
+    .select()
+    .from(games)
+    .where(playedByUser(db, userId))
+    .orderBy(asc(games.updated_at));
+  const gameIds = gameRows.map(game => game.id);
+  const finishedGames = gameRows.filter(game => ['completed', 'forfeit'].includes(game.status));
+
+  const rpsMoves = gameIds.length > 0
+    ? await db
+      .select()
+      .from(game_moves)
+      .where(and(inArray(game_moves.game_id, gameIds), eq(game_moves.move_type, 'rps')))
+      .orderBy(asc(game_moves.timestamp))
+    : [];
+
+  const picks = await db
+    .select()
+    .from(game_moves)
+    .where(and(eq(game_moves.user_id, userId), inArray(game_moves.move_type, ['truth', 'dare'])));
+
+  // Everyone who sat in each finished game (creator/opponent for games without participant rows)
+  const playersByGame = {};
+  const finishedIds = finishedGames.map(game => game.id);
+  const seated = finishedIds.length > 0
+    ? await db
+      .select()
+      .from(game_participants)
+      .where(inArray(game_participants.game_id, finishedIds))
+    : [];
+  seated.forEach(row => {
+    playersByGame[row.game_id] = playersByGame[row.game_id] || {};
+    playersByGame[row.game_id][row.user_id] = row.username;
+  });
+
+  const unseated = finishedGames.filter(game => !playersByGame[game.id]);
+  const legacyIds = [...new Set(unseated.flatMap(game => [game.creator_id, game.opponent_id]).filter(Boolean))];
+  const legacyUsers = legacyIds.length > 0
+    ? await db
+      .select({ id: users.id, username: users.username })
+      .from(users)
+      .where(inArray(users.id, legacyIds))
+    : [];
+  const legacyNames = Object.fromEntries(legacyUsers.map(u => [u.id, u.username]));
+  unseated.forEach(game => {
+    playersByGame[game.id] = {};
+    [game.creator_id, game.opponent_id].filter(Boolean).forEach(id => {
+      playersByGame[game.id][id] = legacyNames[id] || null;
+    });
+  });
+
+  return {
+    gamesAnalysed: gameRows.length,
+    throws: analyseThrows(userId, gameRows, rpsMoves),
+    streaks: analyseStreaks(userId, finishedGames),
+    truthDare: analyseTruthDare(picks),
+    headToHead: analyseHeadToHead(userId, finishedGames, playersByGame),
+  };
+}
+
+/**
+ * Cut analytics down for someone viewing another player's profile:
+ * throw tendencies stay private and head-to-head only shows the viewer's own record
+ * @param {Object} analytics - Full analytics (buildUserAnalytics)
+ * @param {string|null} viewerId - Logged-in viewer, if any
+ * @returns {Object} Public analytics
+ */
+function toPublicAnalytics(analytics, viewerId) {
+  return {
+    ...analytics,
+    throws: null,
+    headToHead: analytics.headToHead.filter(record => viewerId && record.userId === viewerId),
+  };
+}
+
+/**
+ * The room of the last game two players shared, with when its chat was last used
+ * @param {Object} game - Most recent shared games row
+ * @returns {Promise<Object>} { roomCode, gameId, lastMessageAt }
+ */
+async function describeSharedRoom(game) {
+  const db = getDatabase();
+
+  const lastMessage = await db
+    .select({ timestamp: messages.timestamp })
+    .from(messages)
+    .where(eq(messages.room, game.room_code))
+    .orderBy(desc(messages.timestamp))
+    .limit(1);
+
+  return {
+    roomCode: game.room_code,
+    gameId: game.id,
+    lastMessageAt: lastMessage.length > 0 ? lastMessage[0].timestamp : null,
+  };
+}
+
+/**
+ * Build the rivalry between two players: their record against each other, recent
+ * shared matches, the truths and dares each has imposed, and the last room they shared
+ * @param {Object} player - { id, username }
+ * @param {Object} otherPlayer - { id, username }
+ * @returns {Promise<Object>} { players, played, draws, recentMatches, lastSharedRoom }
+ */
+async function buildVersus(player, otherPlayer) {
+  const db = getDatabase();
+
+  const sharedGames = await db
+    .select()
+    .from(games)
+    .where(and(playedByUser(db, player.id), playedByUser(db, otherPlayer.id)))
+    .orderBy(desc(games.updated_at));
+  const finishedGames = sharedGames.filter(game => ['completed', 'forfeit'].includes(game.status));
+
+  // Rounds where one of them won and the other had to take the truth or dare
+  const imposed = sharedGames.length > 0
+    ? await db
+      .select({ winnerId: game_rounds.winner_id, selection: game_rounds.selection })
+      .from(game_rounds)
+      .where(and(
+        inArray(game_rounds.game_id, sharedGames.map(game => game.id)),
+        inArray(game_rounds.winner_id, [player.id, otherPlayer.id]),
+        inArray(game_rounds.loser_id, [player.id, otherPlayer.id]),
+        inArray(game_rounds.selection, ['truth', 'dare'])
+      ))
+    : [];
+
+  const players = [player, otherPlayer].map(({ id, username }) => ({
+    userId: id,
+    username,
+    wins: finishedGames.filter(game => game.winner_id === id).length,
+    truthsImposed: imposed.filter(round => round.winnerId === id && round.selection === 'truth').length,
+    daresImposed: imposed.filter(round => round.winnerId === id && round.selection === 'dare').length,
+  }));
+
+  return {
+    players,
+    played: finishedGames.length,
+    draws: finishedGames.filter(game => !game.winner_id).length,
+    recentMatches: finishedGames.slice(0, VERSUS_RECENT_MATCHES).map(game => ({
+      gameId: game.id,
+      roomCode: game.room_code,
+      status: game.status,
+      winnerId: game.winner_id,
+      playedAt: game.updated_at,
+    })),
+    lastSharedRoom: sharedGames.length > 0 ? await describeSharedRoom(sharedGames[0]) : null,
+  };
+}
+
+module.exports = {
+  buildUserAnalytics,
+  toPublicAnalytics,
+  buildVersus,
+};
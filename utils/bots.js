@@ -0,0 +1,193 @@
+/**
+ * Bot Opponents
+ * Server-side players that take the empty seat for solo play. Each difficulty
+ * is a throw strategy fed by the human's recent throws from game_moves
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { game_moves } = require('../db/schema');
+const { eq, and, desc } = require('drizzle-orm');
+const { getRuleset, moveBeats } = require('./rulesets');
+const { PROMPT_TYPES, pickRandom } = require('./gameLogic');
+
+// Bots are anonymous players as far as stats and the database are concerned
+const BOT_ID_PREFIX = 'anon_bot_';
+
+// easy: uniform random, medium: counter the human's favourite throw, hard: Markov model of their habits
+const BOT_STRATEGIES = {
+  easy: 'random',
+  medium: 'frequency',
+  hard: 'markov',
+};
+const BOT_DIFFICULTIES = Object.keys(BOT_STRATEGIES);
+const DEFAULT_BOT_DIFFICULTY = 'medium';
+
+// Throws of the human's history the strategies look at
+const BOT_HISTORY_SIZE = 50;
+
+// Pause before the bot acts, so its moves don't land in the same instant as the human's
+const BOT_DELAY_MS = 800;
+
+// What the bot "proves" when it loses (it can't send photos)
+const BOT_PROOFS = {
+  truth: [
+    '🤖 I have never once let a human win on purpose.',
+    '🤖 My secret: I count every throw you make.',
+    '🤖 Honestly? I think paper is overrated.',
+  ],
+  dare: [
+    '🤖 Done! I rebooted myself twice in a row.',
+    '🤖 Done! I played the next throw with my eyes closed.',
+    '🤖 Done! I told the server it was my favourite human.',
+  ],
+};
+
+/**
+ * Check whether a player ID belongs to a bot
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+function isBotId(userId) {
+  return typeof userId === 'string' && userId.startsWith(BOT_ID_PREFIX);
+}
+
+/**
+ * Validate bot difficulty
+ * @param {string} difficulty - Difficulty
+ * @returns {boolean}
+ */
+function isValidBotDifficulty(difficulty) {
+  return BOT_DIFFICULTIES.includes(difficulty);
+}
+
+/**
+ * Create a bot player
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @returns {Object} { userId, username, difficulty }
+ */
+function createBot(difficulty = DEFAULT_BOT_DIFFICULTY) {
+  return {
+    userId: `${BOT_ID_PREFIX}${uuidv4().slice(0, 8)}`,
+    username: `🤖 Bot (${difficulty})`,
+    difficulty,
+  };
+}
+
+/**
+ * Most common throw in a history
+ * @param {string[]} history - Throws, oldest first
+ * @returns {string|null}
+ */
+function predictByFrequency(history) {
+  const counts = {};
+  history.forEach(move => { counts[move] = (counts[move] || 0) + 1; });
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+/**
+ * Most common throw to follow the human's last throw (first-order Markov chain)
+ * @param {string[]} history - Throws, oldest first
+ * @returns {string|null}
+ */
+function predictByMarkov(history) {
+  if (history.length < 2) return null;
+
+  const last = history[history.length - 1];
+  const followers = [];
+  for (let i = 0; i + 1 < history.length; i++) {
+    if (history[i] === last) followers.push(history[i + 1]);
+  }
+
+  return predictByFrequency(followers);
+}
+
+/**
+ * Pick the bot's throw
+ * @param {Object} options
+ * @param {string} options.difficulty - Bot difficulty
+ * @param {string[]} options.history - The human's throws, oldest first
+ * @param {string} options.rulesetId - Ruleset the room plays
+ * @returns {string} Move ID
+ */
+function chooseBotMove({ difficulty, history = [], rulesetId }) {
+  const moves = getRuleset(rulesetId).moves.map(move => move.id);
+  const strategy = BOT_STRATEGIES[difficulty] || BOT_STRATEGIES[DEFAULT_BOT_DIFFICULTY];
+
+  let predicted = null;
+  if (strategy === 'frequency') {
+    predicted = predictByFrequency(history);
+  } else if (strategy === 'markov') {
+    predicted = predictByMarkov(history) || predictByFrequency(history);
+  }
+
+  const counters = predicted ? moves.filter(move => moveBeats(move, predicted, rulesetId)) : [];
+  return pickRandom(counters.length > 0 ? counters : moves);
+}
+
+/**
+ * Pick truth or dare for a losing bot
+ * @returns {string} 'truth' or 'dare'
+ */
+function chooseBotSelection() {
+  return pickRandom(PROMPT_TYPES);
+}
+
+/**
+ * Proof a losing bot submits for its truth or dare
+ * @param {string} selection - 'truth' or 'dare'
+ * @returns {Object} { type: 'text', content }
+ */
+function getBotProof(selection) {
+  return { type: 'text', content: pickRandom(BOT_PROOFS[selection] || BOT_PROOFS.dare) };
+}
+
+/**
+ * Load a human's recent throws from game_moves
+ * Registered players are tracked across games; anonymous ones only in this game
+ * @param {string} userId - The human's user ID
+ * @param {string} gameId - Current game ID
+ * @returns {Promise<string[]>} Throws, oldest first
+ */
+async function loadThrowHistory(userId, gameId) {
+  try {
+    const db = getDatabase();
+    const isRegistered = !userId.startsWith('anon_');
+
+    const rows = await db
+      .select({ move_data: game_moves.move_data })
+      .from(game_moves)
+      .where(and(
+        eq(game_moves.move_type, 'rps'),
+        isRegistered ? eq(game_moves.user_id, userId) : eq(game_moves.game_id, gameId)
+      ))
+      .orderBy(desc(game_moves.timestamp))
+      .limit(isRegistered ? BOT_HISTORY_SIZE : BOT_HISTORY_SIZE * 2);
+
+    return rows
+      .map(row => (typeof row.move_data === 'string' ? JSON.parse(row.move_data) : row.move_data) || {})
+      .filter(data => data.userId === userId && data.choice)
+      .slice(0, BOT_HISTORY_SIZE)
+      .map(data => data.choice)
+      .reverse();
+  } catch (error) {
+    console.error('❌ Error loading throw history:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  BOT_ID_PREFIX,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_DELAY_MS,
+  isBotId,
+  isValidBotDifficulty,
+  createBot,
+  chooseBotMove,
+  chooseBotSelection,
+  getBotProof,
+  loadThrowHistory,
+};
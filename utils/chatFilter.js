@@ -0,0 +1,135 @@
+/**
+ * Chat Filter
+ * Screens what players type before it is stored or broadcast. Words are graded
+ * mild, strong or severe, and each room's strictness decides what happens to
+ * each grade: let it through, mask it (d***) or refuse the message.
+ * Lists extend through CHAT_FILTER_MILD, CHAT_FILTER_STRONG and CHAT_FILTER_SEVERE
+ * (comma separated); severe words (slurs, threats) are refused in every room
+ */
+
+const CHAT_FILTER_LEVELS = ['family', 'casual', 'adult'];
+const DEFAULT_CHAT_FILTER = 'casual';
+
+const DEFAULT_WORDS = {
+  mild: ['damn', 'hell', 'crap', 'bloody', 'piss', 'arse', 'bollocks'],
+  strong: ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cock', 'cunt', 'wanker', 'prick'],
+  severe: [],
+};
+
+// What each strictness does with each grade
+const POLICIES = {
+  family: { mild: 'mask', strong: 'reject', severe: 'reject' },
+  casual: { mild: 'allow', strong: 'mask', severe: 'reject' },
+  adult: { mild: 'allow', strong: 'allow', severe: 'reject' },
+};
+
+// Look-alike characters people swap in to slip past a filter
+const LOOKALIKES = {
+  a: 'a4@', e: 'e3', i: 'i1!|', o: 'o0', s: 's5$', t: 't7', l: 'l1|', g: 'g9', b: 'b8',
+};
+
+/**
+ * Build a refusal
+ * @returns {Object} { error, status, code }
+ */
+function reject(error, status = 400, code = 'INVALID_ACTION') {
+  return { error, status, code };
+}
+
+/**
+ * Validate a room's chat strictness
+ * @param {string} level - 'family', 'casual' or 'adult'
+ * @returns {boolean}
+ */
+function isValidChatFilter(level) {
+  return CHAT_FILTER_LEVELS.includes(level);
+}
+
+/**
+ * Read an extra word list from the environment
+ * @param {string} name - Variable name
+ * @returns {string[]} Lowercased words
+ */
+function wordsFromEnv(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build a pattern for one word that also catches repeated letters,
+ * look-alike characters and common endings (shitty, damned, fucking)
+ * @param {string} word - Listed word
+ * @returns {string} Regex source
+ */
+function wordPattern(word) {
+  const letters = [...word].map((ch) => {
+    const chars = (LOOKALIKES[ch] || ch).replace(/[-\\\]^]/g, '\\$&');
+    return `[${chars}]+`;
+  });
+  return `${letters.join('')}(?:s|es|ed|er|ers|ing|in|y)?`;
+}
+
+// One pattern per grade, built once from the defaults plus the environment
+const PATTERNS = Object.fromEntries(Object.keys(DEFAULT_WORDS).map((grade) => {
+  const words = [...new Set([...DEFAULT_WORDS[grade], ...wordsFromEnv(`CHAT_FILTER_${grade.toUpperCase()}`)])];
+  const pattern = words.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(wordPattern).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    : null;
+  return [grade, pattern];
+}));
+
+/**
+ * Mask a matched word, keeping its first letter
+ * @param {string} match - Matched text
+ * @returns {string} e.g. 'd***'
+ */
+function mask(match) {
+  return match[0] + '*'.repeat(Math.max(match.length - 1, 1));
+}
+
+/**
+ * Screen a message against a room's strictness
+ * Control characters are dropped first; markup is left as typed because clients
+ * render chat as text, never HTML
+ * @param {string} text - Message as typed
+ * @param {string} level - Room strictness (defaults to casual)
+ * @returns {Object} { content, masked } or { error, status, code }
+ */
+function moderateText(text, level = DEFAULT_CHAT_FILTER) {
+  const policy = POLICIES[level] || POLICIES[DEFAULT_CHAT_FILTER];
+  let content = String(text).replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '');
+  let masked = false;
+
+  for (const grade of Object.keys(PATTERNS)) {
+    const pattern = PATTERNS[grade];
+    if (!pattern || policy[grade] === 'allow') continue;
+
+    pattern.lastIndex = 0;
+    if (!pattern.test(content)) continue;
+
+    if (policy[grade] === 'reject') {
+      return reject(
+        level === 'family' && grade !== 'severe'
+          ? 'Keep it clean - this is a family room'
+          : "That message isn't allowed in this room",
+        400,
+        'CONTENT_BLOCKED'
+      );
+    }
+
+    pattern.lastIndex = 0;
+    content = content.replace(pattern, mask);
+    masked = true;
+  }
+
+  return { content, masked };
+}
+
+module.exports = {
+  CHAT_FILTER_LEVELS,
+  DEFAULT_CHAT_FILTER,
+  isValidChatFilter,
+  moderateText,
+};
@@ -0,0 +1,576 @@
+/**
+ * Chat Messages
+ * Room chat beyond posting: quoted replies that point at an earlier message,
+ * emoji reactions, edits that keep the earlier versions in message_edits and
+ * deletes that blank a message for everyone, plus delivered/read receipts for
+ * each player. Text goes through the room's chat filter (utils/chatFilter.js)
+ * whether it is posted or edited in. Each action returns what clients should
+ * see, or a refusal, and leaves broadcasting to the caller
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { messages, message_edits, message_receipts } = require('../db/schema');
+const { eq, and, or, lt, asc, desc, inArray, sql } = require('drizzle-orm');
+const { isValidReaction } = require('./gameLogic');
+const { moderateText } = require('./chatFilter');
+
+// Matches the messages.content column
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Chat history page sizes (joining a room sends the latest page)
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// Orders messages sent in the same instant. SQLite timestamps only keep whole
+// seconds, so ties there are common and fall back to insertion order
+const messageSequence = (process.env.DATABASE_TYPE || 'sqlite') === 'sqlite'
+  ? sql`${messages}.rowid`
+  : messages.id;
+
+// Receipt statuses a player's client reports; 'read' implies 'delivered'
+const RECEIPT_STATUSES = ['delivered', 'read'];
+
+// Most messages one receipt update can cover (a page of history)
+const MAX_RECEIPT_BATCH = 100;
+
+// Updates queued per message (reactions) or per player (receipts), so two at once can't overwrite each other
+const locks = new Map();
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// System messages saved before chat was rendered as text carried <strong> tags
+const stripLegacyMarkup = (content) => content.replace(/<\/?strong>/g, '');
+
+/**
+ * Build a refusal
+ * @returns {Object} { error, status, code }
+ */
+function reject(error, status = 400, code = 'INVALID_ACTION') {
+  return { error, status, code };
+}
+
+/**
+ * Validate chat message content
+ * @param {string} content - Message text
+ * @returns {boolean}
+ */
+function isValidMessageContent(content) {
+  return typeof content === 'string' && content.trim().length > 0 && content.length <= MAX_MESSAGE_LENGTH;
+}
+
+/**
+ * Validate a receipt status
+ * @param {string} status - 'delivered' or 'read'
+ * @returns {boolean}
+ */
+function isValidReceiptStatus(status) {
+  return RECEIPT_STATUSES.includes(status);
+}
+
+/**
+ * Run an update after any still in flight under the same key
+ * @param {string} key - Message ID, or receipts:<userId>
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} fn's result
+ */
+function withLock(key, fn) {
+  const run = (locks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Format the message a reply quotes
+ * @param {Object} row - Messages row
+ * @returns {Object} { id, username, type, content, deleted }
+ */
+function formatQuoteForClient(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    type: row.type,
+    content: row.deleted_at ? null : row.content,
+    deleted: Boolean(row.deleted_at),
+  };
+}
+
+/**
+ * Format a receipt for client
+ * @param {Object} receipt - Message_receipts row
+ * @returns {Object} { userId, username, deliveredAt, readAt }
+ */
+function formatReceiptForClient(receipt) {
+  return {
+    userId: receipt.user_id,
+    username: receipt.username,
+    deliveredAt: toIso(receipt.delivered_at),
+    readAt: toIso(receipt.read_at) || null,
+  };
+}
+
+/**
+ * Format a message for client
+ * Deleted messages keep their place in the log but lose their content, reactions and receipts
+ * @param {Object} row - Messages row
+ * @param {Object} repliedTo - Messages row it replies to, if still there
+ * @param {Array} receipts - Its message_receipts rows
+ * @returns {Object} Formatted message
+ */
+function formatMessageForClient(row, repliedTo = null, receipts = []) {
+  return {
+    id: row.id,
+    room: row.room,
+    username: row.username,
+    senderId: row.sender_id || null,
+    content: row.deleted_at ? null : (row.type === 'system' ? stripLegacyMarkup(row.content) : row.content),
+    type: row.type,
+    replyTo: repliedTo ? formatQuoteForClient(repliedTo) : null,
+    reactions: row.deleted_at ? {} : (parseJson(row.reactions) || {}),
+    receipts: row.deleted_at ? [] : receipts.map(formatReceiptForClient),
+    editedAt: toIso(row.edited_at) || null,
+    deletedAt: toIso(row.deleted_at) || null,
+    timestamp: toIso(row.timestamp),
+  };
+}
+
+/**
+ * Load a message from a room
+ * @param {string} room - Room code
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>} Messages row
+ */
+async function loadRoomMessage(room, messageId) {
+  if (typeof messageId !== 'string') return null;
+
+  const db = getDatabase();
+  const result = await db
+    .select()
+    .from(messages)
+    .where(and(eq(messages.id, messageId), eq(messages.room, room)))
+    .limit(1);
+
+  return result[0] || null;
+}
+
+/**
+ * Load the receipts for a set of messages
+ * @param {string[]} messageIds - Message IDs
+ * @returns {Promise<Object>} { [messageId]: [message_receipts row] }
+ */
+async function loadReceipts(messageIds) {
+  if (messageIds.length === 0) return {};
+
+  const db = getDatabase();
+  const rows = await db
+    .select()
+    .from(message_receipts)
+    .where(inArray(message_receipts.message_id, messageIds))
+    .orderBy(asc(message_receipts.delivered_at));
+
+  const byMessage = {};
+  rows.forEach(row => {
+    byMessage[row.message_id] = byMessage[row.message_id] || [];
+    byMessage[row.message_id].push(row);
+  });
+  return byMessage;
+}
+
+/**
+ * Load a message's quote and receipts and format it for client
+ * @param {Object} row - Messages row
+ * @returns {Promise<Object>} Formatted message
+ */
+async function formatWithQuote(row) {
+  const repliedTo = row.reply_to ? await loadRoomMessage(row.room, row.reply_to) : null;
+  const receipts = await loadReceipts([row.id]);
+  return formatMessageForClient(row, repliedTo, receipts[row.id]);
+}
+
+/**
+ * Validate a chat history page size
+ * @param {number} limit - Messages per page
+ * @returns {boolean}
+ */
+function isValidPageSize(limit) {
+  const size = Number(limit);
+  return Number.isInteger(size) && size >= 1 && size <= MAX_MESSAGE_PAGE_SIZE;
+}
+
+/**
+ * Load one page of a room's chat history, walking back from a cursor
+ * Messages come oldest first; nextCursor is the ID to pass as `before` for the page
+ * before this one (null once the start of the room is reached)
+ * @param {string} room - Room code
+ * @param {Object} options
+ * @param {string} options.before - Message ID to page back from (omit for the latest page)
+ * @param {number} options.limit - Messages per page (1-100, defaults to 50)
+ * @returns {Promise<Object>} { messages, hasMore, nextCursor } or { error, status, code }
+ */
+async function getMessagePage(room, { before = null, limit = MESSAGE_PAGE_SIZE } = {}) {
+  if (!isValidPageSize(limit)) {
+    return reject(`Limit must be between 1 and ${MAX_MESSAGE_PAGE_SIZE}`);
+  }
+
+  const db = getDatabase();
+  const conditions = [eq(messages.room, room)];
+
+  if (before) {
+    const cursor = typeof before === 'string'
+      ? (await db
+        .select({ timestamp: messages.timestamp, sequence: messageSequence })
+        .from(messages)
+        .where(and(eq(messages.id, before), eq(messages.room, room)))
+        .limit(1))[0]
+      : null;
+    if (!cursor) {
+      return reject('Cursor message not found in this room', 404, 'NOT_FOUND');
+    }
+
+    conditions.push(or(
+      lt(messages.timestamp, cursor.timestamp),
+      and(eq(messages.timestamp, cursor.timestamp), lt(messageSequence, cursor.sequence))
+    ));
+  }
+
+  const newestFirst = await db
+    .select()
+    .from(messages)
+    .where(and(...conditions))
+    .orderBy(desc(messages.timestamp), desc(messageSequence))
+    .limit(Number(limit) + 1);
+
+  const hasMore = newestFirst.length > Number(limit);
+  const rows = newestFirst.slice(0, Number(limit)).reverse();
+
+  // Replies can quote messages from earlier pages
+  const rowsById = Object.fromEntries(rows.map(row => [row.id, row]));
+  const missingIds = [...new Set(rows.map(row => row.reply_to).filter(id => id && !rowsById[id]))];
+  if (missingIds.length > 0) {
+    const quoted = await db
+      .select()
+      .from(messages)
+      .where(and(eq(messages.room, room), inArray(messages.id, missingIds)));
+    quoted.forEach(row => { rowsById[row.id] = row; });
+  }
+
+  const receipts = await loadReceipts(rows.filter(row => row.sender_id).map(row => row.id));
+
+  return {
+    messages: rows.map(row => formatMessageForClient(row, row.reply_to ? rowsById[row.reply_to] : null, receipts[row.id])),
+    hasMore,
+    nextCursor: hasMore && rows.length > 0 ? rows[0].id : null,
+  };
+}
+
+/**
+ * Post a player's message, optionally as a reply
+ * @param {Object} params
+ * @param {string} params.room - Room code
+ * @param {string} params.senderId - Player posting (UUID or anon_xxxx)
+ * @param {string} params.username - Their username
+ * @param {string} params.content - Text, or the file URL for uploads
+ * @param {string} params.type - 'text', 'audio' or 'file'
+ * @param {string} params.replyTo - ID of the message being replied to
+ * @param {string} params.chatFilter - Room's chat strictness (text messages only)
+ * @returns {Promise<Object>} { message } or { error, status, code }
+ */
+async function postMessage({ room, senderId = null, username, content, type = 'text', replyTo = null, chatFilter }) {
+  if (!isValidMessageContent(content)) {
+    return reject(`Messages must be 1-${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  if (type === 'text') {
+    const moderated = moderateText(content, chatFilter);
+    if (moderated.error) return moderated;
+    content = moderated.content;
+  }
+
+  let repliedTo = null;
+  if (replyTo) {
+    repliedTo = await loadRoomMessage(room, replyTo);
+    if (!repliedTo) {
+      return reject('The message you replied to is not in this room', 404, 'NOT_FOUND');
+    }
+    if (repliedTo.deleted_at) {
+      return reject("You can't reply to a deleted message", 400, 'MESSAGE_DELETED');
+    }
+  }
+
+  const db = getDatabase();
+  const row = {
+    id: uuidv4(),
+    room,
+    username,
+    content,
+    type,
+    sender_id: senderId,
+    reply_to: repliedTo ? repliedTo.id : null,
+    reactions: null,
+    edited_at: null,
+    deleted_at: null,
+    timestamp: new Date(),
+  };
+  await db.insert(messages).values(row);
+
+  return { message: formatMessageForClient(row, repliedTo) };
+}
+
+/**
+ * Add or take back a reaction; reacting again with the same emoji removes it
+ * @param {Object} params
+ * @param {string} params.room - Room code
+ * @param {string} params.messageId - Message reacted to
+ * @param {string} params.userId - Player reacting
+ * @param {string} params.emoji - One of REACTION_EMOJIS
+ * @returns {Promise<Object>} { message } or { error, status, code }
+ */
+function toggleReaction({ room, messageId, userId, emoji }) {
+  if (!isValidReaction(emoji)) {
+    return Promise.resolve(reject('Unknown reaction'));
+  }
+
+  return withLock(messageId, async () => {
+    const row = await loadRoomMessage(room, messageId);
+    if (!row) {
+      return reject('Message not found', 404, 'NOT_FOUND');
+    }
+    if (row.deleted_at) {
+      return reject("You can't react to a deleted message", 400, 'MESSAGE_DELETED');
+    }
+
+    const reactions = parseJson(row.reactions) || {};
+    const reacted = (reactions[emoji] || []).includes(userId);
+    const users = reacted
+      ? reactions[emoji].filter(id => id !== userId)
+      : [...(reactions[emoji] || []), userId];
+
+    if (users.length > 0) {
+      reactions[emoji] = users;
+    } else {
+      delete reactions[emoji];
+    }
+
+    const db = getDatabase();
+    await db
+      .update(messages)
+      .set({ reactions: JSON.stringify(reactions) })
+      .where(eq(messages.id, messageId));
+
+    return { message: await formatWithQuote({ ...row, reactions }) };
+  });
+}
+
+/**
+ * Edit one of your own text messages; the version it replaces goes into message_edits
+ * @param {Object} params
+ * @param {string} params.room - Room code
+ * @param {string} params.messageId - Message to edit
+ * @param {string} params.userId - Player editing (must have sent it)
+ * @param {string} params.content - New text
+ * @param {string} params.chatFilter - Room's chat strictness
+ * @returns {Promise<Object>} { message } or { error, status, code }
+ */
+async function editMessage({ room, messageId, userId, content, chatFilter }) {
+  if (!isValidMessageContent(content)) {
+    return reject(`Messages must be 1-${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const moderated = moderateText(content, chatFilter);
+  if (moderated.error) return moderated;
+  content = moderated.content;
+
+  const row = await loadRoomMessage(room, messageId);
+  if (!row) {
+    return reject('Message not found', 404, 'NOT_FOUND');
+  }
+  if (!userId || row.sender_id !== userId) {
+    return reject('You can only edit your own messages', 403, 'NOT_SENDER');
+  }
+  if (row.deleted_at) {
+    return reject("You can't edit a deleted message", 400, 'MESSAGE_DELETED');
+  }
+  if (row.type !== 'text') {
+    return reject('Only text messages can be edited');
+  }
+  if (row.content === content) {
+    return { message: await formatWithQuote(row) };
+  }
+
+  const db = getDatabase();
+  const now = new Date();
+
+  await db.insert(message_edits).values({
+    id: uuidv4(),
+    message_id: messageId,
+    content: row.content,
+    edited_at: now,
+  });
+
+  await db
+    .update(messages)
+    .set({ content, edited_at: now })
+    .where(eq(messages.id, messageId));
+
+  return { message: await formatWithQuote({ ...row, content, edited_at: now }) };
+}
+
+/**
+ * Delete one of your own messages for everyone
+ * Its content, reactions and edit history are wiped; replies quoting it show it as deleted
+ * @param {Object} params
+ * @param {string} params.room - Room code
+ * @param {string} params.messageId - Message to delete
+ * @param {string} params.userId - Player deleting (must have sent it)
+ * @returns {Promise<Object>} { message } or { error, status, code }
+ */
+async function deleteMessage({ room, messageId, userId }) {
+  const row = await loadRoomMessage(room, messageId);
+  if (!row) {
+    return reject('Message not found', 404, 'NOT_FOUND');
+  }
+  if (!userId || row.sender_id !== userId) {
+    return reject('You can only delete your own messages', 403, 'NOT_SENDER');
+  }
+  if (row.deleted_at) {
+    return { message: formatMessageForClient(row) };
+  }
+
+  const db = getDatabase();
+  const now = new Date();
+
+  await db.delete(message_edits).where(eq(message_edits.message_id, messageId));
+  await db
+    .update(messages)
+    .set({ content: '', reactions: null, deleted_at: now })
+    .where(eq(messages.id, messageId));
+
+  return { message: formatMessageForClient({ ...row, content: '', reactions: null, deleted_at: now }) };
+}
+
+/**
+ * Get a message's earlier versions, oldest first
+ * @param {string} room - Room code
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} { messageId, edits: [{ content, editedAt }] } or { error, status, code }
+ */
+async function getMessageEdits(room, messageId) {
+  const row = await loadRoomMessage(room, messageId);
+  if (!row) {
+    return reject('Message not found', 404, 'NOT_FOUND');
+  }
+
+  const db = getDatabase();
+  const edits = await db
+    .select()
+    .from(message_edits)
+    .where(eq(message_edits.message_id, messageId))
+    .orderBy(asc(message_edits.edited_at));
+
+  return {
+    messageId,
+    edits: edits.map(edit => ({ content: edit.content, editedAt: toIso(edit.edited_at) })),
+  };
+}
+
+/**
+ * Record that a player's client received or read other players' messages
+ * Receipts only move forward: a read message is never marked back to delivered.
+ * System messages, deleted messages and your own are skipped
+ * @param {Object} params
+ * @param {string} params.room - Room code
+ * @param {string} params.userId - Player whose client is reporting
+ * @param {string} params.username - Their username
+ * @param {string[]} params.messageIds - Messages received or read
+ * @param {string} params.status - 'delivered' or 'read'
+ * @returns {Promise<Object>} { updates: [{ messageId, senderId, receipts }] } or { error, status, code }
+ */
+function markMessages({ room, userId, username, messageIds, status }) {
+  if (!isValidReceiptStatus(status)) {
+    return Promise.resolve(reject(`Status must be one of: ${RECEIPT_STATUSES.join(', ')}`));
+  }
+  if (!Array.isArray(messageIds) || messageIds.length > MAX_RECEIPT_BATCH
+    || messageIds.some(id => typeof id !== 'string')) {
+    return Promise.resolve(reject(`Send up to ${MAX_RECEIPT_BATCH} message IDs at a time`));
+  }
+  if (messageIds.length === 0) {
+    return Promise.resolve({ updates: [] });
+  }
+
+  return withLock(`receipts:${userId}`, async () => {
+    const db = getDatabase();
+
+    const rows = await db
+      .select()
+      .from(messages)
+      .where(and(eq(messages.room, room), inArray(messages.id, messageIds)));
+    const eligible = rows.filter(row => row.sender_id && row.sender_id !== userId && !row.deleted_at);
+    if (eligible.length === 0) return { updates: [] };
+
+    const existing = await db
+      .select()
+      .from(message_receipts)
+      .where(and(
+        eq(message_receipts.user_id, userId),
+        inArray(message_receipts.message_id, eligible.map(row => row.id))
+      ));
+    const existingByMessage = Object.fromEntries(existing.map(receipt => [receipt.message_id, receipt]));
+
+    const now = new Date();
+    const changed = [];
+    for (const row of eligible) {
+      const receipt = existingByMessage[row.id];
+
+      if (!receipt) {
+        await db.insert(message_receipts).values({
+          id: uuidv4(),
+          message_id: row.id,
+          user_id: userId,
+          username,
+          delivered_at: now,
+          read_at: status === 'read' ? now : null,
+        }).onConflictDoNothing({ target: [message_receipts.message_id, message_receipts.user_id] });
+        changed.push(row);
+      } else if (status === 'read' && !receipt.read_at) {
+        await db
+          .update(message_receipts)
+          .set({ read_at: now })
+          .where(eq(message_receipts.id, receipt.id));
+        changed.push(row);
+      }
+    }
+
+    const receipts = await loadReceipts(changed.map(row => row.id));
+    return {
+      updates: changed.map(row => ({
+        messageId: row.id,
+        senderId: row.sender_id,
+        receipts: (receipts[row.id] || []).map(formatReceiptForClient),
+      })),
+    };
+  });
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  MESSAGE_PAGE_SIZE,
+  MAX_MESSAGE_PAGE_SIZE,
+  RECEIPT_STATUSES,
+  isValidMessageContent,
+  isValidReceiptStatus,
+  isValidPageSize,
+  formatMessageForClient,
+  getMessagePage,
+  postMessage,
+  toggleReaction,
+  editMessage,
+  deleteMessage,
+  getMessageEdits,
+  markMessages,
+};
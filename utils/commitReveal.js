@@ -0,0 +1,93 @@
+/**
+ * Commit-Reveal Moves
+ * Fair-play rooms: players first send sha256(`${move}:${nonce}`), then reveal
+ * the move and nonce once every commitment is in
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { game_moves } = require('../db/schema');
+
+const COMMITMENT_REGEX = /^[a-f0-9]{64}$/;
+const NONCE_REGEX = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Hash a move and nonce the same way clients do
+ * @param {string} move - Move ID
+ * @param {string} nonce - Client-chosen random nonce
+ * @returns {string} Hex-encoded SHA-256 commitment
+ */
+function hashCommitment(move, nonce) {
+  return crypto.createHash('sha256').update(`${move}:${nonce}`).digest('hex');
+}
+
+/**
+ * Validate commitment format
+ * @param {string} commitment - Hex SHA-256 digest
+ * @returns {boolean}
+ */
+function isValidCommitment(commitment) {
+  return typeof commitment === 'string' && COMMITMENT_REGEX.test(commitment);
+}
+
+/**
+ * Validate nonce format
+ * @param {string} nonce - Client nonce
+ * @returns {boolean}
+ */
+function isValidNonce(nonce) {
+  return typeof nonce === 'string' && NONCE_REGEX.test(nonce);
+}
+
+/**
+ * Check a reveal against its commitment
+ * @param {string} commitment - Commitment sent earlier
+ * @param {string} move - Revealed move
+ * @param {string} nonce - Revealed nonce
+ * @returns {boolean} True if the reveal matches
+ */
+function verifyReveal(commitment, move, nonce) {
+  if (!isValidCommitment(commitment) || !isValidNonce(nonce) || typeof move !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hashCommitment(move, nonce), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(commitment, 'hex'));
+}
+
+/**
+ * Record a commitment or reveal in game_moves for later audit
+ * @param {string} gameId - Game ID
+ * @param {string} userId - User ID (UUID or anon_xxxx)
+ * @param {string} moveType - 'commit' or 'reveal'
+ * @param {Object} data - Move details (commitment, choice, nonce, valid...)
+ * @returns {Promise<boolean>} Success status
+ */
+async function recordFairPlayMove(gameId, userId, moveType, data) {
+  if (!gameId) return false;
+
+  try {
+    const db = getDatabase();
+    await db.insert(game_moves).values({
+      id: uuidv4(),
+      game_id: gameId,
+      user_id: userId,
+      move_type: moveType,
+      move_data: JSON.stringify(data),
+      timestamp: new Date(),
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Error recording ${moveType} move:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  hashCommitment,
+  isValidCommitment,
+  isValidNonce,
+  verifyReveal,
+  recordFairPlayMove,
+};
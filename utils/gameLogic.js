@@ -3,31 +3,207 @@
  * Rock, Paper, Scissors game logic and utilities
  */
 
+const { DEFAULT_RULESET_ID, isValidMove, moveBeats } = require('./rulesets');
+const { DEFAULT_CHAT_FILTER } = require('./chatFilter');
+
+// Truth/dare prompt library options
+const PROMPT_TYPES = ['truth', 'dare'];
+const PROMPT_CATEGORIES = ['icebreaker', 'funny', 'spicy', 'party'];
+const PROMPT_INTENSITIES = [1, 2, 3]; // 1 = mild, 2 = bold, 3 = extreme
+const DEFAULT_PROMPT_SETTINGS = {
+  categories: [], // Empty = all categories
+  maxIntensity: 2,
+};
+
+// Match (series) configuration options
+const MATCH_TYPES = ['best_of', 'first_to'];
+const BEST_OF_TARGETS = [3, 5, 7];
+const MAX_FIRST_TO_TARGET = 21;
+
+// Group room options
+const MIN_ROOM_CAPACITY = 2;
+const MAX_ROOM_CAPACITY = 8;
+// 'elimination' = losers keep throwing until one is left; 'random' = one loser is picked at random
+const LOSER_RULES = ['elimination', 'random'];
+const DEFAULT_LOSER_RULE = 'elimination';
+
+// What happens when a turn timer runs out: 'auto_pick' plays a random move / selection for the
+// stalled player, 'forfeit' removes them from the game
+const TIMEOUT_ACTIONS = ['auto_pick', 'forfeit'];
+const DEFAULT_TIMEOUT_ACTION = 'auto_pick';
+
+// Who can find and join a room: 'public' rooms are listed, 'unlisted' need the code,
+// 'password' also need the room password, 'friends' only admit the host's accepted friends
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'password', 'friends'];
+const DEFAULT_ROOM_VISIBILITY = 'public';
+const MIN_ROOM_PASSWORD_LENGTH = 4;
+const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+// Language players chat and write truths/dares in (ISO 639-1 code), shown in the lobby
+const DEFAULT_ROOM_LANGUAGE = 'en';
+
+// Live emoji reactions players and spectators can send during a game
+const REACTION_EMOJIS = ['👏', '😂', '😱', '🔥', '❤️', '👀'];
+
+// Proof the loser submits for a truth or dare: a text answer or a file from /upload
+const PROOF_TYPES = ['text', 'photo', 'video', 'audio'];
+const MAX_PROOF_TEXT_LENGTH = 1000;
+const UPLOAD_URL_REGEX = /^\/uploads\/[A-Za-z0-9-]+(\.[A-Za-z0-9]+)?$/;
+
+// What a rejected proof leads to: try the same truth/dare again, or a penalty dare
+const PROOF_REJECTION_OUTCOMES = ['retry', 'penalty'];
+
 /**
- * Determine RPS winner
- * @param {string} choice1 - Player 1's choice (rock/paper/scissors)
- * @param {string} choice2 - Player 2's choice (rock/paper/scissors)
+ * Determine round winner using a ruleset's beats-graph
+ * @param {string} choice1 - Player 1's choice
+ * @param {string} choice2 - Player 2's choice
+ * @param {string} rulesetId - Ruleset ID (defaults to classic RPS)
  * @returns {number} 1 if player1 wins, 2 if player2 wins, 0 if draw
  */
-function determineWinner(choice1, choice2) {
+function determineWinner(choice1, choice2, rulesetId = DEFAULT_RULESET_ID) {
   if (choice1 === choice2) return 0; // Draw
 
-  const winConditions = {
-    rock: 'scissors',
-    paper: 'rock',
-    scissors: 'paper',
-  };
+  if (moveBeats(choice1, choice2, rulesetId)) return 1;
+  if (moveBeats(choice2, choice1, rulesetId)) return 2;
 
-  return winConditions[choice1] === choice2 ? 1 : 2;
+  return 0; // Moves with no edge between them draw
 }
 
 /**
- * Validate RPS choice
+ * Validate a choice against a ruleset
  * @param {string} choice - Choice to validate
+ * @param {string} rulesetId - Ruleset ID (defaults to classic RPS)
  * @returns {boolean}
  */
-function isValidChoice(choice) {
-  return ['rock', 'paper', 'scissors'].includes(choice);
+function isValidChoice(choice, rulesetId = DEFAULT_RULESET_ID) {
+  return isValidMove(choice, rulesetId);
+}
+
+/**
+ * Resolve one multi-way throw
+ * A throw is decisive only when exactly two distinct moves are present and one beats the other
+ * @param {Object} choices - { [userId]: move }
+ * @param {string} rulesetId - Ruleset ID (defaults to classic RPS)
+ * @returns {Object} { decisive, winners, losers, winningMove, losingMove }
+ */
+function resolveGroupThrow(choices, rulesetId = DEFAULT_RULESET_ID) {
+  const moves = [...new Set(Object.values(choices))];
+  const undecided = { decisive: false, winners: [], losers: [], winningMove: null, losingMove: null };
+
+  if (moves.length !== 2) return undecided;
+
+  const outcome = determineWinner(moves[0], moves[1], rulesetId);
+  if (outcome === 0) return undecided;
+
+  const winningMove = outcome === 1 ? moves[0] : moves[1];
+  const losingMove = outcome === 1 ? moves[1] : moves[0];
+  const userIds = Object.keys(choices);
+
+  return {
+    decisive: true,
+    winners: userIds.filter(userId => choices[userId] === winningMove),
+    losers: userIds.filter(userId => choices[userId] === losingMove),
+    winningMove,
+    losingMove,
+  };
+}
+
+/**
+ * Pick a random element from a list
+ * @param {Array} list - Candidates
+ * @returns {*} Random element
+ */
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Validate room capacity
+ * @param {number} capacity - Maximum players in the room
+ * @returns {boolean}
+ */
+function isValidCapacity(capacity) {
+  const value = Number(capacity);
+  return Number.isInteger(value) && value >= MIN_ROOM_CAPACITY && value <= MAX_ROOM_CAPACITY;
+}
+
+/**
+ * Validate loser rule
+ * @param {string} rule - Loser rule
+ * @returns {boolean}
+ */
+function isValidLoserRule(rule) {
+  return LOSER_RULES.includes(rule);
+}
+
+/**
+ * Validate turn timeout action
+ * @param {string} action - Timeout action
+ * @returns {boolean}
+ */
+function isValidTimeoutAction(action) {
+  return TIMEOUT_ACTIONS.includes(action);
+}
+
+/**
+ * Validate room visibility
+ * @param {string} visibility - Room visibility
+ * @returns {boolean}
+ */
+function isValidRoomVisibility(visibility) {
+  return ROOM_VISIBILITIES.includes(visibility);
+}
+
+/**
+ * Validate room password
+ * @param {string} password - Room password
+ * @returns {boolean}
+ */
+function isValidRoomPassword(password) {
+  return typeof password === 'string'
+    && password.length >= MIN_ROOM_PASSWORD_LENGTH
+    && password.length <= MAX_ROOM_PASSWORD_LENGTH;
+}
+
+/**
+ * Validate room language (two-letter ISO 639-1 code)
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function isValidRoomLanguage(language) {
+  return typeof language === 'string' && /^[a-z]{2}$/.test(language);
+}
+
+/**
+ * Validate live reaction emoji
+ * @param {string} emoji - Reaction to validate
+ * @returns {boolean}
+ */
+function isValidReaction(emoji) {
+  return REACTION_EMOJIS.includes(emoji);
+}
+
+/**
+ * Validate a truth/dare proof
+ * @param {Object} proof - { type, content }
+ * @returns {string|null} Error message or null if valid
+ */
+function validateProof({ type, content } = {}) {
+  if (!PROOF_TYPES.includes(type)) {
+    return `Proof type must be one of: ${PROOF_TYPES.join(', ')}`;
+  }
+
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return 'Proof content is required';
+  }
+
+  if (type === 'text') {
+    return content.trim().length > MAX_PROOF_TEXT_LENGTH
+      ? `Text proof must be at most ${MAX_PROOF_TEXT_LENGTH} characters`
+      : null;
+  }
+
+  return UPLOAD_URL_REGEX.test(content) ? null : 'Media proof must be a file URL from /upload';
 }
 
 /**
@@ -60,11 +236,10 @@ function generateRoomCode() {
 function isGameComplete(gameState) {
   if (!gameState) return false;
 
-  // Game is complete if both players made choices and result was determined
   return (
     gameState.status === 'completed' ||
     gameState.status === 'forfeit' ||
-    (gameState.winner_id && gameState.truthDareCompleted)
+    gameState.game_phase === 'completed'
   );
 }
 
@@ -100,8 +275,79 @@ function calculateUserGameStats(games, userId) {
   return stats;
 }
 
+/**
+ * Validate match configuration
+ * @param {Object} match - Match config ({ type: 'best_of' | 'first_to', target: number })
+ * @returns {boolean}
+ */
+function isValidMatchConfig(match) {
+  if (!match || typeof match !== 'object') return false;
+
+  const target = Number(match.target);
+  if (match.type === 'best_of') {
+    return BEST_OF_TARGETS.includes(target);
+  }
+  if (match.type === 'first_to') {
+    return Number.isInteger(target) && target >= 1 && target <= MAX_FIRST_TO_TARGET;
+  }
+  return false;
+}
+
+/**
+ * Get the number of round wins needed to clinch a match
+ * @param {Object} match - Match config
+ * @returns {number|null} Points needed, or null for open-ended games
+ */
+function getPointsToWin(match) {
+  if (!match) return null;
+  return match.type === 'best_of'
+    ? Math.floor(match.target / 2) + 1
+    : match.target;
+}
+
+/**
+ * Add a round win to the series score
+ * @param {Object} gameState - Current game state (with match and score)
+ * @param {string} winnerId - Round winner user ID
+ * @returns {Object} Updated game state with score and matchWinner
+ */
+function applyRoundToScore(gameState, winnerId) {
+  const newState = { ...gameState };
+  newState.score = { ...(newState.score || {}) };
+  newState.score[winnerId] = (newState.score[winnerId] || 0) + 1;
+
+  const pointsToWin = getPointsToWin(newState.match);
+  if (pointsToWin && !newState.matchWinner && newState.score[winnerId] >= pointsToWin) {
+    newState.matchWinner = winnerId;
+  }
+
+  return newState;
+}
+
+// Phases in which a throw is still being played, so its moves must stay hidden
+const THROW_PENDING_PHASES = ['lobby', 'choosing', 'revealing'];
+
+/**
+ * Hide the moves of a throw still in play: choices and commitments are dropped
+ * and only who has already thrown (thrown) is left
+ * @param {Object} state - Parsed game_state
+ * @param {string} phase - Game phase (games rows without one in game_state)
+ * @returns {Object} Game state safe to show every player
+ */
+function hidePendingMoves(state, phase) {
+  if (!state || !THROW_PENDING_PHASES.includes(state.gamePhase || phase || 'lobby')) return state;
+
+  return {
+    ...state,
+    choices: {},
+    commitments: {},
+    thrown: [...new Set([...Object.keys(state.choices || {}), ...Object.keys(state.commitments || {})])],
+  };
+}
+
 /**
  * Format game state for client
+ * Moves of a throw still in play are hidden (hidePendingMoves)
  * @param {Object} game - Game database object
  * @returns {Object} Formatted game state
  */
@@ -114,29 +360,119 @@ function formatGameForClient(game) {
     status: game.status,
     currentTurn: game.current_turn,
     winnerId: game.winner_id,
-    gameState: typeof game.game_state === 'string'
-      ? JSON.parse(game.game_state)
-      : game.game_state,
+    previousGameId: game.previous_game_id || null,
+    visibility: game.visibility || DEFAULT_ROOM_VISIBILITY,
+    gameState: hidePendingMoves(
+      typeof game.game_state === 'string' ? JSON.parse(game.game_state) : game.game_state,
+      game.game_phase
+    ),
     createdAt: game.created_at,
     updatedAt: game.updated_at,
   };
 }
 
+/**
+ * Build a read-only snapshot of a game for spectators
+ * The current throw's moves stay hidden; only who has already thrown is shown
+ * @param {Object} game - Game database object
+ * @param {Array} participants - Formatted participants ({ userId, username, seat })
+ * @returns {Object} Spectator snapshot
+ */
+function formatSpectatorSnapshot(game, participants = []) {
+  const state = (typeof game.game_state === 'string'
+    ? JSON.parse(game.game_state)
+    : game.game_state) || {};
+
+  const describe = (userId) => {
+    if (!userId) return null;
+    const participant = participants.find(p => p.userId === userId);
+    const username = participant
+      ? participant.username
+      : (state.users && state.users[userId] && state.users[userId].username) || null;
+    return { userId, username };
+  };
+
+  return {
+    id: game.id,
+    roomCode: game.room_code,
+    status: game.status,
+    gamePhase: game.game_phase || 'lobby',
+    rulesetId: state.rulesetId || DEFAULT_RULESET_ID,
+    capacity: state.capacity || MIN_ROOM_CAPACITY,
+    fairPlay: state.fairPlay || false,
+    players: participants,
+    round: {
+      number: state.roundNumber || 1,
+      thrown: [...new Set([...Object.keys(state.choices || {}), ...Object.keys(state.commitments || {})])],
+      activePlayers: state.activePlayers || null,
+      winner: describe(state.winner),
+      loser: describe(state.loser),
+      truthDareSelection: state.truthDareSelection || null,
+      currentPrompt: state.currentPrompt || null,
+    },
+    match: state.match || null,
+    score: state.score || {},
+    matchWinner: describe(state.matchWinner),
+    updatedAt: game.updated_at,
+  };
+}
+
 /**
  * Create initial game state object
  * @param {string} creatorId - Creator user ID
+ * @param {Object} options - Game options
+ * @param {Object} options.match - Match config (null for an open-ended game)
+ * @param {string} options.rulesetId - Ruleset ID for the hand game
+ * @param {number} options.capacity - Maximum players (2-8)
+ * @param {string} options.loserRule - How the truth/dare loser is picked in group rounds
+ * @param {string} options.timeoutAction - What happens when a turn timer runs out
+ * @param {boolean} options.fairPlay - Commit-reveal moves
+ * @param {string} options.language - Room language (ISO 639-1)
+ * @param {number} options.maxIntensity - Strongest prompts offered (1-3)
+ * @param {string} options.chatFilter - Chat strictness ('family', 'casual' or 'adult')
  * @returns {Object} Initial game state
  */
-function createInitialGameState(creatorId) {
+function createInitialGameState(creatorId, {
+  match = null,
+  rulesetId = DEFAULT_RULESET_ID,
+  capacity = MIN_ROOM_CAPACITY,
+  loserRule = DEFAULT_LOSER_RULE,
+  timeoutAction = DEFAULT_TIMEOUT_ACTION,
+  fairPlay = false,
+  language = DEFAULT_ROOM_LANGUAGE,
+  maxIntensity = DEFAULT_PROMPT_SETTINGS.maxIntensity,
+  chatFilter = DEFAULT_CHAT_FILTER,
+} = {}) {
   return {
+    gamePhase: 'lobby',  // see utils/gameStateMachine.js
+    rulesetId,
+    capacity: Number(capacity),
+    loserRule,
+    timeoutAction,
+    deadline: null,      // { phase, expiresAt } while a turn timer is running
+    fairPlay: fairPlay === true,
+    commitments: {},     // { [userId]: commitment } for the current throw (fair play)
+    roundThrows: [],     // [{ moves, outcome }] resolved so far this round (round history)
+    activePlayers: null, // Players still throwing this round (null = everyone)
+    safePlayers: [],     // Players who escaped earlier throws this round
     choices: {},
     chatVisible: false,
     winner: null,
     loser: null,
     truthDareSelection: null,
     awaitingTruthDare: false,
-    truthDareCompleted: false,
+    proof: null,         // { status, type, content, attempts, penalty } once truth/dare is picked
     roundNumber: 1,
+    promptSettings: { ...DEFAULT_PROMPT_SETTINGS, maxIntensity: Number(maxIntensity) },
+    language,
+    chatFilter,          // see utils/chatFilter.js
+    currentPrompt: null,
+    match: match ? { type: match.type, target: Number(match.target) } : null,
+    score: {},
+    matchWinner: null,
+    hostId: creatorId || null, // moderates the room (utils/hostControls.js)
+    banned: [],          // [{ userId, username }] the host has banned
+    locked: false,       // true while the host has locked out newcomers
   };
 }
 
@@ -154,50 +490,135 @@ function updateGameStateWithChoice(currentState, userId, choice) {
 }
 
 /**
- * Process RPS round and determine winner
+ * Process a round and determine winner/loser
+ * With more than two players the round may take several throws: under the
+ * 'elimination' rule losers throw again among themselves until one is left
  * @param {Object} gameState - Current game state
- * @param {string} creatorId - Creator user ID
- * @param {string} opponentId - Opponent user ID
- * @returns {Object} Updated game state with winner/loser
+ * @param {string[]} playerIds - User IDs of everyone playing in the room
+ * @returns {Object} Updated game state (activePlayers is set while a round is still being thrown)
  */
-function processRoundResult(gameState, creatorId, opponentId) {
+function processRoundResult(gameState, playerIds) {
   const newState = { ...gameState };
-  const creatorChoice = newState.choices[creatorId];
-  const opponentChoice = newState.choices[opponentId];
+  const activePlayers = newState.activePlayers || playerIds;
+
+  const throwChoices = {};
+  activePlayers.forEach(userId => {
+    throwChoices[userId] = newState.choices[userId];
+  });
+
+  const result = resolveGroupThrow(throwChoices, newState.rulesetId);
+  newState.choices = {};
+
+  if (!result.decisive) {
+    // Draw - same players throw again
+    newState.winner = null;
+    newState.loser = null;
+    return newState;
+  }
 
-  const result = determineWinner(creatorChoice, opponentChoice);
+  const safePlayers = [...(newState.safePlayers || []), ...result.winners];
 
-  if (result === 0) {
-    // Draw - reset choices
-    newState.choices = {};
+  if (result.losers.length > 1 && (newState.loserRule || DEFAULT_LOSER_RULE) === 'elimination') {
+    // Winners are safe; losers throw again among themselves
+    newState.activePlayers = result.losers;
+    newState.safePlayers = safePlayers;
     newState.winner = null;
     newState.loser = null;
-  } else if (result === 1) {
-    // Creator wins
-    newState.winner = creatorId;
-    newState.loser = opponentId;
-    newState.awaitingTruthDare = true;
-    newState.chatVisible = true;
-  } else {
-    // Opponent wins
-    newState.winner = opponentId;
-    newState.loser = creatorId;
-    newState.awaitingTruthDare = true;
-    newState.chatVisible = true;
+    return newState;
+  }
+
+  newState.winner = pickRandom(safePlayers);
+  newState.loser = result.losers.length === 1 ? result.losers[0] : pickRandom(result.losers);
+  newState.activePlayers = null;
+  newState.safePlayers = [];
+  newState.awaitingTruthDare = true;
+  newState.chatVisible = true;
+
+  if (newState.match) {
+    return applyRoundToScore(newState, newState.winner);
   }
 
   return newState;
 }
 
+/**
+ * Draw random prompts from a pool, avoiding ones already seen
+ * Falls back to the full pool once every prompt has been seen
+ * @param {Array} pool - Candidate prompt objects (must have an id)
+ * @param {Object} options - Draw options
+ * @param {string[]} options.excludeIds - Prompt IDs to avoid (already seen)
+ * @param {number} options.count - Number of prompts to draw
+ * @returns {Array} Drawn prompts (at most `count`)
+ */
+function drawRandomPrompts(pool, { excludeIds = [], count = 3 } = {}) {
+  if (!pool || pool.length === 0) return [];
+
+  const seen = new Set(excludeIds);
+  const unseen = pool.filter(prompt => !seen.has(prompt.id));
+  const candidates = unseen.length > 0 ? [...unseen] : [...pool];
+
+  // Fisher-Yates shuffle
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+
+  return candidates.slice(0, count);
+}
+
+/**
+ * Build a stable key for a pair (or group) of players
+ * @param {string[]} userIds - Player user IDs
+ * @returns {string} Sorted IDs joined with ':'
+ */
+function getPairKey(userIds) {
+  return [...userIds].filter(Boolean).sort().join(':');
+}
+
 module.exports = {
+  PROMPT_TYPES,
+  PROMPT_CATEGORIES,
+  PROMPT_INTENSITIES,
+  DEFAULT_PROMPT_SETTINGS,
+  MATCH_TYPES,
+  MIN_ROOM_CAPACITY,
+  MAX_ROOM_CAPACITY,
+  LOSER_RULES,
+  DEFAULT_LOSER_RULE,
+  TIMEOUT_ACTIONS,
+  DEFAULT_TIMEOUT_ACTION,
+  ROOM_VISIBILITIES,
+  DEFAULT_ROOM_VISIBILITY,
+  MIN_ROOM_PASSWORD_LENGTH,
+  MAX_ROOM_PASSWORD_LENGTH,
+  DEFAULT_ROOM_LANGUAGE,
+  PROOF_TYPES,
+  PROOF_REJECTION_OUTCOMES,
   determineWinner,
+  resolveGroupThrow,
+  pickRandom,
+  isValidCapacity,
+  isValidLoserRule,
+  isValidTimeoutAction,
+  isValidRoomVisibility,
+  isValidRoomPassword,
+  isValidRoomLanguage,
+  REACTION_EMOJIS,
+  isValidReaction,
+  validateProof,
   isValidChoice,
   isValidTruthDare,
   generateRoomCode,
   isGameComplete,
+  isValidMatchConfig,
+  getPointsToWin,
+  applyRoundToScore,
   calculateUserGameStats,
   formatGameForClient,
+  formatSpectatorSnapshot,
   createInitialGameState,
   updateGameStateWithChoice,
   processRoundResult,
+  drawRandomPrompts,
+  getPairKey,
 };
@@ -0,0 +1,558 @@
+/**
+ * Game State Machine
+ * Server-authoritative phases, guarded transitions and events for one game.
+ * Shared by the socket handlers (live rooms in memory) and the REST routes
+ * (game_state in the database) so both kinds of player can share a game.
+ *
+ * Every action takes the current state and returns either
+ *   { state, events } - the next state (a copy) and what happened, in order
+ *   { error, status, code } - the action was refused; state is unchanged
+ *
+ * A 'roundRecorded' event carries the round's history record whenever it changes
+ * (throw resolved, truth/dare picked, round closed) so callers can persist it
+ */
+
+// How a round ended, as stored in game_rounds.status ('completed' means the winner approved the proof)
+const ROUND_STATUSES = ['in_progress', 'completed', 'unverified', 'timed_out', 'skipped', 'abandoned', 'forfeit'];
+
+const {
+  PROMPT_TYPES,
+  PROOF_REJECTION_OUTCOMES,
+  isValidChoice,
+  isValidTruthDare,
+  validateProof,
+  processRoundResult,
+} = require('./gameLogic');
+const { isValidCommitment, verifyReveal } = require('./commitReveal');
+
+// lobby → choosing (→ revealing) → result → truth_dare_selection → chat → lobby ... → completed
+const PHASES = ['lobby', 'choosing', 'revealing', 'result', 'truth_dare_selection', 'chat', 'completed'];
+
+const TRANSITIONS = {
+  lobby: ['choosing', 'completed'],
+  choosing: ['choosing', 'revealing', 'result', 'lobby', 'completed'],
+  revealing: ['choosing', 'result', 'lobby', 'completed'],
+  result: ['truth_dare_selection', 'lobby', 'completed'],
+  truth_dare_selection: ['chat', 'lobby', 'completed'],
+  chat: ['lobby', 'completed'],
+  completed: [],
+};
+
+/**
+ * Check whether the machine allows moving between two phases
+ * @param {string} from - Current phase
+ * @param {string} to - Next phase
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Current phase of a state (older game_state rows have none)
+ * @param {Object} state - Game state
+ * @returns {string} Phase
+ */
+function getPhase(state) {
+  return PHASES.includes(state.gamePhase) ? state.gamePhase : 'lobby';
+}
+
+/**
+ * Build a refusal
+ * @param {string} error - Message for the player
+ * @param {number} status - HTTP status for REST callers
+ * @param {string} code - Machine-readable reason
+ * @returns {Object} { error, status, code }
+ */
+function reject(error, status = 400, code = 'INVALID_ACTION') {
+  return { error, status, code };
+}
+
+/**
+ * Move a state to its next phase, recording the change
+ * Throws on a transition the table doesn't allow (a bug, not a player error)
+ * @param {Object} state - Game state (mutated)
+ * @param {string} phase - Next phase
+ * @param {Array} events - Event list (mutated)
+ */
+function enterPhase(state, phase, events) {
+  const from = getPhase(state);
+  if (!canTransition(from, phase)) {
+    throw new Error(`Illegal game phase transition: ${from} → ${phase}`);
+  }
+
+  state.gamePhase = phase;
+  if (from !== phase) {
+    events.push({ type: 'phaseChanged', from, to: phase });
+  }
+}
+
+/**
+ * Build the round's history record event
+ * @param {Object} state - Game state (before the round is cleared)
+ * @param {string} status - One of ROUND_STATUSES
+ * @returns {Object} roundRecorded event
+ */
+function recordRound(state, status) {
+  return {
+    type: 'roundRecorded',
+    roundNumber: state.roundNumber || 1,
+    throws: state.roundThrows || [],
+    winner: state.winner || null,
+    loser: state.loser || null,
+    selection: state.truthDareSelection || null,
+    prompt: state.currentPrompt || null,
+    proof: state.proof || null,
+    status,
+  };
+}
+
+/**
+ * Players still throwing this round
+ * @param {Object} state - Game state
+ * @param {string[]} playerIds - Everyone seated
+ * @returns {string[]} User IDs
+ */
+function getThrowingPlayers(state, playerIds) {
+  return state.activePlayers || playerIds;
+}
+
+/**
+ * Shared guards for anything that throws a move
+ * @returns {Object|null} Refusal or null if the player may throw
+ */
+function getThrowError(state, userId, playerIds) {
+  if (state.matchWinner) {
+    return reject('The match is over', 400, 'MATCH_OVER');
+  }
+  if (getPhase(state) === 'completed') {
+    return reject('This game has ended', 400, 'GAME_OVER');
+  }
+  if (!playerIds.includes(userId)) {
+    return reject('You are not a player in this game', 403, 'NOT_A_PLAYER');
+  }
+  if (!['lobby', 'choosing'].includes(getPhase(state))) {
+    return reject('Moves are not being taken right now', 400, 'WRONG_PHASE');
+  }
+  if (state.activePlayers && !state.activePlayers.includes(userId)) {
+    return reject('You are safe this round; the remaining players are still throwing', 400, 'SAFE');
+  }
+  return null;
+}
+
+/**
+ * Resolve the throw once every thrower is in: either ask for reveals (fair play) or decide it
+ * @param {Object} state - Game state (mutated)
+ * @param {string[]} playerIds - Everyone seated
+ * @param {Array} events - Event list (mutated)
+ */
+function settleThrowIfReady(state, playerIds, events) {
+  const throwing = getThrowingPlayers(state, playerIds);
+  if (throwing.length < 2) return;
+
+  const commitments = state.commitments || {};
+  if (!throwing.every(uid => state.choices[uid] || commitments[uid])) return;
+
+  if (!throwing.every(uid => state.choices[uid])) {
+    enterPhase(state, 'revealing', events);
+    events.push({ type: 'revealRequested', userIds: throwing.filter(uid => !state.choices[uid]) });
+    return;
+  }
+
+  resolveThrow(state, playerIds, events);
+}
+
+/**
+ * Decide a throw: elimination (losers throw again), tie, or a round winner and loser
+ * @param {Object} state - Game state (mutated)
+ * @param {string[]} playerIds - Everyone seated
+ * @param {Array} events - Event list (mutated)
+ */
+function resolveThrow(state, playerIds, events) {
+  const throwing = getThrowingPlayers(state, playerIds);
+  const moves = {};
+  throwing.forEach(uid => { moves[uid] = state.choices[uid]; });
+
+  Object.assign(state, processRoundResult(state, playerIds));
+  state.commitments = {};
+
+  // A drawn throw leaves the same players throwing
+  const outcome = state.winner
+    ? 'round'
+    : state.activePlayers && state.activePlayers.length < throwing.length ? 'elimination' : 'tie';
+  state.roundThrows = [...(state.roundThrows || []), { moves, outcome }];
+
+  if (outcome === 'elimination') {
+    enterPhase(state, 'choosing', events);
+    events.push({
+      type: 'throwResolved',
+      outcome: 'elimination',
+      moves,
+      safe: throwing.filter(uid => !state.activePlayers.includes(uid)),
+      stillIn: state.activePlayers,
+    });
+    events.push(recordRound(state, 'in_progress'));
+    return;
+  }
+
+  if (outcome === 'tie') {
+    // A group mid-elimination keeps throwing, otherwise back to the lobby
+    enterPhase(state, state.activePlayers ? 'choosing' : 'lobby', events);
+    events.push({ type: 'throwResolved', outcome: 'tie', moves, players: throwing });
+    events.push(recordRound(state, 'in_progress'));
+    return;
+  }
+
+  state.truthDareSelection = null;
+  enterPhase(state, 'result', events);
+  events.push({ type: 'throwResolved', outcome: 'round', moves, winner: state.winner, loser: state.loser });
+  events.push(recordRound(state, 'in_progress'));
+  enterPhase(state, 'truth_dare_selection', events);
+
+  if (state.matchWinner) {
+    events.push({ type: 'matchWon', winner: state.matchWinner });
+  }
+}
+
+/**
+ * Throw a move
+ * @param {Object} state - Game state
+ * @param {Object} params - Action parameters
+ * @param {string} params.userId - Player throwing
+ * @param {string} params.choice - Move ID from the game's ruleset
+ * @param {string[]} params.playerIds - Everyone seated
+ * @param {boolean} params.auto - Server-picked on a turn timeout (allowed in fair-play games)
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function submitChoice(state, { userId, choice, playerIds, auto = false }) {
+  const throwError = getThrowError(state, userId, playerIds);
+  if (throwError) return throwError;
+
+  if (state.fairPlay && !auto) {
+    return reject('This game uses fair play: commit your move first', 400, 'FAIR_PLAY');
+  }
+  if (!isValidChoice(choice, state.rulesetId)) {
+    return reject('Invalid move for this ruleset', 400, 'INVALID_MOVE');
+  }
+
+  const next = { ...state, choices: { ...state.choices, [userId]: choice } };
+  const events = [];
+
+  enterPhase(next, 'choosing', events);
+  events.push({ type: 'choiceMade', userId, choice, auto });
+  settleThrowIfReady(next, playerIds, events);
+
+  return { state: next, events };
+}
+
+/**
+ * Fair play, step 1: lock in sha256(`${move}:${nonce}`)
+ * @param {Object} state - Game state
+ * @param {Object} params - { userId, commitment, playerIds }
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function commitChoice(state, { userId, commitment, playerIds }) {
+  if (!state.fairPlay) {
+    return reject("This game doesn't use fair play", 400, 'NOT_FAIR_PLAY');
+  }
+
+  const throwError = getThrowError(state, userId, playerIds);
+  if (throwError) return throwError;
+
+  if (!isValidCommitment(commitment)) {
+    return reject('Invalid commitment', 400, 'INVALID_COMMITMENT');
+  }
+  if ((state.commitments || {})[userId] || state.choices[userId]) {
+    return reject("You've already locked in a move", 400, 'ALREADY_COMMITTED');
+  }
+
+  const next = { ...state, commitments: { ...state.commitments, [userId]: commitment } };
+  const events = [];
+
+  enterPhase(next, 'choosing', events);
+  events.push({ type: 'choiceCommitted', userId, commitment });
+  settleThrowIfReady(next, playerIds, events);
+
+  return { state: next, events };
+}
+
+/**
+ * Fair play, step 2: reveal a committed move
+ * @param {Object} state - Game state
+ * @param {Object} params - { userId, choice, nonce, playerIds }
+ * @returns {Object} { state, events } or { error, status, code } (code REVEAL_MISMATCH when the hash doesn't match)
+ */
+function revealChoice(state, { userId, choice, nonce, playerIds }) {
+  const commitment = (state.commitments || {})[userId];
+  if (getPhase(state) !== 'revealing' || !commitment || state.choices[userId]) {
+    return reject('Nothing to reveal right now', 400, 'WRONG_PHASE');
+  }
+
+  if (!isValidChoice(choice, state.rulesetId) || !verifyReveal(commitment, choice, nonce)) {
+    return reject("Reveal doesn't match your commitment", 400, 'REVEAL_MISMATCH');
+  }
+
+  const next = { ...state, choices: { ...state.choices, [userId]: choice } };
+  const events = [{ type: 'choiceRevealed', userId, commitment, choice, nonce }];
+
+  if (getThrowingPlayers(next, playerIds).every(uid => next.choices[uid])) {
+    resolveThrow(next, playerIds, events);
+  }
+
+  return { state: next, events };
+}
+
+/**
+ * The round's loser picks truth or dare
+ * @param {Object} state - Game state
+ * @param {Object} params - { userId, selection, auto }
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function selectTruthDare(state, { userId, selection, auto = false }) {
+  if (getPhase(state) !== 'truth_dare_selection' || !state.awaitingTruthDare) {
+    return reject('Truth or dare is not being picked right now', 400, 'WRONG_PHASE');
+  }
+  if (state.loser !== userId) {
+    return reject('Only the loser picks truth or dare', 403, 'NOT_LOSER');
+  }
+
+  const normalized = String(selection).toLowerCase();
+  if (!isValidTruthDare(normalized) || !PROMPT_TYPES.includes(normalized)) {
+    return reject('Selection must be truth or dare', 400, 'INVALID_SELECTION');
+  }
+
+  const next = {
+    ...state,
+    truthDareSelection: normalized,
+    awaitingTruthDare: false,
+    proof: { status: 'pending', type: null, content: null, attempts: 0, penalty: false },
+  };
+  const events = [];
+
+  enterPhase(next, 'chat', events);
+  events.push({ type: 'truthDareSelected', userId, selection: normalized, auto });
+  events.push(recordRound(next, 'in_progress'));
+
+  return { state: next, events };
+}
+
+/**
+ * The loser submits proof of their truth/dare for the winner to review
+ * @param {Object} state - Game state
+ * @param {Object} params - { userId, type, content } (type: text, photo, video or audio)
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function submitProof(state, { userId, type, content }) {
+  if (getPhase(state) !== 'chat' || !state.proof) {
+    return reject('No truth or dare is waiting for proof', 400, 'WRONG_PHASE');
+  }
+  if (state.loser !== userId) {
+    return reject('Only the loser submits proof', 403, 'NOT_LOSER');
+  }
+  if (state.proof.status !== 'pending') {
+    return reject(state.proof.status === 'approved' ? 'Your proof was already approved' : 'Your proof is waiting for review', 400, 'PROOF_NOT_PENDING');
+  }
+
+  const proofError = validateProof({ type, content });
+  if (proofError) {
+    return reject(proofError, 400, 'INVALID_PROOF');
+  }
+
+  const next = {
+    ...state,
+    proof: {
+      ...state.proof,
+      status: 'submitted',
+      type,
+      content: content.trim(),
+      attempts: state.proof.attempts + 1,
+    },
+  };
+  const events = [{ type: 'proofSubmitted', userId, proof: next.proof }];
+  events.push(recordRound(next, 'in_progress'));
+
+  return { state: next, events };
+}
+
+/**
+ * The winner approves or rejects the loser's proof
+ * Only an approved proof counts as a completed truth/dare; a rejection sends the
+ * loser back to try again ('retry') or switches them to a penalty dare ('penalty')
+ * @param {Object} state - Game state
+ * @param {Object} params - Action parameters
+ * @param {string} params.userId - Player reviewing
+ * @param {boolean} params.approved - Whether the proof is accepted
+ * @param {string} params.onReject - 'retry' or 'penalty' when rejected
+ * @param {boolean} params.auto - Approved by the server because the winner ran out of time
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function reviewProof(state, { userId, approved, onReject = 'retry', auto = false }) {
+  if (getPhase(state) !== 'chat' || !state.proof || state.proof.status !== 'submitted') {
+    return reject('There is no proof to review', 400, 'WRONG_PHASE');
+  }
+  if (!auto && state.winner !== userId) {
+    return reject('Only the winner reviews proof', 403, 'NOT_WINNER');
+  }
+  if (typeof approved !== 'boolean') {
+    return reject('approved must be true or false', 400, 'INVALID_REVIEW');
+  }
+  if (!approved && !PROOF_REJECTION_OUTCOMES.includes(onReject)) {
+    return reject(`A rejection must be one of: ${PROOF_REJECTION_OUTCOMES.join(', ')}`, 400, 'INVALID_REVIEW');
+  }
+
+  const next = { ...state };
+  const events = [];
+
+  if (approved) {
+    next.proof = { ...state.proof, status: 'approved' };
+    events.push({ type: 'proofReviewed', userId, approved, auto, proof: next.proof });
+    events.push({ type: 'truthDareCompleted', userId: state.loser, selection: state.truthDareSelection });
+  } else if (onReject === 'penalty') {
+    next.truthDareSelection = 'dare';
+    next.currentPrompt = null;
+    next.proof = { ...state.proof, status: 'pending', type: null, content: null, penalty: true };
+    events.push({ type: 'proofReviewed', userId, approved, onReject, proof: next.proof });
+  } else {
+    next.proof = { ...state.proof, status: 'pending', type: null, content: null };
+    events.push({ type: 'proofReviewed', userId, approved, onReject, proof: next.proof });
+  }
+  events.push(recordRound(next, 'in_progress'));
+
+  return { state: next, events };
+}
+
+/**
+ * Close the round and start the next one (or end the game)
+ * The truth/dare only counts as completed if the winner approved the proof
+ * @param {Object} state - Game state
+ * @param {Object} params - Action parameters
+ * @param {string} params.userId - Player closing the round
+ * @param {string[]} params.playerIds - Everyone seated
+ * @param {boolean} params.endGame - End an open-ended game here instead of playing on
+ * @param {boolean} params.system - Closed by the server (turn timeout); truth/dare not completed
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function completeRound(state, { userId, playerIds, endGame = false, system = false }) {
+  const phase = getPhase(state);
+
+  if (phase === 'completed') {
+    return reject('This game has ended', 400, 'GAME_OVER');
+  }
+  if (!system && !playerIds.includes(userId)) {
+    return reject('You are not a player in this game', 403, 'NOT_A_PLAYER');
+  }
+  if (!['result', 'truth_dare_selection', 'chat'].includes(phase)) {
+    return reject('The round is still being played', 400, 'WRONG_PHASE');
+  }
+
+  const next = { ...state };
+  const events = [];
+
+  const approved = next.proof && next.proof.status === 'approved';
+  events.push(recordRound(next, phase !== 'chat' ? 'skipped' : approved ? 'completed' : system ? 'timed_out' : 'unverified'));
+
+  if (next.matchWinner || endGame) {
+    enterPhase(next, 'completed', events);
+    events.push({ type: 'gameCompleted', winner: next.matchWinner || next.winner, loser: next.matchWinner ? null : next.loser });
+    return { state: next, events };
+  }
+
+  Object.assign(next, clearedRound(next));
+  next.roundNumber = (state.roundNumber || 1) + 1;
+  enterPhase(next, 'lobby', events);
+  events.push({ type: 'roundStarted', roundNumber: next.roundNumber });
+
+  return { state: next, events };
+}
+
+/**
+ * Abandon the current round (a player left, forfeited or the room was reset)
+ * @param {Object} state - Game state
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function resetRound(state) {
+  if (getPhase(state) === 'completed') {
+    return reject('This game has ended', 400, 'GAME_OVER');
+  }
+
+  const next = { ...state, ...clearedRound(state) };
+  const events = [];
+
+  // A round that saw throws keeps its record; play continues with the next number
+  if ((state.roundThrows || []).length > 0) {
+    events.push(recordRound(state, 'abandoned'));
+    next.roundNumber = (state.roundNumber || 1) + 1;
+  }
+
+  if (getPhase(state) !== 'lobby') {
+    enterPhase(next, 'lobby', events);
+  }
+  events.push({ type: 'roundReset' });
+
+  return { state: next, events };
+}
+
+/**
+ * End the game because players forfeited
+ * @param {Object} state - Game state
+ * @param {Object} params - { winnerId } (null if nobody is left)
+ * @returns {Object} { state, events } or { error, status, code }
+ */
+function forfeitGame(state, { winnerId = null } = {}) {
+  if (getPhase(state) === 'completed') {
+    return reject('This game has ended', 400, 'GAME_OVER');
+  }
+
+  const next = { ...state, ...clearedRound(state) };
+  const events = [];
+
+  if ((state.roundThrows || []).length > 0) {
+    events.push(recordRound(state, 'forfeit'));
+  }
+
+  enterPhase(next, 'completed', events);
+  events.push({ type: 'gameForfeited', winner: winnerId });
+
+  return { state: next, events };
+}
+
+/**
+ * Round fields reset between rounds
+ * @param {Object} state - Game state
+ * @returns {Object} Partial state
+ */
+function clearedRound(state) {
+  return {
+    choices: {},
+    commitments: {},
+    roundThrows: [],
+    activePlayers: null,
+    safePlayers: [],
+    winner: null,
+    loser: null,
+    chatVisible: false,
+    awaitingTruthDare: false,
+    truthDareSelection: null,
+    proof: null,
+    currentPrompt: null,
+    matchWinner: state.matchWinner || null,
+  };
+}
+
+module.exports = {
+  PHASES,
+  ROUND_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  getPhase,
+  getThrowingPlayers,
+  submitChoice,
+  commitChoice,
+  revealChoice,
+  selectTruthDare,
+  submitProof,
+  reviewProof,
+  completeRound,
+  resetRound,
+  forfeitGame,
+};
@@ -1,9 +1,90 @@
 const { getDatabase, schema } = require('../db');
 const { eq } = require('drizzle-orm');
 const { v4: uuidv4 } = require('uuid');
+const { recordGameResult, incrementTruthCompleted, incrementDareCompleted } = require('./stats');
+const { recordGameMove, saveRound } = require('./rounds');
+const { DEFAULT_RULESET_ID } = require('./rulesets');
+const { recordTournamentGame } = require('./tournaments');
+const { DEFAULT_CHAT_FILTER } = require('./chatFilter');
+const {
+  MIN_ROOM_CAPACITY,
+  DEFAULT_LOSER_RULE,
+  DEFAULT_TIMEOUT_ACTION,
+  DEFAULT_ROOM_VISIBILITY,
+  DEFAULT_ROOM_LANGUAGE,
+} = require('./gameLogic');
 
 const { games } = schema;
 
+/**
+ * Build the persisted game_state JSON from the in-memory game state
+ * @param {Object} gameState - The in-memory game state object
+ * @returns {Object} Serializable game_state object
+ */
+function serializeGameState(gameState) {
+  return {
+    users: gameState.users || {},
+    gamePhase: gameState.gamePhase || 'lobby',
+    roundNumber: gameState.roundNumber || 1,
+    rulesetId: gameState.rulesetId || DEFAULT_RULESET_ID,
+    capacity: gameState.capacity || MIN_ROOM_CAPACITY,
+    loserRule: gameState.loserRule || DEFAULT_LOSER_RULE,
+    timeoutAction: gameState.timeoutAction || DEFAULT_TIMEOUT_ACTION,
+    deadline: gameState.deadline || null,
+    fairPlay: gameState.fairPlay || false,
+    commitments: gameState.commitments || {},
+    roundThrows: gameState.roundThrows || [],
+    activePlayers: gameState.activePlayers || null,
+    safePlayers: gameState.safePlayers || [],
+    choices: gameState.choices || {},
+    winner: gameState.winner || null,
+    loser: gameState.loser || null,
+    chatVisible: gameState.chatVisible || false,
+    awaitingTruthDare: gameState.awaitingTruthDare || false,
+    truthDareSelection: gameState.truthDareSelection || null,
+    proof: gameState.proof || null,
+    promptSettings: gameState.promptSettings || null,
+    language: gameState.language || DEFAULT_ROOM_LANGUAGE,
+    chatFilter: gameState.chatFilter || DEFAULT_CHAT_FILTER,
+    currentPrompt: gameState.currentPrompt || null,
+    match: gameState.match || null,
+    score: gameState.score || {},
+    matchWinner: gameState.matchWinner || null,
+    bot: gameState.bot || null,
+    hostId: gameState.hostId || null,
+    banned: gameState.banned || [],
+    locked: gameState.locked || false,
+  };
+}
+
+/**
+ * Convert a games row into the in-memory restore shape
+ * @param {Object} game - Games table row
+ * @returns {Object} Game state object
+ */
+function formatGameRow(game) {
+  // Parse game_state JSON if it exists
+  const parsedState = game.game_state ?
+    (typeof game.game_state === 'string' ? JSON.parse(game.game_state) : game.game_state) :
+    {};
+
+  return {
+    id: game.id,
+    roomCode: game.room_code,
+    creatorId: game.creator_id,
+    opponentId: game.opponent_id,
+    status: game.status,
+    currentTurn: game.current_turn,
+    gamePhase: game.game_phase,
+    winnerId: game.winner_id,
+    visibility: game.visibility || DEFAULT_ROOM_VISIBILITY,
+    passwordHash: game.password_hash || null,
+    gameState: parsedState,
+    createdAt: game.created_at,
+    updatedAt: game.updated_at,
+  };
+}
+
 /**
  * Load game state from database by room code
  * @param {string} roomCode - The room code to search for
@@ -23,32 +104,36 @@ async function loadGameState(roomCode) {
       return null;
     }
 
-    const game = result[0];
-
-    // Parse game_state JSON if it exists
-    const parsedState = game.game_state ?
-      (typeof game.game_state === 'string' ? JSON.parse(game.game_state) : game.game_state) :
-      {};
-
-    return {
-      id: game.id,
-      roomCode: game.room_code,
-      creatorId: game.creator_id,
-      opponentId: game.opponent_id,
-      status: game.status,
-      currentTurn: game.current_turn,
-      gamePhase: game.game_phase,
-      winnerId: game.winner_id,
-      gameState: parsedState,
-      createdAt: game.created_at,
-      updatedAt: game.updated_at,
-    };
+    return formatGameRow(result[0]);
   } catch (error) {
     console.error('❌ Error loading game state:', error);
     return null;
   }
 }
 
+/**
+ * Load every in-progress game that was waiting on a turn timer
+ * Used at startup so deadlines keep running across restarts
+ * @returns {Promise<Array>} Game state objects (same shape as loadGameState)
+ */
+async function loadGamesWithDeadlines() {
+  try {
+    const db = getDatabase();
+
+    const result = await db
+      .select()
+      .from(games)
+      .where(eq(games.status, 'in_progress'));
+
+    return result
+      .map(formatGameRow)
+      .filter(game => game.gameState.deadline);
+  } catch (error) {
+    console.error('❌ Error loading timed games:', error);
+    return [];
+  }
+}
+
 /**
  * Save or update game state to database
  * @param {string} roomCode - The room code
@@ -70,29 +155,16 @@ async function saveGameState(roomCode, gameState, options = {}) {
     const now = new Date();
 
     // Prepare game_state JSON
-    const gameStateJson = {
-      users: gameState.users || {},
-      choices: gameState.choices || {},
-      winner: gameState.winner || null,
-      loser: gameState.loser || null,
-      chatVisible: gameState.chatVisible || false,
-      awaitingTruthDare: gameState.awaitingTruthDare || false,
-      truthDareSelection: gameState.truthDareSelection || null,
-    };
-
-    // Determine game phase based on state
-    let gamePhase = gameState.gamePhase || 'lobby';
-    if (gameState.gameState === 'waiting') {
-      gamePhase = 'lobby';
-    } else if (gameState.gameState === 'choosing') {
-      gamePhase = 'choosing';
-    } else if (gameState.awaitingTruthDare) {
-      gamePhase = 'truth_dare_selection';
-    } else if (gameState.chatVisible) {
-      gamePhase = 'chat';
-    } else if (gameState.gameState === 'completed') {
-      gamePhase = 'completed';
-    }
+    const gameStateJson = serializeGameState(gameState);
+
+    // The state machine owns the phase (utils/gameStateMachine.js)
+    const gamePhase = gameStateJson.gamePhase;
+
+    // Finished games keep their final status ('completed' or 'forfeit'), including one
+    // ended outside the room (a tournament walkover) before the room in memory caught up
+    const isFinished = gameState.gameState === 'completed' || gameState.gameState === 'forfeit';
+    const storedStatus = existingGame.length > 0 ? existingGame[0].status : null;
+    const wasFinished = storedStatus === 'completed' || storedStatus === 'forfeit';
 
     if (existingGame.length > 0) {
       // Update existing game
@@ -101,7 +173,7 @@ async function saveGameState(roomCode, gameState, options = {}) {
         .set({
           game_state: JSON.stringify(gameStateJson),
           game_phase: gamePhase,
-          status: gameState.gameState === 'completed' ? 'completed' : 'in_progress',
+          status: wasFinished ? storedStatus : isFinished ? gameState.gameState : 'in_progress',
           updated_at: now,
         })
         .where(eq(games.room_code, roomCode));
@@ -187,20 +259,11 @@ async function createOrUpdateGame(roomCode, gameState, userId, username) {
     const now = new Date();
     const userIds = Object.keys(gameState.users || {});
 
-    // Determine creator and opponent based on join order
-    let creatorId = null;
-    let opponentId = null;
-
-    if (userIds.length === 1) {
-      // First user is creator
-      creatorId = userIds[0];
-      console.log(`👤 [DB SYNC] Single user - setting as creator: ${creatorId}`);
-    } else if (userIds.length === 2) {
-      // Two users: assign creator and opponent
-      creatorId = userIds[0];
-      opponentId = userIds[1];
-      console.log(`👥 [DB SYNC] Two users - creator: ${creatorId}, opponent: ${opponentId}`);
-    }
+    // The room's host is its creator; the first other player is the opponent
+    // (the rest live in game_participants)
+    const creatorId = gameState.hostId || userIds[0] || null;
+    const opponentId = userIds.find(uid => uid !== creatorId) || null;
+    console.log(`👥 [DB SYNC] ${userIds.length} users - creator: ${creatorId}, opponent: ${opponentId || 'waiting'}`);
 
     if (existingGame.length > 0) {
       console.log(`🔄 [DB SYNC] Game exists in database, updating...`);
@@ -212,8 +275,11 @@ async function createOrUpdateGame(roomCode, gameState, userId, username) {
       };
 
       // Only update opponent_id if it's null and we have a second player
+      // (the column references users, so anonymous opponents and bots only move the status on)
       if (!existingGame[0].opponent_id && opponentId) {
-        updates.opponent_id = opponentId;
+        if (!opponentId.startsWith('anon_')) {
+          updates.opponent_id = opponentId;
+        }
         updates.status = 'in_progress';
         console.log(`   ➕ Adding opponent: ${opponentId}, status → in_progress`);
       }
@@ -234,21 +300,16 @@ async function createOrUpdateGame(roomCode, gameState, userId, username) {
     await db.insert(games).values({
       id: gameId,
       room_code: roomCode,
-      creator_id: creatorId,
-      opponent_id: opponentId,
-      status: userIds.length === 2 ? 'in_progress' : 'waiting',
+      // Both columns reference users, so anonymous players and bots are only in game_state
+      creator_id: creatorId && !creatorId.startsWith('anon_') ? creatorId : null,
+      opponent_id: opponentId && !opponentId.startsWith('anon_') ? opponentId : null,
+      status: userIds.length >= 2 ? 'in_progress' : 'waiting',
       current_turn: null,
-      game_state: JSON.stringify({
-        users: gameState.users || {},
-        choices: gameState.choices || {},
-        winner: gameState.winner || null,
-        loser: gameState.loser || null,
-        chatVisible: gameState.chatVisible || false,
-        awaitingTruthDare: gameState.awaitingTruthDare || false,
-        truthDareSelection: gameState.truthDareSelection || null,
-      }),
+      game_state: JSON.stringify(serializeGameState(gameState)),
       game_phase: gameState.gamePhase || 'lobby',
       winner_id: null,
+      visibility: gameState.visibility || DEFAULT_ROOM_VISIBILITY,
+      password_hash: gameState.passwordHash || null,
       created_at: now,
       updated_at: now,
     });
@@ -256,7 +317,7 @@ async function createOrUpdateGame(roomCode, gameState, userId, username) {
     console.log(`✅ [DB SYNC] Game record created - ID: ${gameId}, Room: ${roomCode}`);
     console.log(`   Creator: ${creatorId || 'NULL'}`);
     console.log(`   Opponent: ${opponentId || 'waiting'}`);
-    console.log(`   Status: ${userIds.length === 2 ? 'in_progress' : 'waiting'}`);
+    console.log(`   Status: ${userIds.length >= 2 ? 'in_progress' : 'waiting'}`);
 
     return gameId;
   } catch (error) {
@@ -265,6 +326,100 @@ async function createOrUpdateGame(roomCode, gameState, userId, username) {
   }
 }
 
+/**
+ * Finalise a game: set its final status and winner, and record stats (and any tournament result) once
+ * Does nothing if the game has already been finalised
+ * @param {string} roomCode - The room code
+ * @param {Object} result - Final result
+ * @param {string} result.winnerId - Winner user ID
+ * @param {string} result.loserId - Loser user ID
+ * @param {string[]} result.loserIds - Every losing user ID (group rooms); defaults to [loserId]
+ * @param {string[]} result.forfeiterIds - Players who forfeited (stats already recorded, still rated)
+ * @param {string} result.status - Final status ('completed' or 'forfeit')
+ * @returns {Promise<boolean>} True if the game was finalised by this call
+ */
+async function finalizeGame(roomCode, { winnerId, loserId, loserIds = null, forfeiterIds = [], status = 'completed' }) {
+  try {
+    const db = getDatabase();
+
+    const existingGame = await db
+      .select()
+      .from(games)
+      .where(eq(games.room_code, roomCode))
+      .limit(1);
+
+    if (existingGame.length === 0) {
+      console.warn(`⚠️  finalizeGame: No game record for room ${roomCode}`);
+      return false;
+    }
+
+    if (existingGame[0].status === 'completed' || existingGame[0].status === 'forfeit') {
+      return false;
+    }
+
+    // Only registered users have stats rows (and winner_id references users)
+    const isRegistered = (userId) => userId && !userId.startsWith('anon_');
+
+    await db
+      .update(games)
+      .set({
+        status,
+        winner_id: isRegistered(winnerId) ? winnerId : null,
+        updated_at: new Date(),
+      })
+      .where(eq(games.room_code, roomCode));
+    await recordGameResult({
+      winnerId: isRegistered(winnerId) ? winnerId : null,
+      loserIds: (loserIds || [loserId]).filter(id => isRegistered(id) && id !== winnerId),
+      forfeiterIds: forfeiterIds.filter(isRegistered),
+    });
+
+    // Tournament games move their bracket on
+    await recordTournamentGame(existingGame[0].id, winnerId);
+
+    console.log(`🏁 Game finalised for room: ${roomCode} (${status}, winner: ${winnerId || 'none'})`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error finalising game:', error);
+    return false;
+  }
+}
+
+/**
+ * Record the database side of state machine events (shared by socket rooms and REST routes)
+ * @param {Object} game - { roomCode, gameId }
+ * @param {Array} events - Events returned by a gameStateMachine action
+ * @param {string[]} playerIds - Everyone seated when the action ran
+ * @returns {Promise<void>}
+ */
+async function persistGameEvents({ roomCode, gameId }, events, playerIds) {
+  const isRegistered = (userId) => userId && !userId.startsWith('anon_');
+
+  for (const event of events) {
+    if (event.type === 'choiceMade') {
+      await recordGameMove(gameId, event.userId, 'rps', { choice: event.choice, auto: event.auto });
+    } else if (event.type === 'truthDareSelected') {
+      await recordGameMove(gameId, event.userId, event.selection, { selection: event.selection, auto: event.auto });
+    } else if (event.type === 'roundRecorded') {
+      await saveRound(gameId, event);
+    } else if (event.type === 'matchWon') {
+      await finalizeGame(roomCode, {
+        winnerId: event.winner,
+        loserIds: playerIds.filter(id => id !== event.winner),
+      });
+    } else if (event.type === 'gameCompleted') {
+      // Already finalised if this was a series
+      await finalizeGame(roomCode, { winnerId: event.winner, loserId: event.loser });
+    } else if (event.type === 'truthDareCompleted' && isRegistered(event.userId)) {
+      if (event.selection === 'truth') {
+        await incrementTruthCompleted(event.userId);
+      } else if (event.selection === 'dare') {
+        await incrementDareCompleted(event.userId);
+      }
+    }
+  }
+}
+
 /**
  * Delete old/abandoned games from the database
  * Call this periodically to cleanup
@@ -332,9 +487,12 @@ function debouncedSaveGameState(delay = 500) {
 
 module.exports = {
   loadGameState,
+  loadGamesWithDeadlines,
   saveGameState,
   syncGamePhase,
   createOrUpdateGame,
+  finalizeGame,
+  persistGameEvents,
   cleanupOldGames,
   debouncedSaveGameState,
 };
@@ -0,0 +1,128 @@
+/**
+ * Host Controls
+ * The room's host moderates it: kick a player or spectator, ban a user from
+ * coming back, lock the room against newcomers, set how strictly chat is filtered
+ * and hand hosting to another player.
+ * Actions are pure like the state machine's: they return the room's new host
+ * settings, or a refusal, and leave the side effects to the caller
+ */
+
+const { isBotId } = require('./bots');
+const { CHAT_FILTER_LEVELS, DEFAULT_CHAT_FILTER, isValidChatFilter } = require('./chatFilter');
+
+const HOST_ACTIONS = ['kick', 'ban', 'unban', 'lock', 'unlock', 'filter', 'transfer'];
+
+/**
+ * Build a refusal
+ * @returns {Object} { error, status, code }
+ */
+function reject(error, status = 400, code = 'INVALID_ACTION') {
+  return { error, status, code };
+}
+
+/**
+ * Validate a host action
+ * @param {string} action - One of HOST_ACTIONS
+ * @returns {boolean}
+ */
+function isValidHostAction(action) {
+  return HOST_ACTIONS.includes(action);
+}
+
+/**
+ * Pick who hosts once the host has left: the first human still seated
+ * @param {string[]} playerIds - Seated players, in join order
+ * @returns {string|null} New host's user ID
+ */
+function pickNextHost(playerIds) {
+  return playerIds.find(uid => !isBotId(uid)) || null;
+}
+
+/**
+ * Apply a host action to a room
+ * @param {Object} room - { hostId, banned, locked, chatFilter }
+ * @param {Object} params
+ * @param {string} params.action - One of HOST_ACTIONS
+ * @param {string} params.userId - Player asking (must be the host)
+ * @param {string} params.targetId - Player acted on (kick, ban, unban, transfer)
+ * @param {string} params.targetName - Their username, kept with the ban
+ * @param {string} params.level - Chat strictness to switch to (filter)
+ * @param {string[]} params.playerIds - Seated players
+ * @param {string[]} params.spectatorIds - Spectators
+ * @returns {Object} { state: { hostId, banned, locked, chatFilter }, removedId } or { error, status, code }
+ */
+function applyHostAction({ hostId = null, banned = [], locked = false, chatFilter = DEFAULT_CHAT_FILTER }, {
+  action, userId, targetId, targetName = null, level, playerIds = [], spectatorIds = [],
+}) {
+  if (!isValidHostAction(action)) {
+    return reject('Unknown host action');
+  }
+  if (!userId || userId !== hostId) {
+    return reject('Only the host can do that', 403, 'NOT_HOST');
+  }
+
+  const state = { hostId, banned, locked, chatFilter };
+
+  if (action === 'lock' || action === 'unlock') {
+    return { state: { ...state, locked: action === 'lock' }, removedId: null };
+  }
+
+  if (action === 'filter') {
+    if (!isValidChatFilter(level)) {
+      return reject(`Chat filter must be one of: ${CHAT_FILTER_LEVELS.join(', ')}`);
+    }
+    return { state: { ...state, chatFilter: level }, removedId: null };
+  }
+
+  if (!targetId) {
+    return reject('Choose a player first');
+  }
+  if (targetId === userId) {
+    return reject("You can't do that to yourself");
+  }
+
+  const seated = playerIds.includes(targetId);
+  const present = seated || spectatorIds.includes(targetId);
+
+  switch (action) {
+    case 'kick':
+      if (!present) {
+        return reject('That player is not in this room', 404, 'NOT_IN_ROOM');
+      }
+      return { state, removedId: targetId };
+
+    case 'ban':
+      if (isBotId(targetId)) {
+        return reject("Bots can't be banned - kick them instead");
+      }
+      return {
+        state: {
+          ...state,
+          banned: [...banned.filter(b => b.userId !== targetId), { userId: targetId, username: targetName }],
+        },
+        removedId: present ? targetId : null,
+      };
+
+    case 'unban':
+      if (!banned.some(b => b.userId === targetId)) {
+        return reject('That user is not banned', 404, 'NOT_BANNED');
+      }
+      return { state: { ...state, banned: banned.filter(b => b.userId !== targetId) }, removedId: null };
+
+    case 'transfer':
+      if (!seated) {
+        return reject('Hosting can only go to a player seated in the room', 404, 'NOT_IN_ROOM');
+      }
+      if (isBotId(targetId)) {
+        return reject("Bots can't host a room");
+      }
+      return { state: { ...state, hostId: targetId }, removedId: null };
+  }
+}
+
+module.exports = {
+  HOST_ACTIONS,
+  isValidHostAction,
+  pickNextHost,
+  applyHostAction,
+};
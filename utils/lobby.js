@@ -0,0 +1,156 @@
+/**
+ * Lobby
+ * Public rooms that still have a free seat, with what a player needs to pick one:
+ * host, ruleset, match length, prompt intensity, language and player count
+ */
+
+const { getDatabase } = require('../db');
+const { games, game_participants, users } = require('../db/schema');
+const { eq, and, desc, inArray, isNull } = require('drizzle-orm');
+const { getRuleset } = require('./rulesets');
+const {
+  MIN_ROOM_CAPACITY,
+  DEFAULT_PROMPT_SETTINGS,
+  DEFAULT_ROOM_LANGUAGE,
+  getPointsToWin,
+} = require('./gameLogic');
+
+// Match filter values: a series type, or 'open' for open-ended games
+const LOBBY_MATCH_FILTERS = ['best_of', 'first_to', 'open'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Validate the lobby's match filter
+ * @param {string} matchType - 'best_of', 'first_to' or 'open'
+ * @returns {boolean}
+ */
+function isValidLobbyMatchFilter(matchType) {
+  return LOBBY_MATCH_FILTERS.includes(matchType);
+}
+
+/**
+ * Format a lobby room for client
+ * @param {Object} game - Games row
+ * @param {Object} state - Parsed game_state
+ * @param {Object} host - { userId, username, avatarUrl }
+ * @param {number} playerCount - Players seated
+ * @returns {Object} Formatted room
+ */
+function formatLobbyRoom(game, state, host, playerCount) {
+  const ruleset = getRuleset(state.rulesetId) || getRuleset();
+
+  return {
+    gameId: game.id,
+    roomCode: game.room_code,
+    status: game.status,
+    host,
+    ruleset: { id: ruleset.id, name: ruleset.name },
+    match: state.match || null,
+    pointsToWin: getPointsToWin(state.match || null),
+    maxIntensity: (state.promptSettings || DEFAULT_PROMPT_SETTINGS).maxIntensity,
+    language: state.language || DEFAULT_ROOM_LANGUAGE,
+    capacity: state.capacity || MIN_ROOM_CAPACITY,
+    playerCount,
+    createdAt: game.created_at,
+  };
+}
+
+/**
+ * Check a lobby room against the requested filters
+ * @param {Object} room - Formatted room
+ * @param {Object} filters - { rulesetId, matchType, maxIntensity, language }
+ * @returns {boolean}
+ */
+function matchesFilters(room, { rulesetId, matchType, maxIntensity, language }) {
+  if (rulesetId && room.ruleset.id !== rulesetId) return false;
+  if (matchType && (room.match ? room.match.type : 'open') !== matchType) return false;
+  if (maxIntensity && room.maxIntensity > Number(maxIntensity)) return false;
+  if (language && room.language !== language) return false;
+  return true;
+}
+
+/**
+ * List joinable public rooms, newest first
+ * Waiting rooms are listed, plus group rooms already playing while seats remain
+ * (the same rule POST /api/games/join/:roomCode applies); locked rooms are left out
+ * @param {Object} filters - { rulesetId, matchType, maxIntensity, language }
+ * @param {Object} paging - { limit, offset }
+ * @returns {Promise<Object>} { rooms, total }
+ */
+async function listLobbyRooms(filters = {}, { limit = 20, offset = 0 } = {}) {
+  const db = getDatabase();
+
+  const candidates = await db
+    .select()
+    .from(games)
+    .where(and(
+      eq(games.visibility, 'public'),
+      inArray(games.status, ['waiting', 'in_progress'])
+    ))
+    .orderBy(desc(games.created_at));
+  if (candidates.length === 0) return { rooms: [], total: 0 };
+
+  const seated = await db
+    .select({
+      gameId: game_participants.game_id,
+      userId: game_participants.user_id,
+      username: game_participants.username,
+      seat: game_participants.seat,
+    })
+    .from(game_participants)
+    .where(and(
+      inArray(game_participants.game_id, candidates.map(game => game.id)),
+      isNull(game_participants.left_at)
+    ));
+
+  const seatsByGame = {};
+  seated.forEach(row => {
+    seatsByGame[row.gameId] = seatsByGame[row.gameId] || [];
+    seatsByGame[row.gameId].push(row);
+  });
+
+  const states = Object.fromEntries(candidates.map(game => [game.id, parseJson(game.game_state) || {}]));
+  const hostIdOf = (game) => states[game.id].hostId || game.creator_id;
+
+  const hostIds = [...new Set(candidates.map(hostIdOf).filter(Boolean))];
+  const hostRows = hostIds.length > 0
+    ? await db
+      .select({ id: users.id, username: users.username, avatarUrl: users.avatar_url })
+      .from(users)
+      .where(inArray(users.id, hostIds))
+    : [];
+  const hostsById = Object.fromEntries(hostRows.map(u => [u.id, u]));
+
+  const rooms = [];
+  for (const game of candidates) {
+    const state = states[game.id];
+    const capacity = state.capacity || MIN_ROOM_CAPACITY;
+    const seats = (seatsByGame[game.id] || []).sort((a, b) => a.seat - b.seat);
+    const playerCount = Math.max(seats.length, [game.creator_id, game.opponent_id].filter(Boolean).length);
+
+    const joinable = game.status === 'waiting' || capacity > MIN_ROOM_CAPACITY;
+    if (!joinable || state.locked || playerCount >= capacity) continue;
+
+    // Anonymous hosts have no users row; fall back to their seat, or the first one
+    const hostUser = hostsById[hostIdOf(game)];
+    const hostSeat = seats.find(seat => seat.userId === hostIdOf(game)) || seats[0];
+    const host = hostUser
+      ? { userId: hostUser.id, username: hostUser.username, avatarUrl: hostUser.avatarUrl || null }
+      : { userId: hostSeat?.userId || null, username: hostSeat?.username || null, avatarUrl: null };
+
+    const room = formatLobbyRoom(game, state, host, playerCount);
+    if (matchesFilters(room, filters)) rooms.push(room);
+  }
+
+  return {
+    rooms: rooms.slice(offset, offset + limit),
+    total: rooms.length,
+  };
+}
+
+module.exports = {
+  LOBBY_MATCH_FILTERS,
+  isValidLobbyMatchFilter,
+  listLobbyRooms,
+};
@@ -0,0 +1,244 @@
+/**
+ * Ranked Matchmaking
+ * In-memory queue of registered players waiting for an opponent of similar
+ * rating; pairs get a fresh room with both of them already seated
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { games } = require('../db/schema');
+const { eq } = require('drizzle-orm');
+const { generateRoomCode, createInitialGameState } = require('./gameLogic');
+const { addParticipant } = require('./participants');
+
+// Rating gap accepted when a player joins; it widens the longer they wait
+const BASE_RATING_WINDOW = 100;
+const RATING_WINDOW_STEP = 50;
+const RATING_WINDOW_STEP_MS = 10 * 1000;
+const MAX_RATING_WINDOW = 500;
+
+// Ranked games are a best of 3
+const RANKED_MATCH = { type: 'best_of', target: 3 };
+
+// How long a REST player can still pick up a match they were paired into
+const MATCH_PICKUP_MS = 10 * 60 * 1000;
+
+// Waiting players: { [userId]: { userId, username, rating, socketId, joinedAt } }
+const queue = new Map();
+
+// Pairings not yet picked up by polling clients: { [userId]: { roomCode, gameId, opponent, matchedAt } }
+const matches = new Map();
+
+/**
+ * Rating gap a queued player currently accepts
+ * @param {Object} entry - Queue entry
+ * @param {number} now - Epoch ms
+ * @returns {number}
+ */
+function getRatingWindow(entry, now = Date.now()) {
+  const steps = Math.floor((now - entry.joinedAt) / RATING_WINDOW_STEP_MS);
+  return Math.min(MAX_RATING_WINDOW, BASE_RATING_WINDOW + steps * RATING_WINDOW_STEP);
+}
+
+/**
+ * Put a player in the queue (re-joining keeps their place but refreshes their details)
+ * @param {Object} player - { userId, username, rating, socketId }
+ * @returns {Object} Queue entry
+ */
+function joinQueue({ userId, username, rating, socketId = null }) {
+  const existing = queue.get(userId);
+  const entry = {
+    userId,
+    username,
+    rating,
+    socketId,
+    joinedAt: existing ? existing.joinedAt : Date.now(),
+  };
+
+  matches.delete(userId);
+  queue.set(userId, entry);
+  console.log(`🎯 ${username} joined matchmaking (rating ${rating}, ${queue.size} waiting)`);
+  return entry;
+}
+
+/**
+ * Take a player out of the queue
+ * @param {string} userId - User ID
+ * @returns {boolean} True if they were queued
+ */
+function leaveQueue(userId) {
+  const removed = queue.delete(userId);
+  if (removed) {
+    console.log(`🎯 ${userId} left matchmaking (${queue.size} waiting)`);
+  }
+  return removed;
+}
+
+/**
+ * Drop a disconnected socket's queue entry
+ * @param {string} socketId - Socket.io socket ID
+ */
+function leaveQueueBySocket(socketId) {
+  for (const entry of queue.values()) {
+    if (entry.socketId === socketId) {
+      leaveQueue(entry.userId);
+    }
+  }
+}
+
+/**
+ * Where a player stands in matchmaking
+ * @param {string} userId - User ID
+ * @returns {Object} { status: 'queued', ... } | { status: 'matched', ... } | { status: 'idle' }
+ */
+function getQueueStatus(userId) {
+  const match = matches.get(userId);
+  if (match && Date.now() - match.matchedAt < MATCH_PICKUP_MS) {
+    return { status: 'matched', ...match };
+  }
+
+  const entry = queue.get(userId);
+  if (!entry) return { status: 'idle' };
+
+  return {
+    status: 'queued',
+    rating: entry.rating,
+    ratingWindow: getRatingWindow(entry),
+    waitingSeconds: Math.floor((Date.now() - entry.joinedAt) / 1000),
+    queueSize: queue.size,
+  };
+}
+
+/**
+ * Pair up queued players; the longest-waiting player is matched first, with the
+ * closest-rated opponent whose window also covers them
+ * @param {number} now - Epoch ms
+ * @returns {Array} [[entryA, entryB]] (paired players are removed from the queue)
+ */
+function findPairs(now = Date.now()) {
+  const waiting = [...queue.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+  const paired = new Set();
+  const pairs = [];
+
+  for (const player of waiting) {
+    if (paired.has(player.userId)) continue;
+
+    let best = null;
+    for (const other of waiting) {
+      if (other.userId === player.userId || paired.has(other.userId)) continue;
+
+      const gap = Math.abs(player.rating - other.rating);
+      if (gap > getRatingWindow(player, now) || gap > getRatingWindow(other, now)) continue;
+      if (!best || gap < Math.abs(player.rating - best.rating)) best = other;
+    }
+
+    if (best) {
+      paired.add(player.userId);
+      paired.add(best.userId);
+      pairs.push([player, best]);
+    }
+  }
+
+  for (const userId of paired) {
+    queue.delete(userId);
+  }
+  return pairs;
+}
+
+/**
+ * Create the game for a matched pair, with both players seated
+ * @param {Object} playerA - Queue entry (becomes the creator)
+ * @param {Object} playerB - Queue entry
+ * @returns {Promise<Object>} { gameId, roomCode }
+ */
+async function createMatchedGame(playerA, playerB) {
+  const db = getDatabase();
+
+  let roomCode;
+  for (let attempts = 0; attempts < 5; attempts++) {
+    roomCode = generateRoomCode();
+    const existing = await db
+      .select({ id: games.id })
+      .from(games)
+      .where(eq(games.room_code, roomCode))
+      .limit(1);
+    if (existing.length === 0) break;
+    roomCode = null;
+  }
+
+  if (!roomCode) {
+    throw new Error('Failed to generate unique room code');
+  }
+
+  const gameId = uuidv4();
+  const now = new Date();
+  const initialState = createInitialGameState(playerA.userId, { match: RANKED_MATCH });
+
+  await db.insert(games).values({
+    id: gameId,
+    room_code: roomCode,
+    creator_id: playerA.userId,
+    opponent_id: playerB.userId,
+    status: 'in_progress',
+    current_turn: null,
+    game_state: JSON.stringify(initialState),
+    game_phase: initialState.gamePhase,
+    winner_id: null,
+    created_at: now,
+    updated_at: now,
+  });
+
+  await addParticipant(gameId, playerA.userId, playerA.username);
+  await addParticipant(gameId, playerB.userId, playerB.username);
+
+  return { gameId, roomCode };
+}
+
+/**
+ * Pair everyone who can be paired and create their games
+ * @param {Function} onMatch - Called with (entry, match) for each matched player
+ * @returns {Promise<number>} Number of games created
+ */
+async function runMatchmaking(onMatch = () => {}) {
+  const pairs = findPairs();
+  let created = 0;
+
+  for (const [playerA, playerB] of pairs) {
+    try {
+      const { gameId, roomCode } = await createMatchedGame(playerA, playerB);
+      const matchedAt = Date.now();
+
+      for (const [player, opponent] of [[playerA, playerB], [playerB, playerA]]) {
+        const match = {
+          roomCode,
+          gameId,
+          opponent: { userId: opponent.userId, username: opponent.username, rating: opponent.rating },
+          matchedAt,
+        };
+        matches.set(player.userId, match);
+        onMatch(player, match);
+      }
+
+      created++;
+      console.log(`🎯 Matched ${playerA.username} (${playerA.rating}) with ${playerB.username} (${playerB.rating}) in room ${roomCode}`);
+    } catch (error) {
+      console.error('❌ Error creating matched game:', error);
+      // Put them back at the front of the queue
+      queue.set(playerA.userId, playerA);
+      queue.set(playerB.userId, playerB);
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  RANKED_MATCH,
+  getRatingWindow,
+  joinQueue,
+  leaveQueue,
+  leaveQueueBySocket,
+  getQueueStatus,
+  findPairs,
+  runMatchmaking,
+};
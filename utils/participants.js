@@ -0,0 +1,145 @@
+const { getDatabase } = require('../db');
+const { games, game_participants } = require('../db/schema');
+const { eq, and, or, isNull, asc, inArray, sql } = require('drizzle-orm');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Format participant row for client
+ * @param {Object} participant - Participant database row
+ * @returns {Object} Formatted participant
+ */
+function formatParticipantForClient(participant) {
+  return {
+    userId: participant.user_id,
+    username: participant.username,
+    seat: participant.seat,
+    joinedAt: participant.joined_at,
+  };
+}
+
+/**
+ * Build a where-condition matching games a user plays in (creator, opponent or seated in a group room)
+ * @param {Object} db - Drizzle database
+ * @param {string} userId - User ID
+ * @returns {SQL} Condition for queries on the games table
+ */
+function playedByUser(db, userId) {
+  return or(
+    eq(games.creator_id, userId),
+    eq(games.opponent_id, userId),
+    inArray(
+      games.id,
+      db.select({ gameId: game_participants.game_id })
+        .from(game_participants)
+        .where(eq(game_participants.user_id, userId))
+    )
+  );
+}
+
+/**
+ * Get players currently seated in a game, in join order
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Participant rows
+ */
+async function getParticipants(gameId) {
+  if (!gameId) return [];
+
+  try {
+    const db = getDatabase();
+    return await db
+      .select()
+      .from(game_participants)
+      .where(and(
+        eq(game_participants.game_id, gameId),
+        isNull(game_participants.left_at)
+      ))
+      .orderBy(asc(game_participants.seat));
+  } catch (error) {
+    console.error('❌ Error loading participants:', error);
+    return [];
+  }
+}
+
+/**
+ * Seat a player in a game (or re-seat them if they left earlier)
+ * @param {string} gameId - Game ID
+ * @param {string} userId - User ID (UUID or anon_xxxx)
+ * @param {string} username - Display name
+ * @returns {Promise<boolean>} Success status
+ */
+async function addParticipant(gameId, userId, username) {
+  if (!gameId || !userId) return false;
+
+  try {
+    const db = getDatabase();
+
+    const existing = await db
+      .select()
+      .from(game_participants)
+      .where(and(
+        eq(game_participants.game_id, gameId),
+        eq(game_participants.user_id, userId)
+      ))
+      .limit(1);
+
+    if (existing.length > 0) {
+      if (existing[0].left_at || existing[0].username !== username) {
+        await db
+          .update(game_participants)
+          .set({ left_at: null, username: username || existing[0].username })
+          .where(eq(game_participants.id, existing[0].id));
+      }
+      return true;
+    }
+
+    // The seat is numbered in the same statement, and a player seated by a concurrent
+    // join (unique game_id, user_id) keeps the seat they already have
+    await db.insert(game_participants).values({
+      id: uuidv4(),
+      game_id: gameId,
+      user_id: userId,
+      username: username || 'Player',
+      seat: sql`(SELECT COALESCE(MAX(seat) + 1, 0) FROM game_participants WHERE game_id = ${gameId})`,
+      joined_at: new Date(),
+      left_at: null,
+    }).onConflictDoNothing({ target: [game_participants.game_id, game_participants.user_id] });
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error adding participant:', error);
+    return false;
+  }
+}
+
+/**
+ * Mark a player as having left a game
+ * @param {string} gameId - Game ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function removeParticipant(gameId, userId) {
+  if (!gameId || !userId) return false;
+
+  try {
+    const db = getDatabase();
+    await db
+      .update(game_participants)
+      .set({ left_at: new Date() })
+      .where(and(
+        eq(game_participants.game_id, gameId),
+        eq(game_participants.user_id, userId)
+      ));
+    return true;
+  } catch (error) {
+    console.error('❌ Error removing participant:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  formatParticipantForClient,
+  playedByUser,
+  getParticipants,
+  addParticipant,
+  removeParticipant,
+};
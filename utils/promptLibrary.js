@@ -0,0 +1,122 @@
+const { getDatabase } = require('../db');
+const { prompts, prompt_history } = require('../db/schema');
+const { eq, and, inArray, lte } = require('drizzle-orm');
+const { v4: uuidv4 } = require('uuid');
+const { drawRandomPrompts, getPairKey } = require('./gameLogic');
+
+/**
+ * Format prompt row for client
+ * @param {Object} prompt - Prompt database row
+ * @returns {Object} Formatted prompt
+ */
+function formatPromptForClient(prompt) {
+  return {
+    id: prompt.id,
+    type: prompt.type,
+    category: prompt.category,
+    intensity: prompt.intensity,
+    content: prompt.content,
+    createdBy: prompt.created_by,
+    createdAt: prompt.created_at,
+  };
+}
+
+/**
+ * Draw prompt suggestions for a pair of players
+ * Prompts this pair has already seen are avoided until the pool is exhausted
+ * @param {Object} options - Draw options
+ * @param {string} options.type - 'truth' or 'dare'
+ * @param {string[]} options.categories - Categories to draw from (all if empty)
+ * @param {number} options.maxIntensity - Highest intensity allowed
+ * @param {string[]} options.userIds - Players in the pair
+ * @param {number} options.count - Number of suggestions
+ * @returns {Promise<Array>} Formatted prompts
+ */
+async function getPromptSuggestions({ type, categories = [], maxIntensity = 3, userIds = [], count = 3 }) {
+  try {
+    const db = getDatabase();
+
+    const conditions = [
+      eq(prompts.type, type),
+      lte(prompts.intensity, maxIntensity),
+    ];
+
+    if (categories && categories.length > 0) {
+      conditions.push(inArray(prompts.category, categories));
+    }
+
+    const pool = await db
+      .select()
+      .from(prompts)
+      .where(and(...conditions));
+
+    let seenIds = [];
+    if (userIds.length > 0) {
+      const history = await db
+        .select({ promptId: prompt_history.prompt_id })
+        .from(prompt_history)
+        .where(eq(prompt_history.pair_key, getPairKey(userIds)));
+
+      seenIds = history.map(row => row.promptId);
+    }
+
+    return drawRandomPrompts(pool, { excludeIds: seenIds, count }).map(formatPromptForClient);
+  } catch (error) {
+    console.error('❌ Error drawing prompt suggestions:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single prompt by ID
+ * @param {string} promptId - Prompt ID
+ * @returns {Promise<Object|null>} Prompt row or null
+ */
+async function getPromptById(promptId) {
+  if (!promptId) return null;
+
+  try {
+    const db = getDatabase();
+    const result = await db
+      .select()
+      .from(prompts)
+      .where(eq(prompts.id, promptId))
+      .limit(1);
+
+    return result.length > 0 ? result[0] : null;
+  } catch (error) {
+    console.error('❌ Error loading prompt:', error);
+    return null;
+  }
+}
+
+/**
+ * Record that a pair of players has seen a prompt
+ * @param {Object} options - Usage options
+ * @param {string} options.promptId - Prompt ID
+ * @param {string[]} options.userIds - Players in the pair
+ * @param {string} options.room - Room code
+ */
+async function recordPromptUsage({ promptId, userIds, room = null }) {
+  if (!promptId || !userIds || userIds.length === 0) return;
+
+  try {
+    const db = getDatabase();
+    await db.insert(prompt_history).values({
+      id: uuidv4(),
+      prompt_id: promptId,
+      pair_key: getPairKey(userIds),
+      room,
+      used_at: new Date(),
+    });
+  } catch (error) {
+    console.error('❌ Error recording prompt usage:', error);
+  }
+}
+
+module.exports = {
+  formatPromptForClient,
+  getPromptSuggestions,
+  getPromptById,
+  recordPromptUsage,
+};
@@ -202,6 +202,42 @@ async function sendNotificationByType(fcmToken, type, data) {
         roomCode: data.roomCode,
       },
     },
+    rematch_request: {
+      title: 'Rematch?',
+      body: data.body,
+      data: {
+        type: 'rematch_request',
+        gameId: data.gameId,
+        roomCode: data.roomCode,
+      },
+    },
+    rematch_accepted: {
+      title: 'Rematch Accepted!',
+      body: data.body,
+      data: {
+        type: 'rematch_accepted',
+        gameId: data.gameId,
+        roomCode: data.roomCode,
+      },
+    },
+    tournament_match_ready: {
+      title: 'Your Tournament Match Is Ready!',
+      body: data.body,
+      data: {
+        type: 'tournament_match_ready',
+        tournamentId: data.tournamentId,
+        gameId: data.gameId,
+        roomCode: data.roomCode,
+      },
+    },
+    achievement_unlocked: {
+      title: 'Achievement Unlocked!',
+      body: `${data.icon} ${data.name} - ${data.description}`,
+      data: {
+        type: 'achievement_unlocked',
+        achievementId: data.achievementId,
+      },
+    },
   };
 
   const notification = notifications[type];
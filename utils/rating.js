@@ -0,0 +1,62 @@
+/**
+ * Skill Rating
+ * Elo ratings for registered players, updated once per finished game
+ */
+
+const DEFAULT_RATING = 1200;
+const MIN_RATING = 100;
+const PROVISIONAL_GAMES = 30; // New players move faster until their rating settles
+const PROVISIONAL_K_FACTOR = 40;
+const K_FACTOR = 20;
+
+/**
+ * Expected score of player A against player B
+ * @param {number} ratingA - Player A's rating
+ * @param {number} ratingB - Player B's rating
+ * @returns {number} Win probability for A (0-1)
+ */
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * How far a player's rating moves in one game
+ * @param {number} gamesPlayed - Finished games before this one
+ * @returns {number} K-factor
+ */
+function getKFactor(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+}
+
+/**
+ * Work out new ratings after a game
+ * The winner is scored as beating each loser; in group rooms their gain is averaged
+ * @param {Object} winner - { userId, rating, gamesPlayed }
+ * @param {Array} losers - [{ userId, rating, gamesPlayed }]
+ * @returns {Object} { [userId]: { rating, change } }
+ */
+function calculateRatingChanges(winner, losers) {
+  if (!winner || losers.length === 0) return {};
+
+  const result = {};
+  const settle = (player, delta) => {
+    const rating = Math.max(MIN_RATING, Math.round(player.rating + delta));
+    result[player.userId] = { rating, change: rating - player.rating };
+  };
+
+  let winnerDelta = 0;
+  for (const loser of losers) {
+    winnerDelta += getKFactor(winner.gamesPlayed) * (1 - expectedScore(winner.rating, loser.rating));
+    settle(loser, -getKFactor(loser.gamesPlayed) * expectedScore(loser.rating, winner.rating));
+  }
+  settle(winner, winnerDelta / losers.length);
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  getKFactor,
+  calculateRatingChanges,
+};
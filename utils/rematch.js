@@ -0,0 +1,318 @@
+/**
+ * Rematches
+ * A player from a finished game proposes playing again and the others are
+ * notified. The first to accept gets a new game with the same settings, both
+ * of them seated, linked to the old one by previous_game_id
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { games, game_participants, notifications, fcm_tokens } = require('../db/schema');
+const { eq, asc } = require('drizzle-orm');
+const { generateRoomCode, createInitialGameState } = require('./gameLogic');
+const { addParticipant } = require('./participants');
+const { sendNotificationByType } = require('./pushNotifications');
+const { isBotId } = require('./bots');
+
+// How long a rematch request stays open
+const REMATCH_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// Open requests: { [gameId]: { gameId, roomCode, requesterId, requesterName, inviteeIds, requestedAt, accepted } }
+const requests = new Map();
+
+// Rematch games being created, so two players accepting at once share one game
+const creating = new Map();
+
+const isRegistered = (userId) => userId && !userId.startsWith('anon_');
+
+/**
+ * Build a refusal
+ * @returns {Object} { error, status, code }
+ */
+function reject(error, status = 400, code = 'INVALID_ACTION') {
+  return { error, status, code };
+}
+
+/**
+ * Format a rematch request for client
+ * @param {Object} request - Request entry
+ * @returns {Object} Formatted request
+ */
+function formatRequestForClient(request) {
+  return {
+    gameId: request.gameId,
+    roomCode: request.roomCode,
+    requesterId: request.requesterId,
+    requesterName: request.requesterName,
+    inviteeIds: request.inviteeIds,
+    expiresAt: new Date(request.requestedAt + REMATCH_REQUEST_TTL_MS),
+  };
+}
+
+/**
+ * Get a game's open rematch request, dropping it if it has expired
+ * @param {string} gameId - Finished game ID
+ * @returns {Object|null} Request entry
+ */
+function getOpenRequest(gameId) {
+  const request = requests.get(gameId);
+  if (!request) return null;
+
+  if (Date.now() - request.requestedAt > REMATCH_REQUEST_TTL_MS) {
+    requests.delete(gameId);
+    return null;
+  }
+  return request;
+}
+
+/**
+ * Load a finished game and the humans who played in it (including players who left)
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object>} { game, players: [{ userId, username }] } or a refusal
+ */
+async function loadFinishedGame(gameId) {
+  const db = getDatabase();
+
+  const gameResult = await db
+    .select()
+    .from(games)
+    .where(eq(games.id, gameId))
+    .limit(1);
+
+  if (gameResult.length === 0) {
+    return reject('Game not found', 404, 'NOT_FOUND');
+  }
+
+  const game = gameResult[0];
+  if (game.status !== 'completed' && game.status !== 'forfeit') {
+    return reject('Rematches can only be requested once a game has finished', 400, 'GAME_NOT_FINISHED');
+  }
+
+  const seated = await db
+    .select()
+    .from(game_participants)
+    .where(eq(game_participants.game_id, gameId))
+    .orderBy(asc(game_participants.seat));
+
+  // Bots can't answer a rematch request, so they're left out
+  const players = seated.length > 0
+    ? seated.filter(p => !isBotId(p.user_id)).map(p => ({ userId: p.user_id, username: p.username }))
+    : [game.creator_id, game.opponent_id].filter(Boolean).map(userId => ({ userId, username: null }));
+
+  return { game, players };
+}
+
+/**
+ * Store a notification and push it to the user's devices
+ * @param {string} userId - Registered user ID
+ * @param {string} type - 'rematch_request' or 'rematch_accepted'
+ * @param {Object} content - { title, body, data }
+ */
+async function notifyUser(userId, type, { title, body, data }) {
+  try {
+    const db = getDatabase();
+
+    await db.insert(notifications).values({
+      id: uuidv4(),
+      user_id: userId,
+      type,
+      title,
+      body,
+      data: JSON.stringify(data),
+      read: false,
+      created_at: new Date(),
+    });
+
+    const tokens = await db
+      .select()
+      .from(fcm_tokens)
+      .where(eq(fcm_tokens.user_id, userId));
+
+    for (const { token } of tokens) {
+      await sendNotificationByType(token, type, { ...data, body });
+    }
+  } catch (error) {
+    console.error(`❌ Error sending ${type} notification:`, error);
+  }
+}
+
+/**
+ * Create the rematch game: the old game's settings and visibility, requester and acceptor seated
+ * @param {Object} previousGame - Finished games row
+ * @param {Object} requester - { userId, username }
+ * @param {Object} acceptor - { userId, username }
+ * @returns {Promise<Object>} { id, roomCode, previousGameId, previousRoomCode }
+ */
+async function createRematchGame(previousGame, requester, acceptor) {
+  const db = getDatabase();
+
+  let roomCode;
+  for (let attempts = 0; attempts < 5; attempts++) {
+    roomCode = generateRoomCode();
+    const existing = await db
+      .select({ id: games.id })
+      .from(games)
+      .where(eq(games.room_code, roomCode))
+      .limit(1);
+    if (existing.length === 0) break;
+    roomCode = null;
+  }
+
+  if (!roomCode) {
+    throw new Error('Failed to generate unique room code');
+  }
+
+  const previousState = typeof previousGame.game_state === 'string'
+    ? JSON.parse(previousGame.game_state)
+    : (previousGame.game_state || {});
+  const initialState = createInitialGameState(requester.userId, {
+    match: previousState.match || null,
+    rulesetId: previousState.rulesetId,
+    capacity: previousState.capacity,
+    loserRule: previousState.loserRule,
+    timeoutAction: previousState.timeoutAction,
+    fairPlay: previousState.fairPlay === true,
+    language: previousState.language,
+    maxIntensity: previousState.promptSettings?.maxIntensity,
+    chatFilter: previousState.chatFilter,
+  });
+
+  const gameId = uuidv4();
+  const now = new Date();
+
+  await db.insert(games).values({
+    id: gameId,
+    room_code: roomCode,
+    creator_id: isRegistered(requester.userId) ? requester.userId : null,
+    opponent_id: isRegistered(acceptor.userId) ? acceptor.userId : null,
+    status: 'in_progress',
+    current_turn: null,
+    game_state: JSON.stringify(initialState),
+    game_phase: initialState.gamePhase,
+    winner_id: null,
+    previous_game_id: previousGame.id,
+    visibility: previousGame.visibility,
+    password_hash: previousGame.password_hash,
+    created_at: now,
+    updated_at: now,
+  });
+
+  await addParticipant(gameId, requester.userId, requester.username);
+  await addParticipant(gameId, acceptor.userId, acceptor.username);
+
+  console.log(`🔁 Rematch of ${previousGame.room_code} created in room ${roomCode}`);
+  return { id: gameId, roomCode, previousGameId: previousGame.id, previousRoomCode: previousGame.room_code };
+}
+
+/**
+ * Accept an open rematch request: the first acceptor creates the new game,
+ * later ones are seated in it
+ * @param {Object} options
+ * @param {string} options.gameId - Finished game ID
+ * @param {string} options.userId - Accepting player
+ * @param {string} options.username - Accepting player's name
+ * @returns {Promise<Object>} { game: { id, roomCode, previousGameId, previousRoomCode, playerIds } } or a refusal
+ */
+async function acceptRematch({ gameId, userId, username }) {
+  const request = getOpenRequest(gameId);
+  if (!request) {
+    return reject('No rematch has been requested for this game', 404, 'NOT_FOUND');
+  }
+  if (!request.inviteeIds.includes(userId)) {
+    return reject('This rematch request is not for you', 403, 'NOT_INVITED');
+  }
+
+  if (!request.accepted) {
+    if (!creating.has(gameId)) {
+      const loaded = await loadFinishedGame(gameId);
+      if (loaded.error) return loaded;
+
+      const requester = { userId: request.requesterId, username: request.requesterName };
+      creating.set(gameId, createRematchGame(loaded.game, requester, { userId, username })
+        .finally(() => creating.delete(gameId)));
+    }
+
+    try {
+      request.accepted = request.accepted || { ...(await creating.get(gameId)), playerIds: [request.requesterId] };
+    } catch (error) {
+      console.error('❌ Error creating rematch game:', error);
+      return reject('Failed to create the rematch', 500, 'CREATE_FAILED');
+    }
+  }
+
+  if (!request.accepted.playerIds.includes(userId)) {
+    await addParticipant(request.accepted.id, userId, username);
+    request.accepted.playerIds.push(userId);
+  }
+
+  if (isRegistered(request.requesterId)) {
+    await notifyUser(request.requesterId, 'rematch_accepted', {
+      title: 'Rematch Accepted!',
+      body: `${username} accepted your rematch`,
+      data: { gameId: request.accepted.id, roomCode: request.accepted.roomCode, previousGameId: gameId },
+    });
+  }
+
+  return { game: { ...request.accepted, playerIds: [...request.accepted.playerIds] } };
+}
+
+/**
+ * Propose a rematch of a finished game to everyone else who played in it
+ * If another player already proposed one, this accepts theirs instead
+ * @param {Object} options
+ * @param {string} options.gameId - Finished game ID
+ * @param {string} options.userId - Requesting player
+ * @param {string} options.username - Requesting player's name
+ * @returns {Promise<Object>} { request } or { game } (accepted) or a refusal
+ */
+async function requestRematch({ gameId, userId, username }) {
+  const loaded = await loadFinishedGame(gameId);
+  if (loaded.error) return loaded;
+
+  const { game, players } = loaded;
+  const player = players.find(p => p.userId === userId);
+  if (!player) {
+    return reject('Only players from this game can ask for a rematch', 403, 'NOT_A_PLAYER');
+  }
+
+  const existing = getOpenRequest(gameId);
+  if (existing && existing.requesterId !== userId) {
+    return acceptRematch({ gameId, userId, username: username || player.username });
+  }
+  if (existing) {
+    return { request: formatRequestForClient(existing) };
+  }
+
+  const inviteeIds = players.map(p => p.userId).filter(id => id !== userId);
+  if (inviteeIds.length === 0) {
+    return reject('There is nobody to rematch', 400, 'NO_OPPONENT');
+  }
+
+  const request = {
+    gameId,
+    roomCode: game.room_code,
+    requesterId: userId,
+    requesterName: username || player.username,
+    inviteeIds,
+    requestedAt: Date.now(),
+    accepted: null,
+  };
+  requests.set(gameId, request);
+
+  for (const inviteeId of inviteeIds.filter(isRegistered)) {
+    await notifyUser(inviteeId, 'rematch_request', {
+      title: 'Rematch?',
+      body: `${request.requesterName} wants a rematch`,
+      data: { gameId, roomCode: game.room_code, requesterId: userId },
+    });
+  }
+
+  console.log(`🔁 ${request.requesterName} asked for a rematch of ${game.room_code}`);
+  return { request: formatRequestForClient(request) };
+}
+
+module.exports = {
+  REMATCH_REQUEST_TTL_MS,
+  requestRematch,
+  acceptRematch,
+};
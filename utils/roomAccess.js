@@ -0,0 +1,88 @@
+/**
+ * Room Access
+ * Enforces a room's visibility when someone new tries to take a seat or watch:
+ * password rooms check the room password, friends-only rooms check friendships.
+ * The host's bans and room lock (utils/hostControls.js) are checked first
+ */
+
+const bcrypt = require('bcrypt');
+const { getDatabase } = require('../db');
+const { friendships } = require('../db/schema');
+const { eq, and, or } = require('drizzle-orm');
+const { DEFAULT_ROOM_VISIBILITY } = require('./gameLogic');
+
+/**
+ * Hash a room password for storage
+ * @param {string} password - Plain room password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashRoomPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+/**
+ * Check whether two users are accepted friends
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {Promise<boolean>}
+ */
+async function areFriends(userId, otherUserId) {
+  const db = getDatabase();
+
+  const rows = await db
+    .select({ id: friendships.id })
+    .from(friendships)
+    .where(and(
+      eq(friendships.status, 'accepted'),
+      or(
+        and(eq(friendships.user_id_1, userId), eq(friendships.user_id_2, otherUserId)),
+        and(eq(friendships.user_id_1, otherUserId), eq(friendships.user_id_2, userId))
+      )
+    ))
+    .limit(1);
+
+  return rows.length > 0;
+}
+
+/**
+ * Check whether a newcomer may join a room
+ * The host always gets in; players already seated in the room skip this check
+ * @param {Object} room - { visibility, passwordHash, hostId, banned, locked }
+ * @param {Object} joiner - { userId, password }
+ * @returns {Promise<Object|null>} null if allowed, otherwise { error, status, code }
+ */
+async function checkRoomAccess({
+  visibility = DEFAULT_ROOM_VISIBILITY, passwordHash = null, hostId = null, banned = [], locked = false,
+}, { userId, password }) {
+  if (userId && userId === hostId) return null;
+
+  if (userId && banned.some(b => b.userId === userId)) {
+    return { error: 'You have been banned from this room', status: 403, code: 'BANNED' };
+  }
+  if (locked) {
+    return { error: 'The host has locked this room', status: 403, code: 'ROOM_LOCKED' };
+  }
+
+  if (visibility === 'password') {
+    if (!password) {
+      return { error: 'This room needs a password', status: 403, code: 'PASSWORD_REQUIRED' };
+    }
+    if (!passwordHash || !(await bcrypt.compare(String(password), passwordHash))) {
+      return { error: 'Wrong room password', status: 403, code: 'WRONG_PASSWORD' };
+    }
+  }
+
+  if (visibility === 'friends') {
+    const registered = userId && !userId.startsWith('anon_');
+    if (!registered || !hostId || !(await areFriends(userId, hostId))) {
+      return { error: "This room is for the host's friends only", status: 403, code: 'FRIENDS_ONLY' };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  hashRoomPassword,
+  checkRoomAccess,
+};
@@ -0,0 +1,180 @@
+const { getDatabase } = require('../db');
+const { game_moves, game_rounds } = require('../db/schema');
+const { eq, and, asc } = require('drizzle-orm');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Record a player's move or truth/dare pick in game_moves
+ * user_id only references registered users; anonymous IDs are kept in move_data
+ * @param {string} gameId - Game ID
+ * @param {string} userId - User ID (UUID or anon_xxxx)
+ * @param {string} moveType - 'rps', 'truth' or 'dare'
+ * @param {Object} data - Move details
+ * @returns {Promise<boolean>} Success status
+ */
+async function recordGameMove(gameId, userId, moveType, data) {
+  if (!gameId) return false;
+
+  try {
+    const db = getDatabase();
+    const isRegistered = userId && !userId.startsWith('anon_');
+
+    await db.insert(game_moves).values({
+      id: uuidv4(),
+      game_id: gameId,
+      user_id: isRegistered ? userId : null,
+      move_type: moveType,
+      move_data: JSON.stringify({ ...data, userId }),
+      timestamp: new Date(),
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Error recording ${moveType} move:`, error);
+    return false;
+  }
+}
+
+/**
+ * Create or update a round's history record
+ * @param {string} gameId - Game ID
+ * @param {Object} round - roundRecorded event from the state machine
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveRound(gameId, round) {
+  if (!gameId) return false;
+
+  try {
+    const db = getDatabase();
+    const now = new Date();
+    const fields = {
+      throws: round.throws,
+      winner_id: round.winner,
+      loser_id: round.loser,
+      selection: round.selection,
+      prompt: round.prompt,
+      proof: round.proof,
+      status: round.status,
+      updated_at: now,
+    };
+
+    const existing = await db
+      .select({ id: game_rounds.id })
+      .from(game_rounds)
+      .where(and(
+        eq(game_rounds.game_id, gameId),
+        eq(game_rounds.round_number, round.roundNumber)
+      ))
+      .limit(1);
+
+    if (existing.length > 0) {
+      await db
+        .update(game_rounds)
+        .set(fields)
+        .where(eq(game_rounds.id, existing[0].id));
+    } else {
+      await db.insert(game_rounds).values({
+        id: uuidv4(),
+        game_id: gameId,
+        round_number: round.roundNumber,
+        started_at: now,
+        ...fields,
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving round:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a game's round records in play order
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Round rows
+ */
+async function getRounds(gameId) {
+  try {
+    const db = getDatabase();
+    return await db
+      .select()
+      .from(game_rounds)
+      .where(eq(game_rounds.game_id, gameId))
+      .orderBy(asc(game_rounds.round_number));
+  } catch (error) {
+    console.error('❌ Error loading rounds:', error);
+    return [];
+  }
+}
+
+/**
+ * Format round row for client
+ * @param {Object} round - Round database row
+ * @returns {Object} Formatted round
+ */
+function formatRoundForClient(round) {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+  return {
+    roundNumber: round.round_number,
+    throws: parse(round.throws) || [],
+    winnerId: round.winner_id,
+    loserId: round.loser_id,
+    selection: round.selection,
+    prompt: parse(round.prompt) || null,
+    proof: parse(round.proof) || null,
+    status: round.status,
+    startedAt: round.started_at,
+    updatedAt: round.updated_at,
+  };
+}
+
+/**
+ * Build the replay payload for a finished game: every round with names,
+ * move details and the running score so a client can step through it
+ * @param {Array} rounds - Formatted rounds (formatRoundForClient)
+ * @param {Object} options - Replay context
+ * @param {Object} options.usernames - { [userId]: username }
+ * @param {Object} options.ruleset - Ruleset the game was played with
+ * @returns {Array} Replay steps, one per round
+ */
+function buildReplaySteps(rounds, { usernames, ruleset }) {
+  const player = (userId) => (userId ? { userId, username: usernames[userId] || null } : null);
+  const describeMove = (moveId) => {
+    const move = ruleset && ruleset.moves.find(m => m.id === moveId);
+    return move ? { id: move.id, label: move.label, emoji: move.emoji } : { id: moveId, label: moveId, emoji: '' };
+  };
+
+  const score = {};
+
+  return rounds.map(round => {
+    if (round.winnerId) {
+      score[round.winnerId] = (score[round.winnerId] || 0) + 1;
+    }
+
+    return {
+      roundNumber: round.roundNumber,
+      throws: round.throws.map(({ moves, outcome }) => ({
+        outcome,
+        moves: Object.entries(moves).map(([userId, moveId]) => ({
+          ...player(userId),
+          move: describeMove(moveId),
+        })),
+      })),
+      winner: player(round.winnerId),
+      loser: player(round.loserId),
+      selection: round.selection,
+      prompt: round.prompt,
+      proof: round.proof,
+      status: round.status,
+      scoreAfter: { ...score },
+    };
+  });
+}
+
+module.exports = {
+  recordGameMove,
+  saveRound,
+  getRounds,
+  formatRoundForClient,
+  buildReplaySteps,
+};
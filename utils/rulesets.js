@@ -0,0 +1,296 @@
+/**
+ * Hand-game Rulesets
+ * Registry of move sets and their beats-graphs (classic RPS, RPSLS, RPS-7, custom)
+ */
+
+const { getDatabase } = require('../db');
+const { rulesets } = require('../db/schema');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_RULESET_ID = 'classic';
+
+// Limits for user-defined rulesets
+const MIN_RULESET_MOVES = 3;
+const MAX_RULESET_MOVES = 15;
+const MOVE_ID_REGEX = /^[a-z][a-z0-9_-]{0,19}$/;
+
+const BUILT_IN_RULESETS = [
+  {
+    id: 'classic',
+    name: 'Rock Paper Scissors',
+    moves: [
+      { id: 'rock', label: 'Rock', emoji: '🪨' },
+      { id: 'paper', label: 'Paper', emoji: '📄' },
+      { id: 'scissors', label: 'Scissors', emoji: '✂️' },
+    ],
+    beats: {
+      rock: ['scissors'],
+      paper: ['rock'],
+      scissors: ['paper'],
+    },
+  },
+  {
+    id: 'rpsls',
+    name: 'Rock Paper Scissors Lizard Spock',
+    moves: [
+      { id: 'rock', label: 'Rock', emoji: '🪨' },
+      { id: 'paper', label: 'Paper', emoji: '📄' },
+      { id: 'scissors', label: 'Scissors', emoji: '✂️' },
+      { id: 'lizard', label: 'Lizard', emoji: '🦎' },
+      { id: 'spock', label: 'Spock', emoji: '🖖' },
+    ],
+    beats: {
+      rock: ['scissors', 'lizard'],
+      paper: ['rock', 'spock'],
+      scissors: ['paper', 'lizard'],
+      lizard: ['paper', 'spock'],
+      spock: ['rock', 'scissors'],
+    },
+  },
+  {
+    id: 'rps7',
+    name: 'RPS-7',
+    // Each move beats the three that follow it in this order
+    moves: [
+      { id: 'rock', label: 'Rock', emoji: '🪨' },
+      { id: 'fire', label: 'Fire', emoji: '🔥' },
+      { id: 'scissors', label: 'Scissors', emoji: '✂️' },
+      { id: 'sponge', label: 'Sponge', emoji: '🧽' },
+      { id: 'paper', label: 'Paper', emoji: '📄' },
+      { id: 'air', label: 'Air', emoji: '💨' },
+      { id: 'water', label: 'Water', emoji: '💧' },
+    ],
+    beats: {
+      rock: ['fire', 'scissors', 'sponge'],
+      fire: ['scissors', 'sponge', 'paper'],
+      scissors: ['sponge', 'paper', 'air'],
+      sponge: ['paper', 'air', 'water'],
+      paper: ['air', 'water', 'rock'],
+      air: ['water', 'rock', 'fire'],
+      water: ['rock', 'fire', 'scissors'],
+    },
+  },
+];
+
+// In-memory registry: built-ins plus custom rulesets loaded from the database
+const registry = new Map(
+  BUILT_IN_RULESETS.map(ruleset => [ruleset.id, { ...ruleset, builtIn: true, createdBy: null }])
+);
+
+/**
+ * Get a ruleset by ID
+ * @param {string} rulesetId - Ruleset ID (defaults to classic RPS)
+ * @returns {Object|null} Ruleset or null if unknown
+ */
+function getRuleset(rulesetId = DEFAULT_RULESET_ID) {
+  return registry.get(rulesetId || DEFAULT_RULESET_ID) || null;
+}
+
+/**
+ * Check whether a ruleset ID is registered
+ * @param {string} rulesetId - Ruleset ID
+ * @returns {boolean}
+ */
+function isValidRulesetId(rulesetId) {
+  return registry.has(rulesetId);
+}
+
+/**
+ * List all registered rulesets
+ * @returns {Array} Rulesets (built-ins first)
+ */
+function listRulesets() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Check whether a move exists in a ruleset
+ * @param {string} move - Move ID
+ * @param {string} rulesetId - Ruleset ID
+ * @returns {boolean}
+ */
+function isValidMove(move, rulesetId = DEFAULT_RULESET_ID) {
+  const ruleset = getRuleset(rulesetId);
+  if (!ruleset || typeof move !== 'string') return false;
+  return ruleset.moves.some(m => m.id === move);
+}
+
+/**
+ * Check whether one move beats another
+ * @param {string} move - Attacking move
+ * @param {string} otherMove - Defending move
+ * @param {string} rulesetId - Ruleset ID
+ * @returns {boolean}
+ */
+function moveBeats(move, otherMove, rulesetId = DEFAULT_RULESET_ID) {
+  const ruleset = getRuleset(rulesetId);
+  if (!ruleset) return false;
+  return (ruleset.beats[move] || []).includes(otherMove);
+}
+
+/**
+ * Validate a user-defined ruleset definition
+ * Pairs with no edge between them are draws; two moves may not beat each other
+ * @param {Object} definition - { name, moves: [{ id, label, emoji }], beats: { move: [moves] } }
+ * @returns {string|null} Error message or null if valid
+ */
+function getRulesetDefinitionError(definition) {
+  const { name, moves, beats } = definition || {};
+
+  if (!name || typeof name !== 'string' || name.trim().length < 3 || name.trim().length > 50) {
+    return 'Name must be 3-50 characters';
+  }
+
+  if (!Array.isArray(moves) || moves.length < MIN_RULESET_MOVES || moves.length > MAX_RULESET_MOVES) {
+    return `A ruleset must have between ${MIN_RULESET_MOVES} and ${MAX_RULESET_MOVES} moves`;
+  }
+
+  const moveIds = new Set();
+  for (const move of moves) {
+    if (!move || !MOVE_ID_REGEX.test(move.id)) {
+      return 'Move IDs must be lowercase letters, numbers, hyphens or underscores (max 20 characters)';
+    }
+    if (moveIds.has(move.id)) {
+      return `Duplicate move: ${move.id}`;
+    }
+    if (move.label !== undefined && (typeof move.label !== 'string' || move.label.length > 30)) {
+      return 'Move labels must be at most 30 characters';
+    }
+    moveIds.add(move.id);
+  }
+
+  if (!beats || typeof beats !== 'object' || Array.isArray(beats)) {
+    return 'Beats must be an object mapping each move to the moves it beats';
+  }
+
+  for (const [move, beaten] of Object.entries(beats)) {
+    if (!moveIds.has(move)) {
+      return `Unknown move in beats: ${move}`;
+    }
+    if (!Array.isArray(beaten)) {
+      return `Beats for ${move} must be an array`;
+    }
+    for (const target of beaten) {
+      if (!moveIds.has(target)) {
+        return `Unknown move in beats: ${target}`;
+      }
+      if (target === move) {
+        return `${move} cannot beat itself`;
+      }
+      if ((beats[target] || []).includes(move)) {
+        return `${move} and ${target} cannot beat each other`;
+      }
+    }
+  }
+
+  const hasWinningPair = Object.values(beats).some(beaten => beaten.length > 0);
+  if (!hasWinningPair) {
+    return 'At least one move must beat another';
+  }
+
+  return null;
+}
+
+/**
+ * Normalise a ruleset database row and add it to the registry
+ * @param {Object} row - Ruleset database row
+ * @returns {Object} Registered ruleset
+ */
+function registerRuleset(row) {
+  const moves = typeof row.moves === 'string' ? JSON.parse(row.moves) : row.moves;
+  const beats = typeof row.beats === 'string' ? JSON.parse(row.beats) : row.beats;
+
+  const ruleset = {
+    id: row.id,
+    name: row.name,
+    moves: moves.map(move => ({
+      id: move.id,
+      label: move.label || move.id,
+      emoji: move.emoji || '',
+    })),
+    beats,
+    builtIn: false,
+    createdBy: row.created_by || null,
+  };
+
+  registry.set(ruleset.id, ruleset);
+  return ruleset;
+}
+
+/**
+ * Load custom rulesets from the database into the registry
+ * Called once at startup
+ * @returns {Promise<number>} Number of custom rulesets loaded
+ */
+async function loadCustomRulesets() {
+  try {
+    const db = getDatabase();
+    const rows = await db.select().from(rulesets);
+    rows.forEach(registerRuleset);
+    return rows.length;
+  } catch (error) {
+    console.error('❌ Error loading custom rulesets:', error);
+    return 0;
+  }
+}
+
+/**
+ * Persist a new custom ruleset and register it
+ * @param {Object} definition - Validated ruleset definition
+ * @param {string} createdBy - Creator user ID
+ * @returns {Promise<Object>} Registered ruleset
+ */
+async function createCustomRuleset({ name, moves, beats }, createdBy) {
+  const db = getDatabase();
+  const now = new Date();
+
+  const row = {
+    id: uuidv4(),
+    name: name.trim(),
+    moves: moves.map(move => ({
+      id: move.id,
+      label: move.label || move.id,
+      emoji: move.emoji || '',
+    })),
+    beats,
+    created_by: createdBy,
+    created_at: now,
+    updated_at: now,
+  };
+
+  await db.insert(rulesets).values(row);
+  return registerRuleset(row);
+}
+
+/**
+ * Format ruleset for client
+ * @param {Object} ruleset - Registered ruleset
+ * @returns {Object} Formatted ruleset
+ */
+function formatRulesetForClient(ruleset) {
+  if (!ruleset) return null;
+
+  return {
+    id: ruleset.id,
+    name: ruleset.name,
+    moves: ruleset.moves,
+    beats: ruleset.beats,
+    builtIn: ruleset.builtIn,
+    createdBy: ruleset.createdBy,
+  };
+}
+
+module.exports = {
+  DEFAULT_RULESET_ID,
+  BUILT_IN_RULESETS,
+  getRuleset,
+  isValidRulesetId,
+  listRulesets,
+  isValidMove,
+  moveBeats,
+  getRulesetDefinitionError,
+  registerRuleset,
+  loadCustomRulesets,
+  createCustomRuleset,
+  formatRulesetForClient,
+};
@@ -0,0 +1,291 @@
+/**
+ * Seasons
+ * Named date ranges for seasonal leaderboards; stats are attributed to the
+ * active season and each closed season's final standings are archived
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const { users, seasons, season_stats, season_standings } = require('../db/schema');
+const { eq, and, lte, desc, asc, sql } = require('drizzle-orm');
+const { DEFAULT_RATING } = require('./rating');
+
+const SEASON_LENGTH_DAYS = Number(process.env.SEASON_LENGTH_DAYS) || 30;
+const SEASON_STANDINGS_SIZE = Number(process.env.SEASON_STANDINGS_SIZE) || 100;
+
+// Columns a stats update can increment (rating takes a +/- change)
+const SEASON_STAT_FIELDS = [
+  'games_played',
+  'games_won',
+  'games_lost',
+  'games_forfeited',
+  'truths_completed',
+  'dares_completed',
+  'rating',
+];
+
+// Cached active season, and the rollover in progress (so concurrent callers share it)
+let activeSeason = null;
+let rolloverInProgress = null;
+
+/**
+ * Format season for client
+ * @param {Object} season - Season database row
+ * @returns {Object} Formatted season
+ */
+function formatSeasonForClient(season) {
+  return {
+    id: season.id,
+    name: season.name,
+    startsAt: season.starts_at,
+    endsAt: season.ends_at,
+    status: season.status,
+  };
+}
+
+/**
+ * Format a stats row (user_stats or season_stats) for client
+ * @param {Object} row - Row with games_played, games_won, ... columns
+ * @returns {Object} Formatted stats
+ */
+function formatSeasonStats(row) {
+  return {
+    gamesPlayed: row.games_played,
+    gamesWon: row.games_won,
+    gamesLost: row.games_lost,
+    truthsCompleted: row.truths_completed,
+    daresCompleted: row.dares_completed,
+    rating: row.rating ?? DEFAULT_RATING,
+    winRate: row.games_played > 0
+      ? Math.round((row.games_won / row.games_played) * 100)
+      : 0,
+  };
+}
+
+/**
+ * Archive a season's final top-N standings (by season rating, then wins)
+ * @param {Object} season - Season database row
+ * @returns {Promise<number>} Number of standings archived
+ */
+async function archiveStandings(season) {
+  const db = getDatabase();
+
+  const rows = await db
+    .select({
+      userId: users.id,
+      username: users.username,
+      games_played: season_stats.games_played,
+      games_won: season_stats.games_won,
+      games_lost: season_stats.games_lost,
+      truths_completed: season_stats.truths_completed,
+      dares_completed: season_stats.dares_completed,
+      rating: season_stats.rating,
+    })
+    .from(season_stats)
+    .innerJoin(users, eq(users.id, season_stats.user_id))
+    .where(and(
+      eq(season_stats.season_id, season.id),
+      sql`${season_stats.games_played} > 0`
+    ))
+    .orderBy(desc(season_stats.rating), desc(season_stats.games_won))
+    .limit(SEASON_STANDINGS_SIZE);
+
+  const now = new Date();
+  for (const [index, row] of rows.entries()) {
+    await db.insert(season_standings).values({
+      id: uuidv4(),
+      season_id: season.id,
+      rank: index + 1,
+      user_id: row.userId,
+      username: row.username,
+      stats: formatSeasonStats(row),
+      created_at: now,
+    });
+  }
+
+  return rows.length;
+}
+
+/**
+ * Close seasons that have ended (archiving their standings) and open the next one
+ * The next season follows straight on from the last, unless the server was down
+ * for longer than a whole season, in which case it starts now
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Active season row
+ */
+async function rolloverSeasons(now = new Date()) {
+  if (rolloverInProgress) return rolloverInProgress;
+
+  rolloverInProgress = (async () => {
+    const db = getDatabase();
+
+    const ended = await db
+      .select()
+      .from(seasons)
+      .where(and(eq(seasons.status, 'active'), lte(seasons.ends_at, now)));
+
+    for (const season of ended) {
+      const archived = await archiveStandings(season);
+      await db
+        .update(seasons)
+        .set({ status: 'closed' })
+        .where(eq(seasons.id, season.id));
+      console.log(`🏆 ${season.name} closed - archived ${archived} standings`);
+    }
+
+    const active = await db
+      .select()
+      .from(seasons)
+      .where(eq(seasons.status, 'active'))
+      .limit(1);
+
+    if (active.length > 0) {
+      activeSeason = active[0];
+      return activeSeason;
+    }
+
+    const previous = await db
+      .select()
+      .from(seasons)
+      .orderBy(desc(seasons.ends_at))
+      .limit(1);
+    const count = await db
+      .select({ count: sql`count(*)` })
+      .from(seasons);
+
+    const lengthMs = SEASON_LENGTH_DAYS * 24 * 60 * 60 * 1000;
+    let startsAt = previous.length > 0 ? new Date(previous[0].ends_at) : now;
+    if (startsAt.getTime() + lengthMs <= now.getTime()) {
+      startsAt = now;
+    }
+
+    const season = {
+      id: uuidv4(),
+      name: `Season ${Number(count[0].count) + 1}`,
+      starts_at: startsAt,
+      ends_at: new Date(startsAt.getTime() + lengthMs),
+      status: 'active',
+      created_at: now,
+    };
+    await db.insert(seasons).values(season);
+    console.log(`🏆 ${season.name} started (ends ${season.ends_at.toISOString()})`);
+
+    activeSeason = season;
+    return activeSeason;
+  })();
+
+  try {
+    return await rolloverInProgress;
+  } finally {
+    rolloverInProgress = null;
+  }
+}
+
+/**
+ * Get the season stats are currently attributed to (rolling over first if it has ended)
+ * @returns {Promise<Object|null>} Active season row
+ */
+async function getActiveSeason() {
+  if (activeSeason && new Date(activeSeason.ends_at) > new Date()) {
+    return activeSeason;
+  }
+
+  try {
+    return await rolloverSeasons();
+  } catch (error) {
+    console.error('❌ Error rolling over seasons:', error);
+    return null;
+  }
+}
+
+/**
+ * Resolve a season by ID, or 'current' for the active season
+ * @param {string} seasonId - Season ID or 'current'
+ * @returns {Promise<Object|null>} Season row
+ */
+async function getSeason(seasonId) {
+  if (seasonId === 'current') {
+    return getActiveSeason();
+  }
+
+  const db = getDatabase();
+  const result = await db
+    .select()
+    .from(seasons)
+    .where(eq(seasons.id, seasonId))
+    .limit(1);
+
+  return result[0] || null;
+}
+
+/**
+ * List every season, newest first
+ * @returns {Promise<Array>} Season rows
+ */
+async function listSeasons() {
+  const db = getDatabase();
+  return db
+    .select()
+    .from(seasons)
+    .orderBy(desc(seasons.starts_at));
+}
+
+/**
+ * Get a closed season's archived standings
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Array>} Standings rows in rank order
+ */
+async function getSeasonStandings(seasonId) {
+  const db = getDatabase();
+  return db
+    .select()
+    .from(season_standings)
+    .where(eq(season_standings.season_id, seasonId))
+    .orderBy(asc(season_standings.rank));
+}
+
+/**
+ * Add to a user's stats for the active season
+ * @param {string} userId - User ID
+ * @param {Object} changes - { [column]: amount } for SEASON_STAT_FIELDS
+ */
+async function addSeasonStats(userId, changes) {
+  if (!userId) return;
+
+  try {
+    const season = await getActiveSeason();
+    if (!season) return;
+
+    const fields = SEASON_STAT_FIELDS.filter(field => changes[field]);
+    if (fields.length === 0) return;
+
+    // Upsert, so a player's first two results of the season can't each create their row
+    const db = getDatabase();
+    await db
+      .insert(season_stats)
+      .values({
+        id: uuidv4(),
+        season_id: season.id,
+        user_id: userId,
+        created_at: new Date(),
+        ...Object.fromEntries(fields.map(field => [field, changes[field]])),
+        rating: DEFAULT_RATING + (changes.rating || 0),
+      })
+      .onConflictDoUpdate({
+        target: [season_stats.season_id, season_stats.user_id],
+        set: Object.fromEntries(fields.map(field => [field, sql`${season_stats[field]} + ${changes[field]}`])),
+      });
+  } catch (error) {
+    console.error('❌ Error updating season stats:', error);
+  }
+}
+
+module.exports = {
+  formatSeasonForClient,
+  rolloverSeasons,
+  getActiveSeason,
+  getSeason,
+  listSeasons,
+  getSeasonStandings,
+  addSeasonStats,
+};
@@ -1,16 +1,20 @@
 const { getDatabase } = require('../db');
 const { user_stats } = require('../db/schema');
-const { eq } = require('drizzle-orm');
+const { eq, inArray } = require('drizzle-orm');
+const { DEFAULT_RATING, calculateRatingChanges } = require('./rating');
+const { addSeasonStats } = require('./seasons');
+const { evaluateAchievements } = require('./achievements');
 
 /**
- * Update user game statistics
+ * Update user game statistics (all-time and for the active season)
  * @param {Object} options - Stats update options
  * @param {string} options.userId - User ID
  * @param {boolean} options.won - Whether user won the game
+ * @param {boolean} options.forfeited - Whether the loss was a forfeit (turn timer ran out)
  * @param {boolean} options.truthCompleted - Whether user completed a truth
  * @param {boolean} options.dareCompleted - Whether user completed a dare
  */
-async function updateUserStats({ userId, won = false, truthCompleted = false, dareCompleted = false }) {
+async function updateUserStats({ userId, won = false, forfeited = false, truthCompleted = false, dareCompleted = false }) {
   if (!userId) {
     console.warn('⚠️  Cannot update stats: userId is required');
     return;
@@ -38,8 +42,10 @@ async function updateUserStats({ userId, won = false, truthCompleted = false, da
       games_played: currentStats.games_played + 1,
       games_won: currentStats.games_won + (won ? 1 : 0),
       games_lost: currentStats.games_lost + (won ? 0 : 1),
+      games_forfeited: (currentStats.games_forfeited || 0) + (forfeited ? 1 : 0),
       truths_completed: currentStats.truths_completed + (truthCompleted ? 1 : 0),
       dares_completed: currentStats.dares_completed + (dareCompleted ? 1 : 0),
+      win_streak: won ? (currentStats.win_streak || 0) + 1 : 0,
     };
 
     // Update stats
@@ -48,7 +54,18 @@ async function updateUserStats({ userId, won = false, truthCompleted = false, da
       .set(updates)
       .where(eq(user_stats.user_id, userId));
 
+    await addSeasonStats(userId, {
+      games_played: 1,
+      games_won: won ? 1 : 0,
+      games_lost: won ? 0 : 1,
+      games_forfeited: forfeited ? 1 : 0,
+      truths_completed: truthCompleted ? 1 : 0,
+      dares_completed: dareCompleted ? 1 : 0,
+    });
+
     console.log(`✅ Updated stats for user ${userId}:`, updates);
+
+    await evaluateAchievements(userId, 'game');
   } catch (error) {
     console.error('❌ Error updating user stats:', error);
   }
@@ -76,6 +93,8 @@ async function incrementTruthCompleted(userId) {
           truths_completed: statsResult[0].truths_completed + 1,
         })
         .where(eq(user_stats.user_id, userId));
+      await addSeasonStats(userId, { truths_completed: 1 });
+      await evaluateAchievements(userId, 'truth');
     }
   } catch (error) {
     console.error('❌ Error incrementing truth count:', error);
@@ -104,6 +123,8 @@ async function incrementDareCompleted(userId) {
           dares_completed: statsResult[0].dares_completed + 1,
         })
         .where(eq(user_stats.user_id, userId));
+      await addSeasonStats(userId, { dares_completed: 1 });
+      await evaluateAchievements(userId, 'dare');
     }
   } catch (error) {
     console.error('❌ Error incrementing dare count:', error);
@@ -111,19 +132,75 @@ async function incrementDareCompleted(userId) {
 }
 
 /**
- * Record game result for two players
+ * Update skill ratings after a game (registered players with stats rows only)
+ * @param {string} winnerId - Winner user ID
+ * @param {string[]} loserIds - Losing user IDs
+ * @returns {Promise<Object>} { [userId]: { rating, change } }
+ */
+async function updateRatings(winnerId, loserIds) {
+  if (!winnerId || loserIds.length === 0) return {};
+
+  try {
+    const db = getDatabase();
+    const rows = await db
+      .select()
+      .from(user_stats)
+      .where(inArray(user_stats.user_id, [winnerId, ...loserIds]));
+
+    // games_played already counts this game; the K-factor goes by the games before it
+    const toPlayer = (row) => ({
+      userId: row.user_id,
+      rating: row.rating ?? DEFAULT_RATING,
+      gamesPlayed: Math.max(0, row.games_played - 1),
+    });
+    const winnerRow = rows.find(row => row.user_id === winnerId);
+    const losers = rows.filter(row => row.user_id !== winnerId).map(toPlayer);
+    if (!winnerRow || losers.length === 0) return {};
+
+    const changes = calculateRatingChanges(toPlayer(winnerRow), losers);
+    for (const [userId, { rating, change }] of Object.entries(changes)) {
+      await db
+        .update(user_stats)
+        .set({ rating })
+        .where(eq(user_stats.user_id, userId));
+      // Season ratings start from the default and move by the same amount
+      await addSeasonStats(userId, { rating: change });
+    }
+
+    console.log(`📈 Updated ratings:`, changes);
+    return changes;
+  } catch (error) {
+    console.error('❌ Error updating ratings:', error);
+    return {};
+  }
+}
+
+/**
+ * Record a finished game's result: stats for everyone, then new skill ratings
  * @param {Object} options - Game result options
  * @param {string} options.winnerId - Winner user ID
- * @param {string} options.loserId - Loser user ID
+ * @param {string[]} options.loserIds - Losing user IDs
+ * @param {string[]} options.forfeiterIds - Players who forfeited; their stats are already
+ *                                          recorded (recordForfeit) but they are still rated
  */
-async function recordGameResult({ winnerId, loserId }) {
+async function recordGameResult({ winnerId, loserIds = [], forfeiterIds = [] }) {
   if (winnerId) {
     await updateUserStats({ userId: winnerId, won: true });
   }
 
-  if (loserId) {
+  for (const loserId of loserIds) {
     await updateUserStats({ userId: loserId, won: false });
   }
+
+  await updateRatings(winnerId, [...loserIds, ...forfeiterIds]);
+}
+
+/**
+ * Record a forfeit (counts as a played and lost game)
+ * @param {string} userId - User ID of the player who forfeited
+ */
+async function recordForfeit(userId) {
+  await updateUserStats({ userId, won: false, forfeited: true });
 }
 
 /**
@@ -151,8 +228,10 @@ async function getUserStats(userId) {
       gamesPlayed: stats.games_played,
       gamesWon: stats.games_won,
       gamesLost: stats.games_lost,
+      gamesForfeited: stats.games_forfeited || 0,
       truthsCompleted: stats.truths_completed,
       daresCompleted: stats.dares_completed,
+      rating: stats.rating ?? DEFAULT_RATING,
       winRate: stats.games_played > 0
         ? Math.round((stats.games_won / stats.games_played) * 100)
         : 0,
@@ -168,5 +247,7 @@ module.exports = {
   incrementTruthCompleted,
   incrementDareCompleted,
   recordGameResult,
+  recordForfeit,
+  updateRatings,
   getUserStats,
 };
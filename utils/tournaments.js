@@ -0,0 +1,892 @@
+/**
+ * Tournaments
+ * Brackets played across many rooms. Players register, the creator starts the
+ * tournament, everyone is seeded from their rating or their user_stats record and
+ * each pairing gets a game of its own. When a game finishes its winner moves on:
+ * into the next bracket match (single elimination) or up the standings (round
+ * robin, played round by round)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../db');
+const {
+  games,
+  user_stats,
+  notifications,
+  fcm_tokens,
+  tournaments,
+  tournament_players,
+  tournament_matches,
+} = require('../db/schema');
+const { eq, and, asc, desc, inArray, sql } = require('drizzle-orm');
+const { generateRoomCode, createInitialGameState } = require('./gameLogic');
+const { addParticipant } = require('./participants');
+const { forfeitGame } = require('./gameStateMachine');
+const { sendNotificationByType } = require('./pushNotifications');
+const { DEFAULT_RATING } = require('./rating');
+
+const TOURNAMENT_FORMATS = ['single_elimination', 'round_robin'];
+const TOURNAMENT_SEEDINGS = ['rating', 'stats'];
+const TOURNAMENT_STATUSES = ['registration', 'in_progress', 'completed'];
+const MIN_TOURNAMENT_PLAYERS = 2;
+const MAX_TOURNAMENT_PLAYERS = 32;
+
+// Every tournament game is a series, so it always ends with a winner
+const DEFAULT_TOURNAMENT_MATCH = { type: 'best_of', target: 3 };
+
+// Round robin standings: a win is worth two points, a draw one
+const ROUND_ROBIN_POINTS = { win: 2, draw: 1 };
+
+// Work queued per tournament, so two games finishing at once can't both fill the next match
+const locks = new Map();
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Build a refusal
+ * @returns {Object} { error, status, code }
+ */
+function reject(error, status = 400, code = 'INVALID_ACTION') {
+  return { error, status, code };
+}
+
+/**
+ * Validate tournament format
+ * @param {string} format - 'single_elimination' or 'round_robin'
+ * @returns {boolean}
+ */
+function isValidTournamentFormat(format) {
+  return TOURNAMENT_FORMATS.includes(format);
+}
+
+/**
+ * Validate tournament seeding
+ * @param {string} seeding - 'rating' or 'stats'
+ * @returns {boolean}
+ */
+function isValidTournamentSeeding(seeding) {
+  return TOURNAMENT_SEEDINGS.includes(seeding);
+}
+
+/**
+ * Validate tournament size
+ * @param {number} maxPlayers - Player limit
+ * @returns {boolean}
+ */
+function isValidTournamentSize(maxPlayers) {
+  const size = Number(maxPlayers);
+  return Number.isInteger(size) && size >= MIN_TOURNAMENT_PLAYERS && size <= MAX_TOURNAMENT_PLAYERS;
+}
+
+/**
+ * Run a tournament's bookkeeping after any still in flight for it
+ * @param {string} tournamentId - Tournament ID
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} fn's result
+ */
+function withTournamentLock(tournamentId, fn) {
+  const run = (locks.get(tournamentId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(tournamentId, tail);
+  tail.then(() => {
+    if (locks.get(tournamentId) === tail) locks.delete(tournamentId);
+  });
+  return run;
+}
+
+/**
+ * Order registered players by seed
+ * 'rating' uses the Elo rating; 'stats' uses win rate, then games won.
+ * Ties go to whoever registered first
+ * @param {Array} players - [{ userId, username }] in registration order
+ * @param {Object} statsByUser - { [userId]: user_stats row }
+ * @param {string} seeding - 'rating' or 'stats'
+ * @returns {Array} [{ userId, username, seed }], top seed first
+ */
+function seedPlayers(players, statsByUser, seeding) {
+  const score = (player) => {
+    const stats = statsByUser[player.userId];
+    if (seeding === 'rating') {
+      return [stats?.rating ?? DEFAULT_RATING, 0];
+    }
+    const played = stats?.games_played || 0;
+    return [played > 0 ? stats.games_won / played : 0, stats?.games_won || 0];
+  };
+
+  return players
+    .map((player, order) => ({ player, order, score: score(player) }))
+    .sort((a, b) => (b.score[0] - a.score[0]) || (b.score[1] - a.score[1]) || (a.order - b.order))
+    .map(({ player }, index) => ({ ...player, seed: index + 1 }));
+}
+
+/**
+ * Seeds in bracket order, so the top seeds can only meet in the late rounds
+ * (size 8: 1 v 8, 4 v 5, 2 v 7, 3 v 6)
+ * @param {number} size - Bracket size (a power of two)
+ * @returns {number[]} Seeds, two per first-round match
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Build a single-elimination bracket
+ * Missing seeds become byes for the top seeds, who go straight into round 2
+ * @param {string[]} seededIds - User IDs, top seed first
+ * @returns {Array} [{ round, position, player1Id, player2Id, winnerId, status }]
+ */
+function buildSingleElimination(seededIds) {
+  const size = Math.pow(2, Math.ceil(Math.log2(Math.max(seededIds.length, 2))));
+  const rounds = Math.log2(size);
+  const order = bracketOrder(size);
+  const matches = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / Math.pow(2, round);
+    for (let position = 0; position < count; position++) {
+      const match = { round, position, player1Id: null, player2Id: null, winnerId: null, status: 'pending' };
+      if (round === 1) {
+        match.player1Id = seededIds[order[position * 2] - 1] || null;
+        match.player2Id = seededIds[order[position * 2 + 1] - 1] || null;
+      }
+      matches.push(match);
+    }
+  }
+
+  // Byes: the lone player wins their first-round match without playing
+  matches
+    .filter(match => match.round === 1 && !(match.player1Id && match.player2Id))
+    .forEach(match => {
+      match.winnerId = match.player1Id || match.player2Id;
+      match.status = 'bye';
+      const next = matches.find(m => m.round === 2 && m.position === Math.floor(match.position / 2));
+      if (next) next[match.position % 2 === 0 ? 'player1Id' : 'player2Id'] = match.winnerId;
+    });
+
+  return matches;
+}
+
+/**
+ * Build a round-robin schedule (circle method): everyone meets everyone once
+ * With an odd number of players someone sits out each round
+ * @param {string[]} seededIds - User IDs, top seed first
+ * @returns {Array} [{ round, position, player1Id, player2Id, winnerId, status }]
+ */
+function buildRoundRobin(seededIds) {
+  const ids = seededIds.length % 2 === 0 ? [...seededIds] : [...seededIds, null];
+  const matches = [];
+
+  for (let round = 1; round < ids.length; round++) {
+    let position = 0;
+    for (let i = 0; i < ids.length / 2; i++) {
+      const player1Id = ids[i];
+      const player2Id = ids[ids.length - 1 - i];
+      if (player1Id && player2Id) {
+        matches.push({ round, position: position++, player1Id, player2Id, winnerId: null, status: 'pending' });
+      }
+    }
+    // Keep the first player fixed and rotate everyone else one place
+    ids.splice(1, 0, ids.pop());
+  }
+
+  return matches;
+}
+
+/**
+ * Round robin standings: points, then wins, then seed
+ * @param {Array} players - tournament_players rows
+ * @param {Array} matches - tournament_matches rows
+ * @returns {Array} [{ userId, username, seed, played, wins, draws, losses, points }]
+ */
+function computeStandings(players, matches) {
+  const rows = Object.fromEntries(players.map(p => [p.user_id, {
+    userId: p.user_id,
+    username: p.username,
+    seed: p.seed,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    points: 0,
+  }]));
+
+  for (const match of matches.filter(m => m.status === 'completed')) {
+    for (const playerId of [match.player1_id, match.player2_id]) {
+      const row = rows[playerId];
+      if (!row) continue;
+
+      row.played++;
+      if (!match.winner_id) {
+        row.draws++;
+        row.points += ROUND_ROBIN_POINTS.draw;
+      } else if (match.winner_id === playerId) {
+        row.wins++;
+        row.points += ROUND_ROBIN_POINTS.win;
+      } else {
+        row.losses++;
+      }
+    }
+  }
+
+  return Object.values(rows).sort((a, b) =>
+    (b.points - a.points) || (b.wins - a.wins) || ((a.seed || Infinity) - (b.seed || Infinity)));
+}
+
+/**
+ * Format a tournament match for client
+ * The room (and the game, which leads to it) is only shown to the match's players until it is over
+ * @param {Object} match - tournament_matches row
+ * @param {Function} player - userId => { userId, username } or null
+ * @param {Object} roomCodes - { [gameId]: roomCode }
+ * @param {string|null} viewerId - User viewing it
+ * @returns {Object} Formatted match
+ */
+function formatMatchForClient(match, player, roomCodes, viewerId) {
+  const isPlayer = Boolean(viewerId) && [match.player1_id, match.player2_id].includes(viewerId);
+
+  return {
+    id: match.id,
+    round: match.round,
+    position: match.position,
+    player1: player(match.player1_id),
+    player2: player(match.player2_id),
+    winnerId: match.winner_id,
+    status: match.status,
+    gameId: isPlayer || match.status === 'completed' ? match.game_id : null,
+    roomCode: (isPlayer && match.game_id && roomCodes[match.game_id]) || null,
+  };
+}
+
+/**
+ * Format a tournament for client
+ * @param {Object} tournament - tournaments row
+ * @param {Array} players - tournament_players rows
+ * @param {Array} matches - tournament_matches rows
+ * @param {Object} roomCodes - { [gameId]: roomCode }
+ * @param {string|null} viewerId - User viewing it; only a match's own players see its room
+ * @returns {Object} Formatted tournament
+ */
+function formatTournamentForClient(tournament, players = [], matches = [], roomCodes = {}, viewerId = null) {
+  const names = Object.fromEntries(players.map(p => [p.user_id, p.username]));
+  const player = (userId) => (userId ? { userId, username: names[userId] || null } : null);
+  const settings = parseJson(tournament.settings) || {};
+
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    seeding: tournament.seeding,
+    maxPlayers: tournament.max_players,
+    match: settings.match || DEFAULT_TOURNAMENT_MATCH,
+    rulesetId: settings.rulesetId || null,
+    status: tournament.status,
+    creatorId: tournament.creator_id,
+    winner: player(tournament.winner_id),
+    playerCount: players.length,
+    players: players.map(p => ({ userId: p.user_id, username: p.username, seed: p.seed })),
+    matches: matches.map(m => formatMatchForClient(m, player, roomCodes, viewerId)),
+    standings: tournament.format === 'round_robin' && tournament.status !== 'registration'
+      ? computeStandings(players, matches)
+      : null,
+    createdAt: tournament.created_at,
+    startedAt: tournament.started_at,
+    completedAt: tournament.completed_at,
+  };
+}
+
+/**
+ * Load a tournament with its players (registration order, or seed order once started) and matches
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object|null>} { tournament, players, matches, roomCodes } or null
+ */
+async function loadTournament(tournamentId) {
+  const db = getDatabase();
+
+  const rows = await db
+    .select()
+    .from(tournaments)
+    .where(eq(tournaments.id, tournamentId))
+    .limit(1);
+  if (rows.length === 0) return null;
+
+  const players = await db
+    .select()
+    .from(tournament_players)
+    .where(eq(tournament_players.tournament_id, tournamentId))
+    .orderBy(asc(tournament_players.seed), asc(tournament_players.registered_at));
+
+  const matches = await db
+    .select()
+    .from(tournament_matches)
+    .where(eq(tournament_matches.tournament_id, tournamentId))
+    .orderBy(asc(tournament_matches.round), asc(tournament_matches.position));
+
+  const gameIds = matches.map(m => m.game_id).filter(Boolean);
+  const gameRows = gameIds.length > 0
+    ? await db
+      .select({ id: games.id, roomCode: games.room_code })
+      .from(games)
+      .where(inArray(games.id, gameIds))
+    : [];
+
+  return {
+    tournament: rows[0],
+    players,
+    matches,
+    roomCodes: Object.fromEntries(gameRows.map(g => [g.id, g.roomCode])),
+  };
+}
+
+/**
+ * Get a tournament for client
+ * @param {string} tournamentId - Tournament ID
+ * @param {string|null} viewerId - User viewing it (sees the rooms of their own matches)
+ * @returns {Promise<Object|null>} Formatted tournament
+ */
+async function getTournament(tournamentId, viewerId = null) {
+  const loaded = await loadTournament(tournamentId);
+  return loaded
+    ? formatTournamentForClient(loaded.tournament, loaded.players, loaded.matches, loaded.roomCodes, viewerId)
+    : null;
+}
+
+/**
+ * List tournaments, newest first
+ * @param {Object} filters - { status }
+ * @param {Object} paging - { limit, offset }
+ * @returns {Promise<Object>} { tournaments, total }
+ */
+async function listTournaments({ status } = {}, { limit = 20, offset = 0 } = {}) {
+  const db = getDatabase();
+  const where = status ? eq(tournaments.status, status) : undefined;
+
+  const rows = await db
+    .select()
+    .from(tournaments)
+    .where(where)
+    .orderBy(desc(tournaments.created_at))
+    .limit(limit)
+    .offset(offset);
+
+  const totalResult = await db
+    .select({ count: sql`count(*)` })
+    .from(tournaments)
+    .where(where);
+
+  const counts = rows.length > 0
+    ? await db
+      .select({ tournamentId: tournament_players.tournament_id, count: sql`count(*)` })
+      .from(tournament_players)
+      .where(inArray(tournament_players.tournament_id, rows.map(t => t.id)))
+      .groupBy(tournament_players.tournament_id)
+    : [];
+  const countById = Object.fromEntries(counts.map(c => [c.tournamentId, Number(c.count)]));
+
+  return {
+    tournaments: rows.map(t => {
+      const { players, matches, standings, ...summary } = formatTournamentForClient(t);
+      return { ...summary, playerCount: countById[t.id] || 0 };
+    }),
+    total: Number(totalResult[0].count),
+  };
+}
+
+/**
+ * Create a tournament open for registration
+ * @param {Object} options
+ * @param {string} options.name - Tournament name
+ * @param {string} options.format - 'single_elimination' or 'round_robin'
+ * @param {string} options.seeding - 'rating' or 'stats'
+ * @param {number} options.maxPlayers - Player limit
+ * @param {Object} options.match - Series every game is played as
+ * @param {string} options.rulesetId - Ruleset every game is played with
+ * @param {string} options.creatorId - Creating user ID
+ * @returns {Promise<Object>} Formatted tournament
+ */
+async function createTournament({ name, format, seeding, maxPlayers, match, rulesetId, creatorId }) {
+  const db = getDatabase();
+  const tournament = {
+    id: uuidv4(),
+    name,
+    format,
+    seeding,
+    max_players: Number(maxPlayers),
+    settings: JSON.stringify({ match: { type: match.type, target: Number(match.target) }, rulesetId }),
+    status: 'registration',
+    creator_id: creatorId,
+    winner_id: null,
+    created_at: new Date(),
+    started_at: null,
+    completed_at: null,
+  };
+
+  await db.insert(tournaments).values(tournament);
+
+  console.log(`🏟️  Tournament "${name}" created (${format}, up to ${tournament.max_players} players)`);
+  return formatTournamentForClient(tournament);
+}
+
+/**
+ * Register a player for a tournament
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} player - { userId, username }
+ * @returns {Promise<Object>} { tournament } or a refusal
+ */
+async function registerPlayer(tournamentId, { userId, username }) {
+  return withTournamentLock(tournamentId, async () => {
+    const loaded = await loadTournament(tournamentId);
+    if (!loaded) return reject('Tournament not found', 404, 'NOT_FOUND');
+
+    const { tournament, players } = loaded;
+    if (tournament.status !== 'registration') {
+      return reject('Registration for this tournament has closed', 400, 'REGISTRATION_CLOSED');
+    }
+    if (players.some(p => p.user_id === userId)) {
+      return reject('You are already registered', 400, 'ALREADY_REGISTERED');
+    }
+    if (players.length >= tournament.max_players) {
+      return reject('This tournament is full', 400, 'TOURNAMENT_FULL');
+    }
+
+    const db = getDatabase();
+    await db.insert(tournament_players).values({
+      id: uuidv4(),
+      tournament_id: tournamentId,
+      user_id: userId,
+      username,
+      seed: null,
+      registered_at: new Date(),
+    });
+
+    return { tournament: await getTournament(tournamentId) };
+  });
+}
+
+/**
+ * Withdraw a player before the tournament starts
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { tournament } or a refusal
+ */
+async function withdrawPlayer(tournamentId, userId) {
+  return withTournamentLock(tournamentId, async () => {
+    const loaded = await loadTournament(tournamentId);
+    if (!loaded) return reject('Tournament not found', 404, 'NOT_FOUND');
+
+    if (loaded.tournament.status !== 'registration') {
+      return reject('The tournament has already started', 400, 'REGISTRATION_CLOSED');
+    }
+    if (!loaded.players.some(p => p.user_id === userId)) {
+      return reject('You are not registered', 404, 'NOT_REGISTERED');
+    }
+
+    const db = getDatabase();
+    await db
+      .delete(tournament_players)
+      .where(and(
+        eq(tournament_players.tournament_id, tournamentId),
+        eq(tournament_players.user_id, userId)
+      ));
+
+    return { tournament: await getTournament(tournamentId) };
+  });
+}
+
+/**
+ * Store a notification and push it to the user's devices
+ * @param {string} userId - User ID
+ * @param {string} type - Notification type
+ * @param {Object} content - { title, body, data }
+ */
+async function notifyUser(userId, type, { title, body, data }) {
+  try {
+    const db = getDatabase();
+
+    await db.insert(notifications).values({
+      id: uuidv4(),
+      user_id: userId,
+      type,
+      title,
+      body,
+      data: JSON.stringify(data),
+      read: false,
+      created_at: new Date(),
+    });
+
+    const tokens = await db
+      .select()
+      .from(fcm_tokens)
+      .where(eq(fcm_tokens.user_id, userId));
+
+    for (const { token } of tokens) {
+      await sendNotificationByType(token, type, { ...data, body });
+    }
+  } catch (error) {
+    console.error(`❌ Error sending ${type} notification:`, error);
+  }
+}
+
+/**
+ * Create the game a tournament match is played in (unlisted, so it stays out of the lobby)
+ * @param {Object} tournament - tournaments row
+ * @param {Object} player1 - { userId, username } (hosts the room)
+ * @param {Object} player2 - { userId, username }
+ * @returns {Promise<Object>} { gameId, roomCode }
+ */
+async function createTournamentGame(tournament, player1, player2) {
+  const db = getDatabase();
+
+  let roomCode;
+  for (let attempts = 0; attempts < 5; attempts++) {
+    roomCode = generateRoomCode();
+    const existing = await db
+      .select({ id: games.id })
+      .from(games)
+      .where(eq(games.room_code, roomCode))
+      .limit(1);
+    if (existing.length === 0) break;
+    roomCode = null;
+  }
+
+  if (!roomCode) {
+    throw new Error('Failed to generate unique room code');
+  }
+
+  const settings = parseJson(tournament.settings) || {};
+  const initialState = createInitialGameState(player1.userId, {
+    match: settings.match || DEFAULT_TOURNAMENT_MATCH,
+    rulesetId: settings.rulesetId,
+  });
+
+  const gameId = uuidv4();
+  const now = new Date();
+
+  await db.insert(games).values({
+    id: gameId,
+    room_code: roomCode,
+    creator_id: player1.userId,
+    opponent_id: player2.userId,
+    status: 'in_progress',
+    current_turn: null,
+    game_state: JSON.stringify(initialState),
+    game_phase: initialState.gamePhase,
+    winner_id: null,
+    visibility: 'unlisted',
+    created_at: now,
+    updated_at: now,
+  });
+
+  await addParticipant(gameId, player1.userId, player1.username);
+  await addParticipant(gameId, player2.userId, player2.username);
+
+  return { gameId, roomCode };
+}
+
+/**
+ * Open a match whose players are both known: create its game and tell them
+ * @param {Object} tournament - tournaments row
+ * @param {Object} match - tournament_matches row
+ * @param {Object} names - { [userId]: username }
+ */
+async function openMatch(tournament, match, names) {
+  const db = getDatabase();
+  const player1 = { userId: match.player1_id, username: names[match.player1_id] };
+  const player2 = { userId: match.player2_id, username: names[match.player2_id] };
+
+  const { gameId, roomCode } = await createTournamentGame(tournament, player1, player2);
+  await db
+    .update(tournament_matches)
+    .set({ game_id: gameId, status: 'ready', updated_at: new Date() })
+    .where(eq(tournament_matches.id, match.id));
+
+  for (const [player, opponent] of [[player1, player2], [player2, player1]]) {
+    await notifyUser(player.userId, 'tournament_match_ready', {
+      title: 'Your Tournament Match Is Ready!',
+      body: `Round ${match.round} of ${tournament.name}: you play ${opponent.username} in room ${roomCode}`,
+      data: { tournamentId: tournament.id, gameId, roomCode },
+    });
+  }
+
+  console.log(`🏟️  ${tournament.name} round ${match.round}: ${player1.username} vs ${player2.username} in room ${roomCode}`);
+}
+
+/**
+ * Start a tournament: seed the players, build the bracket or schedule and open the first matches
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} userId - User starting it (must be the creator)
+ * @returns {Promise<Object>} { tournament } or a refusal
+ */
+async function startTournament(tournamentId, userId) {
+  return withTournamentLock(tournamentId, async () => {
+    const loaded = await loadTournament(tournamentId);
+    if (!loaded) return reject('Tournament not found', 404, 'NOT_FOUND');
+
+    const { tournament, players } = loaded;
+    if (tournament.creator_id !== userId) {
+      return reject('Only the tournament creator can start it', 403, 'NOT_CREATOR');
+    }
+    if (tournament.status !== 'registration') {
+      return reject('The tournament has already started', 400, 'ALREADY_STARTED');
+    }
+    if (players.length < MIN_TOURNAMENT_PLAYERS) {
+      return reject(`At least ${MIN_TOURNAMENT_PLAYERS} players must register first`, 400, 'NOT_ENOUGH_PLAYERS');
+    }
+
+    const db = getDatabase();
+    const statsRows = await db
+      .select()
+      .from(user_stats)
+      .where(inArray(user_stats.user_id, players.map(p => p.user_id)));
+    const statsByUser = Object.fromEntries(statsRows.map(row => [row.user_id, row]));
+
+    const seeded = seedPlayers(
+      players.map(p => ({ userId: p.user_id, username: p.username })),
+      statsByUser,
+      tournament.seeding
+    );
+    for (const player of seeded) {
+      await db
+        .update(tournament_players)
+        .set({ seed: player.seed })
+        .where(and(
+          eq(tournament_players.tournament_id, tournamentId),
+          eq(tournament_players.user_id, player.userId)
+        ));
+    }
+
+    const seededIds = seeded.map(p => p.userId);
+    const planned = tournament.format === 'round_robin'
+      ? buildRoundRobin(seededIds)
+      : buildSingleElimination(seededIds);
+
+    const now = new Date();
+    const matchRows = planned.map(match => ({
+      id: uuidv4(),
+      tournament_id: tournamentId,
+      round: match.round,
+      position: match.position,
+      player1_id: match.player1Id,
+      player2_id: match.player2Id,
+      game_id: null,
+      winner_id: match.winnerId,
+      status: match.status,
+      created_at: now,
+      updated_at: now,
+    }));
+    await db.insert(tournament_matches).values(matchRows);
+
+    const started = { ...tournament, status: 'in_progress', started_at: now };
+    await db
+      .update(tournaments)
+      .set({ status: 'in_progress', started_at: now })
+      .where(eq(tournaments.id, tournamentId));
+
+    // Round robin is played a round at a time; a bracket opens every match with both players known
+    const names = Object.fromEntries(players.map(p => [p.user_id, p.username]));
+    const firstMatches = matchRows.filter(m =>
+      m.status === 'pending' && m.player1_id && m.player2_id && (tournament.format !== 'round_robin' || m.round === 1));
+    for (const match of firstMatches) {
+      await openMatch(started, match, names);
+    }
+
+    console.log(`🏟️  Tournament "${tournament.name}" started with ${players.length} players`);
+    return { tournament: await getTournament(tournamentId, userId) };
+  });
+}
+
+/**
+ * Finish a tournament
+ * @param {Object} tournament - tournaments row
+ * @param {string|null} winnerId - Champion
+ */
+async function completeTournament(tournament, winnerId) {
+  const db = getDatabase();
+  await db
+    .update(tournaments)
+    .set({ status: 'completed', winner_id: winnerId, completed_at: new Date() })
+    .where(eq(tournaments.id, tournament.id));
+
+  console.log(`🏆 Tournament "${tournament.name}" won by ${winnerId || 'nobody'}`);
+}
+
+/**
+ * Settle a ready match and move the tournament on: the winner fills their next
+ * bracket match, or the round robin opens its next round once this one is done
+ * Runs under the tournament's lock
+ * @param {Object} loaded - loadTournament() result
+ * @param {Object} match - The match, from loaded.matches
+ * @param {string|null} matchWinnerId - Who goes through
+ */
+async function settleMatch(loaded, match, matchWinnerId) {
+  const db = getDatabase();
+  const { tournament, players, matches } = loaded;
+  const names = Object.fromEntries(players.map(p => [p.user_id, p.username]));
+
+  const now = new Date();
+  await db
+    .update(tournament_matches)
+    .set({ winner_id: matchWinnerId, status: 'completed', updated_at: now })
+    .where(eq(tournament_matches.id, match.id));
+  match.winner_id = matchWinnerId;
+  match.status = 'completed';
+
+  if (tournament.format === 'single_elimination') {
+    const next = matches.find(m => m.round === match.round + 1 && m.position === Math.floor(match.position / 2));
+    if (!next) {
+      await completeTournament(tournament, matchWinnerId);
+      return;
+    }
+
+    const slot = match.position % 2 === 0 ? 'player1_id' : 'player2_id';
+    await db
+      .update(tournament_matches)
+      .set({ [slot]: matchWinnerId, updated_at: now })
+      .where(eq(tournament_matches.id, next.id));
+    next[slot] = matchWinnerId;
+
+    if (next.player1_id && next.player2_id) {
+      await openMatch(tournament, next, names);
+    }
+    return;
+  }
+
+  // Round robin: the next round opens once every match in this one is done
+  if (matches.some(m => m.round === match.round && m.status !== 'completed')) return;
+
+  const nextRound = matches.filter(m => m.round === match.round + 1);
+  if (nextRound.length === 0) {
+    await completeTournament(tournament, computeStandings(players, matches)[0]?.userId || null);
+    return;
+  }
+  for (const nextMatch of nextRound) {
+    await openMatch(tournament, nextMatch, names);
+  }
+}
+
+/**
+ * Record a finished game for the tournament match it belongs to, if any, and move the tournament on
+ * A bracket game that ends without a winner (both players forfeited) sends the higher seed through;
+ * in a round robin it counts as a draw
+ * @param {string} gameId - Finished game ID
+ * @param {string|null} winnerId - Game winner
+ * @returns {Promise<boolean>} Whether the game was a tournament match
+ */
+async function recordTournamentGame(gameId, winnerId) {
+  try {
+    const db = getDatabase();
+    const found = await db
+      .select()
+      .from(tournament_matches)
+      .where(and(eq(tournament_matches.game_id, gameId), eq(tournament_matches.status, 'ready')))
+      .limit(1);
+    if (found.length === 0) return false;
+
+    await withTournamentLock(found[0].tournament_id, async () => {
+      const loaded = await loadTournament(found[0].tournament_id);
+      const match = loaded && loaded.matches.find(m => m.id === found[0].id);
+      if (!match || match.status !== 'ready') return;
+
+      const seeds = Object.fromEntries(loaded.players.map(p => [p.user_id, p.seed || Infinity]));
+
+      let matchWinnerId = [match.player1_id, match.player2_id].includes(winnerId) ? winnerId : null;
+      if (!matchWinnerId && loaded.tournament.format === 'single_elimination') {
+        matchWinnerId = seeds[match.player1_id] <= seeds[match.player2_id] ? match.player1_id : match.player2_id;
+      }
+
+      await settleMatch(loaded, match, matchWinnerId);
+    });
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error recording tournament game:', error);
+    return false;
+  }
+}
+
+/**
+ * Award a ready match to one of its players without a result, when the other never shows up
+ * The match's game is closed as a forfeit; it doesn't count towards stats or ratings
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - Match ID
+ * @param {string} userId - User awarding it (must be the creator)
+ * @param {string} winnerId - Player who goes through
+ * @returns {Promise<Object>} { tournament, roomCode } or a refusal
+ */
+async function awardWalkover(tournamentId, matchId, userId, winnerId) {
+  return withTournamentLock(tournamentId, async () => {
+    const loaded = await loadTournament(tournamentId);
+    if (!loaded) return reject('Tournament not found', 404, 'NOT_FOUND');
+
+    const match = loaded.matches.find(m => m.id === matchId);
+    if (!match) return reject('Match not found', 404, 'NOT_FOUND');
+    if (loaded.tournament.creator_id !== userId) {
+      return reject('Only the tournament creator can award a walkover', 403, 'NOT_CREATOR');
+    }
+    if (match.status !== 'ready') {
+      return reject('Only a match waiting to be played can be awarded', 400, 'MATCH_NOT_READY');
+    }
+    if (![match.player1_id, match.player2_id].includes(winnerId)) {
+      return reject('The winner must be a player in this match', 400, 'NOT_IN_MATCH');
+    }
+
+    // The stored game ends too, so a room loaded from it later can't be played on
+    const db = getDatabase();
+    const gameRows = await db
+      .select()
+      .from(games)
+      .where(eq(games.id, match.game_id))
+      .limit(1);
+    if (gameRows.length > 0) {
+      const gameState = parseJson(gameRows[0].game_state) || {};
+      const ended = forfeitGame({ ...gameState, gamePhase: gameState.gamePhase || gameRows[0].game_phase }, { winnerId });
+      const state = ended.error ? gameState : ended.state;
+      await db
+        .update(games)
+        .set({
+          game_state: JSON.stringify(state),
+          game_phase: state.gamePhase || 'completed',
+          status: 'forfeit',
+          winner_id: winnerId,
+          updated_at: new Date(),
+        })
+        .where(eq(games.id, match.game_id));
+    }
+
+    await settleMatch(loaded, match, winnerId);
+
+    console.log(`🏟️  ${loaded.tournament.name} round ${match.round}: walkover to ${winnerId}`);
+    return {
+      tournament: await getTournament(tournamentId, userId),
+      roomCode: loaded.roomCodes[match.game_id] || null,
+    };
+  });
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  TOURNAMENT_SEEDINGS,
+  TOURNAMENT_STATUSES,
+  MIN_TOURNAMENT_PLAYERS,
+  MAX_TOURNAMENT_PLAYERS,
+  DEFAULT_TOURNAMENT_MATCH,
+  isValidTournamentFormat,
+  isValidTournamentSeeding,
+  isValidTournamentSize,
+  seedPlayers,
+  buildSingleElimination,
+  buildRoundRobin,
+  computeStandings,
+  getTournament,
+  listTournaments,
+  createTournament,
+  registerPlayer,
+  withdrawPlayer,
+  startTournament,
+  recordTournamentGame,
+  awardWalkover,
+};
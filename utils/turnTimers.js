@@ -0,0 +1,64 @@
+/**
+ * Turn Timers
+ * Per-room countdowns for phases that wait on a single player
+ */
+
+// Seconds allowed per phase ('chat' is the loser completing their truth or dare)
+const PHASE_TIMEOUTS = {
+  choosing: Number(process.env.TURN_TIMEOUT_CHOOSING) || 30,
+  revealing: Number(process.env.TURN_TIMEOUT_REVEAL) || 15, // fair-play rooms
+  truth_dare_selection: Number(process.env.TURN_TIMEOUT_SELECTION) || 30,
+  chat: Number(process.env.TURN_TIMEOUT_COMPLETION) || 180,
+};
+
+// Active setTimeout handles: { [roomCode]: Timeout }
+const timers = {};
+
+/**
+ * Check whether a phase has a countdown
+ * @param {string} phase - Game phase
+ * @returns {boolean}
+ */
+function isTimedPhase(phase) {
+  return Object.prototype.hasOwnProperty.call(PHASE_TIMEOUTS, phase);
+}
+
+/**
+ * Start (or replace) a room's countdown
+ * @param {string} roomCode - Room code
+ * @param {string} phase - Timed game phase
+ * @param {Function} onExpire - Called with no arguments when the deadline passes
+ * @param {number} expiresAt - Deadline in epoch ms (defaults to now + the phase timeout; pass a stored value to resume)
+ * @returns {Object|null} Deadline { phase, expiresAt } or null if the phase is not timed
+ */
+function startTurnTimer(roomCode, phase, onExpire, expiresAt = null) {
+  clearTurnTimer(roomCode);
+  if (!isTimedPhase(phase)) return null;
+
+  const deadline = expiresAt || Date.now() + PHASE_TIMEOUTS[phase] * 1000;
+
+  timers[roomCode] = setTimeout(() => {
+    delete timers[roomCode];
+    onExpire();
+  }, Math.max(0, deadline - Date.now()));
+
+  return { phase, expiresAt: deadline };
+}
+
+/**
+ * Stop a room's countdown, if any
+ * @param {string} roomCode - Room code
+ */
+function clearTurnTimer(roomCode) {
+  if (timers[roomCode]) {
+    clearTimeout(timers[roomCode]);
+    delete timers[roomCode];
+  }
+}
+
+module.exports = {
+  PHASE_TIMEOUTS,
+  isTimedPhase,
+  startTurnTimer,
+  clearTurnTimer,
+};